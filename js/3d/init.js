@@ -5,9 +5,12 @@
 import { createProgramFromScripts } from './web_gl_utils.js';
 import m4 from './m4.js';
 
-import { numberOfStarsInAllRingsOneGalaxy, totalNumberOfBodies }
+import { numberOfStarsInGalaxies, totalNumberOfBodies }
   from '../physics/initial_conditions.js';
 
+import { survivor, effectiveMasses } from '../physics/merger.js';
+import { colorStars } from './star_colors.js';
+
 
 // Adjust the size of the drawing buffer based on the CCS pixel size
 // of the canvas. The height of canvas also affects how large the stars look,
@@ -53,7 +56,7 @@ function updateCanvasSize(drawData, initialParams, currentParams, restart){
 
 
 /**
- * Prepare for drawing trajectories of the two galaxy cores.
+ * Prepare for drawing trajectories of the galaxy cores.
  *
  * @param  {object} drawData Object containing information used for drawing.
  */
@@ -134,7 +137,10 @@ export function initGraphics(initialParams, currentParams, restart) {
     colorBuffer: colorBuffer,
     starSizeLocation: starSizeLocation,
     starSizeBuffer: starSizeBuffer,
-    matrixLocation: matrixLocation
+    matrixLocation: matrixLocation,
+
+    // Positions of the stars converted for the GPU, reused between frames
+    positionsFloat32: null
   };
 
   // Load the colors of the stars into the GPU
@@ -157,24 +163,33 @@ export function initGraphics(initialParams, currentParams, restart) {
 
 
 /**
- * Load star colors into the GPU buffer
+ * Calculate the colors of all bodies.
  *
- * @param  {object} drawData Draw data
  * @param  {object} initialParams Initial parameters of the simulation
+ * @param  {array} mergedInto (optional) The state of core mergers,
+ *                            see merger.js. The absorbed cores are drawn
+ *                            with the color of the core they merged into.
+ * @param  {array} compressedGas (optional) Flags of the compressed gas
+ *                            particles, see `updateGasCompression`
+ *                            in simulation.js. The compressed gas is drawn
+ *                            with `compressedGasColor`.
+ * @param  {object} currentParams (optional) Current parameters of the
+ *                            simulation. The stars are colored in the mode
+ *                            `colorMode`, see star_colors.js. Default: the
+ *                            stars are colored by their galaxy.
+ * @return {Uint8Array} The red, green and blue components of the colors
+ *                      of all bodies, from 0 to 255.
  */
-export function loadColors(drawData, initialParams) {
+export function bodyColors(initialParams, mergedInto, compressedGas,
+                           currentParams) {
   // Calculate the number of stars in each galaxy
-  let stars1 = numberOfStarsInAllRingsOneGalaxy(initialParams.numberOfRings[0],
-                                                initialParams.ringMultiplier);
-
-  let stars2 = numberOfStarsInAllRingsOneGalaxy(initialParams.numberOfRings[1],
-                                                initialParams.ringMultiplier);
+  let starsPerGalaxy = numberOfStarsInGalaxies(initialParams);
 
   // Total number of bodies
-  let bodies = 2 + stars1 + stars2;
+  let bodies = totalNumberOfBodies(initialParams);
 
-  // The array containing two colors for the two galaxies
-  let twoColors = initialParams.colors;
+  // Number of galaxy cores
+  let cores = starsPerGalaxy.length;
 
   // Create an array to store colors of all bodies.
   // Each color consists of three numbers for Reg, Green and Blue
@@ -186,31 +201,65 @@ export function loadColors(drawData, initialParams) {
   // components of the star colors to the `colors` array for individual bodies
   // ----------
 
-  // Core 1
-  colors[0] = initialParams.coreColors[0][0];
-  colors[1] = initialParams.coreColors[0][1];
-  colors[2] = initialParams.coreColors[0][2];
-
-  // Core 2
-  colors[3] = initialParams.coreColors[1][0];
-  colors[4] = initialParams.coreColors[1][1];
-  colors[5] = initialParams.coreColors[1][2];
-
-  // Stars of first galaxy
-  for(let i = 0; i < stars1; i++) {
-    colors[6 + i * 3 + 0] = twoColors[0][0];
-    colors[6 + i * 3 + 1] = twoColors[0][1];
-    colors[6 + i * 3 + 2] = twoColors[0][2];
+  // Cores
+  for(let iCore = 0; iCore < cores; iCore++) {
+    let iColor = mergedInto ? survivor(mergedInto, iCore) : iCore;
+    colors[iCore * 3 + 0] = initialParams.coreColors[iColor][0];
+    colors[iCore * 3 + 1] = initialParams.coreColors[iColor][1];
+    colors[iCore * 3 + 2] = initialParams.coreColors[iColor][2];
   }
 
-  // Stars of second galaxy
-  for(let i = 0; i < stars2; i++) {
-    colors[6 + i * 3 + stars1 * 3 + 0] = twoColors[1][0];
-    colors[6 + i * 3 + stars1 * 3 + 1] = twoColors[1][1];
-    colors[6 + i * 3 + stars1 * 3 + 2] = twoColors[1][2];
+  // Index of the first star of the current galaxy
+  let iFirst = cores;
+
+  // Stars of each galaxy
+  for(let iGalaxy = 0; iGalaxy < cores; iGalaxy++) {
+    let color = initialParams.colors[iGalaxy];
+
+    for(let i = iFirst; i < iFirst + starsPerGalaxy[iGalaxy]; i++) {
+      colors[i * 3 + 0] = color[0];
+      colors[i * 3 + 1] = color[1];
+      colors[i * 3 + 2] = color[2];
+    }
+
+    iFirst += starsPerGalaxy[iGalaxy];
+  }
+
+  // Color the stars in the chosen mode once the simulation has started
+  if (currentParams && currentParams.starColors &&
+      currentParams.positions !== null) {
+
+    colorStars(currentParams.colorMode, currentParams.starColors,
+               initialParams, currentParams, colors);
   }
 
-  // Finally, write the color array to the GPU memory
+  // Gas particles of all galaxies, which are the last bodies
+  for(let i = iFirst; i < bodies; i++) {
+    let compressed = compressedGas && compressedGas[i - iFirst] === 1;
+    let color = compressed ? initialParams.compressedGasColor :
+                             initialParams.gasColor;
+
+    colors[i * 3 + 0] = color[0];
+    colors[i * 3 + 1] = color[1];
+    colors[i * 3 + 2] = color[2];
+  }
+
+  return colors;
+}
+
+
+/**
+ * Load star colors into the GPU buffer
+ *
+ * @param  {object} drawData Draw data
+ * Other parameters are the same as in `bodyColors`.
+ */
+export function loadColors(drawData, initialParams, mergedInto,
+                           compressedGas, currentParams) {
+  var colors = bodyColors(initialParams, mergedInto, compressedGas,
+                          currentParams);
+
+  // Write the color array to the GPU memory
   // ---------
 
   var gl = drawData.gl;
@@ -228,12 +277,13 @@ export function loadColors(drawData, initialParams) {
  *
  * @param  {object} drawData Draw data
  * @param  {object} initialParams Initial parameters of the simulation
+ * @param  {array} mergedInto (optional) The state of core mergers,
+ *                            see merger.js. The sizes of the cores are
+ *                            calculated from their masses after mergers.
  */
-export function loadStarSizes(drawData, initialParams) {
-  // Total number of bodies (stars plus two galaxy cores)
-  let bodies = totalNumberOfBodies(initialParams.numberOfRings[0],
-                                   initialParams.numberOfRings[1],
-                                   initialParams.ringMultiplier);
+export function loadStarSizes(drawData, initialParams, mergedInto) {
+  // Total number of bodies (stars plus galaxy cores)
+  let bodies = totalNumberOfBodies(initialParams);
 
   // Get the star's size
   let size = initialParams.starSize;
@@ -251,8 +301,12 @@ export function loadStarSizes(drawData, initialParams) {
   // so that more massive core is drawn with a larger circle.
   // The size of a constant density star is proportional to its mass
   // to the 1/3 power
-  sizes[0] = coreSize * Math.pow(initialParams.masses[0], 1/3);
-  sizes[1] = coreSize * Math.pow(initialParams.masses[1], 1/3);
+  let masses = initialParams.masses;
+  if (mergedInto) masses = effectiveMasses(masses, mergedInto);
+
+  masses.forEach((mass, iCore) => {
+    sizes[iCore] = coreSize * Math.pow(mass, 1/3);
+  });
 
   // Finally, write the size array to the GPU memory
   // ---------
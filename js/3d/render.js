@@ -5,7 +5,7 @@ import m4 from './m4.js';
 
 
 /**
- * Draw trajectories of the two galaxy cores.
+ * Draw trajectories of the galaxy cores.
  *
  * @param  {object} drawData      Drawing data
  * @param  {object} initialParams Initial parameters of the animation.
@@ -41,8 +41,10 @@ function drawTrajectories(drawData, initialParams, currentParams, uMatrix) {
   // Store the transformation matrix
   gl.uniformMatrix4fv(drawData.trajectories.matrixLocation, false, uMatrix);
 
+  var numberOfTrajectories = currentParams.trajectoriesState.trajectories.length;
+
   // Draw the trajectory of each galaxy core
-  for (let iTrajectory = 0; iTrajectory < 2; iTrajectory++) {
+  for (let iTrajectory = 0; iTrajectory < numberOfTrajectories; iTrajectory++) {
     storeTrajectories(drawData, currentParams, iTrajectory);
 
     var color = initialParams.trajectoryColors[iTrajectory];
@@ -197,5 +199,14 @@ function storePositions(drawData, positions) {
   // Bind ARRAY_BUFFER to the positionBuffer
   // (creates a global variable inside WebGL)
   gl.bindBuffer(gl.ARRAY_BUFFER, drawData.positionBuffer);
-  gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(positions), gl.STATIC_DRAW);
+
+  // Reuse the array unless the number of stars has changed
+  if (drawData.positionsFloat32 === null ||
+      drawData.positionsFloat32.length !== positions.length) {
+
+    drawData.positionsFloat32 = new Float32Array(positions.length);
+  }
+
+  drawData.positionsFloat32.set(positions);
+  gl.bufferData(gl.ARRAY_BUFFER, drawData.positionsFloat32, gl.STATIC_DRAW);
 }
@@ -0,0 +1,480 @@
+// Export of the scene at the current moment of the simulation to 3D
+// programs, like Blender or ParaView. The scene contains the bodies as
+// points with the colors they are drawn with on screen, see `bodyColors`
+// in init.js, and the trajectories of the galaxy cores as lines,
+// see trajectories.js. The simulation time and the initial parameters are
+// saved in each file as comments or extra data.
+//
+// The encoders do not use the web page and return the bytes of the file,
+// so they can be used with Node.js to save a sequence of frames,
+// see run_headless.js.
+//
+// Formats:
+//
+//    ply        Polygon File Format in text form: the points are vertices
+//               with colors, the trajectories are edges between vertices.
+//
+//    binaryPly  Polygon File Format with binary data, which is smaller and
+//               faster to load.
+//
+//    glb        glTF 2.0 binary file: a mesh of points with vertex colors
+//               and a mesh of line strips, one for each trajectory.
+//
+//    vtp        VTK PolyData XML file: the points are vertices with
+//               the "colors" point data, the trajectories are lines.
+//               The simulation time is stored in the "TimeValue" field.
+
+import { bodyColors } from './init.js';
+import { filterInitialParams } from '../ui/share.js';
+import { textBytes } from '../snapshot_export.js';
+
+
+/**
+ * Names of the supported file formats.
+ */
+export const sceneFormats = ["ply", "binaryPly", "glb", "vtp"];
+
+
+// File extensions and MIME types of the formats
+const fileTypes = {
+  ply: { extension: "ply", type: "text/plain" },
+  binaryPly: { extension: "ply", type: "application/octet-stream" },
+  glb: { extension: "glb", type: "model/gltf-binary" },
+  vtp: { extension: "vtp", type: "application/xml" }
+};
+
+
+/**
+ * Collect the scene at the current moment of the simulation.
+ *
+ * @param  {object} initialParams Initial parameters of the simulation.
+ * @param  {object} currentParams Current parameters of the simulation.
+ * @return {object} The scene containing:
+ *    time        The simulation time.
+ *    parameters  The initial parameters that can be shared, see ui/share.js.
+ *    positions   Position vectors of all bodies.
+ *    colors      The red, green and blue components of the colors of all
+ *                bodies from 0 to 255.
+ *    lines       The trajectories of the galaxy cores:
+ *                [{ positions: [x, y, z, x, y, z...], color: [r, g, b] }].
+ *                Only the trajectories with at least two points are
+ *                included.
+ */
+export function sceneData(initialParams, currentParams) {
+  let trajectoriesState = currentParams.trajectoriesState;
+  let lines = [];
+
+  trajectoriesState.trajectories.forEach((trajectory, iCore) => {
+    if (trajectoriesState.points < 2) return;
+    let color = initialParams.trajectoryColors[iCore];
+
+    lines.push({
+      positions: Float64Array.from(
+        trajectory.slice(0, trajectoriesState.points * 3)),
+      color: [0, 1, 2].map((k) => Math.round(color[k] * 255))
+    });
+  });
+
+  return {
+    time: currentParams.time,
+    parameters: filterInitialParams(initialParams),
+    positions: Float64Array.from(currentParams.positions),
+    colors: bodyColors(initialParams, currentParams.mergedInto,
+                       currentParams.compressedGas, currentParams),
+    lines: lines
+  };
+}
+
+
+/**
+ * Returns the description of the scene stored in the files.
+ */
+function description(scene) {
+  return `Two galaxies, time: ${scene.time}, ` +
+         `parameters: ${JSON.stringify(scene.parameters)}`;
+}
+
+
+/**
+ * Combine the bodies and the points of the trajectories into one list
+ * of vertices, the bodies first.
+ *
+ * @param  {object} scene The scene, see `sceneData`.
+ * @return {object} The vertices:
+ *    positions  Position vectors of the vertices.
+ *    colors     Colors of the vertices.
+ *    edges      Indexes of the two vertices of each line segment of the
+ *               trajectories: [i1, j1, i2, j2...].
+ */
+function allVertices(scene) {
+  let linePoints = scene.lines.reduce(
+    (sum, line) => sum + line.positions.length / 3, 0);
+
+  let edgeCount = scene.lines.reduce(
+    (sum, line) => sum + line.positions.length / 3 - 1, 0);
+
+  let count = scene.positions.length / 3 + linePoints;
+  let positions = new Float64Array(count * 3);
+  let colors = new Uint8Array(count * 3);
+  let edges = new Uint32Array(edgeCount * 2);
+
+  positions.set(scene.positions);
+  colors.set(scene.colors);
+
+  let iVertex = scene.positions.length / 3;
+  let iEdge = 0;
+
+  scene.lines.forEach((line) => {
+    positions.set(line.positions, iVertex * 3);
+    let points = line.positions.length / 3;
+
+    for(let i = 0; i < points; i++) {
+      colors.set(line.color, (iVertex + i) * 3);
+
+      if (i > 0) {
+        edges[iEdge * 2] = iVertex + i - 1;
+        edges[iEdge * 2 + 1] = iVertex + i;
+        iEdge += 1;
+      }
+    }
+
+    iVertex += points;
+  });
+
+  return { positions: positions, colors: colors, edges: edges };
+}
+
+
+/**
+ * Returns the header of the PLY file.
+ */
+function plyHeader(scene, vertices, format) {
+  return [
+    "ply",
+    `format ${format} 1.0`,
+    `comment ${description(scene)}`,
+    `element vertex ${vertices.positions.length / 3}`,
+    "property float x",
+    "property float y",
+    "property float z",
+    "property uchar red",
+    "property uchar green",
+    "property uchar blue",
+    `element edge ${vertices.edges.length / 2}`,
+    "property int vertex1",
+    "property int vertex2",
+    "end_header"
+  ].join("\n") + "\n";
+}
+
+
+/**
+ * Returns the scene as a PLY file in text form.
+ *
+ * @param  {object} scene The scene, see `sceneData`.
+ * @return {Uint8Array} Contents of the file.
+ */
+export function encodePly(scene) {
+  let vertices = allVertices(scene);
+  let lines = [plyHeader(scene, vertices, "ascii")];
+
+  for(let i = 0; i < vertices.positions.length; i += 3) {
+    lines.push(Array.from(vertices.positions.slice(i, i + 3))
+      .concat(Array.from(vertices.colors.slice(i, i + 3)))
+      .join(" ") + "\n");
+  }
+
+  for(let i = 0; i < vertices.edges.length; i += 2) {
+    lines.push(`${vertices.edges[i]} ${vertices.edges[i + 1]}\n`);
+  }
+
+  return textBytes(lines.join(""));
+}
+
+
+/**
+ * Returns the scene as a PLY file with binary data in little-endian order.
+ *
+ * @param  {object} scene The scene, see `sceneData`.
+ * @return {Uint8Array} Contents of the file.
+ */
+export function encodeBinaryPly(scene) {
+  let vertices = allVertices(scene);
+  let header = textBytes(plyHeader(scene, vertices, "binary_little_endian"));
+  let vertexCount = vertices.positions.length / 3;
+
+  // Each vertex is three 32-bit floats and three bytes of the color,
+  // each edge is two 32-bit integers
+  let file = new Uint8Array(header.length + vertexCount * 15 +
+                            vertices.edges.length * 4);
+
+  file.set(header);
+  let view = new DataView(file.buffer);
+  let offset = header.length;
+
+  for(let i = 0; i < vertexCount; i++) {
+    for(let k = 0; k < 3; k++) {
+      view.setFloat32(offset + k * 4, vertices.positions[i * 3 + k], true);
+      view.setUint8(offset + 12 + k, vertices.colors[i * 3 + k]);
+    }
+
+    offset += 15;
+  }
+
+  vertices.edges.forEach((vertex) => {
+    view.setInt32(offset, vertex, true);
+    offset += 4;
+  });
+
+  return file;
+}
+
+
+/**
+ * Returns the scene as a glTF 2.0 binary file, see
+ * https://registry.khronos.org/glTF/specs/2.0/glTF-2.0.html
+ *
+ * @param  {object} scene The scene, see `sceneData`.
+ * @return {Uint8Array} Contents of the file.
+ */
+export function encodeGlb(scene) {
+  let bufferViews = [];
+  let accessors = [];
+  let chunks = [];
+  let byteLength = 0;
+
+  // Add the data to the binary buffer and describe it with an accessor
+  let addAccessor = (bytes, accessor) => {
+    bufferViews.push({
+      buffer: 0,
+      byteOffset: byteLength,
+      byteLength: bytes.length,
+      target: 34962 // ARRAY_BUFFER
+    });
+
+    accessor.bufferView = bufferViews.length - 1;
+    accessors.push(accessor);
+    chunks.push({ bytes: bytes, offset: byteLength });
+
+    // Each buffer view starts at a multiple of four bytes
+    byteLength += Math.ceil(bytes.length / 4) * 4;
+    return accessors.length - 1;
+  };
+
+  // Add the positions with their bounding box required by glTF
+  let addPositions = (positions) => {
+    let values = Float32Array.from(positions);
+    let min = [Infinity, Infinity, Infinity];
+    let max = [-Infinity, -Infinity, -Infinity];
+
+    values.forEach((value, i) => {
+      min[i % 3] = Math.min(min[i % 3], value);
+      max[i % 3] = Math.max(max[i % 3], value);
+    });
+
+    return addAccessor(new Uint8Array(values.buffer), {
+      componentType: 5126, // FLOAT
+      count: values.length / 3,
+      type: "VEC3",
+      min: min,
+      max: max
+    });
+  };
+
+  // The colors are stored with the alpha component, so that each color
+  // takes four bytes, as required for vertex attributes
+  let bodies = scene.positions.length / 3;
+  let colors = new Uint8Array(bodies * 4).fill(255);
+
+  for(let i = 0; i < bodies; i++) {
+    colors.set(scene.colors.slice(i * 3, i * 3 + 3), i * 4);
+  }
+
+  let meshes = [{
+    name: "Stars",
+    primitives: [{
+      attributes: {
+        POSITION: addPositions(scene.positions),
+        COLOR_0: addAccessor(colors, {
+          componentType: 5121, // UNSIGNED_BYTE
+          normalized: true,
+          count: bodies,
+          type: "VEC4"
+        })
+      },
+      mode: 0 // POINTS
+    }]
+  }];
+
+  let materials = scene.lines.map((line) => {
+    return {
+      pbrMetallicRoughness: {
+        baseColorFactor: line.color.map((c) => c / 255).concat([1]),
+        metallicFactor: 0
+      }
+    };
+  });
+
+  if (scene.lines.length > 0) {
+    meshes.push({
+      name: "Trajectories",
+      primitives: scene.lines.map((line, i) => {
+        return {
+          attributes: { POSITION: addPositions(line.positions) },
+          material: i,
+          mode: 3 // LINE_STRIP
+        };
+      })
+    });
+  }
+
+  let json = {
+    asset: {
+      version: "2.0",
+      generator: "Two galaxies",
+      extras: { time: scene.time, parameters: scene.parameters }
+    },
+    scene: 0,
+    scenes: [{ nodes: meshes.map((_, i) => i) }],
+    nodes: meshes.map((mesh, i) => { return { name: mesh.name, mesh: i }; }),
+    meshes: meshes,
+    buffers: [{ byteLength: byteLength }],
+    bufferViews: bufferViews,
+    accessors: accessors
+  };
+
+  if (materials.length > 0) json.materials = materials;
+
+  // The JSON chunk is padded with spaces to a multiple of four bytes
+  let jsonBytes = textBytes(JSON.stringify(json));
+  let jsonLength = Math.ceil(jsonBytes.length / 4) * 4;
+
+  // File header of 12 bytes, followed by the JSON and binary chunks,
+  // each with the header of 8 bytes
+  let file = new Uint8Array(12 + 8 + jsonLength + 8 + byteLength);
+  let view = new DataView(file.buffer);
+  view.setUint32(0, 0x46546c67, true); // "glTF"
+  view.setUint32(4, 2, true);
+  view.setUint32(8, file.length, true);
+
+  view.setUint32(12, jsonLength, true);
+  view.setUint32(16, 0x4e4f534a, true); // "JSON"
+  file.set(jsonBytes, 20);
+  file.fill(0x20, 20 + jsonBytes.length, 20 + jsonLength);
+
+  let binaryStart = 20 + jsonLength;
+  view.setUint32(binaryStart, byteLength, true);
+  view.setUint32(binaryStart + 4, 0x004e4942, true); // "BIN"
+
+  chunks.forEach((chunk) => {
+    file.set(chunk.bytes, binaryStart + 8 + chunk.offset);
+  });
+
+  return file;
+}
+
+
+/**
+ * Returns the XML element containing the values of the VTK data array.
+ */
+function vtkDataArray(attributes, values) {
+  return `<DataArray ${attributes} format="ascii">` +
+         `${Array.from(values).join(" ")}</DataArray>`;
+}
+
+
+/**
+ * Returns the scene as a VTK PolyData XML file, see
+ * https://docs.vtk.org/en/latest/design_documents/VTKFileFormats.html
+ *
+ * @param  {object} scene The scene, see `sceneData`.
+ * @return {Uint8Array} Contents of the file.
+ */
+export function encodeVtp(scene) {
+  let vertices = allVertices(scene);
+  let bodies = scene.positions.length / 3;
+  let pointCount = vertices.positions.length / 3;
+  let bodyIndexes = Array.from(Array(bodies), (_, i) => i);
+
+  // The points of the trajectories come after the bodies. The offset of
+  // each line is the position after its last point in the connectivity list.
+  let lineIndexes = Array.from(Array(pointCount - bodies),
+                               (_, i) => bodies + i);
+
+  let lineOffsets = [];
+  let lineEnd = 0;
+
+  scene.lines.forEach((line) => {
+    lineEnd += line.positions.length / 3;
+    lineOffsets.push(lineEnd);
+  });
+
+  let xml = [
+    '<?xml version="1.0"?>',
+    `<!-- ${description(scene)} -->`,
+    '<VTKFile type="PolyData" version="0.1" byte_order="LittleEndian">',
+    '  <PolyData>',
+    '    <FieldData>',
+    '      ' + vtkDataArray(
+      'type="Float64" Name="TimeValue" NumberOfTuples="1"', [scene.time]),
+    '    </FieldData>',
+    `    <Piece NumberOfPoints="${pointCount}" NumberOfVerts="${bodies}" ` +
+      `NumberOfLines="${scene.lines.length}" NumberOfStrips="0" ` +
+      'NumberOfPolys="0">',
+    '      <PointData Scalars="colors">',
+    '        ' + vtkDataArray(
+      'type="UInt8" Name="colors" NumberOfComponents="3"', vertices.colors),
+    '      </PointData>',
+    '      <Points>',
+    '        ' + vtkDataArray(
+      'type="Float64" Name="Points" NumberOfComponents="3"',
+      vertices.positions),
+    '      </Points>',
+    '      <Verts>',
+    '        ' + vtkDataArray('type="Int32" Name="connectivity"', bodyIndexes),
+    '        ' + vtkDataArray('type="Int32" Name="offsets"',
+                             bodyIndexes.map((i) => i + 1)),
+    '      </Verts>',
+    '      <Lines>',
+    '        ' + vtkDataArray('type="Int32" Name="connectivity"', lineIndexes),
+    '        ' + vtkDataArray('type="Int32" Name="offsets"', lineOffsets),
+    '      </Lines>',
+    '    </Piece>',
+    '  </PolyData>',
+    '</VTKFile>'
+  ];
+
+  return textBytes(xml.join("\n") + "\n");
+}
+
+
+// Functions encoding the scene in each of the `sceneFormats`
+const encoders = {
+  ply: encodePly,
+  binaryPly: encodeBinaryPly,
+  glb: encodeGlb,
+  vtp: encodeVtp
+};
+
+
+/**
+ * Export the scene at the current moment of the simulation to a file.
+ *
+ * @param  {object} initialParams Initial parameters of the simulation.
+ * @param  {object} currentParams Current parameters of the simulation.
+ * @param  {string} format One of the `sceneFormats`.
+ * @return {object} The file containing:
+ *    fileName  Suggested name of the file, i.e. "two_galaxies_t120.glb".
+ *    type      MIME type of the file.
+ *    bytes     Contents of the file, Uint8Array.
+ */
+export function exportScene(initialParams, currentParams, format) {
+  let scene = sceneData(initialParams, currentParams);
+  let fileType = fileTypes[format];
+
+  return {
+    fileName: `two_galaxies_t${Math.round(scene.time)}.${fileType.extension}`,
+    type: fileType.type,
+    bytes: encoders[format](scene)
+  };
+}
@@ -0,0 +1,219 @@
+import {
+  sceneData, encodePly, encodeBinaryPly, encodeGlb, encodeVtp, exportScene
+} from './scene_export.js';
+
+import { bodyColors } from './init.js';
+import { createSimulation, run } from '../headless.js';
+import { text } from '../snapshot_export.test.js';
+
+var expect = chai.expect;
+
+
+/**
+ * Returns a small scene of two bodies and one trajectory of three points.
+ */
+function testScene() {
+  return {
+    time: 7,
+    parameters: { numberOfRings: [0, 0] },
+    positions: Float64Array.from([0, 0, 0, 1, 2, 3]),
+    colors: Uint8Array.from([255, 0, 0, 0, 255, 0]),
+    lines: [{
+      positions: Float64Array.from([0, 0, 0, 1, 0, 0, 2, 0, 0]),
+      color: [0, 0, 255]
+    }]
+  };
+}
+
+
+describe('Scene export', () => {
+  it('bodyColors', () => {
+    let sim = createSimulation("numberOfRings=1,1");
+    let initialParams = sim.initialParams;
+    let colors = bodyColors(initialParams);
+
+    // Two cores and 6 + 6 stars
+    expect(colors.length).to.equal(14 * 3);
+    expect(Array.from(colors.slice(0, 3)))
+      .to.deep.equal(initialParams.coreColors[0]);
+
+    expect(Array.from(colors.slice(2 * 3, 3 * 3)))
+      .to.deep.equal(initialParams.colors[0]);
+
+    expect(Array.from(colors.slice(13 * 3)))
+      .to.deep.equal(initialParams.colors[1]);
+  });
+
+  it('sceneData', () => {
+    let sim = createSimulation("numberOfRings=1,1");
+    run(sim, 4, 10, () => {});
+
+    let scene = sceneData(sim.initialParams, sim.currentParams);
+
+    expect(scene.time).to.equal(4);
+    expect(scene.parameters.numberOfRings).to.deep.equal([1, 1]);
+    expect(Array.from(scene.positions))
+      .to.deep.equal(Array.from(sim.currentParams.positions));
+
+    expect(scene.colors.length).to.equal(scene.positions.length);
+
+    // Trajectories of the two cores with the initial point and four steps
+    expect(scene.lines.length).to.equal(2);
+    expect(scene.lines[0].positions.length).to.equal(5 * 3);
+
+    expect(Array.from(scene.lines[1].positions.slice(12)))
+      .to.deep.equal(Array.from(sim.currentParams.positions.slice(3, 6)));
+
+    expect(scene.lines[0].color).to.deep.equal([179, 128, 0]);
+  });
+
+  it('sceneData without trajectories', () => {
+    let sim = createSimulation("numberOfRings=1,1");
+    let scene = sceneData(sim.initialParams, sim.currentParams);
+    expect(scene.lines).to.deep.equal([]);
+  });
+
+  it('encodePly', () => {
+    let lines = text(encodePly(testScene())).split("\n");
+
+    expect(lines.slice(0, 2)).to.deep.equal(["ply", "format ascii 1.0"]);
+    expect(lines[2]).to.equal('comment Two galaxies, time: 7, ' +
+                              'parameters: {"numberOfRings":[0,0]}');
+
+    expect(lines[3]).to.equal("element vertex 5");
+    expect(lines[10]).to.equal("element edge 2");
+    expect(lines[13]).to.equal("end_header");
+    expect(lines[14]).to.equal("0 0 0 255 0 0");
+    expect(lines[15]).to.equal("1 2 3 0 255 0");
+    expect(lines[16]).to.equal("0 0 0 0 0 255");
+    expect(lines[18]).to.equal("2 0 0 0 0 255");
+    expect(lines[19]).to.equal("2 3");
+    expect(lines[20]).to.equal("3 4");
+    expect(lines.length).to.equal(22);
+  });
+
+  it('encodeBinaryPly', () => {
+    let file = encodeBinaryPly(testScene());
+    let headerEnd = text(file).indexOf("end_header\n") + 11;
+
+    expect(text(file.slice(0, 40))).to.contain("binary_little_endian 1.0");
+    expect(file.length).to.equal(headerEnd + 5 * 15 + 2 * 8);
+
+    let view = new DataView(file.buffer, headerEnd);
+
+    // The second body
+    expect(view.getFloat32(15, true)).to.equal(1);
+    expect(view.getFloat32(15 + 8, true)).to.equal(3);
+    expect(view.getUint8(15 + 13)).to.equal(255);
+
+    // The last edge
+    expect(view.getInt32(5 * 15 + 8, true)).to.equal(3);
+    expect(view.getInt32(5 * 15 + 12, true)).to.equal(4);
+  });
+
+  it('encodeGlb', () => {
+    let file = encodeGlb(testScene());
+    let view = new DataView(file.buffer);
+
+    expect(text(file.slice(0, 4))).to.equal("glTF");
+    expect(view.getUint32(4, true)).to.equal(2);
+    expect(view.getUint32(8, true)).to.equal(file.length);
+
+    let jsonLength = view.getUint32(12, true);
+    expect(jsonLength % 4).to.equal(0);
+    expect(text(file.slice(16, 20))).to.equal("JSON");
+
+    let json = JSON.parse(text(file.slice(20, 20 + jsonLength)));
+    expect(json.asset.version).to.equal("2.0");
+    expect(json.asset.extras.time).to.equal(7);
+    expect(json.meshes.map((mesh) => mesh.name))
+      .to.deep.equal(["Stars", "Trajectories"]);
+
+    let points = json.meshes[0].primitives[0];
+    expect(points.mode).to.equal(0);
+    expect(json.accessors[points.attributes.POSITION].max)
+      .to.deep.equal([1, 2, 3]);
+
+    expect(json.accessors[points.attributes.COLOR_0].count).to.equal(2);
+
+    let line = json.meshes[1].primitives[0];
+    expect(line.mode).to.equal(3);
+    expect(json.accessors[line.attributes.POSITION].count).to.equal(3);
+    expect(json.materials[0].pbrMetallicRoughness.baseColorFactor)
+      .to.deep.equal([0, 0, 1, 1]);
+
+    // Binary chunk
+    let binaryStart = 20 + jsonLength;
+    expect(text(file.slice(binaryStart + 4, binaryStart + 7))).to.equal("BIN");
+
+    let byteLength = view.getUint32(binaryStart, true);
+    expect(byteLength).to.equal(json.buffers[0].byteLength);
+    expect(binaryStart + 8 + byteLength).to.equal(file.length);
+
+    json.bufferViews.forEach((bufferView) => {
+      expect(bufferView.byteOffset % 4).to.equal(0);
+    });
+
+    // Color of the second body
+    let colors = json.bufferViews[json.accessors[points.attributes.COLOR_0]
+                                    .bufferView];
+
+    let iColor = binaryStart + 8 + colors.byteOffset + 4;
+    expect(Array.from(file.slice(iColor, iColor + 4)))
+      .to.deep.equal([0, 255, 0, 255]);
+  });
+
+  it('encodeGlb without trajectories', () => {
+    let scene = testScene();
+    scene.lines = [];
+
+    let file = encodeGlb(scene);
+    let jsonLength = new DataView(file.buffer).getUint32(12, true);
+    let json = JSON.parse(text(file.slice(20, 20 + jsonLength)));
+
+    expect(json.meshes.length).to.equal(1);
+    expect(json.materials).to.equal(undefined);
+  });
+
+  it('encodeVtp', () => {
+    let xml = text(encodeVtp(testScene()));
+
+    expect(xml).to.match(/^<\?xml version="1.0"\?>\n<!-- Two galaxies, time: 7/);
+    expect(xml).to.contain('<Piece NumberOfPoints="5" NumberOfVerts="2" ' +
+                           'NumberOfLines="1"');
+
+    expect(xml).to.contain('Name="TimeValue" NumberOfTuples="1" ' +
+                           'format="ascii">7</DataArray>');
+
+    expect(xml).to.contain('Name="colors" NumberOfComponents="3" ' +
+      'format="ascii">255 0 0 0 255 0 0 0 255 0 0 255 0 0 255</DataArray>');
+
+    expect(xml).to.contain('NumberOfComponents="3" ' +
+      'format="ascii">0 0 0 1 2 3 0 0 0 1 0 0 2 0 0</DataArray>');
+
+    expect(xml).to.contain('<Verts>\n' +
+      '        <DataArray type="Int32" Name="connectivity" ' +
+      'format="ascii">0 1</DataArray>\n' +
+      '        <DataArray type="Int32" Name="offsets" ' +
+      'format="ascii">1 2</DataArray>');
+
+    expect(xml).to.contain('<Lines>\n' +
+      '        <DataArray type="Int32" Name="connectivity" ' +
+      'format="ascii">2 3 4</DataArray>\n' +
+      '        <DataArray type="Int32" Name="offsets" ' +
+      'format="ascii">3</DataArray>');
+  });
+
+  it('exportScene', () => {
+    let sim = createSimulation("numberOfRings=1,1");
+    run(sim, 3, 10, () => {});
+
+    let file = exportScene(sim.initialParams, sim.currentParams, "glb");
+    expect(file.fileName).to.equal("two_galaxies_t3.glb");
+    expect(file.type).to.equal("model/gltf-binary");
+
+    file = exportScene(sim.initialParams, sim.currentParams, "binaryPly");
+    expect(file.fileName).to.equal("two_galaxies_t3.ply");
+    expect(text(file.bytes.slice(0, 3))).to.equal("ply");
+  });
+});
@@ -0,0 +1,304 @@
+// Colors of the stars on screen. The stars are colored in one of the
+// `colorModes`: by the galaxy they were born in, by their initial ring,
+// by their speed, by their velocity along the line of sight, by their height
+// above the orbital plane of the cores, or by whether they are bound to
+// their galaxy, see physics/tidal_analysis.js.
+//
+// The colors of the static modes are calculated once at the start.
+// The colors of the dynamic modes change with time and are recalculated
+// every few frames, see `shouldReload`. The galaxy cores and the gas are
+// drawn with their own colors in all modes.
+
+import { numberOfStarsInGalaxies } from '../physics/initial_conditions.js';
+import { starHosts } from '../physics/diagnostics.js';
+import { init as initMerger } from '../physics/merger.js';
+import { fates } from '../physics/tidal_analysis.js';
+
+
+/**
+ * Names of the modes for coloring the stars.
+ */
+export const colorModes = [
+  "galaxy", "ring", "speed", "lineOfSightVelocity", "height", "bound"
+];
+
+
+/**
+ * Colormaps: the colors at equally spaced values from zero to one,
+ * the colors in between are interpolated linearly.
+ */
+export const colormaps = {
+  // Sequential, from dark violet to yellow
+  viridis: [
+    [68, 1, 84], [59, 82, 139], [33, 145, 140], [94, 201, 98],
+    [253, 231, 37]
+  ],
+
+  // Sequential, from dark blue to yellow
+  plasma: [
+    [13, 8, 135], [126, 3, 168], [204, 71, 120], [248, 149, 64],
+    [240, 249, 33]
+  ],
+
+  // Diverging, from blue through grey to red
+  coolwarm: [
+    [59, 76, 192], [141, 176, 254], [221, 221, 221], [244, 154, 123],
+    [180, 4, 38]
+  ]
+};
+
+
+// Colors of the bound, captured and escaped stars, in the order of `fates`
+const fateColors = [[0, 153, 255], [255, 204, 0], [255, 51, 51]];
+
+
+// Settings of the color modes:
+//    title     Name of the quantity shown in the legend.
+//    colormap  Name of the colormap, see `colormaps`. The modes without
+//              a colormap use one color for each category of stars.
+//    dynamic   The colors change with time.
+const modeSettings = {
+  galaxy: { title: "Galaxy", dynamic: false },
+  ring: { title: "Initial ring", colormap: "plasma", dynamic: false },
+  speed: { title: "Speed", colormap: "viridis", dynamic: true },
+  lineOfSightVelocity: {
+    title: "Velocity away from viewer", colormap: "coolwarm", dynamic: true
+  },
+  height: {
+    title: "Height above orbital plane", colormap: "coolwarm", dynamic: true
+  },
+  bound: { title: "Stars", dynamic: true }
+};
+
+
+/**
+ * Returns the color from the colormap.
+ *
+ * @param  {string} colormap Name of the colormap, see `colormaps`.
+ * @param  {number} x        Value from zero to one, other values are
+ *                           clamped to this range.
+ * @return {array} The red, green and blue components from 0 to 255.
+ */
+export function colormapColor(colormap, x) {
+  let colors = colormaps[colormap];
+  let position = Math.min(Math.max(x, 0), 1) * (colors.length - 1);
+  let i = Math.min(Math.floor(position), colors.length - 2);
+  let fraction = position - i;
+
+  return colors[i].map((component, k) =>
+    Math.round(component + (colors[i + 1][k] - component) * fraction));
+}
+
+
+/**
+ * Check if the colors of the stars change with time in the color mode.
+ *
+ * @param  {string} mode Name of the color mode, see `colorModes`.
+ * @return {boolean} True if the colors need to be recalculated.
+ */
+export function isDynamic(mode) {
+  return modeSettings[mode].dynamic;
+}
+
+
+/**
+ * Prepare for coloring the stars. Called at the start of the simulation.
+ *
+ * @param  {object} initialParams Initial parameters of the simulation.
+ * @param  {array} positions  Initial position vectors of all bodies,
+ *                            first are galaxy cores, the rest are stars.
+ * @param  {array} velocities Initial velocity vectors of all bodies.
+ * @param  {number} framesBetweenUpdates Number of frames between
+ *                            the updates of the dynamic colors.
+ * @return {object} The state of the colors:
+ *    origins     Index of the galaxy each star was born in.
+ *    rings       Initial ring of each star: the distance from its core
+ *                divided by the ring separation, rounded to a whole
+ *                number from one. For the ring model this is the number
+ *                of the ring the star was placed in.
+ *    ranges      Ranges of the quantities shown in the dynamic modes,
+ *                from the initial state: the largest speed of the stars,
+ *                and half the largest distance of a star from its core
+ *                for the height.
+ *    framesSinceLastUpdate  Number of frames since the colors were updated.
+ *    framesBetweenUpdates   Number of frames between the updates.
+ */
+export function init(initialParams, positions, velocities,
+                     framesBetweenUpdates) {
+
+  let origins = starHosts(numberOfStarsInGalaxies(initialParams),
+                          initMerger(initialParams.masses.length));
+
+  let cores = initialParams.masses.length;
+  let rings = new Uint16Array(origins.length);
+  let maxRing = 2;
+  let maxSpeed = 0;
+  let maxDistance = 0;
+
+  origins.forEach((iCore, iStar) => {
+    let i = (iStar + cores) * 3;
+    let dx = positions[i] - positions[iCore * 3];
+    let dy = positions[i + 1] - positions[iCore * 3 + 1];
+    let dz = positions[i + 2] - positions[iCore * 3 + 2];
+    let distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+    rings[iStar] = Math.max(1, Math.round(
+      distance / initialParams.ringSeparation[iCore]));
+
+    maxRing = Math.max(maxRing, rings[iStar]);
+    maxDistance = Math.max(maxDistance, distance);
+
+    maxSpeed = Math.max(maxSpeed, Math.sqrt(
+      velocities[i] * velocities[i] +
+      velocities[i + 1] * velocities[i + 1] +
+      velocities[i + 2] * velocities[i + 2]));
+  });
+
+  // Avoid zero ranges when there are no stars
+  let speed = maxSpeed || 1;
+  let height = maxDistance / 2 || 1;
+
+  return {
+    origins: origins,
+    rings: rings,
+    ranges: {
+      ring: [1, maxRing],
+      speed: [0, speed],
+      lineOfSightVelocity: [-speed, speed],
+      height: [-height, height]
+    },
+    framesSinceLastUpdate: 0,
+    framesBetweenUpdates: framesBetweenUpdates
+  };
+}
+
+
+/**
+ * Check if the colors of the dynamic mode need to be updated at the current
+ * frame of animation. Called on each frame.
+ *
+ * @param  {object} state The state of the colors, see `init`.
+ * @param  {string} mode  Name of the color mode, see `colorModes`.
+ * @return {boolean} True if the colors need to be recalculated.
+ */
+export function shouldReload(state, mode) {
+  if (state === null || !isDynamic(mode)) return false;
+
+  state.framesSinceLastUpdate += 1;
+  if (state.framesSinceLastUpdate < state.framesBetweenUpdates) return false;
+
+  state.framesSinceLastUpdate = 0;
+  return true;
+}
+
+
+/**
+ * Returns the quantity shown by the color of the star.
+ *
+ * @param  {string} mode  Name of the color mode, see `colorModes`.
+ * @param  {object} state The state of the colors, see `init`.
+ * @param  {object} currentParams Current parameters of the simulation.
+ * @param  {number} iStar Index of the star: 0, 1, 2...
+ * @param  {number} i     Index of the x-coordinate of the star in the
+ *                        positions and velocities.
+ * @return {number} The value of the quantity.
+ */
+function starValue(mode, state, currentParams, iStar, i) {
+  let velocities = currentParams.velocities;
+  let m = currentParams.rotationMatrix;
+
+  switch(mode) {
+    case "ring":
+      return state.rings[iStar];
+
+    case "speed":
+      return Math.sqrt(velocities[i] * velocities[i] +
+                       velocities[i + 1] * velocities[i + 1] +
+                       velocities[i + 2] * velocities[i + 2]);
+
+    case "lineOfSightVelocity":
+      // The viewer looks along the negative z-axis after the scene
+      // is rotated, see render.js
+      return -(m[2] * velocities[i] + m[6] * velocities[i + 1] +
+               m[10] * velocities[i + 2]);
+
+    default:
+      // Height above the x-y plane, where the cores start orbiting
+      return currentParams.positions[i + 2];
+  }
+}
+
+
+/**
+ * Calculate the colors of the stars in the color mode.
+ *
+ * @param  {string} mode  Name of the color mode, see `colorModes`.
+ * @param  {object} state The state of the colors, see `init`.
+ * @param  {object} initialParams Initial parameters of the simulation.
+ * @param  {object} currentParams Current parameters of the simulation.
+ * @param  {array} colors The red, green and blue components of the colors
+ *                        of all bodies. The colors of the stars, which come
+ *                        after the galaxy cores, are updated.
+ */
+export function colorStars(mode, state, initialParams, currentParams, colors) {
+  let cores = initialParams.masses.length;
+  let settings = modeSettings[mode];
+  let range = state.ranges[mode];
+  let classes = currentParams.tidalAnalysis &&
+                currentParams.tidalAnalysis.classes;
+
+  for(let iStar = 0; iStar < state.origins.length; iStar++) {
+    let i = (iStar + cores) * 3;
+    let color;
+
+    if (mode === "galaxy") {
+      color = initialParams.colors[state.origins[iStar]];
+    } else if (mode === "bound") {
+      color = fateColors[classes ? classes[iStar] : 0];
+    } else {
+      let value = starValue(mode, state, currentParams, iStar, i);
+      color = colormapColor(settings.colormap,
+                            (value - range[0]) / (range[1] - range[0]));
+    }
+
+    colors[i] = color[0];
+    colors[i + 1] = color[1];
+    colors[i + 2] = color[2];
+  }
+}
+
+
+/**
+ * Returns the description of the colors shown to the user.
+ *
+ * @param  {string} mode  Name of the color mode, see `colorModes`.
+ * @param  {object} state The state of the colors, see `init`.
+ * @param  {object} initialParams Initial parameters of the simulation.
+ * @return {object} The legend containing:
+ *    title     Name of the quantity shown by the colors.
+ *    entries   (for the modes without a colormap) The colors and
+ *              the labels of the categories of stars:
+ *              [{ color: [255, 127, 0], label: "1" }, ...].
+ *    colors    (for the modes with a colormap) The colors of the colormap.
+ *    range     (for the modes with a colormap) The values of the quantity
+ *              at the ends of the colormap.
+ */
+export function legend(mode, state, initialParams) {
+  let settings = modeSettings[mode];
+  let result = { title: settings.title };
+
+  if (mode === "galaxy") {
+    result.entries = initialParams.masses.map((_, i) => {
+      return { color: initialParams.colors[i], label: `${i + 1}` };
+    });
+  } else if (mode === "bound") {
+    result.entries = fates.map((fate, i) => {
+      return { color: fateColors[i], label: fate };
+    });
+  } else {
+    result.colors = colormaps[settings.colormap];
+    result.range = state.ranges[mode];
+  }
+
+  return result;
+}
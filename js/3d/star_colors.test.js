@@ -0,0 +1,216 @@
+import {
+  colorModes, colormaps, colormapColor, isDynamic, init, shouldReload,
+  colorStars, legend
+} from './star_colors.js';
+
+import m4 from './m4.js';
+
+var expect = chai.expect;
+
+
+// Two galaxies with two stars in the first and one star in the second
+function testParams() {
+  let initialParams = {
+    masses: [1, 1],
+    numberOfRings: [1, 1],
+    ringMultiplier: [2, 1],
+    ringSeparation: [2, 3],
+    colors: [[255, 127, 0], [0, 100, 255]]
+  };
+
+  let currentParams = {
+    positions: new Float64Array([
+      0, 0, 0,
+      10, 0, 0,
+      2, 0, 1,
+      0, 4, -1,
+      13, 0, 0
+    ]),
+    velocities: new Float64Array([
+      0, 0, 0,
+      0, 0, 0,
+      0, 1, 0,
+      -2, 0, 0,
+      0, 0, 0.5
+    ]),
+    rotationMatrix: m4.identity(),
+    tidalAnalysis: null
+  };
+
+  return { initialParams: initialParams, currentParams: currentParams };
+}
+
+
+/**
+ * Returns the colors of the stars in the mode.
+ */
+function starColors(mode, initialParams, currentParams, state) {
+  let colors = new Uint8Array(15);
+  colorStars(mode, state, initialParams, currentParams, colors);
+  return Array.from(colors.slice(6));
+}
+
+
+describe('Star colors', () => {
+  it('colormapColor', () => {
+    let viridis = colormaps.viridis;
+
+    expect(colormapColor("viridis", 0)).to.deep.equal(viridis[0]);
+    expect(colormapColor("viridis", 1)).to.deep.equal(viridis[4]);
+    expect(colormapColor("viridis", 0.5)).to.deep.equal(viridis[2]);
+
+    // Halfway between the first two colors
+    expect(colormapColor("viridis", 0.125)).to.deep.equal([64, 42, 112]);
+
+    // Values outside the range are clamped
+    expect(colormapColor("viridis", -1)).to.deep.equal(viridis[0]);
+    expect(colormapColor("viridis", 2)).to.deep.equal(viridis[4]);
+  });
+
+  it('isDynamic', () => {
+    expect(colorModes.filter(isDynamic)).to.deep.equal(
+      ["speed", "lineOfSightVelocity", "height", "bound"]);
+  });
+
+  it('init', () => {
+    let { initialParams, currentParams } = testParams();
+
+    let state = init(initialParams, currentParams.positions,
+                     currentParams.velocities, 5);
+
+    expect(state.origins).to.deep.equal([0, 0, 1]);
+
+    // Distances 2.24, 4.12 and 3 divided by the ring separations 2, 2 and 3
+    expect(Array.from(state.rings)).to.deep.equal([1, 2, 1]);
+
+    expect(state.ranges.ring).to.deep.equal([1, 2]);
+    expect(state.ranges.speed).to.deep.equal([0, 2]);
+    expect(state.ranges.lineOfSightVelocity).to.deep.equal([-2, 2]);
+    expect(state.ranges.height[1]).to.closeTo(Math.sqrt(17) / 2, 1e-15);
+  });
+
+  it('shouldReload', () => {
+    let { initialParams, currentParams } = testParams();
+
+    let state = init(initialParams, currentParams.positions,
+                     currentParams.velocities, 3);
+
+    expect(shouldReload(null, "speed")).to.equal(false);
+
+    // Static colors are never recalculated
+    for(let i = 0; i < 5; i++) {
+      expect(shouldReload(state, "ring")).to.equal(false);
+    }
+
+    let reloads = [];
+    for(let i = 0; i < 6; i++) reloads.push(shouldReload(state, "speed"));
+    expect(reloads).to.deep.equal([false, false, true, false, false, true]);
+  });
+
+  it('colorStars by galaxy', () => {
+    let { initialParams, currentParams } = testParams();
+
+    let state = init(initialParams, currentParams.positions,
+                     currentParams.velocities, 5);
+
+    expect(starColors("galaxy", initialParams, currentParams, state))
+      .to.deep.equal([255, 127, 0, 255, 127, 0, 0, 100, 255]);
+  });
+
+  it('colorStars by ring', () => {
+    let { initialParams, currentParams } = testParams();
+
+    let state = init(initialParams, currentParams.positions,
+                     currentParams.velocities, 5);
+
+    let plasma = colormaps.plasma;
+
+    expect(starColors("ring", initialParams, currentParams, state))
+      .to.deep.equal(plasma[0].concat(plasma[4], plasma[0]));
+  });
+
+  it('colorStars by speed', () => {
+    let { initialParams, currentParams } = testParams();
+
+    let state = init(initialParams, currentParams.positions,
+                     currentParams.velocities, 5);
+
+    expect(starColors("speed", initialParams, currentParams, state))
+      .to.deep.equal(colormapColor("viridis", 0.5)
+        .concat(colormapColor("viridis", 1), colormapColor("viridis", 0.25)));
+  });
+
+  it('colorStars by line of sight velocity', () => {
+    let { initialParams, currentParams } = testParams();
+
+    let state = init(initialParams, currentParams.positions,
+                     currentParams.velocities, 5);
+
+    // The viewer looks along the negative z-axis: the third star,
+    // moving towards the viewer, is blue
+    expect(starColors("lineOfSightVelocity", initialParams, currentParams,
+                      state))
+      .to.deep.equal(colormapColor("coolwarm", 0.5)
+        .concat(colormapColor("coolwarm", 0.5),
+                colormapColor("coolwarm", 0.375)));
+
+    // Look along the negative x-axis after rotating the scene around
+    // the y-axis: the second star moves away from the viewer
+    currentParams.rotationMatrix = m4.yRotation(-Math.PI / 2);
+
+    let colors = starColors("lineOfSightVelocity", initialParams,
+                            currentParams, state);
+
+    expect(colors.slice(3, 6)).to.deep.equal(colormapColor("coolwarm", 1));
+  });
+
+  it('colorStars by height', () => {
+    let { initialParams, currentParams } = testParams();
+
+    let state = init(initialParams, currentParams.positions,
+                     currentParams.velocities, 5);
+
+    let height = state.ranges.height[1];
+
+    expect(starColors("height", initialParams, currentParams, state))
+      .to.deep.equal(colormapColor("coolwarm", 0.5 + 0.5 / height)
+        .concat(colormapColor("coolwarm", 0.5 - 0.5 / height),
+                colormapColor("coolwarm", 0.5)));
+  });
+
+  it('colorStars by bound state', () => {
+    let { initialParams, currentParams } = testParams();
+
+    let state = init(initialParams, currentParams.positions,
+                     currentParams.velocities, 5);
+
+    currentParams.tidalAnalysis = { classes: new Uint8Array([2, 0, 1]) };
+
+    expect(starColors("bound", initialParams, currentParams, state))
+      .to.deep.equal([255, 51, 51, 0, 153, 255, 255, 204, 0]);
+  });
+
+  it('legend', () => {
+    let { initialParams, currentParams } = testParams();
+
+    let state = init(initialParams, currentParams.positions,
+                     currentParams.velocities, 5);
+
+    expect(legend("galaxy", state, initialParams)).to.deep.equal({
+      title: "Galaxy",
+      entries: [
+        { color: [255, 127, 0], label: "1" },
+        { color: [0, 100, 255], label: "2" }
+      ]
+    });
+
+    expect(legend("bound", state, initialParams).entries.map((e) => e.label))
+      .to.deep.equal(["bound", "captured", "escaped"]);
+
+    expect(legend("speed", state, initialParams)).to.deep.equal({
+      title: "Speed",
+      colors: colormaps.viridis,
+      range: [0, 2]
+    });
+  });
+});
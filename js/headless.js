@@ -0,0 +1,209 @@
+// Running the simulation without a web page, for example from Node.js for
+// batch studies and regression checks, see run_headless.js. The parameters
+// are given in the same form as in the shared URL, see ui/share.js,
+// and the simulation is advanced in the same way as on the web page,
+// except that it runs on the main thread and nothing is drawn.
+
+import { getInitialParameters, getCurrentParameters } from './params.js';
+import * as simulation from './simulation.js';
+import { getUrlParameters } from './ui/share.js';
+import { effectiveMasses } from './physics/merger.js';
+import { sceneFormats } from './3d/scene_export.js';
+
+import { numberOfStarsInGalaxies, numberOfGasParticlesInGalaxies }
+  from './physics/initial_conditions.js';
+
+
+// Screen refresh rate used for calculating the default time step,
+// which is one unit of time per step, see `calculateTimeStep`
+// in simulation.js
+const refreshRateFPS = 60;
+
+
+/**
+ * Converts the parameters into the URL parameters.
+ *
+ * @param  {string} source The parameters given in one of the forms:
+ *    1) the URL of the simulation shared by the user, for example
+ *       "https://evgenii.com/blog/two-galaxies/?numberOfRings=7%2C7",
+ *    2) URL parameters, for example "numberOfRings=7,7&eccentricity=0.5",
+ *    3) JSON object with the same names as the URL parameters, for example
+ *       '{"numberOfRings": [7, 7], "eccentricity": 0.5}'.
+ * @return {string} URL parameters, for example "numberOfRings=7%2C7".
+ */
+export function parameterString(source) {
+  let text = source.trim();
+
+  if (text.startsWith("{")) {
+    let params = JSON.parse(text);
+    let urlParams = new URLSearchParams();
+
+    for (let key in params) {
+      let value = params[key];
+      urlParams.set(key, Array.isArray(value) ? value.join(",") : value);
+    }
+
+    return urlParams.toString();
+  }
+
+  let questionMark = text.indexOf("?");
+  if (questionMark !== -1) text = text.slice(questionMark + 1);
+
+  return text;
+}
+
+
+/**
+ * Create the simulation and calculate the initial positions of the bodies.
+ *
+ * @param  {string} urlParams URL parameters that differ from the defaults,
+ *                            see `parameterString`.
+ * @return {object} The simulation containing `initialParams` and
+ *                  `currentParams`, see params.js.
+ */
+export function createSimulation(urlParams) {
+  var initialParams = getInitialParameters(urlParams);
+  var currentParams = getCurrentParameters(refreshRateFPS, urlParams);
+
+  simulation.setInitial(initialParams, currentParams);
+
+  return { initialParams: initialParams, currentParams: currentParams };
+}
+
+
+/**
+ * Returns the state of the bodies at the current time.
+ *
+ * @param  {object} sim The simulation, see `createSimulation`.
+ * @param  {number} step Number of time steps made since the start.
+ * @return {object} The snapshot containing:
+ *    step          The supplied number of time steps.
+ *    time          The simulation time.
+ *    starsInGalaxies        Number of stars in each galaxy.
+ *    gasParticlesInGalaxies Number of gas particles in each galaxy.
+ *    masses        Masses of the galaxy cores after mergers.
+ *    mergedInto    The merger state, see physics/merger.js.
+ *    positions, velocities  Vectors of all bodies, the galaxy cores first,
+ *                  then the stars of each galaxy and then the gas, see
+ *                  `allPositionsAndVelocities` in initial_conditions.js.
+ *    drift         Relative errors of the conserved quantities of the
+ *                  cores, see physics/diagnostics.js.
+ */
+export function snapshot(sim, step) {
+  var initialParams = sim.initialParams;
+  var currentParams = sim.currentParams;
+
+  return {
+    step: step,
+    time: currentParams.time,
+    starsInGalaxies: numberOfStarsInGalaxies(initialParams),
+    gasParticlesInGalaxies: numberOfGasParticlesInGalaxies(initialParams),
+    masses: effectiveMasses(initialParams.masses, currentParams.mergedInto),
+    mergedInto: currentParams.mergedInto.slice(),
+    positions: Array.from(currentParams.positions),
+    velocities: Array.from(currentParams.velocities),
+    drift: Object.assign({}, currentParams.diagnostics.drift)
+  };
+}
+
+
+/**
+ * Advance the simulation by the given number of time steps of length
+ * `timeStep` and pass the snapshots of the state to a function.
+ *
+ * @param  {object} sim The simulation, see `createSimulation`.
+ * @param  {number} steps Number of time steps.
+ * @param  {number} snapshotInterval Number of time steps between
+ *                        the snapshots. The snapshots are also made at
+ *                        the start and after the last step.
+ * @param  {function} onSnapshot Function called with each snapshot,
+ *                        see `snapshot`.
+ */
+export function run(sim, steps, snapshotInterval, onSnapshot) {
+  var timeStep = sim.currentParams.timeStep;
+  onSnapshot(snapshot(sim, 0));
+
+  for(let step = 1; step <= steps; step++) {
+    simulation.evolve(timeStep, sim.initialParams, sim.currentParams);
+
+    if (step % snapshotInterval === 0 || step === steps) {
+      onSnapshot(snapshot(sim, step));
+    }
+  }
+}
+
+
+/**
+ * Returns the URL parameters of the simulation, which can be used to
+ * open it on the web page or to run it again.
+ *
+ * @param  {object} sim The simulation, see `createSimulation`.
+ * @return {string} URL parameters.
+ */
+export function simulationParameters(sim) {
+  return getUrlParameters(sim.initialParams, sim.currentParams);
+}
+
+
+/**
+ * Read the command line arguments.
+ *
+ * @param  {array} args The arguments after the name of the script:
+ *    a parameter file or a shared URL, followed by the options
+ *    --steps N      Number of time steps (1000 by default).
+ *    --every N      Number of time steps between the snapshots
+ *                   (100 by default).
+ *    --output DIR   Directory for the snapshots ("snapshots" by default).
+ *    --scene FORMAT Also save the scenes for 3D programs with each snapshot,
+ *                   FORMAT is one of the `sceneFormats`, see
+ *                   3d/scene_export.js.
+ * @return {object} The options: source, steps, snapshotInterval,
+ *                  outputDirectory and sceneFormat (null if not given).
+ */
+export function parseArguments(args) {
+  var options = {
+    source: null,
+    steps: 1000,
+    snapshotInterval: 100,
+    outputDirectory: "snapshots",
+    sceneFormat: null
+  };
+
+  var numberOptions = { "--steps": "steps", "--every": "snapshotInterval" };
+
+  for(let i = 0; i < args.length; i++) {
+    let arg = args[i];
+
+    if (arg in numberOptions) {
+      let value = parseInt(args[++i], 10);
+
+      if (isNaN(value) || value <= 0) {
+        throw new Error(`${arg} needs a positive whole number`);
+      }
+
+      options[numberOptions[arg]] = value;
+    } else if (arg === "--output") {
+      if (args[i + 1] === undefined) {
+        throw new Error("--output needs a directory");
+      }
+
+      options.outputDirectory = args[++i];
+    } else if (arg === "--scene") {
+      if (!sceneFormats.includes(args[i + 1])) {
+        throw new Error(`--scene needs one of: ${sceneFormats.join(", ")}`);
+      }
+
+      options.sceneFormat = args[++i];
+    } else if (arg.startsWith("--")) {
+      throw new Error(`Unknown option ${arg}`);
+    } else {
+      options.source = arg;
+    }
+  }
+
+  if (options.source === null) {
+    throw new Error("Missing the parameter file or the shared URL");
+  }
+
+  return options;
+}
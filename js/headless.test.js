@@ -0,0 +1,118 @@
+import {
+  parameterString, createSimulation, snapshot, run, simulationParameters,
+  parseArguments
+} from './headless.js';
+
+var expect = chai.expect;
+
+
+describe('Headless', () => {
+  it('parameterString from shared URL', () => {
+    let url = "https://evgenii.com/blog/two-galaxies/?numberOfRings=7%2C7";
+    expect(parameterString(url)).to.equal("numberOfRings=7%2C7");
+  });
+
+  it('parameterString from URL parameters', () => {
+    expect(parameterString(" numberOfRings=7,7&eccentricity=0.5\n"))
+      .to.equal("numberOfRings=7,7&eccentricity=0.5");
+  });
+
+  it('parameterString from JSON', () => {
+    let json = '{"numberOfRings": [7, 6], "eccentricity": 0.5}';
+
+    let params = new URLSearchParams(parameterString(json));
+    expect(params.get("numberOfRings")).to.equal("7,6");
+    expect(params.get("eccentricity")).to.equal("0.5");
+  });
+
+  it('createSimulation', () => {
+    let sim = createSimulation("numberOfRings=2,1&masses=1,0.5");
+
+    expect(sim.initialParams.numberOfRings).to.deep.equal([2, 1]);
+    expect(sim.initialParams.masses).to.deep.equal([1, 0.5]);
+    expect(sim.currentParams.timeStep).to.equal(1);
+    expect(sim.currentParams.time).to.equal(0);
+
+    // Two cores and 18 + 6 stars
+    expect(sim.currentParams.positions.length).to.equal(26 * 3);
+  });
+
+  it('run', () => {
+    let sim = createSimulation("numberOfRings=2,1");
+    let snapshots = [];
+
+    run(sim, 25, 10, (result) => snapshots.push(result));
+
+    expect(snapshots.map((s) => s.step)).to.deep.equal([0, 10, 20, 25]);
+    expect(snapshots.map((s) => s.time)).to.deep.equal([0, 10, 20, 25]);
+
+    // The snapshots are copies of the state
+    expect(snapshots[0].positions).to.not.deep.equal(snapshots[1].positions);
+
+    let last = snapshots[3];
+    expect(last.starsInGalaxies).to.deep.equal([18, 6]);
+    expect(last.gasParticlesInGalaxies).to.deep.equal([0, 0]);
+    expect(last.masses).to.deep.equal([1, 1]);
+    expect(last.mergedInto).to.deep.equal([-1, -1]);
+    expect(last.positions.length).to.equal(26 * 3);
+    expect(last.velocities.length).to.equal(26 * 3);
+    expect(last.drift.energy).to.be.below(0.01);
+  });
+
+  it('run gives the same result each time', () => {
+    let results = [1, 2].map(() => {
+      let sim = createSimulation("numberOfRings=2,1");
+      let last = null;
+      run(sim, 20, 20, (result) => { last = result; });
+      return last.positions;
+    });
+
+    expect(results[0]).to.deep.equal(results[1]);
+  });
+
+  it('snapshot', () => {
+    let sim = createSimulation("numberOfRings=1,1");
+    let result = snapshot(sim, 3);
+
+    expect(result.step).to.equal(3);
+    expect(result.positions).to.deep.equal(Array.from(sim.currentParams.positions));
+  });
+
+  it('simulationParameters', () => {
+    let sim = createSimulation("numberOfRings=3,2&eccentricity=0.4");
+    let params = new URLSearchParams(simulationParameters(sim));
+
+    expect(params.get("numberOfRings")).to.equal("3,2");
+    expect(params.get("eccentricity")).to.equal("0.4");
+  });
+
+  it('parseArguments', () => {
+    expect(parseArguments(["params.json"])).to.deep.equal({
+      source: "params.json",
+      steps: 1000,
+      snapshotInterval: 100,
+      outputDirectory: "snapshots",
+      sceneFormat: null
+    });
+
+    expect(parseArguments(["--steps", "50", "?numberOfRings=3,3",
+                           "--every", "5", "--output", "out",
+                           "--scene", "vtp"]))
+      .to.deep.equal({
+        source: "?numberOfRings=3,3",
+        steps: 50,
+        snapshotInterval: 5,
+        outputDirectory: "out",
+        sceneFormat: "vtp"
+      });
+  });
+
+  it('parseArguments errors', () => {
+    expect(() => parseArguments([])).to.throw("Missing the parameter file");
+    expect(() => parseArguments(["a", "--steps", "0"])).to.throw("--steps");
+    expect(() => parseArguments(["a", "--every"])).to.throw("--every");
+    expect(() => parseArguments(["a", "--output"])).to.throw("--output");
+    expect(() => parseArguments(["a", "--scene", "obj"])).to.throw("--scene");
+    expect(() => parseArguments(["a", "--fast"])).to.throw("Unknown option");
+  });
+});
@@ -4,10 +4,17 @@
 import { getInitialParameters, getCurrentParameters } from './params.js';
 import { initGraphics, loadColors, loadStarSizes } from './3d/init.js';
 import drawScene from './3d/render.js';
+import * as starColors from './3d/star_colors.js';
 import * as simulation from './simulation.js';
+import * as workerPool from './worker_pool.js';
 import { measureRefreshRate } from './ui/refresh_rate.js';
 import {init as initUserInput} from './ui/user_input.js';
 import * as showFps from './ui/show_fps.js';
+import * as showDiagnostics from './ui/show_diagnostics.js';
+import * as showTidalAnalysis from './ui/show_tidal_analysis.js';
+import * as colorLegend from './ui/color_legend.js';
+import * as timelineBar from './ui/timeline_bar.js';
+import * as showFastForward from './ui/show_fast_forward.js';
 import { updateCameraDistance } from './ui/zoom.js';
 import { show, hide } from './ui/html_element.js';
 
@@ -21,8 +28,19 @@ import { show, hide } from './ui/html_element.js';
  * @param  {object} initialParams Initial parameters of the simulation.
  * @param  {object} currentParams Current parameters of the simulation.
  * @param  {object} fpsState Data needed to show current refresh rate on screen.
+ * @param  {object} diagnosticsState Data needed to show the numerical errors.
+ * @param  {object} tidalAnalysisState Data needed to show the numbers of bound,
+ *                                     captured and escaped stars.
+ * @param  {object} legendState Data needed to show the meaning of the colors
+ *                              of the stars.
+ * @param  {object} timelineState Data needed to show the simulation time.
+ * @param  {object} fastForwardState Data needed to show the fast forward
+ *                                   progress.
+ * @param  {object} pool Web workers running the simulation, see worker_pool.js.
  */
-function onNextFrame(drawData, initialParams, currentParams, fpsState) {
+function onNextFrame(drawData, initialParams, currentParams, fpsState,
+                     diagnosticsState, tidalAnalysisState, legendState,
+                     timelineState, fastForwardState, pool) {
   return function(now) {
     // Show current refresh rate
     showFps.update(now, fpsState);
@@ -31,17 +49,78 @@ function onNextFrame(drawData, initialParams, currentParams, fpsState) {
       // First frame of the animation: calculate initial positions of the bodies
       simulation.setInitial(initialParams, currentParams);
       updateCameraDistance(currentParams, drawData.gl.canvas);
+
+      // Prepare for coloring the stars in the chosen mode
+      currentParams.starColors = starColors.init(initialParams,
+        currentParams.positions, currentParams.velocities,
+        currentParams.colorUpdateFrames);
+
+      currentParams.colorsChanged = true;
+
+      if (workerPool.isRunning(pool)) {
+        workerPool.start(pool, initialParams, currentParams);
+      }
+    } else if (currentParams.seekTime !== null) {
+      // User has moved the timeline: restore the state from a checkpoint
+      simulation.seek(initialParams, currentParams);
+
+      if (workerPool.isRunning(pool)) {
+        workerPool.start(pool, initialParams, currentParams);
+      }
+    } else if (workerPool.isRunning(pool)) {
+      // Ask the workers for positions at new time. Until they finish,
+      // we draw the previous positions
+      workerPool.update(pool, currentParams);
     } else {
       // Update positions of the bodies at new time
       simulation.update(initialParams, currentParams);
     }
 
+    // Find the compressed gas, which is highlighted
+    var gasChanged = simulation.updateGasCompression(initialParams,
+                                                     currentParams);
+
+    // Recalculate the colors that change with time every few frames
+    var colorsChanged = currentParams.colorsChanged ||
+      starColors.shouldReload(currentParams.starColors,
+                              currentParams.colorMode);
+
+    if (currentParams.mergersChanged) {
+      // Galaxy cores have merged: redraw them with new colors and sizes
+      loadColors(drawData, initialParams, currentParams.mergedInto,
+                 currentParams.compressedGas, currentParams);
+
+      loadStarSizes(drawData, initialParams, currentParams.mergedInto);
+      currentParams.mergersChanged = false;
+    } else if (gasChanged || colorsChanged) {
+      loadColors(drawData, initialParams, currentParams.mergedInto,
+                 currentParams.compressedGas, currentParams);
+    }
+
+    currentParams.colorsChanged = false;
+
+    // Warn if the simulation is not accurate
+    showDiagnostics.update(diagnosticsState, currentParams);
+
+    // Show the numbers of stars in the tidal features
+    showTidalAnalysis.update(tidalAnalysisState, initialParams, currentParams);
+
+    // Explain the colors of the stars
+    colorLegend.update(legendState, initialParams, currentParams);
+
+    // Show the simulation time
+    timelineBar.update(timelineState, currentParams);
+    showFastForward.update(fastForwardState, currentParams);
+
     // Draw stars on screen
     drawScene(drawData, initialParams, currentParams);
 
     // Call onNextFrame function on the next animation frame
     requestAnimationFrame(onNextFrame(drawData, initialParams,
-                                      currentParams, fpsState));
+                                      currentParams, fpsState,
+                                      diagnosticsState, tidalAnalysisState,
+                                      legendState, timelineState,
+                                      fastForwardState, pool));
   };
 }
 
@@ -67,8 +146,19 @@ function restart(drawData, initialParams, currentParams, restartParams) {
     currentParams.cameraDistance = null;
   }
 
-  if (restartParams.reloadColors) loadColors(drawData, initialParams);
-  if (restartParams.reloadStarSizes) loadStarSizes(drawData, initialParams);
+  // Keep showing the merged cores and the compressed gas unless we start
+  // from the beginning
+  let mergedInto = restartParams.restart ? null : currentParams.mergedInto;
+  let compressedGas = restartParams.restart ? null : currentParams.compressedGas;
+
+  if (restartParams.reloadColors) {
+    loadColors(drawData, initialParams, mergedInto, compressedGas,
+               currentParams);
+  }
+
+  if (restartParams.reloadStarSizes) {
+    loadStarSizes(drawData, initialParams, mergedInto);
+  }
 }
 
 
@@ -99,9 +189,20 @@ function main(screenRefreshRateFPS) {
 
   // Prepare to calculate the current refresh rate of the animation
   var fpsState = showFps.init();
+  var diagnosticsState = showDiagnostics.init();
+  var tidalAnalysisState = showTidalAnalysis.init();
+  var legendState = colorLegend.init();
+  var timelineState = timelineBar.init(currentParams);
+  var fastForwardState = showFastForward.init();
+
+  // Run the simulation in the background, if the browser supports it
+  var pool = workerPool.create(currentParams.numberOfWorkers);
 
   // Run the animation
-  requestAnimationFrame(onNextFrame(drawData, initialParams, currentParams, fpsState));
+  requestAnimationFrame(onNextFrame(drawData, initialParams, currentParams,
+                                    fpsState, diagnosticsState,
+                                    tidalAnalysisState, legendState,
+                                    timelineState, fastForwardState, pool));
 }
 
 window.onload = () => measureRefreshRate(20).then(fps => main(fps));
@@ -5,27 +5,206 @@ import m4 from './3d/m4.js';
 import * as simulation from './simulation.js';
 
 
+/**
+ * Returns the number of screen pixels in one CSS pixel, or one when there
+ * is no screen, i.e. when the simulation is run with Node.js, see headless.js.
+ */
+function devicePixelRatio() {
+  return typeof window === "undefined" ? 1 : window.devicePixelRatio;
+}
+
+
 /**
  * Return initial parameters of the simulation, they can't be changed without
  * restart (except for masses)
+ *
+ * @param  {string} urlParams (optional) URL parameters with the shared
+ *                            parameters, the parameters of the page by default.
  */
-export function getInitialParameters() {
+export function getInitialParameters(urlParams) {
   var initialParams = {
     numberOfRings: [5, 5],
-    colors: [[255, 127, 0], [0, 100, 255]],
-    coreColors: [[255, 200, 100], [200, 200, 255]],
-    trajectoryColors: [[0.7, 0.5, 0, 1], [0.0, 0.5, 0.9, 1]],
-    starSize: 600 * window.devicePixelRatio,
-    ringSeparation: 3,
-    ringMultiplier: 6, // Increase in number of stars in next ring
+
+    // Colors of the galaxies. If there are more galaxies than colors,
+    // the colors are reused.
+    colors: [[255, 127, 0], [0, 100, 255], [80, 220, 80],
+             [230, 60, 200], [255, 230, 0], [0, 220, 220]],
+    coreColors: [[255, 200, 100], [200, 200, 255], [200, 255, 200],
+                 [255, 200, 240], [255, 250, 190], [190, 255, 255]],
+    trajectoryColors: [[0.7, 0.5, 0, 1], [0.0, 0.5, 0.9, 1], [0.3, 0.8, 0.3, 1],
+                       [0.8, 0.2, 0.7, 1], [0.9, 0.8, 0, 1], [0, 0.8, 0.8, 1]],
+
+    starSize: 600 * devicePixelRatio(),
+    // Distance between the rings of stars in each galaxy and the increase
+    // in the number of stars in the next ring
+    ringSeparation: [3, 3],
+    ringMultiplier: [6, 6],
+
+    // Types of the galaxies: "disk", or spherical "plummer" or "hernquist",
+    // see `galaxyTypes` in physics/initial_conditions.js
+    galaxyTypes: ["disk", "disk"],
+
+    // Model of the galaxy disks, "rings" or "exponential",
+    // see `diskModels` in physics/initial_conditions.js
+    diskModel: "rings",
+
+    // Number of stars in each galaxy (used by spherical galaxies and
+    // exponential disks), scale lengths of the disks, the Toomre
+    // parameter (zero for cold disks) and the scale height of the disks
+    // used by the exponential disk model, see physics/exponential_disk.js
+    numberOfStars: [1000, 1000],
+    diskScaleLengths: [4, 4],
+    toomreQ: 1.5,
+    diskThickness: 0.3,
+
+    // Seed of the random numbers used for placing the stars
+    randomSeed: 1,
     minimalGalaxySeparation: 25,
     galaxyInclinationAnglesDegree: [60, 60],
+
+    // Arguments of the pericentre of the galaxy disks, which together with
+    // the inclination angles give the orientation of the disks,
+    // see physics/disk_orientation.js
+    galaxyPericenterArgumentsDegree: [270, 90],
     masses: [1, 1],
-    eccentricity: 0.6
+    eccentricity: 0.6,
+
+    // Separation between the galaxy cores at the start of parabolic and
+    // hyperbolic encounters (eccentricity of one or larger), which have
+    // no apastron
+    initialGalaxySeparation: 100,
+
+    // Point of the orbit of the cores where the simulation starts:
+    // "apastron", "trueAnomaly" (given by `initialTrueAnomalyDegree`) or
+    // "timeBeforePericenter" (given by `timeBeforePericenter`),
+    // see physics/initial_conditions.js
+    initialPhase: "apastron",
+    initialTrueAnomalyDegree: -90,
+    timeBeforePericenter: 50,
+
+    // Mass profiles of the halos of galaxy cores and their scale radii,
+    // see physics/halo.js
+    haloProfiles: ["point", "point"],
+    haloScaleRadii: [10, 10],
+
+    // Slow down galaxy cores by dynamical friction, which makes them merge,
+    // see physics/dynamical_friction.js
+    dynamicalFriction: false,
+
+    // Central density of dark matter halos used for dynamical friction
+    haloDensity: 0.000001,
+
+    // Coulomb logarithm used for dynamical friction
+    coulombLogarithm: 3,
+
+    // Galaxy cores closer than this distance merge if they are bound,
+    // see physics/merger.js
+    mergerDistance: 5,
+
+    // Method for calculating gravitational forces, "cores", "tree"
+    // or "mesh", see physics/acceleration.js
+    gravity: "cores",
+
+    // Total mass of the stars in each galaxy, used when gravity
+    // is "tree" or "mesh" and for the Toomre parameter of exponential disks
+    diskMasses: [0.1, 0.1],
+
+    // The opening angle of the Barnes-Hut tree, see physics/barnes_hut.js
+    openingAngle: 0.7,
+
+    // Softening length of the gravitational forces between stars
+    softening: 1,
+
+    // Method for integrating the equations of motion,
+    // see `integrators` in physics/integrator.js
+    integrator: "leapfrog",
+
+    // Use individual time steps for the stars with the leapfrog method,
+    // see physics/block_time_steps.js. Smaller `timeStepAccuracy` makes
+    // the time steps smaller near the cores, and the time steps are at least
+    // 1 / 2^maxTimeStepLevel of `timeStep`.
+    blockTimeSteps: false,
+    timeStepAccuracy: 0.2,
+    maxTimeStepLevel: 8,
+
+    // Number of cells along each side of the particle-mesh grid
+    // and the size of the grid box, see physics/particle_mesh.js
+    meshSize: 32,
+    meshBoxSize: 250,
+
+    // Number of gas particles in the disk of each galaxy (zero for no gas)
+    // and the total mass of the gas. The gas is evolved with the isothermal
+    // sound speed, the smoothing length and the strength of the artificial
+    // viscosity, see physics/sph.js
+    numberOfGasParticles: [0, 0],
+    gasMasses: [0.02, 0.02],
+    gasSoundSpeed: 0.03,
+    gasSmoothingLength: 1.5,
+    gasViscosity: 0.5,
+
+    // The gas is highlighted as forming stars when its density is larger
+    // than its initial density times this number
+    gasCompressionThreshold: 3,
+    gasColor: [170, 170, 170],
+    compressedGasColor: [255, 60, 180],
+
+    // Positions and velocities of the galaxy cores
+    // [x1, y1, z1, vx1, vy1, vz1, x2, ...]. If null, the cores are placed
+    // using `minimalGalaxySeparation` and `eccentricity`.
+    coreStateVectors: null
   };
 
   // Load initial parameters if they were shared through the URL
-  return getSharedInitialParameters(initialParams);
+  initialParams = getSharedInitialParameters(initialParams, urlParams);
+
+  return matchNumberOfGalaxies(initialParams);
+}
+
+
+// Names of initial parameters that contain one value for each galaxy
+const perGalaxyParams = [
+  "numberOfRings", "masses", "galaxyInclinationAnglesDegree",
+  "galaxyPericenterArgumentsDegree",
+  "haloProfiles", "haloScaleRadii", "diskMasses", "numberOfStars",
+  "diskScaleLengths", "galaxyTypes", "ringSeparation", "ringMultiplier",
+  "numberOfGasParticles", "gasMasses"
+];
+
+// Names of initial parameters containing colors of the galaxies
+const perGalaxyColors = ["colors", "coreColors", "trajectoryColors"];
+
+
+/**
+ * Make all per-galaxy parameters contain one value for each galaxy.
+ * The number of galaxies is the length of the longest per-galaxy array.
+ * Shorter arrays are extended by repeating their last value,
+ * and colors are reused if there are more galaxies than colors.
+ *
+ * @param  {object} initialParams Initial parameters of the simulation.
+ * @return {object} Initial parameters with equal length per-galaxy arrays.
+ */
+export function matchNumberOfGalaxies(initialParams) {
+  var params = Object.assign({}, initialParams);
+
+  let keys = perGalaxyParams.filter((key) => key in params);
+  let galaxies = Math.max(...keys.map((key) => params[key].length));
+
+  keys.forEach((key) => {
+    let values = params[key].slice(0, galaxies);
+
+    while (values.length < galaxies) {
+      values.push(values[values.length - 1]);
+    }
+
+    params[key] = values;
+  });
+
+  perGalaxyColors.forEach((key) => {
+    let colors = params[key];
+    params[key] = Array.from(Array(galaxies), (_, i) => colors[i % colors.length]);
+  });
+
+  return params;
 }
 
 
@@ -33,8 +212,10 @@ export function getInitialParameters() {
  * Return parameters that can change during the simulation.
  *
  * @param  {number} screenRefreshRateFPS Estimated refresh rate of the screen.
+ * @param  {string} urlParams (optional) URL parameters with the shared
+ *                            parameters, the parameters of the page by default.
  */
-export function getCurrentParameters(screenRefreshRateFPS) {
+export function getCurrentParameters(screenRefreshRateFPS, urlParams) {
   var currentParams = {
     // Current positions, velocities and accelerations of all the bodies.
     positions: null,
@@ -47,6 +228,11 @@ export function getCurrentParameters(screenRefreshRateFPS) {
     // Is simulation paused by the user
     paused: false,
 
+    // Simulation time after which the simulation stops running forward,
+    // used by the presets, see presets.js. If null, the simulation
+    // runs without stopping.
+    runDuration: null,
+
     // The approximate detected refresh rate of the screen, in
     // number of frames per second (FPS). At each frame, the simulation
     // time is advanced by `timeStep` and then drawn on the screen
@@ -61,17 +247,97 @@ export function getCurrentParameters(screenRefreshRateFPS) {
     // can be negative, which means we want to go back in simulation time.
     fastForwardSeconds: 0,
 
+    // The fast forward in progress, see `frameTimeSteps` in simulation.js
+    fastForward: null,
+
+    // The desired duration of animation frames during fast forward,
+    // in milliseconds. Longer frames make the fast forward finish sooner,
+    // but the animation is less smooth.
+    fastForwardFrameDuration: 50,
+
+    // Number of seconds the fast forward and rewind buttons jump by
+    fastForwardJumpSeconds: 5,
+
     // Direction of time. 1 for forward, -1 for backward.
     timeDirection: 1,
 
+    // Simulation time elapsed since the start, negative if the simulation
+    // was run backward in time
+    time: 0,
+
+    // Checkpoints of the simulation used to go back in time, see timeline.js
+    timeline: null,
+
+    // Largest amount of memory used by the checkpoints, in megabytes
+    timelineMemoryMB: 200,
+
+    // Simulation time between the checkpoints
+    checkpointInterval: 100,
+
+    // Simulation time the user has chosen on the timeline.
+    // If not null, the simulation goes to this time on the next frame.
+    seekTime: null,
+
     // Matrix for handling rotation of the scene by the user
     rotationMatrix: m4.identity(),
 
     // The zoom level that can be adjusted by the user.
     // Determined automatically initially to make galaxies fit the screen
-    cameraDistance: null
+    cameraDistance: null,
+
+    // The state of galaxy core mergers, see physics/merger.js
+    mergedInto: null,
+
+    // Galaxy cores have merged since the last frame was drawn
+    mergersChanged: false,
+
+    // The mode for coloring the stars, see `colorModes` in 3d/star_colors.js
+    colorMode: "galaxy",
+
+    // Data needed for coloring the stars, see 3d/star_colors.js
+    starColors: null,
+
+    // The colors of the stars need to be reloaded on the next frame
+    colorsChanged: false,
+
+    // Number of frames between the updates of the colors that change
+    // with time, i.e. when the stars are colored by speed
+    colorUpdateFrames: 5,
+
+    // Densities of the gas particles at the start and the flags of the
+    // particles compressed since then (one or zero), which are
+    // highlighted on screen, see `updateGasCompression` in simulation.js.
+    // Null if there is no gas.
+    initialGasDensities: null,
+    compressedGas: null,
+
+    // Conservation of energy and momentum, see physics/diagnostics.js
+    diagnostics: null,
+
+    // Show a warning when the relative errors of the conserved quantities
+    // exceed this value
+    diagnosticsThreshold: 0.01,
+
+    // Number of time steps between the calculations of the energies
+    // and Jacobi integrals of the stars
+    diagnosticsInterval: 10,
+
+    // Numbers of stars bound to their galaxy, captured by another galaxy
+    // and escaped, see physics/tidal_analysis.js
+    tidalAnalysis: null,
+
+    // Number of time steps between the counts of the stars
+    tidalAnalysisInterval: 10,
+
+    // Show the numbers of bound, captured and escaped stars on screen
+    showTidalAnalysis: false,
+
+    // Number of web workers calculating the motion of the stars,
+    // see worker_pool.js. If null, the number is chosen automatically.
+    // Zero runs the simulation on the main thread.
+    numberOfWorkers: null
   };
 
   // Load current parameters if they were shared through the URL
-  return getSharedCurrentParameters(currentParams);
+  return getSharedCurrentParameters(currentParams, urlParams);
 }
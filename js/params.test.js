@@ -0,0 +1,65 @@
+import { matchNumberOfGalaxies, getInitialParameters } from './params.js';
+
+var expect = chai.expect;
+
+describe('matchNumberOfGalaxies', () => {
+  it('extends per-galaxy parameters', () => {
+    let initialParams = {
+      numberOfRings: [5, 3],
+      masses: [1, 2, 0.5],
+      galaxyInclinationAnglesDegree: [60],
+      colors: [[1, 2, 3], [4, 5, 6]],
+      coreColors: [[7, 8, 9]],
+      trajectoryColors: [[0, 0, 0, 1], [1, 1, 1, 1]],
+      ringSeparation: [3],
+      eccentricity: 0.6
+    };
+
+    let result = matchNumberOfGalaxies(initialParams);
+
+    expect(result.numberOfRings).to.deep.equal([5, 3, 3]);
+    expect(result.masses).to.deep.equal([1, 2, 0.5]);
+    expect(result.galaxyInclinationAnglesDegree).to.deep.equal([60, 60, 60]);
+    expect(result.colors).to.deep.equal([[1, 2, 3], [4, 5, 6], [1, 2, 3]]);
+    expect(result.coreColors).to.deep.equal([[7, 8, 9], [7, 8, 9], [7, 8, 9]]);
+    expect(result.ringSeparation).to.deep.equal([3, 3, 3]);
+    expect(result.eccentricity).to.equal(0.6);
+
+    // Input is unchanged
+    expect(initialParams.numberOfRings).to.deep.equal([5, 3]);
+  });
+
+  it('removes unused colors', () => {
+    let initialParams = {
+      numberOfRings: [5, 3],
+      masses: [1, 2],
+      galaxyInclinationAnglesDegree: [60, 30],
+      colors: [[1, 2, 3], [4, 5, 6], [7, 8, 9]],
+      coreColors: [[1, 2, 3], [4, 5, 6], [7, 8, 9]],
+      trajectoryColors: [[0, 0, 0, 1], [1, 1, 1, 1], [2, 2, 2, 1]]
+    };
+
+    let result = matchNumberOfGalaxies(initialParams);
+
+    expect(result.colors).to.deep.equal([[1, 2, 3], [4, 5, 6]]);
+    expect(result.trajectoryColors.length).to.equal(2);
+  });
+});
+
+describe('getInitialParameters', () => {
+  it('loads a single ring separation and multiplier for all galaxies', () => {
+    // URLs shared before the rings could differ between the galaxies
+    let params = getInitialParameters("?ringSeparation=2&ringMultiplier=4");
+
+    expect(params.ringSeparation).to.deep.equal([2, 2]);
+    expect(params.ringMultiplier).to.deep.equal([4, 4]);
+  });
+
+  it('loads ring separation and multiplier of each galaxy', () => {
+    let params = getInitialParameters(
+      "?ringSeparation=2%2C1.5&ringMultiplier=4%2C8");
+
+    expect(params.ringSeparation).to.deep.equal([2, 1.5]);
+    expect(params.ringMultiplier).to.deep.equal([4, 8]);
+  });
+});
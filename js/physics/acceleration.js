@@ -1,42 +1,100 @@
+import { enclosedMass, enclosedMassDerivative } from './halo.js';
+import { addTreeAccelerations } from './barnes_hut.js';
+import { addMeshAccelerations } from './particle_mesh.js';
+
+
+/**
+ * Names of the methods for calculating gravitational forces:
+ *    "cores"  Only the galaxy cores attract other bodies, forces from stars
+ *             are ignored (the restricted three-body model of
+ *             Toomre & Toomre 1972).
+ *    "tree"   The stars also attract all bodies (full self-gravity),
+ *             forces from stars are calculated with the Barnes-Hut tree,
+ *             see barnes_hut.js.
+ *    "mesh"   Same as "tree", but the forces from stars are calculated
+ *             on a grid with the particle-mesh method, see particle_mesh.js.
+ */
+export const gravitySolvers = ["cores", "tree", "mesh"];
+
+
 /**
  * Calculate accelerations of all bodies (cores and stars) due
- * to gravitational forces of the galaxy cores. We ignore forces from stars.
+ * to gravitational forces of the galaxy cores. Forces from stars are
+ * ignored unless `gravity` setting of `physics` is "tree" or "mesh".
  *
  * @param  {array} masses     Masses of the galaxy cores.
- * @param  {array} positions  Position vectors of all bodies,
- *                            first two are galaxy cores, the rest are stars.
+ * @param  {array} positions  Position vectors of all bodies, first are
+ *                            galaxy cores (one for each mass),
+ *                            the rest are stars.
  * @param {array} accelerations Acceleration vectors of all bodies. The array
  *                            will be updated with new accelerations.
+ * @param {object} physics    (optional) Settings of the physical model:
+ *    haloProfiles    Names of halo profiles of the cores, i.e. ["point", "nfw"],
+ *                    see halo.js. Cores are point masses if not supplied.
+ *    haloScaleRadii  Scale radii of the halos of the cores, i.e. [10, 5].
+ *    gravity         Method for calculating forces, see `gravitySolvers`.
+ *                    The default is "cores".
+ *    starMasses, openingAngle, softening  Settings of the "tree" method,
+ *                    see `addTreeAccelerations` in barnes_hut.js.
+ *    meshSize, meshBoxSize  Settings of the "mesh" method,
+ *                    see `addMeshAccelerations` in particle_mesh.js.
+ * @param {array} bodies      (optional) Indexes of the bodies for which the
+ *                            accelerations are calculated, the accelerations
+ *                            of other bodies are left unchanged.
+ *                            The default is all bodies.
  */
-export default function getAccelerations(masses, positions, accelerations) {
+export default function getAccelerations(masses, positions, accelerations,
+                                         physics, bodies) {
+  let count = bodies ? bodies.length : positions.length / 3;
+
   // Set accelerations to zero
-  accelerations.fill(0);
+  if (bodies) {
+    for(let n = 0; n < count; n++) {
+      accelerations.fill(0, bodies[n] * 3, bodies[n] * 3 + 3);
+    }
+  } else {
+    accelerations.fill(0);
+  }
 
-  // Loop over all bodies
-  // The first two bodies are galaxy cores, the rest are stars
-  for(let i = 0; i < positions.length / 3; i++) {
-    // Loop over two galaxy cores
-    for(let j = 0; j < 2; j++) {
+  // The halo profiles, if the cores are not point masses
+  var haloProfiles = physics && physics.haloProfiles;
+
+  // Loop over the bodies
+  // The first bodies are galaxy cores, the rest are stars
+  for(let n = 0; n < count; n++) {
+    let i = bodies ? bodies[n] : n;
+
+    // Loop over galaxy cores
+    for(let j = 0; j < masses.length; j++) {
       // Skip the case when the body is the same core,
-      // since it can't accelerate itself
-      if (i == j) continue;
+      // since it can't accelerate itself. Also skip the cores that
+      // have lost their mass after merging into other cores.
+      if (i == j || masses[j] === 0) continue;
 
-      // Find displacement vector from i-th body to j-th galaxy core
-      let displacement = [positions[j*3] - positions[i*3],
-                          positions[j*3 + 1] - positions[i*3 + 1],
-                          positions[j*3 + 2] - positions[i*3 + 2]];
+      // Find displacement vector from i-th body to j-th galaxy core.
+      // We use separate variables for the components instead of an array
+      // to avoid allocating memory at every step.
+      let dx = positions[j*3] - positions[i*3];
+      let dy = positions[j*3 + 1] - positions[i*3 + 1];
+      let dz = positions[j*3 + 2] - positions[i*3 + 2];
 
       // Find the distance from i-th body to j-th galaxy core
-      let distanceSquared = displacement[0] * displacement[0] +
-                            displacement[1] * displacement[1] +
-                            displacement[2] * displacement[2];
+      let distanceSquared = dx * dx + dy * dy + dz * dz;
 
       let distance = Math.sqrt(distanceSquared);
 
-      // Find the unit vector in direction from i-th body to j-th core
-      displacement[0] /= distance;
-      displacement[1] /= distance;
-      displacement[2] /= distance;
+      // The body is located exactly at the core, which happens
+      // to the merged cores, see merger.js
+      if (distance === 0) continue;
+
+      // Mass of the j-th galaxy core. For extended halos, only the mass
+      // located closer to the core than the i-th body attracts the body.
+      let mass = masses[j];
+
+      if (haloProfiles) {
+        mass = enclosedMass(haloProfiles[j], mass,
+                            physics.haloScaleRadii[j], distance);
+      }
 
       // Calculate the acceleration of i-th body cased by gravitational
       // force from j-th galaxy core. We are using two physical laws here:
@@ -56,7 +114,8 @@ export default function getAccelerations(masses, positions, accelerations) {
       //
       //      where
       //        G is gravitational constant, set to 1 for simplicity,
-      //        M is the mass of a galaxy core,
+      //        M is the mass of a galaxy core (or the mass of its halo
+      //          inside the sphere of radius r),
       //        d is a direction unit vector from a body to the core,
       //        r is distance between a body and a core.
       //
@@ -64,12 +123,99 @@ export default function getAccelerations(masses, positions, accelerations) {
       //
       //            a = M d / r^2.
       //
+      // The unit vector d is the displacement divided by the distance r.
 
       // Add the acceleration to accelerations from the other cores
       // to find total acceleration of the i-th body
-      accelerations[i*3] += masses[j] / distanceSquared * displacement[0];
-      accelerations[i*3 + 1] += masses[j] / distanceSquared * displacement[1];
-      accelerations[i*3 + 2] += masses[j] / distanceSquared * displacement[2];
+      let factor = mass / (distanceSquared * distance);
+      accelerations[i*3] += factor * dx;
+      accelerations[i*3 + 1] += factor * dy;
+      accelerations[i*3 + 2] += factor * dz;
+    }
+  }
+
+  if (physics && physics.gravity === "tree") {
+    // Add forces from the stars
+    addTreeAccelerations(masses.length, positions, accelerations, physics,
+                         bodies);
+  } else if (physics && physics.gravity === "mesh") {
+    addMeshAccelerations(masses.length, positions, accelerations, physics,
+                         bodies);
+  }
+}
+
+
+/**
+ * Calculate the jerks (time derivatives of accelerations) of all bodies
+ * due to gravitational forces of the galaxy cores. The jerks are used
+ * by the Hermite integrator. Forces from stars and dynamical friction
+ * are not included.
+ *
+ * Differentiating the acceleration a = M(r) d / r^3 with respect to time
+ * gives the jerk
+ *
+ *    j = M'(r) r' d / r^3 + M(r) (u / r^3 - 3 r' d / r^4),
+ *
+ * where
+ *    d is the displacement vector from the body to the core,
+ *    u is the velocity of the core relative to the body,
+ *    r is the distance between the body and the core,
+ *    r' = d.u / r is the rate of change of the distance,
+ *    M(r) is the mass of the core (or its halo inside radius r),
+ *    M'(r) is the derivative of M(r) with respect to r.
+ *
+ * @param  {array} masses     Masses of the galaxy cores.
+ * @param  {array} positions  Position vectors of all bodies, first are
+ *                            galaxy cores (one for each mass),
+ *                            the rest are stars.
+ * @param  {array} velocities Velocity vectors of all bodies.
+ * @param  {array} jerks      Jerk vectors of all bodies. The array
+ *                            will be updated with new jerks.
+ * @param  {object} physics   (optional) Settings of the physical model,
+ *                            see `getAccelerations`.
+ */
+export function getJerks(masses, positions, velocities, jerks, physics) {
+  jerks.fill(0);
+
+  for(let i = 0; i < positions.length / 3; i++) {
+    for(let j = 0; j < masses.length; j++) {
+      if (i == j || masses[j] === 0) continue;
+
+      let dx = positions[j*3] - positions[i*3];
+      let dy = positions[j*3 + 1] - positions[i*3 + 1];
+      let dz = positions[j*3 + 2] - positions[i*3 + 2];
+
+      let ux = velocities[j*3] - velocities[i*3];
+      let uy = velocities[j*3 + 1] - velocities[i*3 + 1];
+      let uz = velocities[j*3 + 2] - velocities[i*3 + 2];
+
+      let distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+      if (distance === 0) continue;
+
+      let distanceRate = (dx * ux + dy * uy + dz * uz) / distance;
+
+      let mass = masses[j];
+      let massDerivative = 0;
+
+      if (physics && physics.haloProfiles) {
+        let profile = physics.haloProfiles[j];
+        let scaleRadius = physics.haloScaleRadii[j];
+        mass = enclosedMass(profile, masses[j], scaleRadius, distance);
+
+        massDerivative = enclosedMassDerivative(profile, masses[j],
+                                                scaleRadius, distance);
+      }
+
+      let distanceCubed = distance * distance * distance;
+
+      let displacementFactor = (massDerivative * distanceRate -
+                                3 * mass * distanceRate / distance) /
+                               distanceCubed;
+
+      let velocityFactor = mass / distanceCubed;
+      jerks[i*3] += displacementFactor * dx + velocityFactor * ux;
+      jerks[i*3 + 1] += displacementFactor * dy + velocityFactor * uy;
+      jerks[i*3 + 2] += displacementFactor * dz + velocityFactor * uz;
     }
   }
 }
@@ -1,4 +1,4 @@
-import getAccelerations from './acceleration.js';
+import getAccelerations, { getJerks } from './acceleration.js';
 
 var expect = chai.expect;
 
@@ -12,3 +12,128 @@ it('getAccelerations', () => {
   expect(accelerations.slice(0, 3)).to.deep.equal([-0.25, 0, 0]);
   expect(accelerations.slice(3, 6)).to.deep.equal([0.25, 0, 0]);
 });
+
+it('getAccelerations with three cores', () => {
+  var masses = [1, 1, 2];
+  var positions = [1, 0, 0, -1, 0, 0, 0, 2, 0, 0, 0, 0];
+  var accelerations = Array(12).fill(-42);
+
+  getAccelerations(masses, positions, accelerations);
+
+  expect(accelerations.slice(0, 3)).to.deep.closeTo(
+    [-0.42888543819998317, 0.35777087639996635, 0], 1e-13);
+
+  expect(accelerations.slice(6, 9)).to.deep.closeTo(
+    [0, -0.35777087639996635, 0], 1e-13);
+
+  // Star at the origin
+  expect(accelerations.slice(9, 12)).to.deep.closeTo([0, 0.5, 0], 1e-13);
+});
+
+it('getAccelerations for selected bodies', () => {
+  var masses = [1, 1, 2];
+  var positions = [1, 0, 0, -1, 0, 0, 0, 2, 0, 0, 0, 0];
+  var accelerations = Array(12).fill(-42);
+
+  getAccelerations(masses, positions, accelerations, null, [0, 3]);
+
+  expect(accelerations.slice(0, 3)).to.deep.closeTo(
+    [-0.42888543819998317, 0.35777087639996635, 0], 1e-13);
+
+  // Other bodies are unchanged
+  expect(accelerations.slice(3, 9)).to.deep.equal(Array(6).fill(-42));
+
+  expect(accelerations.slice(9, 12)).to.deep.closeTo([0, 0.5, 0], 1e-13);
+});
+
+it('getAccelerations with halo', () => {
+  var masses = [1, 0];
+  var positions = [0, 0, 0, 2, 0, 0, 0, -2, 0];
+  var accelerations = Array(9).fill(-42);
+
+  var physics = {
+    haloProfiles: ["plummer", "point"],
+    haloScaleRadii: [1, 1]
+  };
+
+  getAccelerations(masses, positions, accelerations, physics);
+
+  expect(accelerations.slice(3, 6)).to.deep.closeTo(
+    [-0.1788854381999832, 0, 0], 1e-13);
+
+  expect(accelerations.slice(6, 9)).to.deep.closeTo(
+    [0, 0.1788854381999832, 0], 1e-13);
+});
+
+it('getAccelerations with merged cores', () => {
+  // The second core merged into the first and has the same position
+  var masses = [2, 0];
+  var positions = [0, 0, 0, 0, 0, 0, 2, 0, 0];
+  var accelerations = Array(9).fill(-42);
+
+  getAccelerations(masses, positions, accelerations);
+
+  expect(accelerations.slice(0, 6)).to.deep.equal([0, 0, 0, 0, 0, 0]);
+  expect(accelerations.slice(6, 9)).to.deep.closeTo([-0.5, 0, 0], 1e-13);
+});
+
+it('getAccelerations with tree gravity', () => {
+  // One core and two stars
+  var masses = [1];
+  var positions = [0, 0, 0, 2, 0, 0, 0, 2, 0];
+  var accelerations = Array(9).fill(-42);
+
+  var physics = {
+    gravity: "tree",
+    starMasses: [0.5, 0.5],
+    openingAngle: 0.5,
+    softening: 0
+  };
+
+  getAccelerations(masses, positions, accelerations, physics);
+
+  // The core is attracted by the stars
+  expect(accelerations.slice(0, 3)).to.deep.closeTo([0.125, 0.125, 0], 1e-13);
+
+  // The stars are attracted by the core and by each other. The stars
+  // are separated by distance sqrt(8) along direction (-1, 1) / sqrt(2)
+  let starForce = 0.5 / 8 / Math.sqrt(2);
+
+  expect(accelerations.slice(3, 6)).to.deep.closeTo(
+    [-0.25 - starForce, starForce, 0], 1e-13);
+
+  expect(accelerations.slice(6, 9)).to.deep.closeTo(
+    [starForce, -0.25 - starForce, 0], 1e-13);
+});
+
+it('getJerks', () => {
+  // A core with a halo and a star moving past it
+  var masses = [1];
+  var positions = [0, 0, 0, 2, 1, 0.5];
+  var velocities = [0, 0, 0, -0.3, 0.4, 0.1];
+  var jerks = Array(6).fill(-42);
+
+  var physics = {
+    haloProfiles: ["hernquist"],
+    haloScaleRadii: [1.5]
+  };
+
+  getJerks(masses, positions, velocities, jerks, physics);
+
+  // Compare with the numerical derivative of the acceleration
+  // along the trajectory of the star
+  let dt = 1e-6;
+
+  let accelerationAt = (time) => {
+    let moved = positions.map((x, i) => x + velocities[i] * time);
+    let accelerations = Array(6).fill(0);
+    getAccelerations(masses, moved, accelerations, physics);
+    return accelerations;
+  };
+
+  let after = accelerationAt(dt);
+  let before = accelerationAt(-dt);
+  let expected = after.map((a, i) => (a - before[i]) / (2 * dt));
+
+  expect(jerks).to.deep.closeTo(expected, 1e-8);
+});
@@ -0,0 +1,281 @@
+// Calculate gravitational forces from stars using the Barnes-Hut
+// algorithm (Barnes & Hut 1986). The stars are placed into an octree:
+// a cube that is divided into eight smaller cubes, which are divided
+// further until each cube contains at most one star. The force from a
+// distant group of stars is approximated by the force from a single body
+// located at the centre of mass of the group, which reduces the number
+// of calculations from N^2 to N log(N).
+
+
+// Cubes smaller than this fraction of the root cube are not divided further,
+// which prevents infinite division when stars have the same positions.
+const minimumCubeFraction = 1e-10;
+
+
+/**
+ * Add the accelerations due to gravitational forces from stars to
+ * the accelerations of all bodies (cores and stars).
+ *
+ * @param  {number} numberOfCores Number of galaxy cores.
+ * @param  {array} positions  Position vectors of all bodies,
+ *                            first are galaxy cores, the rest are stars.
+ * @param  {array} accelerations Acceleration vectors of all bodies. The array
+ *                            will be updated with new accelerations.
+ * @param  {object} physics   Settings of the physical model:
+ *    starMasses    Masses of the stars, one for each star.
+ *    openingAngle  The opening angle theta. A group of stars is treated as
+ *                  a single body if size / distance < theta. Smaller values
+ *                  are more accurate and slower.
+ *    softening     Softening length that limits the force between stars
+ *                  at small distances.
+ * @param  {array} bodies    (optional) Indexes of the bodies for which the
+ *                            accelerations are calculated. The default is
+ *                            all bodies.
+ */
+export function addTreeAccelerations(numberOfCores, positions, accelerations,
+                                     physics, bodies) {
+  let tree = buildTree(positions, physics.starMasses, numberOfCores);
+  if (tree === null) return;
+  let count = bodies ? bodies.length : positions.length / 3;
+
+  for(let n = 0; n < count; n++) {
+    let i = bodies ? bodies[n] : n;
+    addAccelerationFromTree(tree, i, positions, accelerations, physics,
+                            numberOfCores);
+  }
+}
+
+
+/**
+ * Build the octree containing the stars.
+ *
+ * @param  {array} positions  Position vectors of all bodies,
+ *                            first are galaxy cores, the rest are stars.
+ * @param  {array} starMasses Masses of the stars, one for each star.
+ * @param  {number} firstStar Index of the first star body.
+ * @return {object} The root node of the tree, or null if there are no stars.
+ *    Each node contains:
+ *      centre      Position vector of the centre of the cube.
+ *      halfSize    Half the length of the cube's side.
+ *      mass        Total mass of the stars inside the cube.
+ *      centreOfMass Position vector of the centre of mass of the stars.
+ *      bodies      Indexes of the stars if the node has no children.
+ *      children    Eight child nodes, or null.
+ */
+export function buildTree(positions, starMasses, firstStar) {
+  let bodies = positions.length / 3;
+  if (bodies <= firstStar) return null;
+
+  // Find the cube that contains all the stars
+  // -------
+
+  let min = [Infinity, Infinity, Infinity];
+  let max = [-Infinity, -Infinity, -Infinity];
+
+  for(let i = firstStar; i < bodies; i++) {
+    for(let k = 0; k < 3; k++) {
+      min[k] = Math.min(min[k], positions[i * 3 + k]);
+      max[k] = Math.max(max[k], positions[i * 3 + k]);
+    }
+  }
+
+  let halfSize = Math.max(max[0] - min[0], max[1] - min[1], max[2] - min[2]) / 2;
+
+  // Make the cube slightly larger to include the stars on its edges
+  halfSize = halfSize * 1.0001 + 1e-10;
+
+  let root = createNode([(min[0] + max[0]) / 2,
+                         (min[1] + max[1]) / 2,
+                         (min[2] + max[2]) / 2], halfSize);
+
+  let minimumHalfSize = halfSize * minimumCubeFraction;
+
+  for(let i = firstStar; i < bodies; i++) {
+    if (starMasses[i - firstStar] === 0) continue;
+    insert(root, i, positions, minimumHalfSize);
+  }
+
+  calculateMass(root, positions, starMasses, firstStar);
+
+  return root;
+}
+
+
+function createNode(centre, halfSize) {
+  return {
+    centre: centre,
+    halfSize: halfSize,
+    mass: 0,
+    centreOfMass: [0, 0, 0],
+    bodies: [],
+    children: null
+  };
+}
+
+
+/**
+ * Place a star into the tree.
+ */
+function insert(node, iBody, positions, minimumHalfSize) {
+  while (node.children !== null) {
+    node = node.children[childIndex(node, iBody, positions)];
+  }
+
+  if (node.bodies.length === 0 || node.halfSize < minimumHalfSize) {
+    node.bodies.push(iBody);
+    return;
+  }
+
+  // The cube already contains a star: divide it into eight cubes
+  // and move both stars into them
+  let quarterSize = node.halfSize / 2;
+  node.children = [];
+
+  for(let i = 0; i < 8; i++) {
+    node.children.push(createNode([
+      node.centre[0] + (i & 1 ? quarterSize : -quarterSize),
+      node.centre[1] + (i & 2 ? quarterSize : -quarterSize),
+      node.centre[2] + (i & 4 ? quarterSize : -quarterSize)
+    ], quarterSize));
+  }
+
+  let existing = node.bodies[0];
+  node.bodies = [];
+  insert(node, existing, positions, minimumHalfSize);
+  insert(node, iBody, positions, minimumHalfSize);
+}
+
+
+/**
+ * Returns the index of the child cube that contains the star.
+ */
+function childIndex(node, iBody, positions) {
+  let index = 0;
+  if (positions[iBody * 3] > node.centre[0]) index += 1;
+  if (positions[iBody * 3 + 1] > node.centre[1]) index += 2;
+  if (positions[iBody * 3 + 2] > node.centre[2]) index += 4;
+  return index;
+}
+
+
+/**
+ * Calculate the masses and centres of mass of the node and its children.
+ */
+function calculateMass(node, positions, starMasses, firstStar) {
+  let mass = 0;
+  let moment = [0, 0, 0];
+
+  if (node.children === null) {
+    node.bodies.forEach((iBody) => {
+      let starMass = starMasses[iBody - firstStar];
+      mass += starMass;
+
+      for(let k = 0; k < 3; k++) {
+        moment[k] += starMass * positions[iBody * 3 + k];
+      }
+    });
+  } else {
+    node.children.forEach((child) => {
+      calculateMass(child, positions, starMasses, firstStar);
+      mass += child.mass;
+
+      for(let k = 0; k < 3; k++) {
+        moment[k] += child.mass * child.centreOfMass[k];
+      }
+    });
+  }
+
+  node.mass = mass;
+
+  if (mass > 0) {
+    node.centreOfMass = moment.map((value) => value / mass);
+  }
+}
+
+
+/**
+ * Add the acceleration of a body due to the stars in the tree.
+ */
+function addAccelerationFromTree(root, iBody, positions, accelerations,
+                                 physics, firstStar) {
+  let x = positions[iBody * 3];
+  let y = positions[iBody * 3 + 1];
+  let z = positions[iBody * 3 + 2];
+  let softeningSquared = physics.softening * physics.softening;
+  let stack = [root];
+
+  while (stack.length > 0) {
+    let node = stack.pop();
+    if (node.mass === 0) continue;
+
+    if (node.children === null) {
+      // Add forces from individual stars in the cube
+      for(let j = 0; j < node.bodies.length; j++) {
+        let jBody = node.bodies[j];
+        if (jBody === iBody) continue;
+
+        addAcceleration(iBody, accelerations,
+                        positions[jBody * 3] - x,
+                        positions[jBody * 3 + 1] - y,
+                        positions[jBody * 3 + 2] - z,
+                        physics.starMasses[jBody - firstStar],
+                        softeningSquared);
+      }
+
+      continue;
+    }
+
+    let dx = node.centreOfMass[0] - x;
+    let dy = node.centreOfMass[1] - y;
+    let dz = node.centreOfMass[2] - z;
+    let distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+    // A cube containing the body is always opened, otherwise the body
+    // could be attracted by its own mass when the centre of mass is far
+    // from the body, which happens with opening angles above 1 / sqrt(3)
+    if (!contains(node, x, y, z) &&
+        2 * node.halfSize < physics.openingAngle * distance) {
+      // The cube is far away, treat its stars as a single body
+      addAcceleration(iBody, accelerations, dx, dy, dz, node.mass,
+                      softeningSquared);
+    } else {
+      // The cube is too close, look at the smaller cubes inside
+      stack.push(...node.children);
+    }
+  }
+}
+
+
+/**
+ * Check if the point is inside the cube of the node.
+ */
+function contains(node, x, y, z) {
+  return Math.abs(x - node.centre[0]) <= node.halfSize &&
+         Math.abs(y - node.centre[1]) <= node.halfSize &&
+         Math.abs(z - node.centre[2]) <= node.halfSize;
+}
+
+
+/**
+ * Add the acceleration due to gravity of a body of given mass,
+ * located at displacement (dx, dy, dz) from i-th body.
+ * The force is softened:
+ *
+ *    a = G m d / (r^2 + eps^2)^(3/2),
+ *
+ * where
+ *    d is the displacement vector,
+ *    r is the distance,
+ *    eps is the softening length.
+ */
+function addAcceleration(iBody, accelerations, dx, dy, dz, mass,
+                         softeningSquared) {
+  let distanceSquared = dx * dx + dy * dy + dz * dz + softeningSquared;
+  if (distanceSquared === 0) return;
+
+  let factor = mass / (distanceSquared * Math.sqrt(distanceSquared));
+
+  accelerations[iBody * 3] += factor * dx;
+  accelerations[iBody * 3 + 1] += factor * dy;
+  accelerations[iBody * 3 + 2] += factor * dz;
+}
@@ -0,0 +1,127 @@
+import { addTreeAccelerations, buildTree } from './barnes_hut.js';
+
+var expect = chai.expect;
+
+
+// Calculate accelerations from stars by summing forces from every star
+function directAccelerations(numberOfCores, positions, physics) {
+  let bodies = positions.length / 3;
+  let accelerations = Array(positions.length).fill(0);
+  let softeningSquared = physics.softening * physics.softening;
+
+  for(let i = 0; i < bodies; i++) {
+    for(let j = numberOfCores; j < bodies; j++) {
+      if (i === j) continue;
+
+      let d = [positions[j * 3] - positions[i * 3],
+               positions[j * 3 + 1] - positions[i * 3 + 1],
+               positions[j * 3 + 2] - positions[i * 3 + 2]];
+
+      let r2 = d[0] * d[0] + d[1] * d[1] + d[2] * d[2] + softeningSquared;
+      let factor = physics.starMasses[j - numberOfCores] / Math.pow(r2, 1.5);
+
+      for(let k = 0; k < 3; k++) accelerations[i * 3 + k] += factor * d[k];
+    }
+  }
+
+  return accelerations;
+}
+
+
+describe('Barnes-Hut', () => {
+  it('buildTree', () => {
+    // One core followed by three stars
+    let positions = [100, 100, 100, 0, 0, 0, 2, 0, 0, 2, 2, 2];
+    let starMasses = [1, 2, 1];
+
+    let tree = buildTree(positions, starMasses, 1);
+
+    expect(tree.mass).to.equal(4);
+    expect(tree.centreOfMass).to.deep.closeTo([1.5, 0.5, 0.5], 1e-13);
+    expect(tree.halfSize).to.closeTo(1, 1e-3);
+    expect(tree.children.length).to.equal(8);
+  });
+
+  it('buildTree without stars', () => {
+    expect(buildTree([0, 0, 0], [], 1)).to.equal(null);
+  });
+
+  it('buildTree with stars at the same position', () => {
+    let positions = [0, 0, 0, 1, 1, 1, 1, 1, 1];
+    let tree = buildTree(positions, [1, 1], 1);
+
+    expect(tree.mass).to.equal(2);
+    expect(tree.centreOfMass).to.deep.closeTo([1, 1, 1], 1e-13);
+  });
+
+  it('addTreeAccelerations with zero opening angle is exact', () => {
+    let positions = [0, 0, 0, 3, 1, 0, -2, 4, 1, 5, -3, 2, 1, 1, -4];
+
+    let physics = {
+      starMasses: [0.1, 0.2, 0.3, 0.4],
+      openingAngle: 0,
+      softening: 0.5
+    };
+
+    let accelerations = Array(positions.length).fill(0);
+
+    addTreeAccelerations(1, positions, accelerations, physics);
+
+    let expected = directAccelerations(1, positions, physics);
+
+    expect(accelerations).to.deep.closeTo(expected, 1e-13);
+  });
+
+  it('addTreeAccelerations approximates distant stars', () => {
+    // A cluster of stars far away from the core
+    let positions = [0, 0, 0];
+
+    for(let i = 0; i < 20; i++) {
+      positions.push(100 + Math.sin(i), Math.cos(i), Math.sin(2 * i));
+    }
+
+    let physics = {
+      starMasses: Array(20).fill(0.05),
+      openingAngle: 0.5,
+      softening: 0.1
+    };
+
+    let accelerations = Array(positions.length).fill(0);
+
+    addTreeAccelerations(1, positions, accelerations, physics);
+
+    let expected = directAccelerations(1, positions, physics);
+
+    // The core is attracted by the whole cluster of mass 1
+    expect(accelerations[0]).to.closeTo(expected[0], 1e-6);
+    expect(accelerations[0]).to.closeTo(1e-4, 1e-6);
+
+    // The stars attract each other
+    expect(accelerations.slice(3)).to.deep.closeTo(expected.slice(3), 1e-2);
+  });
+
+  it('addTreeAccelerations does not attract a star to itself', () => {
+    // A star at the corner of the cube, far from the centre of mass
+    // of the cluster of stars at the opposite corner
+    let positions = [0, 0, 0];
+
+    for(let i = 0; i < 9; i++) {
+      positions.push(1 - 0.01 * (i % 3), 1 - 0.01 * Math.floor(i / 3), 1);
+    }
+
+    let physics = {
+      starMasses: Array(10).fill(1),
+      openingAngle: 0.7,
+      softening: 0
+    };
+
+    let accelerations = Array(positions.length).fill(0);
+
+    addTreeAccelerations(0, positions, accelerations, physics);
+
+    let expected = directAccelerations(0, positions, physics);
+
+    expect(accelerations.slice(0, 3)).to.deep.closeTo(expected.slice(0, 3),
+                                                      1e-2);
+  });
+});
@@ -0,0 +1,222 @@
+// The benchmark simulation with many stars, see benchmark.md, and the
+// previous version of the physics core used as the baseline for measuring
+// its speed. The previous version stored the bodies in plain arrays,
+// created new vectors for each pair of bodies and copied the arrays
+// at each step. Only the forces from the galaxy cores are included.
+
+
+/**
+ * The parameters of the benchmark simulation, see benchmark.md.
+ */
+export const benchmarkArgs = {
+  numberOfRings: [150, 150],
+  ringSeparation: [3, 3],
+  ringMultiplier: [6, 6],
+  minimalGalaxySeparation: 25,
+  galaxyInclinationAnglesDegree: [60, 60],
+  masses: [1, 1],
+  eccentricity: 0.6
+};
+
+
+/**
+ * Calculate the accelerations the way it was done before the state was
+ * stored in typed arrays: a new displacement vector is created for each
+ * pair of bodies. Parameters are the same as in `getAccelerations`
+ * in acceleration.js.
+ */
+export function legacyAccelerations(masses, positions, accelerations) {
+  accelerations.fill(0);
+
+  for(let i = 0; i < positions.length / 3; i++) {
+    for(let j = 0; j < masses.length; j++) {
+      if (i == j || masses[j] === 0) continue;
+
+      let displacement = [positions[j*3] - positions[i*3],
+                          positions[j*3 + 1] - positions[i*3 + 1],
+                          positions[j*3 + 2] - positions[i*3 + 2]];
+
+      let distanceSquared = displacement[0] * displacement[0] +
+                            displacement[1] * displacement[1] +
+                            displacement[2] * displacement[2];
+
+      let distance = Math.sqrt(distanceSquared);
+      if (distance === 0) continue;
+
+      displacement[0] /= distance;
+      displacement[1] /= distance;
+      displacement[2] /= distance;
+
+      accelerations[i*3] += masses[j] / distanceSquared * displacement[0];
+      accelerations[i*3 + 1] += masses[j] / distanceSquared * displacement[1];
+      accelerations[i*3 + 2] += masses[j] / distanceSquared * displacement[2];
+    }
+  }
+}
+
+
+/**
+ * Calculate the jerks the way it was done before, creating new vectors
+ * for each pair of bodies. Parameters are the same as in `getJerks`
+ * in acceleration.js.
+ */
+export function legacyJerks(masses, positions, velocities, jerks) {
+  jerks.fill(0);
+
+  for(let i = 0; i < positions.length / 3; i++) {
+    for(let j = 0; j < masses.length; j++) {
+      if (i == j || masses[j] === 0) continue;
+
+      let d = [positions[j*3] - positions[i*3],
+               positions[j*3 + 1] - positions[i*3 + 1],
+               positions[j*3 + 2] - positions[i*3 + 2]];
+
+      let u = [velocities[j*3] - velocities[i*3],
+               velocities[j*3 + 1] - velocities[i*3 + 1],
+               velocities[j*3 + 2] - velocities[i*3 + 2]];
+
+      let distance = Math.sqrt(d[0] * d[0] + d[1] * d[1] + d[2] * d[2]);
+      if (distance === 0) continue;
+
+      let distanceRate = (d[0] * u[0] + d[1] * u[1] + d[2] * u[2]) / distance;
+      let distanceCubed = distance * distance * distance;
+
+      let displacementFactor = -3 * masses[j] * distanceRate / distance /
+                               distanceCubed;
+
+      for(let k = 0; k < 3; k++) {
+        jerks[i*3 + k] += displacementFactor * d[k] +
+                          masses[j] * u[k] / distanceCubed;
+      }
+    }
+  }
+}
+
+
+/**
+ * One step of the Leapfrog method the way it was done before.
+ */
+function legacyLeapfrog(timeStep, masses, positions, velocities,
+                        accelerations) {
+
+  const halfTimeStep = 0.5 * timeStep;
+
+  for(let i = 0; i < positions.length; i++) {
+    velocities[i] += halfTimeStep * accelerations[i];
+    positions[i] += timeStep * velocities[i];
+  }
+
+  legacyAccelerations(masses, positions, accelerations);
+
+  for(let i = 0; i < positions.length; i++) {
+    velocities[i] += halfTimeStep * accelerations[i];
+  }
+}
+
+
+/**
+ * One step of the Yoshida method the way it was done before: three
+ * Leapfrog steps made by calling a new function for each of them.
+ */
+function legacyYoshida(timeStep, masses, positions, velocities,
+                       accelerations) {
+
+  const w1 = 1 / (2 - Math.cbrt(2));
+  const w0 = -Math.cbrt(2) * w1;
+
+  [w1, w0, w1].forEach((weight) => {
+    legacyLeapfrog(weight * timeStep, masses, positions, velocities,
+                   accelerations);
+  });
+}
+
+
+/**
+ * One step of the Runge-Kutta method the way it was done before:
+ * the arrays are copied at each step.
+ */
+function legacyRungeKutta4(timeStep, masses, positions, velocities,
+                           accelerations) {
+
+  let initialPositions = positions.slice();
+  let initialVelocities = velocities.slice();
+  let positionRates = velocities.slice();
+  let velocityRates = accelerations.slice();
+
+  [0.5, 0.5, 1].forEach((fraction, stage) => {
+    let weight = stage < 2 ? 2 : 1;
+
+    for(let i = 0; i < positions.length; i++) {
+      let velocity = velocities[i];
+
+      positions[i] = initialPositions[i] + fraction * timeStep * velocity;
+
+      velocities[i] = initialVelocities[i] +
+                      fraction * timeStep * accelerations[i];
+    }
+
+    legacyAccelerations(masses, positions, accelerations);
+
+    for(let i = 0; i < positions.length; i++) {
+      positionRates[i] += weight * velocities[i];
+      velocityRates[i] += weight * accelerations[i];
+    }
+  });
+
+  for(let i = 0; i < positions.length; i++) {
+    positions[i] = initialPositions[i] + timeStep / 6 * positionRates[i];
+    velocities[i] = initialVelocities[i] + timeStep / 6 * velocityRates[i];
+  }
+
+  legacyAccelerations(masses, positions, accelerations);
+}
+
+
+/**
+ * One step of the Hermite method the way it was done before:
+ * the arrays are copied at each step.
+ */
+function legacyHermite(timeStep, masses, positions, velocities,
+                       accelerations) {
+
+  let dt = timeStep;
+  let initialPositions = positions.slice();
+  let initialVelocities = velocities.slice();
+  let initialAccelerations = accelerations.slice();
+  let initialJerks = Array(positions.length).fill(0);
+  legacyJerks(masses, positions, velocities, initialJerks);
+
+  for(let i = 0; i < positions.length; i++) {
+    positions[i] += dt * velocities[i] + dt * dt / 2 * accelerations[i] +
+                    dt * dt * dt / 6 * initialJerks[i];
+
+    velocities[i] += dt * accelerations[i] + dt * dt / 2 * initialJerks[i];
+  }
+
+  let jerks = Array(positions.length).fill(0);
+  legacyAccelerations(masses, positions, accelerations);
+  legacyJerks(masses, positions, velocities, jerks);
+
+  for(let i = 0; i < positions.length; i++) {
+    velocities[i] = initialVelocities[i] +
+      dt / 2 * (initialAccelerations[i] + accelerations[i]) +
+      dt * dt / 12 * (initialJerks[i] - jerks[i]);
+
+    positions[i] = initialPositions[i] +
+      dt / 2 * (initialVelocities[i] + velocities[i]) +
+      dt * dt / 12 * (initialAccelerations[i] - accelerations[i]);
+  }
+}
+
+
+/**
+ * The previous versions of the integration methods, which take plain
+ * arrays. Each function takes the same parameters as `integrateOneStep`
+ * in integrator.js, except for the `physics` settings.
+ */
+export const legacyIntegrators = {
+  leapfrog: legacyLeapfrog,
+  yoshida: legacyYoshida,
+  rk4: legacyRungeKutta4,
+  hermite: legacyHermite
+};
@@ -0,0 +1,60 @@
+import { allPositionsAndVelocities } from './initial_conditions.js';
+import getAccelerations from './acceleration.js';
+import integrateOneStep from './integrator.js';
+
+import {
+  benchmarkArgs, legacyAccelerations, legacyIntegrators
+} from './benchmark.js';
+
+var expect = chai.expect;
+
+
+/**
+ * Returns the positions and velocities after the steps made with the
+ * typed arrays and with the previous version that used plain arrays.
+ */
+function integrate(integrator, steps) {
+  // The benchmark simulation with fewer stars
+  var args = Object.assign({}, benchmarkArgs, { numberOfRings: [3, 3] });
+  var { positions, velocities } = allPositionsAndVelocities(args);
+  var accelerations = new Float64Array(positions.length);
+  var physics = { integrator: integrator };
+
+  var legacy = {
+    positions: Array.from(positions),
+    velocities: Array.from(velocities),
+    accelerations: Array(positions.length).fill(0)
+  };
+
+  getAccelerations(args.masses, positions, accelerations, physics);
+  legacyAccelerations(args.masses, legacy.positions, legacy.accelerations);
+
+  for(let i = 0; i < steps; i++) {
+    integrateOneStep(0.1, args.masses, positions, velocities, accelerations,
+                     physics);
+
+    legacyIntegrators[integrator](0.1, args.masses, legacy.positions,
+                                  legacy.velocities, legacy.accelerations);
+  }
+
+  return {
+    positions: Array.from(positions),
+    velocities: Array.from(velocities),
+    legacy: legacy
+  };
+}
+
+
+describe('Benchmark', () => {
+  it('typed arrays give the same results as plain arrays', () => {
+    Object.keys(legacyIntegrators).forEach((integrator) => {
+      let result = integrate(integrator, 10);
+
+      expect(result.positions).to.deep.closeTo(result.legacy.positions,
+                                               1e-12);
+
+      expect(result.velocities).to.deep.closeTo(result.legacy.velocities,
+                                                1e-12);
+    });
+  });
+});
@@ -0,0 +1,241 @@
+// Individual (block) time steps. Each body is advanced with its own time
+// step, which is the full time step divided by a power of two. Stars that
+// pass close to a galaxy core are sub-stepped with small time steps, while
+// the other stars are advanced cheaply with the full time step
+// (Quinn et al. 1997, Makino 1991).
+
+import getAccelerations from './acceleration.js';
+import { addDynamicalFriction } from './dynamical_friction.js';
+import { enclosedMass } from './halo.js';
+import { buffer } from './buffers.js';
+
+
+/**
+ * Use one step of Leapfrog (kick-drift-kick) method with individual
+ * time steps. The time steps of the bodies are
+ *
+ *    dt_i = timeStep / 2^level_i,
+ *
+ * see `timeStepLevels`. The velocities of a body are kicked only at the
+ * beginning and the end of its own time step, and the accelerations are
+ * calculated only for the bodies that finish their time steps. The positions
+ * of the bodies are advanced to the current time before the forces
+ * are calculated. After finishing its time step, the body
+ * chooses a new time step. The time step can be made larger only when it
+ * fits into the larger time steps of the hierarchy.
+ *
+ * Parameters are the same as in `integrateOneStep` in integrator.js.
+ * The `physics` settings include:
+ *    timeStepAccuracy  The accuracy parameter, see `timeStepLevels`.
+ *    maxTimeStepLevel  The largest level of the time step.
+ */
+export function blockTimeStep(timeStep, masses, positions, velocities,
+                              accelerations, physics) {
+
+  // We measure time in ticks, the smallest possible time steps
+  let maxLevel = physics.maxTimeStepLevel;
+  let ticks = Math.pow(2, maxLevel);
+  let tickTime = timeStep / ticks;
+
+  let count = positions.length / 3;
+  let stepTicks = buffer("stepTicks", count);
+  let stepEnds = buffer("stepEnds", count);
+
+  for(let i = 0; i < count; i++) {
+    let level = timeStepLevel(i, timeStep, masses, positions, physics);
+    stepTicks[i] = Math.pow(2, maxLevel - level);
+    stepEnds[i] = stepTicks[i];
+  }
+
+  let time = 0;
+
+  // The times to which the positions of the bodies have been advanced
+  let driftTimes = buffer("driftTimes", count);
+
+  // Indexes of the bodies that finish their time steps
+  let activeBuffer = buffer("active", count);
+
+  // Advance velocities with half time step
+  for(let i = 0; i < stepEnds.length; i++) {
+    kick(i, 0.5 * tickTime * stepTicks[i], velocities, accelerations);
+  }
+
+  while (time < ticks) {
+    time = ticks;
+
+    for(let i = 0; i < stepEnds.length; i++) {
+      if (stepEnds[i] < time) time = stepEnds[i];
+    }
+
+    // Find the bodies that finish their time steps
+    let activeCount = 0;
+
+    for(let i = 0; i < stepEnds.length; i++) {
+      if (stepEnds[i] === time) activeBuffer[activeCount++] = i;
+    }
+
+    let active = activeBuffer.subarray(0, activeCount);
+
+    // Advance positions to the current time. The forces depend on the
+    // positions of all bodies only when the stars attract each other.
+    // Otherwise we only need the positions of the cores and the active stars.
+    let driftAll = physics.gravity === "tree" || physics.gravity === "mesh";
+    let drifted = driftAll || time === ticks ? null : active;
+
+    drift(drifted, masses.length, time, driftTimes, tickTime, positions,
+          velocities);
+
+    // Calculate new accelerations of the active bodies
+    updateAccelerations(masses, positions, velocities, accelerations, physics,
+                        active, timeStep);
+
+    for(let n = 0; n < active.length; n++) {
+      let i = active[n];
+
+      // Advance velocities with half time step
+      kick(i, 0.5 * tickTime * stepTicks[i], velocities, accelerations);
+
+      if (time === ticks) continue;
+
+      // Choose the new time step that ends at the tick divisible by its length
+      let level = timeStepLevel(i, timeStep, masses, positions, physics);
+      while (time % Math.pow(2, maxLevel - level) !== 0) level++;
+
+      stepTicks[i] = Math.pow(2, maxLevel - level);
+      stepEnds[i] = time + stepTicks[i];
+
+      // Advance velocities with half of the new time step
+      kick(i, 0.5 * tickTime * stepTicks[i], velocities, accelerations);
+    }
+  }
+}
+
+
+/**
+ * Calculate the accelerations of the active bodies, including the
+ * dynamical friction of the active cores if it is turned on. The friction
+ * is limited using the full `timeStep`, see `addDynamicalFriction`.
+ */
+function updateAccelerations(masses, positions, velocities, accelerations,
+                             physics, active, timeStep) {
+  getAccelerations(masses, positions, accelerations, physics, active);
+
+  if (!physics.dynamicalFriction || active[0] >= masses.length) return;
+
+  // The friction is calculated for all cores, but only added to the
+  // accelerations of the active cores
+  let friction = buffer("friction", masses.length * 3);
+  addDynamicalFriction(masses, positions, velocities, friction, physics,
+                       timeStep);
+
+  for(let i = 0; i < active.length && active[i] < masses.length; i++) {
+    let j = active[i] * 3;
+    accelerations[j] += friction[j];
+    accelerations[j + 1] += friction[j + 1];
+    accelerations[j + 2] += friction[j + 2];
+  }
+}
+
+
+/**
+ * Advance positions of the cores and the given bodies to the `time`.
+ * If `bodies` is null, advance the positions of all bodies.
+ */
+function drift(bodies, numberOfCores, time, driftTimes, tickTime, positions,
+               velocities) {
+
+  let count = bodies ? numberOfCores + bodies.length : driftTimes.length;
+
+  for(let n = 0; n < count; n++) {
+    let i = bodies && n >= numberOfCores ? bodies[n - numberOfCores] : n;
+    let duration = (time - driftTimes[i]) * tickTime;
+    let j = i * 3;
+
+    positions[j] += duration * velocities[j];
+    positions[j + 1] += duration * velocities[j + 1];
+    positions[j + 2] += duration * velocities[j + 2];
+    driftTimes[i] = time;
+  }
+}
+
+
+/**
+ * Change the velocity of a body by its acceleration times the time.
+ */
+function kick(iBody, time, velocities, accelerations) {
+  let j = iBody * 3;
+  velocities[j] += time * accelerations[j];
+  velocities[j + 1] += time * accelerations[j + 1];
+  velocities[j + 2] += time * accelerations[j + 2];
+}
+
+
+/**
+ * Calculate the levels of the time steps of the bodies. The desired
+ * time step of a body is
+ *
+ *    dt = eta * min over cores of sqrt(r^3 / M(r)),
+ *
+ * where
+ *    eta is the accuracy parameter `timeStepAccuracy`,
+ *    r is the distance from the body to a galaxy core,
+ *    M(r) is the mass of the core inside the distance r.
+ *
+ * The square root is the time the body takes to travel one radian of
+ * a circular orbit around the core. The level is the smallest number k
+ * for which timeStep / 2^k does not exceed the desired time step, but not
+ * larger than `maxTimeStepLevel`.
+ *
+ * @param  {number} timeStep    Length of the full time step.
+ * @param  {array} masses       The masses of the cores, i.e. [1, 1.5]
+ * @param  {array} positions    Position vectors of all bodies,
+ *                              first are galaxy cores, the rest are stars.
+ * @param  {object} physics     Settings of the physical model, see
+ *                              `blockTimeStep` and `getAccelerations`.
+ * @return {array} Levels of the time steps, one for each body.
+ */
+export function timeStepLevels(timeStep, masses, positions, physics) {
+  let levels = [];
+
+  for(let i = 0; i < positions.length / 3; i++) {
+    levels.push(timeStepLevel(i, timeStep, masses, positions, physics));
+  }
+
+  return levels;
+}
+
+
+/**
+ * Calculate the level of the time step of one body,
+ * see `timeStepLevels`.
+ */
+function timeStepLevel(iBody, timeStep, masses, positions, physics) {
+  let i = iBody;
+  let orbitalTime = Infinity;
+
+  for(let j = 0; j < masses.length; j++) {
+    if (i === j || masses[j] === 0) continue;
+
+    let dx = positions[j * 3] - positions[i * 3];
+    let dy = positions[j * 3 + 1] - positions[i * 3 + 1];
+    let dz = positions[j * 3 + 2] - positions[i * 3 + 2];
+    let distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+    // The body is located exactly at the core after merging
+    if (distance === 0) continue;
+
+    let mass = masses[j];
+
+    if (physics.haloProfiles) {
+      mass = enclosedMass(physics.haloProfiles[j], mass,
+                          physics.haloScaleRadii[j], distance);
+    }
+
+    orbitalTime = Math.min(orbitalTime,
+                           Math.sqrt(distance * distance * distance / mass));
+  }
+
+  let desiredTimeStep = physics.timeStepAccuracy * orbitalTime;
+  let level = Math.ceil(Math.log2(Math.abs(timeStep) / desiredTimeStep));
+  return Math.min(Math.max(level, 0), physics.maxTimeStepLevel);
+}
@@ -0,0 +1,99 @@
+import getAccelerations from './acceleration.js';
+import integrateOneStep from './integrator.js';
+import { blockTimeStep, timeStepLevels } from './block_time_steps.js';
+
+var expect = chai.expect;
+
+const physics = {
+  blockTimeSteps: true,
+  timeStepAccuracy: 0.2,
+  maxTimeStepLevel: 8
+};
+
+
+describe('Block time steps', () => {
+  it('timeStepLevels', () => {
+    const masses = [1];
+
+    // The core and three stars at distances 10, 1 and 0.1 from the core
+    const positions = [0, 0, 0, 10, 0, 0, 0, 1, 0, 0, 0, 0.1];
+
+    let levels = timeStepLevels(1, masses, positions, physics);
+
+    // Desired time steps are 0.2 * sqrt(r^3): 6.3, 0.2 and 0.0063
+    expect(levels).to.deep.equal([0, 0, 3, 8]);
+  });
+
+  it('timeStepLevels with negative time step', () => {
+    const masses = [1];
+    const positions = [0, 0, 0, 0, 1, 0];
+
+    let levels = timeStepLevels(-1, masses, positions, physics);
+
+    expect(levels).to.deep.equal([0, 3]);
+  });
+
+  it('blockTimeStep is the same as leapfrog for large distances', () => {
+    const masses = [1, 1];
+    const velocities = [0, 0.01, 0, 0, -0.01, 0, 0.1, 0, 0];
+    var positions = [10, 0, 0, -10, 0, 0, 0, 30, 0];
+    var accelerations = Array(9).fill(0);
+    getAccelerations(masses, positions, accelerations);
+
+    var expectedPositions = positions.slice();
+    var expectedVelocities = velocities.slice();
+    var expectedAccelerations = accelerations.slice();
+
+    integrateOneStep(0.1, masses, expectedPositions, expectedVelocities,
+                     expectedAccelerations);
+
+    var blockVelocities = velocities.slice();
+    blockTimeStep(0.1, masses, positions, blockVelocities, accelerations,
+                  physics);
+
+    expect(positions).to.deep.closeTo(expectedPositions, 1e-15);
+    expect(blockVelocities).to.deep.closeTo(expectedVelocities, 1e-15);
+    expect(accelerations).to.deep.closeTo(expectedAccelerations, 1e-15);
+  });
+
+  it('star passing close to a core', () => {
+    // The star starts at distance 2 from the core and passes the core at
+    // the distance of 0.08. Without sub-steps the star is kicked
+    // to a high speed close to the core.
+    function energyError(settings) {
+      const masses = [1];
+      var positions = [0, 0, 0, 2, 0, 0];
+      var velocities = [0, 0, 0, 0, 0.2, 0];
+      var accelerations = Array(6).fill(0);
+      getAccelerations(masses, positions, accelerations);
+
+      for(let i = 0; i < 4; i++) {
+        integrateOneStep(1, masses, positions, velocities, accelerations,
+                         settings);
+      }
+
+      let speed = Math.hypot(velocities[3], velocities[4], velocities[5]);
+      let distance = Math.hypot(positions[3], positions[4], positions[5]);
+      let initialEnergy = 0.02 - 0.5;
+      return Math.abs(speed * speed / 2 - 1 / distance - initialEnergy);
+    }
+
+    expect(energyError(physics)).to.be.below(0.1);
+    expect(energyError({})).to.be.above(1);
+  });
+
+  it('accelerations are up to date', () => {
+    const masses = [1, 0.5];
+    var positions = [0, 0, 0, 5, 0, 0, 0.3, 0, 0, 10, 0, 0];
+    var velocities = [0, -0.1, 0, 0, 0.3, 0, 0, 1.8, 0, 0, 0.4, 0];
+    var accelerations = Array(12).fill(0);
+    getAccelerations(masses, positions, accelerations);
+
+    blockTimeStep(1, masses, positions, velocities, accelerations, physics);
+
+    var expected = Array(12).fill(0);
+    getAccelerations(masses, positions, expected);
+
+    expect(accelerations).to.deep.closeTo(expected, 1e-15);
+  });
+});
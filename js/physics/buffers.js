@@ -0,0 +1,23 @@
+// Arrays for storing intermediate values of the physics calculations,
+// which are reused between the time steps to avoid allocating memory.
+
+var buffers = {};
+
+
+/**
+ * Returns a reusable array of given length filled with zeros.
+ *
+ * @param  {string} name   Name of the array, different for each use
+ *                         in all modules.
+ * @param  {number} length Length of the array.
+ * @return {Float64Array} The array.
+ */
+export function buffer(name, length) {
+  if (!buffers[name] || buffers[name].length !== length) {
+    buffers[name] = new Float64Array(length);
+  } else {
+    buffers[name].fill(0);
+  }
+
+  return buffers[name];
+}
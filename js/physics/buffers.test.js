@@ -0,0 +1,24 @@
+import { buffer } from './buffers.js';
+
+var expect = chai.expect;
+
+
+describe('Buffers', () => {
+  it('buffer is reused and filled with zeros', () => {
+    let first = buffer("bufferTest", 3);
+    first[1] = 5;
+
+    let second = buffer("bufferTest", 3);
+
+    expect(second).to.equal(first);
+    expect(Array.from(second)).to.deep.equal([0, 0, 0]);
+  });
+
+  it('buffer of a different length', () => {
+    let first = buffer("bufferTestLength", 3);
+    let second = buffer("bufferTestLength", 4);
+
+    expect(second).to.not.equal(first);
+    expect(second.length).to.equal(4);
+  });
+});
@@ -0,0 +1,458 @@
+// Conservation diagnostics. The total energy, momentum and angular momentum
+// of the galaxy cores are conserved by the equations of motion, and
+// the centre of mass of the cores moves with constant velocity. Their
+// changes since the start of the simulation are the errors of the numerical
+// integration, which tell us whether the results can be trusted.
+//
+// The quantities are not conserved when the cores are slowed down by
+// dynamical friction or attracted by the stars, when the cores merge,
+// or when the halos of the cores have different profiles, since the
+// forces between the cores are not mutual in that case.
+
+import { potential } from './halo.js';
+import { survivor } from './merger.js';
+
+
+/**
+ * Calculate the conserved quantities at the start of the simulation.
+ *
+ * @param  {array} masses     Masses of the galaxy cores.
+ * @param  {array} positions  Position vectors of all bodies,
+ *                            first are galaxy cores, the rest are stars.
+ * @param  {array} velocities Velocity vectors of all bodies.
+ * @param  {array} hosts      Index of the host core of each star,
+ *                            see `starHosts`.
+ * @param  {object} physics   (optional) Settings of the physical model,
+ *                            see `getAccelerations` in acceleration.js.
+ * @param  {number} starInterval (optional) Number of time steps between
+ *                            the calculations of the quantities of the stars,
+ *                            which take much longer than the ones of
+ *                            the cores. Default: every time step.
+ * @return {object} Diagnostics state:
+ *    time          Time since the start of the simulation.
+ *    hosts         The supplied `hosts`, which must be updated
+ *                  when the cores merge.
+ *    starInterval  The supplied `starInterval`.
+ *    steps         Number of time steps since the quantities of the stars
+ *                  were calculated.
+ *    initial       Quantities at the start, see `coreIntegrals`
+ *                  and `starIntegrals`.
+ *    current       Quantities at the current time.
+ *    drift         Relative changes of the quantities, see `update`.
+ */
+export function init(masses, positions, velocities, hosts, physics,
+                     starInterval=1) {
+
+  let cores = coreIntegrals(masses, positions, velocities, physics);
+
+  let stars = starIntegrals(masses, positions, velocities, hosts, physics,
+                            null, cores);
+
+  let state = {
+    time: 0,
+    hosts: hosts,
+    starInterval: starInterval,
+    steps: 0,
+    initial: { cores: cores, stars: stars },
+    current: {
+      cores: cores,
+      stars: {
+        energies: stars.energies.slice(),
+        jacobiIntegrals: stars.jacobiIntegrals.slice()
+      }
+    },
+    drift: {
+      energy: 0,
+      momentum: 0,
+      angularMomentum: 0,
+      centreOfMass: 0,
+      starEnergies: new Float64Array(stars.energies.length),
+      starJacobiIntegrals: new Float64Array(stars.energies.length)
+    }
+  };
+
+  return state;
+}
+
+
+/**
+ * Calculate the conserved quantities at the current time and their
+ * relative changes since the start of the simulation. The function is
+ * called after each time step. The quantities of the stars are calculated
+ * once in `starInterval` time steps, see `init`.
+ *
+ * The relative changes are stored in `state.drift`:
+ *    energy          |E - E0| / (T0 + |U0|), E is the total energy of
+ *                    the cores, T0 and U0 are their initial kinetic and
+ *                    potential energies. Dividing by |E0| would not work
+ *                    for parabolic orbits, where E0 is zero.
+ *    momentum        |P - P0| / sum(m |v0|), P is the total momentum.
+ *    angularMomentum |L - L0| / sum(m |r0 x v0|), L is the total angular
+ *                    momentum about the origin.
+ *    centreOfMass    |R - R0 - V0 t| / R_rms, where R and V are the
+ *                    position and velocity of the centre of mass,
+ *                    t is time and R_rms is the initial root mean square
+ *                    distance of the cores from their centre of mass.
+ *    starEnergies    Relative changes |e - e0| / |e0| of the specific
+ *                    energies of the stars, see `starIntegrals`.
+ *    starJacobiIntegrals Relative changes of the Jacobi integrals of
+ *                    the stars.
+ *
+ * If the denominator is zero, the absolute change is stored instead.
+ *
+ * @param  {object} state     Diagnostics state, see `init`.
+ * @param  {number} timeStep  Time elapsed since the previous call.
+ * @param  {number} steps     (optional) Number of time steps made since
+ *                            the previous call. Default: 1.
+ * Other parameters are the same as in `init`.
+ */
+export function update(state, timeStep, masses, positions, velocities,
+                       physics, steps=1) {
+
+  state.time += timeStep;
+
+  let cores = coreIntegrals(masses, positions, velocities, physics);
+  state.current.cores = cores;
+
+  let initial = state.initial.cores;
+  let drift = state.drift;
+
+  drift.energy = relativeChange(cores.energy - initial.energy,
+                                initial.energyScale);
+
+  drift.momentum = relativeChange(
+    length(subtract(cores.momentum, initial.momentum)),
+    initial.momentumScale);
+
+  drift.angularMomentum = relativeChange(
+    length(subtract(cores.angularMomentum, initial.angularMomentum)),
+    initial.angularMomentumScale);
+
+  // Position of the centre of mass if it moved with constant velocity
+  let expectedCentre = initial.centreOfMass.map((x, k) =>
+    x + initial.centreOfMassVelocity[k] * state.time);
+
+  drift.centreOfMass = relativeChange(
+    length(subtract(cores.centreOfMass, expectedCentre)),
+    initial.radius);
+
+  state.steps += steps;
+  if (state.steps < state.starInterval) return;
+
+  state.steps = 0;
+
+  // The arrays of the previous step are reused
+  let stars = starIntegrals(masses, positions, velocities, state.hosts,
+                            physics, state.current.stars, cores);
+
+  let initialStars = state.initial.stars;
+
+  for(let i = 0; i < stars.energies.length; i++) {
+    drift.starEnergies[i] = relativeChange(
+      stars.energies[i] - initialStars.energies[i],
+      Math.abs(initialStars.energies[i]));
+
+    drift.starJacobiIntegrals[i] = relativeChange(
+      stars.jacobiIntegrals[i] - initialStars.jacobiIntegrals[i],
+      Math.abs(initialStars.jacobiIntegrals[i]));
+  }
+}
+
+
+/**
+ * Check if the errors of the conserved quantities of the cores
+ * exceed the threshold.
+ *
+ * @param  {object} drift     Relative changes, see `update`.
+ * @param  {number} threshold The largest acceptable relative change,
+ *                            i.e. 0.01.
+ * @return {boolean} True if any of the changes exceed the threshold.
+ */
+export function exceedsThreshold(drift, threshold) {
+  return drift.energy > threshold || drift.momentum > threshold ||
+         drift.angularMomentum > threshold || drift.centreOfMass > threshold;
+}
+
+
+/**
+ * Calculate the conserved quantities of the galaxy cores. Cores with zero
+ * mass, which have merged into other cores, are ignored.
+ *
+ * @param  {array} masses     Masses of the galaxy cores.
+ * @param  {array} positions  Position vectors of all bodies,
+ *                            first are galaxy cores, the rest are stars.
+ * @param  {array} velocities Velocity vectors of all bodies.
+ * @param  {object} physics   (optional) Settings of the physical model:
+ *    haloProfiles    Names of halo profiles of the cores.
+ *    haloScaleRadii  Scale radii of the halos of the cores.
+ * @return {object} The quantities:
+ *    energy          Total kinetic and potential energy.
+ *    momentum        Total momentum vector.
+ *    angularMomentum Total angular momentum vector about the origin.
+ *    centreOfMass    Position vector of the centre of mass.
+ *    centreOfMassVelocity Velocity vector of the centre of mass.
+ *    angularVelocity Angular velocity vector of the cores about their
+ *                    centre of mass, see `starIntegrals`.
+ *    energyScale     Sum of the kinetic and the magnitude of the potential
+ *                    energies, which is not zero for a parabolic orbit.
+ *    momentumScale   Sum of the magnitudes of momenta of the cores.
+ *    angularMomentumScale Sum of the magnitudes of angular momenta
+ *                    of the cores.
+ *    radius          Root mean square distance of the cores from
+ *                    the centre of mass, weighted by mass.
+ */
+export function coreIntegrals(masses, positions, velocities, physics) {
+  let totalMass = 0;
+  let kineticEnergy = 0;
+  let potentialEnergy = 0;
+  let momentum = [0, 0, 0];
+  let angularMomentum = [0, 0, 0];
+  let centreOfMass = [0, 0, 0];
+  let momentumScale = 0;
+  let angularMomentumScale = 0;
+
+  for(let i = 0; i < masses.length; i++) {
+    let mass = masses[i];
+    if (mass === 0) continue;
+
+    let r = vector(positions, i);
+    let v = vector(velocities, i);
+    let rCrossV = cross(r, v);
+
+    totalMass += mass;
+    kineticEnergy += 0.5 * mass * dot(v, v);
+    momentumScale += mass * length(v);
+    angularMomentumScale += mass * length(rCrossV);
+
+    for(let k = 0; k < 3; k++) {
+      momentum[k] += mass * v[k];
+      angularMomentum[k] += mass * rCrossV[k];
+      centreOfMass[k] += mass * r[k];
+    }
+
+    // Potential energy of the pairs of cores
+    for(let j = i + 1; j < masses.length; j++) {
+      if (masses[j] === 0) continue;
+
+      let distance = length(subtract(vector(positions, j), r));
+      if (distance === 0) continue;
+
+      potentialEnergy += 0.5 * (
+        mass * corePotential(masses, j, distance, physics) +
+        masses[j] * corePotential(masses, i, distance, physics));
+    }
+  }
+
+  if (totalMass === 0) totalMass = 1;
+
+  centreOfMass = centreOfMass.map((x) => x / totalMass);
+  let centreOfMassVelocity = momentum.map((p) => p / totalMass);
+
+  // Angular momentum and moment of inertia about the centre of mass
+  let internalAngularMomentum = [0, 0, 0];
+  let momentOfInertia = 0;
+
+  for(let i = 0; i < masses.length; i++) {
+    if (masses[i] === 0) continue;
+
+    let r = subtract(vector(positions, i), centreOfMass);
+    let v = subtract(vector(velocities, i), centreOfMassVelocity);
+    let rCrossV = cross(r, v);
+
+    momentOfInertia += masses[i] * dot(r, r);
+
+    for(let k = 0; k < 3; k++) {
+      internalAngularMomentum[k] += masses[i] * rCrossV[k];
+    }
+  }
+
+  let angularVelocity = internalAngularMomentum.map((l) =>
+    momentOfInertia === 0 ? 0 : l / momentOfInertia);
+
+  return {
+    energy: kineticEnergy + potentialEnergy,
+    energyScale: kineticEnergy + Math.abs(potentialEnergy),
+    momentum: momentum,
+    angularMomentum: angularMomentum,
+    centreOfMass: centreOfMass,
+    centreOfMassVelocity: centreOfMassVelocity,
+    angularVelocity: angularVelocity,
+    momentumScale: momentumScale,
+    angularMomentumScale: angularMomentumScale,
+    radius: Math.sqrt(momentOfInertia / totalMass)
+  };
+}
+
+
+/**
+ * Calculate the conserved quantities of the stars. The specific energy of
+ * a star (energy per unit mass) is measured relative to its host core:
+ *
+ *    e = |v - v_h|^2 / 2 + phi_h(|r - r_h|),
+ *
+ * where r_h, v_h are the position and velocity of the host core and phi_h is
+ * the potential of its halo. The energy is conserved while the star is far
+ * from the other cores.
+ *
+ * The Jacobi integral is the energy of the star in the frame rotating
+ * together with the cores:
+ *
+ *    E_J = |v|^2 / 2 + sum over cores of phi(|r - r_c|) - w . (r x v),
+ *
+ * where r and v are measured from the centre of mass of the cores,
+ * and w is the angular velocity vector of the cores, the angular momentum
+ * of the cores divided by their moment of inertia. It is conserved exactly
+ * when two cores move on circular orbits.
+ *
+ * @param  {array} masses     Masses of the galaxy cores.
+ * @param  {array} positions  Position vectors of all bodies,
+ *                            first are galaxy cores, the rest are stars.
+ * @param  {array} velocities Velocity vectors of all bodies.
+ * @param  {array} hosts      Index of the host core of each star,
+ *                            see `starHosts`.
+ * @param  {object} physics   (optional) Settings of the physical model,
+ *                            see `coreIntegrals`.
+ * @param  {object} result    (optional) The object returned previously,
+ *                            which is updated instead of creating a new one.
+ * @param  {object} cores     (optional) The quantities of the cores at
+ *                            the same time, see `coreIntegrals`.
+ * @return {object} The quantities:
+ *    energies        Specific energies of the stars relative to their hosts.
+ *    jacobiIntegrals The Jacobi integrals of the stars.
+ */
+export function starIntegrals(masses, positions, velocities, hosts, physics,
+                              result, cores) {
+  if (!cores) cores = coreIntegrals(masses, positions, velocities, physics);
+
+  let [cx, cy, cz] = cores.centreOfMass;
+  let [cvx, cvy, cvz] = cores.centreOfMassVelocity;
+  let [wx, wy, wz] = cores.angularVelocity;
+  let numberOfCores = masses.length;
+  let numberOfStars = positions.length / 3 - numberOfCores;
+
+  if (!result) {
+    result = {
+      energies: new Float64Array(numberOfStars),
+      jacobiIntegrals: new Float64Array(numberOfStars)
+    };
+  }
+
+  let energies = result.energies;
+  let jacobiIntegrals = result.jacobiIntegrals;
+
+  for(let iStar = 0; iStar < numberOfStars; iStar++) {
+    let i = (iStar + numberOfCores) * 3;
+    let x = positions[i], y = positions[i + 1], z = positions[i + 2];
+    let vx = velocities[i], vy = velocities[i + 1], vz = velocities[i + 2];
+
+    // Energy relative to the host core
+    let host = hosts[iStar];
+    let h = host * 3;
+    let dvx = vx - velocities[h];
+    let dvy = vy - velocities[h + 1];
+    let dvz = vz - velocities[h + 2];
+
+    let hostDistance = distanceTo(positions, host, x, y, z);
+
+    energies[iStar] = 0.5 * (dvx * dvx + dvy * dvy + dvz * dvz) +
+                      corePotential(masses, host, hostDistance, physics);
+
+    // Jacobi integral
+    let totalPotential = 0;
+
+    for(let j = 0; j < numberOfCores; j++) {
+      if (masses[j] === 0) continue;
+
+      let distance = distanceTo(positions, j, x, y, z);
+      totalPotential += corePotential(masses, j, distance, physics);
+    }
+
+    // Position and velocity relative to the centre of mass of the cores
+    x -= cx; y -= cy; z -= cz;
+    vx -= cvx; vy -= cvy; vz -= cvz;
+
+    let rotation = wx * (y * vz - z * vy) + wy * (z * vx - x * vz) +
+                   wz * (x * vy - y * vx);
+
+    jacobiIntegrals[iStar] = 0.5 * (vx * vx + vy * vy + vz * vz) +
+                             totalPotential - rotation;
+  }
+
+  return result;
+}
+
+
+/**
+ * Find the host core of each star: the core of the galaxy the star
+ * was born in, or the core that absorbed it after merging.
+ *
+ * @param  {array} starsInGalaxies Number of stars in each galaxy,
+ *                            see `numberOfStarsInGalaxies`
+ *                            in initial_conditions.js.
+ * @param  {array} mergedInto The merger state, see merger.js.
+ * @return {array} Index of the host core of each star.
+ */
+export function starHosts(starsInGalaxies, mergedInto) {
+  let hosts = [];
+
+  starsInGalaxies.forEach((stars, iGalaxy) => {
+    let host = survivor(mergedInto, iGalaxy);
+
+    for(let i = 0; i < stars; i++) hosts.push(host);
+  });
+
+  return hosts;
+}
+
+
+/**
+ * Returns the potential of the core at given distance.
+ */
+function corePotential(masses, iCore, distance, physics) {
+  if (physics && physics.haloProfiles) {
+    return potential(physics.haloProfiles[iCore], masses[iCore],
+                     physics.haloScaleRadii[iCore], distance);
+  }
+
+  return -masses[iCore] / distance;
+}
+
+
+function distanceTo(positions, iBody, x, y, z) {
+  let dx = x - positions[iBody * 3];
+  let dy = y - positions[iBody * 3 + 1];
+  let dz = z - positions[iBody * 3 + 2];
+  return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
+
+
+function relativeChange(change, scale) {
+  return scale === 0 ? Math.abs(change) : Math.abs(change) / scale;
+}
+
+
+function vector(values, iBody) {
+  return [values[iBody * 3], values[iBody * 3 + 1], values[iBody * 3 + 2]];
+}
+
+
+function subtract(a, b) {
+  return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+}
+
+
+function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+
+function cross(a, b) {
+  return [a[1] * b[2] - a[2] * b[1],
+          a[2] * b[0] - a[0] * b[2],
+          a[0] * b[1] - a[1] * b[0]];
+}
+
+
+function length(a) {
+  return Math.sqrt(dot(a, a));
+}
@@ -0,0 +1,193 @@
+import getAccelerations from './acceleration.js';
+import integrateOneStep from './integrator.js';
+import {
+  init, update, exceedsThreshold, coreIntegrals, starIntegrals, starHosts
+} from './diagnostics.js';
+
+var expect = chai.expect;
+
+
+// Two cores of unit masses on a circular orbit with period 4 pi,
+// and a star orbiting the first core
+function circularOrbit() {
+  return {
+    masses: [1, 1],
+    positions: [1, 0, 0, -1, 0, 0, 1, 0.5, 0],
+    velocities: [0, 0.5, 0, 0, -0.5, 0, -Math.sqrt(2), 0.5, 0]
+  };
+}
+
+
+// Integrate the equations of motion and update the diagnostics
+function evolve(bodies, timeStep, steps) {
+  var accelerations = Array(bodies.positions.length).fill(0);
+  getAccelerations(bodies.masses, bodies.positions, accelerations);
+
+  var state = init(bodies.masses, bodies.positions, bodies.velocities,
+                   [0], null);
+
+  for(let i = 0; i < steps; i++) {
+    integrateOneStep(timeStep, bodies.masses, bodies.positions,
+                     bodies.velocities, accelerations);
+
+    update(state, timeStep, bodies.masses, bodies.positions,
+           bodies.velocities, null);
+  }
+
+  return state;
+}
+
+
+describe('Diagnostics', () => {
+  it('coreIntegrals', () => {
+    let { masses, positions, velocities } = circularOrbit();
+
+    let result = coreIntegrals(masses, positions, velocities);
+
+    // Kinetic energy 0.25 and potential energy -0.5
+    expect(result.energy).to.closeTo(-0.25, 1e-15);
+    expect(result.momentum).to.deep.closeTo([0, 0, 0], 1e-15);
+    expect(result.angularMomentum).to.deep.closeTo([0, 0, 1], 1e-15);
+    expect(result.centreOfMass).to.deep.closeTo([0, 0, 0], 1e-15);
+    expect(result.angularVelocity).to.deep.closeTo([0, 0, 0.5], 1e-15);
+    expect(result.energyScale).to.closeTo(0.75, 1e-15);
+    expect(result.momentumScale).to.closeTo(1, 1e-15);
+    expect(result.radius).to.closeTo(1, 1e-15);
+  });
+
+  it('coreIntegrals with halos', () => {
+    let { masses, positions, velocities } = circularOrbit();
+
+    let physics = {
+      haloProfiles: ["plummer", "plummer"],
+      haloScaleRadii: [2, 2]
+    };
+
+    let result = coreIntegrals(masses, positions, velocities, physics);
+
+    // Potential energy is -1 / sqrt(2^2 + 2^2)
+    expect(result.energy).to.closeTo(0.25 - 1 / Math.sqrt(8), 1e-15);
+  });
+
+  it('coreIntegrals ignore merged cores', () => {
+    let { positions, velocities } = circularOrbit();
+
+    let result = coreIntegrals([2, 0], positions, velocities);
+
+    expect(result.energy).to.closeTo(0.25, 1e-15);
+    expect(result.centreOfMass).to.deep.closeTo([1, 0, 0], 1e-15);
+  });
+
+  it('starIntegrals', () => {
+    let { masses, positions, velocities } = circularOrbit();
+
+    let result = starIntegrals(masses, positions, velocities, [0]);
+
+    // Relative to the host, the star moves with speed sqrt(2) at distance 0.5
+    expect(result.energies.length).to.equal(1);
+    expect(result.energies[0]).to.closeTo(1 - 2, 1e-15);
+
+    // Jacobi integral
+    let kinetic = 0.5 * (2 + 0.25);
+    let potential = -2 - 1 / Math.hypot(2, 0.5);
+    let rotation = 0.5 * (1 * 0.5 - 0.5 * -Math.sqrt(2));
+
+    expect(result.jacobiIntegrals[0]).to.closeTo(
+      kinetic + potential - rotation, 1e-15);
+  });
+
+  it('starHosts', () => {
+    expect(starHosts([2, 1], [-1, -1])).to.deep.equal([0, 0, 1]);
+
+    // The second galaxy merged into the first one
+    expect(starHosts([2, 1], [-1, 0])).to.deep.equal([0, 0, 0]);
+  });
+
+  it('conserved quantities of accurate simulation', () => {
+    let state = evolve(circularOrbit(), 0.01, 1000);
+
+    expect(state.time).to.closeTo(10, 1e-10);
+    expect(state.drift.energy).to.be.below(1e-4);
+    expect(state.drift.momentum).to.be.below(1e-13);
+    expect(state.drift.angularMomentum).to.be.below(1e-13);
+    expect(state.drift.centreOfMass).to.be.below(1e-13);
+    expect(exceedsThreshold(state.drift, 0.01)).to.equal(false);
+
+    // The star is far from the second core
+    expect(state.drift.starEnergies[0]).to.be.below(0.01);
+
+    // The cores move on circular orbits
+    expect(state.drift.starJacobiIntegrals[0]).to.be.below(0.01);
+  });
+
+  it('inaccurate simulation exceeds the threshold', () => {
+    // Cores fall towards each other from rest and pass very close
+    let bodies = {
+      masses: [1, 1],
+      positions: [1, 0.01, 0, -1, -0.01, 0],
+      velocities: [0, 0, 0, 0, 0, 0]
+    };
+
+    let state = evolve(bodies, 0.5, 4);
+
+    expect(state.drift.energy).to.be.above(0.01);
+    expect(exceedsThreshold(state.drift, 0.01)).to.equal(true);
+  });
+
+  it('energy drift of parabolic orbit', () => {
+    // Zero total energy: the relative speed is sqrt(2 (m1 + m2) / r)
+    let bodies = {
+      masses: [1, 1],
+      positions: [1, 0, 0, -1, 0, 0],
+      velocities: [0, Math.sqrt(0.5), 0, 0, -Math.sqrt(0.5), 0]
+    };
+
+    expect(Math.abs(coreIntegrals(bodies.masses, bodies.positions,
+                                  bodies.velocities).energy))
+      .to.be.below(1e-15);
+
+    let state = evolve(bodies, 0.01, 100);
+
+    expect(state.drift.energy).to.be.below(1e-4);
+    expect(exceedsThreshold(state.drift, 0.01)).to.equal(false);
+  });
+
+  it('centre of mass moving with constant velocity', () => {
+    let bodies = circularOrbit();
+
+    // Move both cores with the same velocity
+    bodies.velocities = bodies.velocities.map((v, i) => i % 3 === 0 ? v + 1 : v);
+
+    let state = evolve(bodies, 0.01, 100);
+
+    expect(state.current.cores.centreOfMass).to.deep.closeTo([1, 0, 0], 1e-10);
+    expect(state.drift.centreOfMass).to.be.below(1e-10);
+  });
+
+  it('quantities of the stars are calculated once in the interval', () => {
+    let { masses, positions, velocities } = circularOrbit();
+    let state = init(masses, positions, velocities, [0], null, 3);
+
+    // Move the star and the first core
+    positions[1] = 0.1;
+    positions[7] = 0.7;
+
+    update(state, 0.1, masses, positions, velocities, null);
+    expect(state.drift.energy).to.be.above(0);
+    expect(state.drift.starEnergies[0]).to.equal(0);
+
+    // Several steps made by the web workers
+    update(state, 0.2, masses, positions, velocities, null, 2);
+    expect(state.drift.starEnergies[0]).to.be.above(0);
+    expect(state.steps).to.equal(0);
+  });
+
+  it('starIntegrals with the core integrals', () => {
+    let { masses, positions, velocities } = circularOrbit();
+    let cores = coreIntegrals(masses, positions, velocities);
+
+    expect(starIntegrals(masses, positions, velocities, [0], null, null,
+                         cores))
+      .to.deep.equal(starIntegrals(masses, positions, velocities, [0]));
+  });
+});
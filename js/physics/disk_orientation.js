@@ -0,0 +1,71 @@
+// Orientation of a galaxy disk relative to the orbit of the cores,
+// described by two angles as in Toomre & Toomre (1972):
+//
+//    i  the inclination of the disk plane relative to the orbit plane,
+//       i = 0 is a disk rotating in the same direction as the cores orbit
+//       (direct passage), i = 180 is a retrograde disk;
+//
+//    ω  the argument of the pericentre, the angle measured in the orbit
+//       plane from the ascending node (where the companion core crosses
+//       the disk plane to the side of the disk spin) to the direction of
+//       the companion at pericentre, in the direction of the orbital motion.
+//
+// The orbit of the cores lies in the x-y plane and the disk is first placed
+// in the same plane, rotating counterclockwise. The disk is then tilted by
+// the angle i around the line of nodes.
+
+
+/**
+ * Calculate the matrix that rotates a disk from the orbit plane
+ * to its orientation.
+ *
+ * @param  {number} inclinationDegree Inclination i of the disk.
+ * @param  {number} pericenterArgumentDegree Argument of the pericentre ω.
+ *                  The default 270 tilts the disk around the y-axis when
+ *                  the pericentre is in the direction of the negative x-axis.
+ * @param  {number} pericenterDirectionDegree Direction from the core to the
+ *                  companion at pericentre, the angle in the orbit plane
+ *                  measured counterclockwise from the x-axis. Default: 180.
+ * @return {array} Rotation matrix [m11, m12, m13, m21, ..., m33].
+ */
+export function diskRotationMatrix(inclinationDegree,
+                                   pericenterArgumentDegree=270,
+                                   pericenterDirectionDegree=180) {
+
+  let inclination = inclinationDegree * Math.PI / 180;
+
+  // Direction of the ascending node in the orbit plane
+  let nodeAngle = (pericenterDirectionDegree - pericenterArgumentDegree) *
+                  Math.PI / 180;
+
+  let nx = Math.cos(nodeAngle);
+  let ny = Math.sin(nodeAngle);
+  let cos = Math.cos(inclination);
+  let sin = Math.sin(inclination);
+
+  // Rotation by angle -i around the unit vector (nx, ny, 0), from Rodrigues'
+  // rotation formula. The negative angle tilts the disk spin away from the
+  // direction of the orbital motion at the node, so that the companion
+  // crosses the disk plane to the side of the spin.
+  return [
+    cos + nx * nx * (1 - cos), nx * ny * (1 - cos), -ny * sin,
+    nx * ny * (1 - cos), cos + ny * ny * (1 - cos), nx * sin,
+    ny * sin, -nx * sin, cos
+  ];
+}
+
+
+/**
+ * Rotate a vector.
+ *
+ * @param  {array} matrix Rotation matrix, see `diskRotationMatrix`.
+ * @param  {number} x, y, z Components of the vector.
+ * @return {array} The rotated vector [x, y, z].
+ */
+export function rotate(matrix, x, y, z) {
+  return [
+    matrix[0] * x + matrix[1] * y + matrix[2] * z,
+    matrix[3] * x + matrix[4] * y + matrix[5] * z,
+    matrix[6] * x + matrix[7] * y + matrix[8] * z
+  ];
+}
@@ -0,0 +1,92 @@
+import { diskRotationMatrix, rotate } from './disk_orientation.js';
+
+var expect = chai.expect;
+
+
+// Direction of the rotation axis of the disk
+function spin(matrix) {
+  return rotate(matrix, 0, 0, 1);
+}
+
+
+function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+
+describe('Disk orientation', () => {
+  it('rotate', () => {
+    let matrix = [1, 2, 3, 4, 5, 6, 7, 8, 9];
+    expect(rotate(matrix, 1, 0, -1)).to.deep.equal([-2, -2, -2]);
+  });
+
+  it('diskRotationMatrix is a rotation', () => {
+    let matrix = diskRotationMatrix(35, 120, 180);
+    let x = rotate(matrix, 1, 0, 0);
+    let y = rotate(matrix, 0, 1, 0);
+    let z = rotate(matrix, 0, 0, 1);
+
+    expect(dot(x, x)).to.closeTo(1, 1e-13);
+    expect(dot(y, y)).to.closeTo(1, 1e-13);
+    expect(dot(x, y)).to.closeTo(0, 1e-13);
+    expect(dot(x, z)).to.closeTo(0, 1e-13);
+
+    // Right-handed: x × y = z
+    expect([x[1] * y[2] - x[2] * y[1],
+            x[2] * y[0] - x[0] * y[2],
+            x[0] * y[1] - x[1] * y[0]]).to.deep.closeTo(z, 1e-13);
+  });
+
+  it('default tilts the disk around the y-axis', () => {
+    let angle = 60 * Math.PI / 180;
+
+    expect(diskRotationMatrix(60)).to.deep.closeTo([
+      Math.cos(angle), 0, Math.sin(angle),
+      0, 1, 0,
+      -Math.sin(angle), 0, Math.cos(angle)
+    ], 1e-13);
+  });
+
+  it('direct and retrograde disks', () => {
+    // Zero inclination does not rotate the disk
+    expect(diskRotationMatrix(0, 37, 180)).to.deep.closeTo(
+      [1, 0, 0, 0, 1, 0, 0, 0, 1], 1e-13);
+
+    // The retrograde disk rotates clockwise
+    expect(spin(diskRotationMatrix(180, 37, 180))).to.deep.closeTo(
+      [0, 0, -1], 1e-13);
+  });
+
+  it('argument of pericentre', () => {
+    // Direction to the companion at pericentre
+    let pericenter = [-1, 0, 0];
+
+    // With zero argument the pericentre is on the line of nodes,
+    // which lies in the plane of the disk
+    expect(dot(spin(diskRotationMatrix(90, 0, 180)), pericenter)).to.closeTo(
+      0, 1e-13);
+
+    expect(dot(spin(diskRotationMatrix(40, 0, 180)), pericenter)).to.closeTo(
+      0, 1e-13);
+
+    // The companion moves counterclockwise and crosses the disk plane
+    // at the ascending node to the side of the disk spin
+    let orbitalMotion = [0, -1, 0];
+
+    expect(dot(spin(diskRotationMatrix(40, 0, 180)), orbitalMotion))
+      .to.closeTo(Math.sin(40 * Math.PI / 180), 1e-13);
+
+    // With 90 degree argument the pericentre is the furthest from the
+    // disk plane, and the angle between the pericentre and the disk plane
+    // is the inclination
+    expect(dot(spin(diskRotationMatrix(90, 90, 180)), pericenter)).to.closeTo(
+      1, 1e-13);
+
+    expect(dot(spin(diskRotationMatrix(40, 90, 180)), pericenter)).to.closeTo(
+      Math.sin(40 * Math.PI / 180), 1e-13);
+
+    // Pericentre in the direction of the x-axis
+    expect(dot(spin(diskRotationMatrix(40, 90, 0)), [1, 0, 0])).to.closeTo(
+      Math.sin(40 * Math.PI / 180), 1e-13);
+  });
+});
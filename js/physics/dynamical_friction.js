@@ -0,0 +1,116 @@
+// Dynamical friction: the drag force on a galaxy core moving through
+// the dark matter halo of another galaxy. The drag makes the cores lose
+// their orbital energy, spiral in and eventually merge.
+
+import { circularSpeed } from './halo.js';
+
+
+/**
+ * Add the accelerations due to dynamical friction to the accelerations
+ * of the galaxy cores. We use Chandrasekhar's formula
+ * (Binney & Tremaine 2008, Eq. 8.7):
+ *
+ *    a = -4 pi G^2 M rho lnL [erf(X) - 2 X exp(-X^2) / sqrt(pi)] v / v^3,
+ *
+ * where
+ *    M is the mass of the core,
+ *    rho is the density of the halo the core is moving through. We assume
+ *      the density falls off with distance r from the halo centre as
+ *      rho = rho_0 / (1 + r^2 / a^2), where rho_0 is the central density
+ *      and a is the scale radius of the halo,
+ *    lnL is the Coulomb logarithm,
+ *    v is the velocity of the core relative to the halo,
+ *    X = v / (sqrt(2) sigma),
+ *    sigma is the velocity dispersion of the halo. We assume the halo is
+ *      isothermal, where sigma = v_c / sqrt(2), and v_c is the circular
+ *      speed around the halo centre.
+ *
+ * @param  {array} masses     Masses of the galaxy cores.
+ * @param  {array} positions  Position vectors of all bodies,
+ *                            first are galaxy cores, the rest are stars.
+ * @param  {array} velocities Velocity vectors of all bodies.
+ * @param  {array} accelerations Acceleration vectors of all bodies. The array
+ *                            will be updated with new accelerations.
+ * @param  {object} physics   Settings of the physical model:
+ *    haloDensity       Central density of the halos rho_0.
+ *    coulombLogarithm  The Coulomb logarithm lnL.
+ *    haloProfiles      (optional) Names of halo profiles of the cores.
+ *    haloScaleRadii    (optional) Scale radii of the halos of the cores.
+ * @param  {number} timeStep  (optional) Length of the time step. The drag is
+ *                            limited so that in one time step it does not
+ *                            change the velocity of the core relative to
+ *                            the halo by more than the velocity itself.
+ */
+export function addDynamicalFriction(masses, positions, velocities,
+                                     accelerations, physics, timeStep) {
+  const cores = masses.length;
+
+  // Loop over the cores that experience the drag
+  for(let i = 0; i < cores; i++) {
+    if (masses[i] === 0) continue;
+
+    // Loop over the halos the i-th core is moving through
+    for(let j = 0; j < cores; j++) {
+      if (i == j || masses[j] === 0) continue;
+
+      let dx = positions[i*3] - positions[j*3];
+      let dy = positions[i*3 + 1] - positions[j*3 + 1];
+      let dz = positions[i*3 + 2] - positions[j*3 + 2];
+      let distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+      // Velocity of the i-th core relative to the j-th halo
+      let vx = velocities[i*3] - velocities[j*3];
+      let vy = velocities[i*3 + 1] - velocities[j*3 + 1];
+      let vz = velocities[i*3 + 2] - velocities[j*3 + 2];
+      let speed = Math.sqrt(vx * vx + vy * vy + vz * vz);
+
+      if (speed === 0 || distance === 0) continue;
+
+      let profile = physics.haloProfiles ? physics.haloProfiles[j] : "point";
+      let scaleRadius = physics.haloScaleRadii ? physics.haloScaleRadii[j] : 10;
+
+      let x = distance / scaleRadius;
+      let density = physics.haloDensity / (1 + x * x);
+
+      // Velocity dispersion of the halo
+      let sigma = circularSpeed(profile, masses[j], scaleRadius, distance) /
+                  Math.SQRT2;
+
+      let X = speed / (Math.SQRT2 * sigma);
+
+      let factor = erf(X) - 2 * X * Math.exp(-X * X) / Math.sqrt(Math.PI);
+
+      let drag = 4 * Math.PI * masses[i] * density *
+                 physics.coulombLogarithm * factor /
+                 (speed * speed * speed);
+
+      // The change of the velocity in one step, drag * speed * timeStep,
+      // must not be larger than the speed
+      if (timeStep) drag = Math.min(drag, 1 / Math.abs(timeStep));
+
+      accelerations[i*3] -= drag * vx;
+      accelerations[i*3 + 1] -= drag * vy;
+      accelerations[i*3 + 2] -= drag * vz;
+    }
+  }
+}
+
+
+/**
+ * Calculate the error function using approximation 7.1.26
+ * from Abramowitz & Stegun (1964), which has maximum error of 1.5e-7.
+ *
+ * @param  {number} x Function argument.
+ * @return {number} Value of the error function erf(x).
+ */
+export function erf(x) {
+  let sign = x < 0 ? -1 : 1;
+  x = Math.abs(x);
+
+  let t = 1 / (1 + 0.3275911 * x);
+
+  let y = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t -
+                0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+
+  return sign * y;
+}
@@ -0,0 +1,70 @@
+import { addDynamicalFriction, erf } from './dynamical_friction.js';
+
+var expect = chai.expect;
+
+describe('Dynamical friction', () => {
+  it('addDynamicalFriction', () => {
+    let masses = [1, 2];
+    let positions = [0, 0, 0, 10, 0, 0];
+    let velocities = [0, 0, 0, 0, 0.3, 0];
+    let accelerations = [0, 0, 0, 0, 0, 0];
+
+    let physics = {
+      haloDensity: 0.001,
+      coulombLogarithm: 3,
+      haloProfiles: ["point", "point"],
+      haloScaleRadii: [10, 10]
+    };
+
+    addDynamicalFriction(masses, positions, velocities, accelerations, physics);
+
+    // The drag is opposite to the velocity relative to the other core
+    expect(accelerations[0]).to.equal(0);
+    expect(accelerations[1]).to.closeTo(0.0365623185073130, 1e-13);
+    expect(accelerations[2]).to.equal(0);
+
+    expect(accelerations[3]).to.equal(0);
+    expect(accelerations[4]).to.closeTo(-0.161295623238090, 1e-13);
+    expect(accelerations[5]).to.equal(0);
+  });
+
+  it('addDynamicalFriction limits the drag in one time step', () => {
+    let masses = [1, 2];
+    let positions = [0, 0, 0, 10, 0, 0];
+    let velocities = [0, 0, 0, 0, 0.3, 0];
+    let accelerations = [0, 0, 0, 0, 0, 0];
+
+    let physics = {
+      haloDensity: 1,
+      coulombLogarithm: 3,
+      haloProfiles: ["point", "point"],
+      haloScaleRadii: [10, 10]
+    };
+
+    addDynamicalFriction(masses, positions, velocities, accelerations, physics,
+                         -2);
+
+    // The relative velocity 0.3 is changed by at most 0.3 in the time step
+    expect(accelerations[1]).to.closeTo(0.15, 1e-13);
+    expect(accelerations[4]).to.closeTo(-0.15, 1e-13);
+  });
+
+  it('addDynamicalFriction ignores merged cores', () => {
+    let masses = [1, 0];
+    let positions = [0, 0, 0, 0, 0, 0];
+    let velocities = [0, 0.3, 0, 0, 0.3, 0];
+    let accelerations = [0, 0, 0, 0, 0, 0];
+    let physics = { haloDensity: 0.001, coulombLogarithm: 3 };
+
+    addDynamicalFriction(masses, positions, velocities, accelerations, physics);
+
+    expect(accelerations).to.deep.equal([0, 0, 0, 0, 0, 0]);
+  });
+
+  it('erf', () => {
+    expect(erf(0)).to.closeTo(0, 1e-7);
+    expect(erf(0.5)).to.closeTo(0.5204998778, 2e-7);
+    expect(erf(-1)).to.closeTo(-0.8427007929, 2e-7);
+    expect(erf(3)).to.closeTo(0.9999779095, 2e-7);
+  });
+});
@@ -0,0 +1,197 @@
+// Initial conditions of a galaxy disk with stars drawn at random from
+// the exponential surface density profile
+//
+//    Sigma(R) = Sigma0 exp(-R / Rd),
+//
+// where Rd is the scale length of the disk. This is an alternative to
+// the rings of stars, see `galaxyStarsPositionsAndVelocities`
+// in initial_conditions.js.
+//
+// The disk can be made warm by giving the stars random velocities. The
+// radial velocity dispersion is set by the Toomre stability parameter Q,
+// see `radialVelocityDispersion`.
+
+import { circularSpeed, epicyclicFrequency } from './halo.js';
+import { gaussian } from './random.js';
+import { diskRotationMatrix, rotate } from './disk_orientation.js';
+
+
+// Stars are not placed closer to the core than this fraction of the scale
+// length, because their orbits there are too fast for the time step
+const innerCutoff = 0.2;
+
+
+/**
+ * Calculate the surface density of the exponential disk.
+ *
+ * @param  {number} diskMass    Total mass of the disk.
+ * @param  {number} scaleLength Scale length of the disk Rd.
+ * @param  {number} R           Distance from the centre of the disk.
+ * @return {number} Mass per unit area.
+ */
+export function surfaceDensity(diskMass, scaleLength, R) {
+  return diskMass / (2 * Math.PI * scaleLength * scaleLength) *
+    Math.exp(-R / scaleLength);
+}
+
+
+/**
+ * Calculate the radial velocity dispersion of the stars from the
+ * Toomre stability parameter of a stellar disk (with G=1):
+ *
+ *    Q = sigmaR kappa / (3.36 Sigma),
+ *
+ * where kappa is the epicyclic frequency and Sigma is the surface density.
+ * Disks with Q < 1 are unstable to forming clumps, Q = 0 is a cold disk
+ * with stars on circular orbits.
+ *
+ * @param  {number} toomreQ The Toomre parameter Q.
+ * @param  {number} density Surface density Sigma, see `surfaceDensity`.
+ * @param  {number} kappa   Epicyclic frequency, see `epicyclicFrequency`
+ *                          in halo.js.
+ * @return {number} Radial velocity dispersion sigmaR.
+ */
+export function radialVelocityDispersion(toomreQ, density, kappa) {
+  return 3.36 * toomreQ * density / kappa;
+}
+
+
+/**
+ * Draw the distance of a star from the centre of the disk. The number
+ * of stars at distance R is proportional to R exp(-R / Rd), which is
+ * the gamma distribution with shape 2, the sum of two exponential
+ * distributions.
+ */
+function randomRadius(scaleLength, random) {
+  let radius;
+
+  do {
+    radius = -scaleLength * Math.log((1 - random()) * (1 - random()));
+  } while (radius < innerCutoff * scaleLength);
+
+  return radius;
+}
+
+
+/**
+ * Draw the height of a star above the midplane of the disk from the
+ * isothermal profile, in which the density is proportional
+ * to sech^2(z / z0), where z0 is the thickness.
+ */
+function randomHeight(thickness, random) {
+  if (thickness === 0) return 0;
+  let u = random();
+  if (u === 0) return 0;
+  return thickness * Math.atanh(2 * u - 1);
+}
+
+
+/**
+ * Calculate initial positions and velocities of stars in one galaxy. The
+ * stars are drawn at random from an exponential disk around the galaxy core.
+ *
+ * The stars move on circular orbits in a cold disk. In a warm disk
+ * (`toomreQ` above zero) the stars get random radial and tangential
+ * velocities, with the tangential dispersion related to the radial one by
+ * the epicyclic approximation
+ *
+ *    sigmaPhi = sigmaR kappa / (2 Omega),
+ *
+ * and their mean rotation is slower than circular speed v (asymmetric drift):
+ *
+ *    vPhi^2 = v^2 + sigmaR^2 (1 - kappa^2 / (4 Omega^2) - 2 R / Rd).
+ *
+ * In a thick disk the stars get random vertical velocities with dispersion
+ * sigmaZ = nu z0, where nu = Omega is the frequency of vertical
+ * oscillations in the field of the core, which keeps the disk thickness.
+ *
+ * Parameters are passed as single object with properties:
+ *
+ * @param  {array} corePosition  Position of the core
+ * @param  {array} coreVelocity  Core velocity
+ * @param  {number} coreMass     Mass of the core
+ * @param  {number} galaxyAngleDegree  Inclination angle of the galaxy relative
+ *                               to the orbital plane of the core.
+ * @param  {number} pericenterArgumentDegree (optional) Argument of the
+ *                               pericentre, see disk_orientation.js.
+ * @param  {number} pericenterDirectionDegree (optional) Direction to the
+ *                               companion core at pericentre.
+ * @param  {number} numberOfStars Number of stars in the galaxy.
+ * @param  {number} scaleLength  Scale length of the disk Rd.
+ * @param  {number} diskMass     Total mass of the stars, used for the surface
+ *                               density in the Toomre parameter.
+ * @param  {number} toomreQ      Toomre parameter Q, zero for a cold disk.
+ * @param  {number} thickness    Scale height z0 of the disk, zero for
+ *                               a thin disk.
+ * @param  {string} haloProfile  (optional) Name of the halo profile
+ *                               of the core, see halo.js. Default: "point".
+ * @param  {number} haloScaleRadius (optional) Scale radius of the halo.
+ * @param  {function} random     Generator of random numbers,
+ *                               see `createRandom` in random.js.
+ * @return {object} An object { positions: [], velocities: [] }
+ *                  containing positions and velocities of all stars in the
+ *                  galaxy.
+ */
+export function exponentialDiskPositionsAndVelocities(args) {
+  var stars = args.numberOfStars;
+  var positions = Array(stars * 3).fill(0);
+  var velocities = Array(stars * 3).fill(0);
+  var profile = args.haloProfile || "point";
+
+  // Rotation of the galaxy disk from the orbital plane of the cores
+  var rotation = diskRotationMatrix(args.galaxyAngleDegree,
+    args.pericenterArgumentDegree, args.pericenterDirectionDegree);
+
+  for(let iStar = 0; iStar < stars; iStar++) {
+    let radius = randomRadius(args.scaleLength, args.random);
+    let starAngle = 2 * Math.PI * args.random();
+    let height = randomHeight(args.thickness, args.random);
+
+    let speed = circularSpeed(profile, args.coreMass, args.haloScaleRadius,
+                              radius);
+
+    let omega = speed / radius;
+    let radialSpeed = 0;
+    let tangentialSpeed = speed;
+    let verticalSpeed = 0;
+
+    if (args.toomreQ > 0) {
+      let kappa = epicyclicFrequency(profile, args.coreMass,
+                                     args.haloScaleRadius, radius);
+
+      let density = surfaceDensity(args.diskMass, args.scaleLength, radius);
+      let sigmaR = radialVelocityDispersion(args.toomreQ, density, kappa);
+      let sigmaPhi = sigmaR * kappa / (2 * omega);
+
+      let meanSquared = speed * speed + sigmaR * sigmaR *
+        (1 - kappa * kappa / (4 * omega * omega) - 2 * radius / args.scaleLength);
+
+      radialSpeed = sigmaR * gaussian(args.random);
+      tangentialSpeed = Math.sqrt(Math.max(meanSquared, 0)) +
+                        sigmaPhi * gaussian(args.random);
+    }
+
+    if (args.thickness > 0) {
+      verticalSpeed = omega * args.thickness * gaussian(args.random);
+    }
+
+    // Position and velocity in the plane of the disk,
+    // tilted the same way as the rings of stars
+    let cos = Math.cos(starAngle);
+    let sin = Math.sin(starAngle);
+
+    let position = rotate(rotation, radius * cos, radius * sin, height);
+
+    let velocity = rotate(rotation,
+                          radialSpeed * cos - tangentialSpeed * sin,
+                          radialSpeed * sin + tangentialSpeed * cos,
+                          verticalSpeed);
+
+    for(let k = 0; k < 3; k++) {
+      positions[iStar * 3 + k] = position[k] + args.corePosition[k];
+      velocities[iStar * 3 + k] = velocity[k] + args.coreVelocity[k];
+    }
+  }
+
+  return { positions, velocities };
+}
@@ -0,0 +1,156 @@
+import {
+  surfaceDensity, radialVelocityDispersion,
+  exponentialDiskPositionsAndVelocities
+} from './exponential_disk.js';
+
+import { createRandom } from './random.js';
+
+var expect = chai.expect;
+
+
+// Parameters of a disk in the x-y plane around a core at rest at the origin
+function diskArgs(changes) {
+  return Object.assign({
+    corePosition: [0, 0, 0],
+    coreVelocity: [0, 0, 0],
+    coreMass: 1,
+    galaxyAngleDegree: 0,
+    numberOfStars: 2000,
+    scaleLength: 4,
+    diskMass: 0.1,
+    toomreQ: 0,
+    thickness: 0,
+    random: createRandom(1)
+  }, changes);
+}
+
+
+// Returns the radial, tangential and vertical components of star velocities
+function velocityComponents(disk) {
+  let components = [];
+
+  for(let i = 0; i < disk.positions.length / 3; i++) {
+    let x = disk.positions[i * 3];
+    let y = disk.positions[i * 3 + 1];
+    let radius = Math.sqrt(x * x + y * y);
+    let vx = disk.velocities[i * 3];
+    let vy = disk.velocities[i * 3 + 1];
+
+    components.push({
+      radius: radius,
+      radial: (x * vx + y * vy) / radius,
+      tangential: (x * vy - y * vx) / radius,
+      vertical: disk.velocities[i * 3 + 2]
+    });
+  }
+
+  return components;
+}
+
+
+function standardDeviation(values) {
+  let mean = values.reduce((a, b) => a + b, 0) / values.length;
+
+  return Math.sqrt(values.reduce((sum, value) =>
+    sum + (value - mean) * (value - mean), 0) / values.length);
+}
+
+
+describe('Exponential disk', () => {
+  it('surfaceDensity', () => {
+    expect(surfaceDensity(2 * Math.PI, 1, 0)).to.closeTo(1, 1e-13);
+    expect(surfaceDensity(2 * Math.PI, 1, 2)).to.closeTo(Math.exp(-2), 1e-13);
+
+    // Total mass of the disk
+    let mass = 0;
+    let dr = 0.01;
+
+    for(let r = dr / 2; r < 100; r += dr) {
+      mass += 2 * Math.PI * r * dr * surfaceDensity(3, 4, r);
+    }
+
+    expect(mass).to.closeTo(3, 1e-3);
+  });
+
+  it('radialVelocityDispersion', () => {
+    expect(radialVelocityDispersion(1, 0.5, 2)).to.closeTo(0.84, 1e-13);
+    expect(radialVelocityDispersion(0, 0.5, 2)).to.equal(0);
+  });
+
+  it('cold thin disk', () => {
+    let disk = exponentialDiskPositionsAndVelocities(diskArgs());
+
+    expect(disk.positions.length).to.equal(2000 * 3);
+
+    velocityComponents(disk).forEach((star) => {
+      expect(star.radius).to.be.at.least(0.8);
+      expect(star.radial).to.closeTo(0, 1e-13);
+      expect(star.tangential).to.closeTo(Math.sqrt(1 / star.radius), 1e-13);
+      expect(star.vertical).to.equal(0);
+    });
+
+    // The mean distance of stars from the centre is about two scale lengths
+    let radii = velocityComponents(disk).map((star) => star.radius);
+    let meanRadius = radii.reduce((a, b) => a + b, 0) / radii.length;
+    expect(meanRadius).to.closeTo(8, 0.4);
+  });
+
+  it('warm disk', () => {
+    let stars = velocityComponents(exponentialDiskPositionsAndVelocities(
+      diskArgs({ numberOfStars: 20000, toomreQ: 2 })));
+
+    // Stars near the scale length
+    let ring = stars.filter((star) => star.radius > 3.5 && star.radius < 4.5);
+
+    // Expected dispersion for a point mass, where kappa = Omega
+    let omega = Math.pow(4, -1.5);
+    let sigmaR = 3.36 * 2 * surfaceDensity(0.1, 4, 4) / omega;
+
+    expect(standardDeviation(ring.map((star) => star.radial)))
+      .to.closeTo(sigmaR, sigmaR * 0.15);
+
+    // Deviations from the circular speed, which changes across the ring
+    let tangential = ring.map((star) =>
+      star.tangential - Math.sqrt(1 / star.radius));
+
+    expect(standardDeviation(tangential)).to.closeTo(sigmaR / 2, sigmaR * 0.1);
+
+    expect(ring.every((star) => star.vertical === 0)).to.equal(true);
+  });
+
+  it('thick disk', () => {
+    let disk = exponentialDiskPositionsAndVelocities(
+      diskArgs({ thickness: 0.5 }));
+
+    let heights = [];
+    for(let i = 0; i < disk.positions.length / 3; i++) {
+      heights.push(disk.positions[i * 3 + 2]);
+    }
+
+    // Standard deviation of sech^2 profile is pi z0 / sqrt(12)
+    expect(standardDeviation(heights)).to.closeTo(
+      Math.PI * 0.5 / Math.sqrt(12), 0.05);
+
+    let vertical = velocityComponents(disk).map((star) => star.vertical);
+    expect(standardDeviation(vertical)).to.be.above(0);
+  });
+
+  it('inclined disk around a moving core', () => {
+    let flat = exponentialDiskPositionsAndVelocities(diskArgs());
+
+    let disk = exponentialDiskPositionsAndVelocities(diskArgs({
+      corePosition: [1, 2, 3],
+      coreVelocity: [0.1, 0.2, 0.3],
+      galaxyAngleDegree: 90
+    }));
+
+    // The disk is rotated around the y-axis
+    expect(disk.positions[0]).to.closeTo(1, 1e-13);
+    expect(disk.positions[1]).to.closeTo(flat.positions[1] + 2, 1e-13);
+    expect(disk.positions[2]).to.closeTo(-flat.positions[0] + 3, 1e-13);
+
+    expect(disk.velocities[0]).to.closeTo(0.1, 1e-13);
+    expect(disk.velocities[1]).to.closeTo(flat.velocities[1] + 0.2, 1e-13);
+    expect(disk.velocities[2]).to.closeTo(-flat.velocities[0] + 0.3, 1e-13);
+  });
+});
@@ -0,0 +1,109 @@
+// Fast Fourier transform of complex numbers stored in separate arrays
+// of real and imaginary parts.
+
+
+/**
+ * Calculate the discrete Fourier transform of complex numbers using the
+ * iterative radix-2 Cooley-Tukey algorithm. The supplied `re` and `im`
+ * arrays are replaced with the transformed values.
+ *
+ * @param  {array} re      Real parts, the length must be a power of two.
+ * @param  {array} im      Imaginary parts.
+ * @param  {boolean} inverse If true, calculate the inverse transform,
+ *                           including the division by the length.
+ */
+export function fft(re, im, inverse=false) {
+  const n = re.length;
+
+  // Reorder the elements in the bit-reversed order
+  for(let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+
+    for(; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+
+    if (i < j) {
+      let temp = re[i]; re[i] = re[j]; re[j] = temp;
+      temp = im[i]; im[i] = im[j]; im[j] = temp;
+    }
+  }
+
+  // Combine the transforms of increasing length
+  for(let length = 2; length <= n; length <<= 1) {
+    let angle = (inverse ? 2 : -2) * Math.PI / length;
+    let stepRe = Math.cos(angle);
+    let stepIm = Math.sin(angle);
+
+    for(let start = 0; start < n; start += length) {
+      let wRe = 1;
+      let wIm = 0;
+
+      for(let k = 0; k < length / 2; k++) {
+        let a = start + k;
+        let b = a + length / 2;
+
+        let tRe = re[b] * wRe - im[b] * wIm;
+        let tIm = re[b] * wIm + im[b] * wRe;
+
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+
+        let nextRe = wRe * stepRe - wIm * stepIm;
+        wIm = wRe * stepIm + wIm * stepRe;
+        wRe = nextRe;
+      }
+    }
+  }
+
+  if (inverse) {
+    for(let i = 0; i < n; i++) {
+      re[i] /= n;
+      im[i] /= n;
+    }
+  }
+}
+
+
+/**
+ * Calculate the discrete Fourier transform of a three-dimensional
+ * cubic grid by transforming along each of the three axes in turn.
+ * The supplied `re` and `im` arrays are replaced with the transformed values.
+ *
+ * @param  {array} re    Real parts of grid values, the element (i, j, k)
+ *                       has index (i * size + j) * size + k.
+ * @param  {array} im    Imaginary parts of grid values.
+ * @param  {number} size Number of grid points along each axis,
+ *                       must be a power of two.
+ * @param  {boolean} inverse If true, calculate the inverse transform.
+ */
+export function fft3d(re, im, size, inverse=false) {
+  let lineRe = new Float64Array(size);
+  let lineIm = new Float64Array(size);
+
+  // Distance between neighbouring elements along each axis
+  let strides = [size * size, size, 1];
+
+  strides.forEach((stride) => {
+    // Loop over all lines parallel to the axis
+    for(let line = 0; line < size * size; line++) {
+      // Index of the first element of the line
+      let first = stride === 1 ? line * size :
+                  stride === size ? (line - line % size) * size + line % size :
+                  line;
+
+      for(let i = 0; i < size; i++) {
+        lineRe[i] = re[first + i * stride];
+        lineIm[i] = im[first + i * stride];
+      }
+
+      fft(lineRe, lineIm, inverse);
+
+      for(let i = 0; i < size; i++) {
+        re[first + i * stride] = lineRe[i];
+        im[first + i * stride] = lineIm[i];
+      }
+    }
+  });
+}
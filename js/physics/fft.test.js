@@ -0,0 +1,70 @@
+import { fft, fft3d } from './fft.js';
+
+var expect = chai.expect;
+
+
+// Calculate the discrete Fourier transform directly from its definition
+function directTransform(re, im) {
+  let n = re.length;
+  let resultRe = Array(n).fill(0);
+  let resultIm = Array(n).fill(0);
+
+  for(let k = 0; k < n; k++) {
+    for(let j = 0; j < n; j++) {
+      let angle = -2 * Math.PI * j * k / n;
+      resultRe[k] += re[j] * Math.cos(angle) - im[j] * Math.sin(angle);
+      resultIm[k] += re[j] * Math.sin(angle) + im[j] * Math.cos(angle);
+    }
+  }
+
+  return [resultRe, resultIm];
+}
+
+
+describe('FFT', () => {
+  it('fft', () => {
+    let re = [1, 2, -3, 4, 0.5, -1, 2, 7];
+    let im = [0, 1, 0, -2, 3, 0, 1, 0];
+    let [expectedRe, expectedIm] = directTransform(re, im);
+
+    fft(re, im);
+
+    expect(re).to.deep.closeTo(expectedRe, 1e-12);
+    expect(im).to.deep.closeTo(expectedIm, 1e-12);
+  });
+
+  it('fft inverse', () => {
+    let re = [1, 2, -3, 4];
+    let im = [0, 1, 0, -2];
+
+    fft(re, im);
+    fft(re, im, true);
+
+    expect(re).to.deep.closeTo([1, 2, -3, 4], 1e-14);
+    expect(im).to.deep.closeTo([0, 1, 0, -2], 1e-14);
+  });
+
+  it('fft3d', () => {
+    // A single point at (i, j, k) = (1, 0, 0) on the grid of size 2
+    let re = [0, 0, 0, 0, 1, 0, 0, 0];
+    let im = Array(8).fill(0);
+
+    fft3d(re, im, 2);
+
+    // The transform is exp(-i pi kx) = (-1)^kx
+    expect(re).to.deep.closeTo([1, 1, 1, 1, -1, -1, -1, -1], 1e-14);
+    expect(im).to.deep.closeTo(Array(8).fill(0), 1e-14);
+  });
+
+  it('fft3d inverse', () => {
+    let size = 4;
+    let re = Array.from(Array(64), (_, i) => Math.sin(i));
+    let im = Array(64).fill(0);
+    let original = re.slice();
+
+    fft3d(re, im, size);
+    fft3d(re, im, size, true);
+
+    expect(re).to.deep.closeTo(original, 1e-13);
+  });
+});
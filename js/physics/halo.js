@@ -0,0 +1,191 @@
+// Mass profiles of the dark matter halos around galaxy cores.
+//
+// A halo is described by its profile name, the mass M and the scale
+// radius a. For profiles with finite total mass ("point", "plummer" and
+// "hernquist") M is the total mass of the halo. The mass of the other
+// profiles ("nfw", "isothermal" and "coredIsothermal") grows without limit
+// with distance, and M is the mass inside the scale radius instead.
+
+
+/**
+ * Names of available halo profiles.
+ */
+export const haloProfiles = [
+  "point", "plummer", "hernquist", "nfw", "isothermal", "coredIsothermal"
+];
+
+
+/**
+ * Calculate the mass of the halo located inside the sphere of given radius.
+ *
+ * @param  {string} profile     Name of the halo profile, see `haloProfiles`.
+ * @param  {number} mass        Mass of the halo M.
+ * @param  {number} scaleRadius Scale radius of the halo a.
+ * @param  {number} r           Distance from the halo centre.
+ * @return {number} Mass inside the sphere of radius r.
+ */
+export function enclosedMass(profile, mass, scaleRadius, r) {
+  let x = r / scaleRadius;
+
+  switch(profile) {
+    case "plummer":
+      // M(r) = M r^3 / (r^2 + a^2)^(3/2)
+      return mass * Math.pow(x * x / (1 + x * x), 1.5);
+
+    case "hernquist":
+      // M(r) = M r^2 / (r + a)^2
+      return mass * x * x / ((1 + x) * (1 + x));
+
+    case "nfw":
+      // M(r) = M m(r / a) / m(1),
+      // where m(x) = ln(1 + x) - x / (1 + x)
+      return mass * nfwMassFunction(x) / nfwMassFunction(1);
+
+    case "isothermal":
+      // Singular isothermal sphere, density is proportional to 1 / r^2,
+      // M(r) = M r / a
+      return mass * x;
+
+    case "coredIsothermal":
+      // Density is proportional to 1 / (1 + r^2 / a^2),
+      // M(r) = M (x - arctan(x)) / (1 - pi / 4), where x = r / a
+      return mass * (x - Math.atan(x)) / (1 - Math.PI / 4);
+
+    default:
+      // Point mass
+      return mass;
+  }
+}
+
+
+/**
+ * Calculate the rate of change of the enclosed mass with distance, dM/dr.
+ *
+ * @param  {string} profile     Name of the halo profile, see `haloProfiles`.
+ * @param  {number} mass        Mass of the halo M.
+ * @param  {number} scaleRadius Scale radius of the halo a.
+ * @param  {number} r           Distance from the halo centre.
+ * @return {number} Derivative of the enclosed mass M(r) with respect to r.
+ */
+export function enclosedMassDerivative(profile, mass, scaleRadius, r) {
+  let x = r / scaleRadius;
+  let massPerRadius = mass / scaleRadius;
+
+  switch(profile) {
+    case "plummer":
+      return massPerRadius * 3 * x * x / Math.pow(1 + x * x, 2.5);
+
+    case "hernquist":
+      return massPerRadius * 2 * x / Math.pow(1 + x, 3);
+
+    case "nfw":
+      return massPerRadius * x / ((1 + x) * (1 + x)) / nfwMassFunction(1);
+
+    case "isothermal":
+      return massPerRadius;
+
+    case "coredIsothermal":
+      return massPerRadius * x * x / (1 + x * x) / (1 - Math.PI / 4);
+
+    default:
+      // Point mass
+      return 0;
+  }
+}
+
+
+/**
+ * Calculate the gravitational potential of the halo, which is related to
+ * the enclosed mass by
+ *
+ *    d phi / dr = G M(r) / r^2.
+ *
+ * The potential is zero at infinity for the profiles with finite mass.
+ * For the other profiles the zero point is arbitrary.
+ *
+ * @param  {string} profile     Name of the halo profile, see `haloProfiles`.
+ * @param  {number} mass        Mass of the halo M.
+ * @param  {number} scaleRadius Scale radius of the halo a.
+ * @param  {number} r           Distance from the halo centre.
+ * @return {number} Potential per unit mass of the attracted body.
+ */
+export function potential(profile, mass, scaleRadius, r) {
+  let x = r / scaleRadius;
+  let massPerRadius = mass / scaleRadius;
+
+  switch(profile) {
+    case "plummer":
+      return -massPerRadius / Math.sqrt(1 + x * x);
+
+    case "hernquist":
+      return -massPerRadius / (1 + x);
+
+    case "nfw":
+      return -massPerRadius * Math.log(1 + x) / x / nfwMassFunction(1);
+
+    case "isothermal":
+      // Zero at the scale radius
+      return massPerRadius * Math.log(x);
+
+    case "coredIsothermal":
+      // Zero at the centre
+      return massPerRadius * (Math.atan(x) / x - 1 +
+                              0.5 * Math.log(1 + x * x)) / (1 - Math.PI / 4);
+
+    default:
+      // Point mass
+      return -mass / r;
+  }
+}
+
+
+/**
+ * Calculate the speed of a body on a circular orbit around the halo centre.
+ * The gravitational force provides the centripetal acceleration:
+ *
+ *    v^2 / r = G M(r) / r^2,
+ *
+ * where M(r) is the mass inside the orbit. Solving for v with G=1 gives
+ *
+ *    v = sqrt(M(r) / r).
+ *
+ * @param  {string} profile     Name of the halo profile, see `haloProfiles`.
+ * @param  {number} mass        Mass of the halo M.
+ * @param  {number} scaleRadius Scale radius of the halo a.
+ * @param  {number} r           Radius of the orbit.
+ * @return {number} Speed of the body.
+ */
+export function circularSpeed(profile, mass, scaleRadius, r) {
+  return Math.sqrt(enclosedMass(profile, mass, scaleRadius, r) / r);
+}
+
+
+/**
+ * Calculate the epicyclic frequency, which is the frequency of small
+ * radial oscillations of a body around a circular orbit:
+ *
+ *    kappa^2 = R d(Omega^2) / dR + 4 Omega^2,
+ *
+ * where Omega = v / R is the angular speed on the circular orbit. With
+ * Omega^2 = M(R) / R^3 this becomes
+ *
+ *    kappa^2 = M(R) / R^3 + M'(R) / R^2.
+ *
+ * For a point mass kappa equals Omega, for a flat rotation curve
+ * kappa = sqrt(2) Omega.
+ *
+ * @param  {string} profile     Name of the halo profile, see `haloProfiles`.
+ * @param  {number} mass        Mass of the halo M.
+ * @param  {number} scaleRadius Scale radius of the halo a.
+ * @param  {number} r           Radius of the orbit.
+ * @return {number} Epicyclic frequency.
+ */
+export function epicyclicFrequency(profile, mass, scaleRadius, r) {
+  return Math.sqrt(enclosedMass(profile, mass, scaleRadius, r) / (r * r * r) +
+    enclosedMassDerivative(profile, mass, scaleRadius, r) / (r * r));
+}
+
+
+function nfwMassFunction(x) {
+  return Math.log(1 + x) - x / (1 + x);
+}
@@ -0,0 +1,103 @@
+import {
+  enclosedMass, enclosedMassDerivative, circularSpeed, potential,
+  epicyclicFrequency, haloProfiles
+} from './halo.js';
+
+var expect = chai.expect;
+
+describe('Halo', () => {
+  it('enclosedMass', () => {
+    let mass = 2;
+    let scaleRadius = 1.5;
+    let r = 3;
+
+    expect(enclosedMass("point", mass, scaleRadius, r)).to.equal(2);
+
+    expect(enclosedMass("plummer", mass, scaleRadius, r))
+      .to.closeTo(1.4310835055998656, 1e-13);
+
+    expect(enclosedMass("hernquist", mass, scaleRadius, r))
+      .to.closeTo(0.8888888888888888, 1e-13);
+
+    expect(enclosedMass("nfw", mass, scaleRadius, r))
+      .to.closeTo(4.472709575663562, 1e-13);
+
+    expect(enclosedMass("isothermal", mass, scaleRadius, r))
+      .to.closeTo(4, 1e-13);
+
+    expect(enclosedMass("coredIsothermal", mass, scaleRadius, r))
+      .to.closeTo(8.321003178174042, 1e-13);
+  });
+
+  it('enclosedMass inside scale radius', () => {
+    // The mass of profiles with infinite total mass is given
+    // inside the scale radius
+    expect(enclosedMass("nfw", 2, 3, 3)).to.closeTo(2, 1e-13);
+    expect(enclosedMass("isothermal", 2, 3, 3)).to.closeTo(2, 1e-13);
+    expect(enclosedMass("coredIsothermal", 2, 3, 3)).to.closeTo(2, 1e-13);
+  });
+
+  it('circularSpeed', () => {
+    expect(circularSpeed("point", 4, 1, 4)).to.closeTo(1, 1e-13);
+    expect(circularSpeed("nfw", 1, 3, 6)).to.closeTo(0.610512733668974, 1e-13);
+
+    // Flat rotation curve of the isothermal sphere
+    expect(circularSpeed("isothermal", 2, 2, 5)).to.closeTo(1, 1e-13);
+    expect(circularSpeed("isothermal", 2, 2, 50)).to.closeTo(1, 1e-13);
+  });
+
+  it('enclosedMassDerivative', () => {
+    let mass = 2;
+    let scaleRadius = 1.5;
+    let r = 3;
+    let dr = 1e-6;
+
+    haloProfiles.forEach((profile) => {
+      let numerical = (enclosedMass(profile, mass, scaleRadius, r + dr) -
+                       enclosedMass(profile, mass, scaleRadius, r - dr)) /
+                      (2 * dr);
+
+      expect(enclosedMassDerivative(profile, mass, scaleRadius, r))
+        .to.closeTo(numerical, 1e-8);
+    });
+  });
+
+  it('potential', () => {
+    let mass = 2;
+    let scaleRadius = 1.5;
+    let r = 3;
+    let dr = 1e-6;
+
+    expect(potential("point", mass, scaleRadius, r)).to.closeTo(-2 / 3, 1e-13);
+
+    // The derivative of the potential is the enclosed mass divided by r^2
+    haloProfiles.forEach((profile) => {
+      let numerical = (potential(profile, mass, scaleRadius, r + dr) -
+                       potential(profile, mass, scaleRadius, r - dr)) /
+                      (2 * dr);
+
+      expect(enclosedMass(profile, mass, scaleRadius, r) / (r * r))
+        .to.closeTo(numerical, 1e-8);
+    });
+  });
+
+  it('epicyclicFrequency', () => {
+    // Equal to the angular speed for a point mass
+    expect(epicyclicFrequency("point", 4, 1, 4)).to.closeTo(0.25, 1e-13);
+
+    // Flat rotation curve of the isothermal sphere
+    expect(epicyclicFrequency("isothermal", 2, 2, 5))
+      .to.closeTo(Math.sqrt(2) / 5, 1e-13);
+
+    // Agrees with the derivative of the angular speed
+    let r = 3;
+    let dr = 1e-5;
+    let omegaSquared = (radius) =>
+      Math.pow(circularSpeed("hernquist", 2, 1.5, radius) / radius, 2);
+
+    let derivative = (omegaSquared(r + dr) - omegaSquared(r - dr)) / (2 * dr);
+
+    expect(epicyclicFrequency("hernquist", 2, 1.5, r)).to.closeTo(
+      Math.sqrt(r * derivative + 4 * omegaSquared(r)), 1e-8);
+  });
+});
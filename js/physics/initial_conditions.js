@@ -1,19 +1,223 @@
 /* Setup the initial conditions of the simulation: positions, velocities
 and accelerations of the stars */
 
+import { circularSpeed } from './halo.js';
+import { exponentialDiskPositionsAndVelocities } from './exponential_disk.js';
+import { spheroidProfiles, spheroidPositionsAndVelocities }
+  from './spheroid.js';
+import { createRandom } from './random.js';
+import { diskRotationMatrix, rotate } from './disk_orientation.js';
+import { trueAnomalyAtTime } from './kepler.js';
+
+
+/**
+ * Names of the models of the galaxy disks: stars placed in "rings"
+ * or drawn at random from an "exponential" disk, see exponential_disk.js.
+ */
+export const diskModels = ["rings", "exponential"];
+
+/**
+ * Types of galaxies: a rotating "disk" or a spherical galaxy supported
+ * by random motions of stars, see spheroid.js.
+ */
+export const galaxyTypes = ["disk"].concat(spheroidProfiles);
+
+/**
+ * Ways of choosing the point on the orbit of the cores where the simulation
+ * starts: at apastron (or `initialGalaxySeparation` for unbound orbits),
+ * at a given true anomaly or at a given time before the pericentre.
+ */
+export const initialPhases = ["apastron", "trueAnomaly", "timeBeforePericenter"];
+
+
+// Offset of the seed of the random numbers used for the gas particles,
+// which makes them different from the stars of all galaxies
+const gasRandomSeedOffset = 1000;
+
+
 /**
- * Calculate the total number of bodies: two galaxy cores plus the stars
- * in each galaxy
+ * Calculate the total number of bodies: one core for each galaxy plus
+ * the stars and the gas particles in each galaxy.
  *
- * @param  {number} rings1 Number of rings in first galaxy
- * @param  {number} rings2 Number of rings in second galaxy
- * @param  {number} multiplier Increase in number of stars in next ring
+ * Parameters are passed as single object with properties:
+ *
+ * @param  {array} numberOfRings  Array containing the number of rings in
+ *                                each galaxy, i.e. [5, 3]
+ * @param  {array} ringMultiplier Increase in number of stars in next ring
+ *                                in each galaxy, i.e. [6, 8]
+ * @param  {array} numberOfGasParticles (optional) Number of gas particles
+ *                                in each galaxy, see
+ *                                `numberOfGasParticlesInGalaxies`.
  * @return {number}        Total number of bodies.
  */
-export function totalNumberOfBodies(rings1, rings2, multiplier) {
-  const stars1 = numberOfStarsInAllRingsOneGalaxy(rings1, multiplier);
-  const stars2 = numberOfStarsInAllRingsOneGalaxy(rings2, multiplier);
-  return 2 + stars1 + stars2;
+export function totalNumberOfBodies(args) {
+  let bodies = numberOfGalaxies(args);
+
+  numberOfStarsInGalaxies(args).forEach((stars) => bodies += stars);
+  numberOfGasParticlesInGalaxies(args).forEach((gas) => bodies += gas);
+
+  return bodies;
+}
+
+
+/**
+ * Calculate the number of galaxies in the simulation.
+ *
+ * @param  {array} numberOfRings  Array containing the number of rings in
+ *                                each galaxy, i.e. [5, 3]
+ * @return {number} Number of galaxies.
+ */
+export function numberOfGalaxies(args) {
+  return args.numberOfRings.length;
+}
+
+
+/**
+ * Calculate the number of stars in each galaxy.
+ *
+ * Parameters are passed as single object with properties:
+ *
+ * @param  {array} numberOfRings  Array containing the number of rings in
+ *                                each galaxy, i.e. [5, 3]
+ * @param  {array} ringMultiplier Increase in number of stars in next ring
+ *                                in each galaxy, i.e. [6, 8]
+ * @param  {string} diskModel     (optional) Model of the galaxy disks,
+ *                                see `diskModels`. Default: "rings".
+ * @param  {array} galaxyTypes    (optional) Types of the galaxies,
+ *                                see `galaxyTypes`. Default: all "disk".
+ * @param  {array} numberOfStars  Number of stars in each galaxy, used
+ *                                with the "exponential" disk model and
+ *                                for spherical galaxies.
+ * @return {array} Number of stars in each galaxy, i.e. [90, 36].
+ */
+export function numberOfStarsInGalaxies(args) {
+  return args.numberOfRings.map((rings, iGalaxy) => {
+    if (args.diskModel === "exponential" || isSpheroid(args, iGalaxy)) {
+      return args.numberOfStars[iGalaxy];
+    }
+
+    return numberOfStarsInAllRingsOneGalaxy(rings,
+                                            args.ringMultiplier[iGalaxy]);
+  });
+}
+
+
+/**
+ * Calculate the number of gas particles in each galaxy. Only the disk
+ * galaxies contain gas.
+ *
+ * Parameters are passed as single object with properties:
+ *
+ * @param  {array} numberOfRings  Array containing the number of rings in
+ *                                each galaxy, i.e. [5, 3]
+ * @param  {array} numberOfGasParticles (optional) Number of gas particles
+ *                                in each galaxy, i.e. [500, 0]. Default: no gas.
+ * @param  {array} galaxyTypes    (optional) Types of the galaxies,
+ *                                see `galaxyTypes`. Default: all "disk".
+ * @return {array} Number of gas particles in each galaxy, i.e. [500, 0].
+ */
+export function numberOfGasParticlesInGalaxies(args) {
+  return args.numberOfRings.map((_, iGalaxy) => {
+    if (!args.numberOfGasParticles || isSpheroid(args, iGalaxy)) return 0;
+
+    return args.numberOfGasParticles[iGalaxy];
+  });
+}
+
+
+/**
+ * Check if the galaxy is spherical instead of a disk.
+ *
+ * @param  {object} args Initial parameters containing `galaxyTypes`.
+ * @param  {number} iGalaxy Index of the galaxy: 0, 1, 2...
+ * @return {boolean} True if the galaxy is spherical.
+ */
+function isSpheroid(args, iGalaxy) {
+  return Boolean(args.galaxyTypes) &&
+    spheroidProfiles.includes(args.galaxyTypes[iGalaxy]);
+}
+
+
+/**
+ * Returns the names of the halo profiles of the cores. The halo of
+ * a spherical galaxy has the profile of its type, for which its stars
+ * are drawn, and the other halos are taken from `args.haloProfiles`.
+ *
+ * @param  {object} args Initial parameters containing `haloProfiles`
+ *                       and `galaxyTypes`.
+ * @return {array} Names of the halo profiles, i.e. ["point", "hernquist"],
+ *                 or undefined if no profiles are given and all the
+ *                 galaxies are disks.
+ */
+export function coreHaloProfiles(args) {
+  let galaxies = args.numberOfRings.map((_, iGalaxy) => iGalaxy);
+
+  if (!galaxies.some((iGalaxy) => isSpheroid(args, iGalaxy))) {
+    return args.haloProfiles;
+  }
+
+  return galaxies.map((iGalaxy) => {
+    if (isSpheroid(args, iGalaxy)) return args.galaxyTypes[iGalaxy];
+
+    return args.haloProfiles ? args.haloProfiles[iGalaxy] : "point";
+  });
+}
+
+
+/**
+ * Calculate the masses of the stars. The mass of the stellar disk of each
+ * galaxy is divided equally between its stars. The stars are followed by
+ * the gas particles, see `gasMasses`, which attract other bodies as well.
+ *
+ * Parameters are passed as single object with properties:
+ *
+ * @param  {array} numberOfRings  Array containing the number of rings in
+ *                                each galaxy, i.e. [5, 3]
+ * @param  {array} ringMultiplier Increase in number of stars in next ring
+ *                                in each galaxy, i.e. [6, 8]
+ * @param  {array} diskMasses     Total mass of the stars in each galaxy.
+ * @param  {array} numberOfGasParticles (optional) Number of gas particles
+ *                                in each galaxy.
+ * @param  {array} gasMasses      (optional) Total mass of the gas
+ *                                in each galaxy.
+ * @return {array} Masses of the stars and the gas particles,
+ *                 one for each body after the cores.
+ */
+export function starMasses(args) {
+  let masses = [];
+
+  numberOfStarsInGalaxies(args).forEach((stars, iGalaxy) => {
+    let starMass = stars > 0 ? args.diskMasses[iGalaxy] / stars : 0;
+    for(let i = 0; i < stars; i++) masses.push(starMass);
+  });
+
+  return masses.concat(gasMasses(args));
+}
+
+
+/**
+ * Calculate the masses of the gas particles. The mass of the gas of each
+ * galaxy is divided equally between its particles.
+ *
+ * Parameters are passed as single object with properties:
+ *
+ * @param  {array} numberOfRings  Array containing the number of rings in
+ *                                each galaxy, i.e. [5, 3]
+ * @param  {array} numberOfGasParticles (optional) Number of gas particles
+ *                                in each galaxy.
+ * @param  {array} gasMasses      (optional) Total mass of the gas
+ *                                in each galaxy.
+ * @return {array} Masses of the gas particles, one for each particle.
+ */
+export function gasMasses(args) {
+  let masses = [];
+
+  numberOfGasParticlesInGalaxies(args).forEach((particles, iGalaxy) => {
+    let mass = particles > 0 ? args.gasMasses[iGalaxy] / particles : 0;
+    for(let i = 0; i < particles; i++) masses.push(mass);
+  });
+
+  return masses;
 }
 
 
@@ -62,9 +266,17 @@ export function numberOfStarsInAllRingsOneGalaxy(numberOfRings, multiplier) {
   * @param  {number} coreMass     Mass of the core
   * @param  {number} galaxyAngleDegree  Inclination angle of the galaxy relative
   *                               to the orbital plane of the core.
+  * @param  {number} pericenterArgumentDegree (optional) Argument of the
+  *                               pericentre, see disk_orientation.js.
+  * @param  {number} pericenterDirectionDegree (optional) Direction to the
+  *                               companion core at pericentre,
+  *                               see `diskRotationMatrix`.
   * @param  {number} numberOfRings Number of rings in the galaxy
   * @param  {number} ringSeparation Separation between two rings
   * @param  {number} ringMultiplier Increase in number of stars in next ring
+  * @param  {string} haloProfile  (optional) Name of the halo profile
+  *                               of the core, see halo.js. Default: "point".
+  * @param  {number} haloScaleRadius (optional) Scale radius of the halo.
   * @return {object} An object { positions: [], velocities: [] }
   *                  containing positions and velocities of all stars in the
   *                  galaxy.
@@ -78,8 +290,9 @@ export function galaxyStarsPositionsAndVelocities(args) {
   var velocities = Array(stars * 3).fill(0);
   var iStar = 0; // Stores index of current star
 
-  // Galaxy inclination angle
-  var galaxyAngleRadians = args.galaxyAngleDegree * Math.PI / 180;
+  // Rotation of the galaxy disk from the orbital plane of the cores
+  var rotation = diskRotationMatrix(args.galaxyAngleDegree,
+    args.pericenterArgumentDegree, args.pericenterDirectionDegree);
 
   // Loop over the rings of the galaxy
   for(let ringNumber = 1; ringNumber <= args.numberOfRings; ringNumber++) {
@@ -112,7 +325,8 @@ export function galaxyStarsPositionsAndVelocities(args) {
     //
     //      where
     //        G is gravitational constant,
-    //        M is the mass of a galaxy core,
+    //        M is the mass of a galaxy core (for extended halos, it is
+    //          the mass of the halo inside the sphere of radius r),
     //        r is distance between a body and a core.
     //
     // In Eq. 1, we can use formula for centripetal acceleration:
@@ -142,7 +356,8 @@ export function galaxyStarsPositionsAndVelocities(args) {
     // section "Changing units of length, mass and time"
     // in https://evgenii.com/blog/two-galaxies/
     //
-    let starSpeed = Math.sqrt(args.coreMass / distanceFromCenter);
+    let starSpeed = circularSpeed(args.haloProfile || "point", args.coreMass,
+                                  args.haloScaleRadius, distanceFromCenter);
 
     // Loop over all the stars in the current ring
     for(let starNumber = 0; starNumber < numberOfStars; starNumber++) {
@@ -150,34 +365,23 @@ export function galaxyStarsPositionsAndVelocities(args) {
       // star in the ring
       let starAngle = starNumber * angleBetweenNeighbours;
 
-      // Calculate the position of the current star relative to galaxy's centre
-      positions[iStar * 3] = distanceFromCenter * Math.cos(starAngle) *
-                                 Math.cos(galaxyAngleRadians);
-
-      positions[iStar * 3 + 1] = distanceFromCenter * Math.sin(starAngle);
-
-      positions[iStar * 3 + 2] = -distanceFromCenter * Math.cos(starAngle) *
-                                 Math.sin(galaxyAngleRadians);
-
-      // Add star's position to the position of the galaxy to find
-      // the star's position in our coordinate system
-      positions[iStar * 3] += args.corePosition[0];
-      positions[iStar * 3 + 1] += args.corePosition[1];
-      positions[iStar * 3 + 2] += args.corePosition[2];
+      // Calculate the position of the current star relative to galaxy's
+      // centre, in the plane of the disk tilted by the rotation
+      let position = rotate(rotation,
+                            distanceFromCenter * Math.cos(starAngle),
+                            distanceFromCenter * Math.sin(starAngle), 0);
 
       // Calculate the velocity of the star relative to galaxy's centre
-      velocities[iStar * 3] = -starSpeed * Math.sin(starAngle) *
-                                  Math.cos(galaxyAngleRadians);
-
-      velocities[iStar * 3 + 1] = starSpeed * Math.cos(starAngle);
-
-      velocities[iStar * 3 + 2] = starSpeed * Math.sin(starAngle) *
-                                  Math.sin(galaxyAngleRadians);
+      let velocity = rotate(rotation,
+                            -starSpeed * Math.sin(starAngle),
+                            starSpeed * Math.cos(starAngle), 0);
 
-      // Calculate star's velocity in our coordinate system
-      velocities[iStar * 3] += args.coreVelocity[0];
-      velocities[iStar * 3 + 1] += args.coreVelocity[1];
-      velocities[iStar * 3 + 2] += args.coreVelocity[2];
+      for(let k = 0; k < 3; k++) {
+        // Add star's position and velocity to those of the galaxy to find
+        // the star's position and velocity in our coordinate system
+        positions[iStar * 3 + k] = position[k] + args.corePosition[k];
+        velocities[iStar * 3 + k] = velocity[k] + args.coreVelocity[k];
+      }
 
       // Increment current star index
       iStar += 1;
@@ -189,77 +393,203 @@ export function galaxyStarsPositionsAndVelocities(args) {
 
 
 /**
- * Calculate initial positions and velocities of all bodies: two galaxy
- * cores and all the stars.
+ * Calculate initial positions and velocities of the galaxy cores.
+ *
+ * If `coreStateVectors` are supplied, they are used for placing the cores.
+ * Otherwise, the first two cores are placed on the Kepler orbit given by
+ * `minimalGalaxySeparation` and `eccentricity`, and the remaining cores are
+ * placed on circular orbits around the cores placed before them.
+ * Orbits with eccentricity of one or larger start at the separation
+ * `initialGalaxySeparation` before the pericentre, unless another
+ * `initialPhase` is chosen.
+ * The returned vectors are relative to the centre of mass of the cores.
  *
  * Parameters are passed as single object with properties:
  *
- * @param  {array} numberOfRings  Array containing the number of rings in
- *                                two galaxies, i.e. [5, 3]
- * @param  {number} ringSeparation Distance between the rings.
- * @param  {number} ringMultiplier Increase in number of stars in next ring
+ * @param  {array} masses         The masses of the cores, i.e. [1, 1.5]
  * @param  {number} minimalGalaxySeparation Minimal separation (periastron)
- *                      between the cores of two galaxies.
- * @param  {array} galaxyInclinationAnglesDegree Array containing inclination
- *                      angles two galaxies relative to orbital plane
- *                      of two cores, i.e. [30, 60].
- * @param  {array} masses         The masses of the two cores, i.e. [1, 1.5]
- * @param  {type} eccentricity    The eccentricity of orbit of one core when
- *                                viewed from the other core.
- * @return {type}   An object { positions: [], velocities: [] }
- *                  containing positions and velocities of all bodies. The
- *                  first two elements are cores, and the remaining
- *                  are the stars in two galaxies.
+ *                      between the cores of the first two galaxies.
+ * @param  {type} eccentricity    The eccentricity of orbit of the second core
+ *                                when viewed from the first core.
+ * @param  {number} initialGalaxySeparation Separation between the first two
+ *                      cores at the start, used when the eccentricity
+ *                      is one or larger.
+ * @param  {string} initialPhase (optional) Where the first two cores start
+ *                      on their orbit, see `initialPhases`.
+ *                      Default: "apastron".
+ * @param  {number} initialTrueAnomalyDegree (optional) True anomaly of the
+ *                      second core at the start, used with the
+ *                      "trueAnomaly" phase.
+ * @param  {number} timeBeforePericenter (optional) Time left until the
+ *                      pericentre, used with the "timeBeforePericenter" phase.
+ * @param  {array} coreStateVectors (optional) Positions and velocities of
+ *                      the cores: [x1, y1, z1, vx1, vy1, vz1, x2, ...].
+ * @return {object} An object { positions: [], velocities: [] }
+ *                  containing positions and velocities of the cores.
  */
-export function allPositionsAndVelocities(args) {
+export function corePositionsAndVelocities(args) {
+  const galaxies = args.masses.length;
+  var positions = Array(galaxies * 3).fill(0);
+  var velocities = Array(galaxies * 3).fill(0);
+
+  if (args.coreStateVectors && args.coreStateVectors.length === galaxies * 6) {
+    // Use the supplied positions and velocities of the cores
+    for(let i = 0; i < galaxies; i++) {
+      for(let k = 0; k < 3; k++) {
+        positions[i * 3 + k] = args.coreStateVectors[i * 6 + k];
+        velocities[i * 3 + k] = args.coreStateVectors[i * 6 + 3 + k];
+      }
+    }
+  } else {
+    if (galaxies >= 2) {
+      keplerPairPositionsAndVelocities(args, positions, velocities);
+    }
+
+    // Place each of the remaining cores on a circular orbit around
+    // the cores placed before it
+    for(let i = 2; i < galaxies; i++) {
+      let innerMass = args.masses.slice(0, i).reduce((a, b) => a + b, 0);
+
+      // Each next core is twice as far as the previous one,
+      // starting from the separation between the first two cores
+      let distance = Math.pow(2, i - 1) *
+        Math.hypot(positions[3] - positions[0], positions[4] - positions[1]);
+
+      // Alternate sides of the inner cores
+      let side = i % 2 === 0 ? 1 : -1;
+
+      positions[i * 3 + 1] = side * distance;
+
+      // Speed on a circular orbit around a point mass: v = sqrt(G M / r)
+      velocities[i * 3] = -side * Math.sqrt(innerMass / distance);
+    }
+  }
+
+  moveToCenterOfMass(args.masses, positions, velocities);
+
+  return { positions, velocities };
+}
+
+
+/**
+ * Subtract the position and velocity of the centre of mass of the cores
+ * from their positions and velocities. The supplied `positions` and
+ * `velocities` arrays are updated with new values.
+ *
+ * @param  {array} masses     The masses of the cores.
+ * @param  {array} positions  Position vectors of the cores.
+ * @param  {array} velocities Velocity vectors of the cores.
+ */
+function moveToCenterOfMass(masses, positions, velocities) {
+  const totalMass = masses.reduce((a, b) => a + b, 0);
+  if (totalMass === 0) return;
+
+  for(let k = 0; k < 3; k++) {
+    let centerPosition = 0;
+    let centerVelocity = 0;
+
+    for(let i = 0; i < masses.length; i++) {
+      centerPosition += masses[i] * positions[i * 3 + k];
+      centerVelocity += masses[i] * velocities[i * 3 + k];
+    }
+
+    centerPosition /= totalMass;
+    centerVelocity /= totalMass;
+
+    for(let i = 0; i < masses.length; i++) {
+      positions[i * 3 + k] -= centerPosition;
+      velocities[i * 3 + k] -= centerVelocity;
+    }
+  }
+}
+
+
+/**
+ * Place the first two galaxy cores on a Kepler orbit around their common
+ * centre of mass. The supplied `positions` and `velocities` arrays
+ * are updated with new values.
+ *
+ * By default, bound orbits (eccentricity below one) start at apastron.
+ * Parabolic and hyperbolic orbits have no apastron and start before the
+ * pericentre, when the cores are `initialGalaxySeparation` apart.
+ * The start can be moved to another point of the orbit with `initialPhase`,
+ * see `initialTrueAnomaly`.
+ *
+ * @param  {object} args Initial parameters, see `corePositionsAndVelocities`.
+ * @param  {array} positions  Position vectors of the cores.
+ * @param  {array} velocities Velocity vectors of the cores.
+ */
+function keplerPairPositionsAndVelocities(args, positions, velocities) {
   // We will setup the system such that two galaxy cores move around the
   // common centre of mass in the x-y plane (i.e. their z coordinate is zero).
-  // Let's make both cores start at y=0. We then need to calculate
-  // the initial x coordinates of the two cores.
+  // The pericentre lies on the x-axis, where the second core is located
+  // on the negative x side of the first one.
 
-  // First, we calculate semi-major axis of the elliptic trajectory
-  // that the first galaxy core makes relative to the second core.
-  // The second core is located at ellipse's focus.
-  //
-  // The minimal separation rMin (a.k.a. periastron) between two galaxy cores
-  // is given by equation:
+  // First, we find the orbit of the second core relative to the first one.
+  // It is an ellipse (e < 1), parabola (e = 1) or hyperbola (e > 1)
+  // with the first core at its focus, given by the equation
   //
-  //        rMin = a (1 - e),
+  //        r = p / (1 + e cos(nu)),          (1)
   //
   //    where
-  //        a is semi-major axis of the ellipse,
-  //        e is its eccentricity.
+  //        r is the distance between the cores,
+  //        p is the semi-latus rectum of the orbit,
+  //        e is its eccentricity,
+  //        nu is the true anomaly: the angle between the second core and
+  //          the pericentre, when viewed from the first core.
   //
-  // Solving for a gives the semi-major axis:
+  // The minimal separation rMin (a.k.a. periastron) between two galaxy cores
+  // is reached at nu = 0:
   //
-  //        a = eMin / (1 - e).
+  //        rMin = p / (1 + e).
   //
-  const a = args.minimalGalaxySeparation / (1 - args.eccentricity);
-
-  // We want to start simulation when two cores are located at maximum distance
-  // rMax from each other (a.k.a. apastron), which is given by equation:
+  // Solving for p gives the semi-latus rectum:
   //
-  //        rMax = a (1 + e)
+  //        p = rMin (1 + e).
   //
-  const r = a * (1 + args.eccentricity);
+  const e = args.eccentricity;
+  const p = args.minimalGalaxySeparation * (1 + e);
 
   // Calculate the total mass of galaxy cores
   const totalMass = args.masses[0] + args.masses[1];
 
+  // Find the true anomaly at the start of the simulation
+  const trueAnomaly = initialTrueAnomaly(args, p, totalMass);
+  const r = p / (1 + e * Math.cos(trueAnomaly));
 
-  // Positions of galaxy cores
-  // --------
+  // The speed of the second core when viewed from the first core has radial
+  // and tangential components (from two-body problem):
+  //
+  //        vr = sqrt(G M / p) e sin(nu),
+  //        vt = sqrt(G M / p) (1 + e cos(nu)),
+  //
+  //    where M is the total mass of the cores.
+  //
+  const speedFactor = Math.sqrt(totalMass / p);
+  const radialSpeed = speedFactor * e * Math.sin(trueAnomaly);
+  const tangentialSpeed = speedFactor * (1 + e * Math.cos(trueAnomaly));
 
-  var bodies = totalNumberOfBodies(args.numberOfRings[0],
-                                   args.numberOfRings[1],
-                                   args.ringMultiplier);
+  // Direction from the first core to the second, measured from the x-axis.
+  // The pericentre (nu = 0) is in the direction of the negative x-axis.
+  const angle = trueAnomaly + Math.PI;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
 
-  var positions = Array(bodies * 3).fill(0);
+  // Position and velocity of the second core relative to the first core,
+  // the second core moves counterclockwise
+  const relativePosition = [r * cos, r * sin];
+
+  const relativeVelocity = [radialSpeed * cos - tangentialSpeed * sin,
+                            radialSpeed * sin + tangentialSpeed * cos];
+
+
+  // Positions of galaxy cores
+  // --------
 
   // We have two galaxy cores. If we place the origin of coordinate system
   // at the center of their mass, positions are given by the equation:
   //
-  //            r1 m1 = r2 m2,                  (1)
+  //            r1 m1 = r2 m2,                  (2)
   //
   //    where
   //        r1, r2 are distances to the galaxy cores from the centre of mass,
@@ -267,13 +597,13 @@ export function allPositionsAndVelocities(args) {
   //
   // The distance r between the two cores is
   //
-  //          r = r1 + r2.                      (2)
+  //          r = r1 + r2.                      (3)
   //
-  // Next, we solve Eq. 1 for r1:
+  // Next, we solve Eq. 2 for r1:
   //
   //          r1 = m2 r2 / m1.
   //
-  // Substituting r2 = r - r1 from Eq. 2 we get
+  // Substituting r2 = r - r1 from Eq. 3 we get
   //
   //          r1 = m2 (r - r1) / m1
   //             = r m2 / m1 - m2 r1 / m1.
@@ -283,28 +613,24 @@ export function allPositionsAndVelocities(args) {
   //          r1 = (r m2 / m1) * ( 1 / (1 + m2 / m1)
   //             = r m2 / (m1 + m2)
   //
-  // We use negative of that for the first core as its x coordinate:
-  positions[0] = -r * args.masses[1] / totalMass;
-
+  // The first core is located in the direction opposite to the second one.
+  //
   // Similarly, we calculate the r2 distance:
   //
   //          r2 = r m1 / (m1 + m2)
   //
-  positions[3] = r * args.masses[0] / totalMass;
+  for(let k = 0; k < 2; k++) {
+    positions[k] = -relativePosition[k] * args.masses[1] / totalMass;
+    positions[3 + k] = relativePosition[k] * args.masses[0] / totalMass;
+  }
 
 
   // Velocities of galaxy cores
   // --------
 
-  var velocities = Array(bodies * 3).fill(0);
-
-  // In the coordinate system with the origin fixed at the first galaxy core,
-  // the speed of the second core v0 is given by (from two-body problem):
-  var v0 = Math.sqrt(a * (1 - Math.pow(args.eccentricity, 2) ) * totalMass) / r;
-
-  // But our origin is located at the centre of mass. Velocity vectors
-  // of the two cores always point in opposite directions. Therefore,
-  // speed v0 of second core when viewed from the first core is
+  // Velocity vectors of the two cores relative to the centre of mass always
+  // point in opposite directions. Therefore, the speed v0 of second core
+  // when viewed from the first core is
   //
   //            v0 = v1 + v2,
   //
@@ -313,7 +639,7 @@ export function allPositionsAndVelocities(args) {
   //
   // Solving for v1 gives
   //
-  //            v1 = v0 - v2.                   (3)
+  //            v1 = v0 - v2.                   (4)
   //
   // Conservation of momentum gives
   //
@@ -323,7 +649,7 @@ export function allPositionsAndVelocities(args) {
   //
   //            v2 = v1 m1 / m2
   //
-  // and substitute v2 into Eq. 3:
+  // and substitute v2 into Eq. 4:
   //
   //            v1 = v0 - v1 m1 / m2.
   //
@@ -332,35 +658,306 @@ export function allPositionsAndVelocities(args) {
   //            v1 = v0 / (1 + m1 / m2)
   //               = v0 m2 / (m1 + m2)
   //
-  velocities[1] = -v0 * args.masses[1] / totalMass;
-
   // Similarly, we calculate the speed of the second core:
   //
-  //            v2 = r m1 / (m1 + m2)
-  velocities[4] = v0 * args.masses[0] / totalMass;
+  //            v2 = v0 m1 / (m1 + m2)
+  //
+  for(let k = 0; k < 2; k++) {
+    velocities[k] = -relativeVelocity[k] * args.masses[1] / totalMass;
+    velocities[3 + k] = relativeVelocity[k] * args.masses[0] / totalMass;
+  }
+}
 
-  const stars1 = numberOfStarsInAllRingsOneGalaxy(args.numberOfRings[0],
-                                                  args.ringMultiplier);
+
+/**
+ * Find the true anomaly of the second core relative to the first one at the
+ * start of the simulation, see `keplerPairPositionsAndVelocities`.
+ *
+ * @param  {object} args Initial parameters, see `corePositionsAndVelocities`.
+ * @param  {number} p         Semi-latus rectum of the orbit.
+ * @param  {number} totalMass Total mass of the two cores.
+ * @return {number} True anomaly in radians, between -pi and pi.
+ */
+function initialTrueAnomaly(args, p, totalMass) {
+  const e = args.eccentricity;
+
+  if (args.initialPhase === "timeBeforePericenter") {
+    // Solve Kepler's equation for the position at the given time
+    return trueAnomalyAtTime(e, args.minimalGalaxySeparation, totalMass,
+                             -args.timeBeforePericenter);
+  }
+
+  if (args.initialPhase === "trueAnomaly") {
+    let trueAnomaly = args.initialTrueAnomalyDegree * Math.PI / 180;
+
+    // Keep the angle between -180 and 180 degrees
+    trueAnomaly = Math.atan2(Math.sin(trueAnomaly), Math.cos(trueAnomaly));
+
+    // Unbound orbits do not reach the directions where 1 + e cos(nu) <= 0,
+    // these start at the initial separation instead
+    if (1 + e * Math.cos(trueAnomaly) > 0) return trueAnomaly;
+  }
+
+  if (e < 1) {
+    // We want to start simulation when two cores are located at maximum
+    // distance from each other (a.k.a. apastron), at nu = 180 degrees
+    return Math.PI;
+  }
+
+  // Unbound orbits start before the pericentre at the given separation.
+  // Solving the orbit equation r = p / (1 + e cos(nu)) for nu gives
+  //
+  //        cos(nu) = (p / r - 1) / e,
+  //
+  // we take the negative angle, since the cores approach each other.
+  let separation = Math.max(args.initialGalaxySeparation,
+                            args.minimalGalaxySeparation);
+
+  return -Math.acos(Math.min((p / separation - 1) / e, 1));
+}
+
+
+/**
+ * Calculate the direction from the core of a galaxy to its companion core
+ * at pericentre. The first two cores start at apocentre on the x-axis,
+ * with the first core at negative x, and reach the pericentre on the
+ * opposite sides. The companion of the first galaxy is the second one,
+ * and the companion of the others is the first galaxy, which is assumed
+ * to be in the same direction as for the second galaxy.
+ *
+ * @param  {number} galaxyNumber Index of the galaxy: 0, 1, 2...
+ * @return {number} Angle in the orbital plane measured from the x-axis,
+ *                  in degrees.
+ */
+function pericenterDirectionDegree(galaxyNumber) {
+  return galaxyNumber === 0 ? 180 : 0;
+}
+
+
+/**
+ * Returns the parameters describing the core of the galaxy and the
+ * orientation of its disk, which are used for placing the stars
+ * and the gas of the galaxy.
+ *
+ * @param  {object} args Initial parameters, see `allPositionsAndVelocities`.
+ * @param  {number} galaxyNumber Index of the galaxy: 0, 1, 2...
+ * @param  {array} corePosition  Position of the core.
+ * @param  {array} coreVelocity  Velocity of the core.
+ * @return {object} The parameters, see `galaxyStarsPositionsAndVelocities`.
+ */
+function galaxyCoreArgs(args, galaxyNumber, corePosition, coreVelocity) {
+  let pericenterDirection = pericenterDirectionDegree(galaxyNumber);
+  let haloProfiles = coreHaloProfiles(args);
+
+  return {
+    corePosition: corePosition,
+    coreVelocity: coreVelocity,
+    coreMass: args.masses[galaxyNumber],
+    galaxyAngleDegree: args.galaxyInclinationAnglesDegree[galaxyNumber],
+    // By default, the disks are tilted around the y-axis
+    pericenterArgumentDegree: args.galaxyPericenterArgumentsDegree ?
+      args.galaxyPericenterArgumentsDegree[galaxyNumber] :
+      pericenterDirection + 90,
+
+    pericenterDirectionDegree: pericenterDirection,
+    haloProfile: haloProfiles ? haloProfiles[galaxyNumber] : "point",
+    haloScaleRadius: args.haloScaleRadii ? args.haloScaleRadii[galaxyNumber] : 1
+  };
+}
+
+
+/**
+ * Calculate initial positions and velocities of the stars in one galaxy
+ * using its type from `args.galaxyTypes` and the disk model
+ * from `args.diskModel`. The stars of spherical galaxies are drawn from
+ * the model with the mass of the core and the scale radius of its halo.
+ *
+ * @param  {object} args Initial parameters, see `allPositionsAndVelocities`.
+ * @param  {number} galaxyNumber Index of the galaxy: 0, 1, 2...
+ * @param  {array} corePosition  Position of the core.
+ * @param  {array} coreVelocity  Velocity of the core.
+ * @return {object} An object { positions: [], velocities: [] }
+ *                  containing positions and velocities of the stars.
+ */
+function galaxyPositionsAndVelocities(args, galaxyNumber, corePosition,
+                                      coreVelocity) {
+
+  let galaxyArgs = galaxyCoreArgs(args, galaxyNumber, corePosition,
+                                  coreVelocity);
+
+  // Each galaxy has its own sequence of random numbers, so that
+  // changing one galaxy does not change the others
+  let random = createRandom(args.randomSeed + galaxyNumber);
+
+  if (isSpheroid(args, galaxyNumber)) {
+    return spheroidPositionsAndVelocities(Object.assign(galaxyArgs, {
+      profile: args.galaxyTypes[galaxyNumber],
+      scaleRadius: galaxyArgs.haloScaleRadius,
+      numberOfStars: args.numberOfStars[galaxyNumber],
+      random: random
+    }));
+  }
+
+  if (args.diskModel === "exponential") {
+    return exponentialDiskPositionsAndVelocities(Object.assign(galaxyArgs, {
+      numberOfStars: args.numberOfStars[galaxyNumber],
+      scaleLength: args.diskScaleLengths[galaxyNumber],
+      diskMass: args.diskMasses[galaxyNumber],
+      toomreQ: args.toomreQ,
+      thickness: args.diskThickness,
+      random: random
+    }));
+  }
+
+  return galaxyStarsPositionsAndVelocities(Object.assign(galaxyArgs, {
+    numberOfRings: args.numberOfRings[galaxyNumber],
+    ringSeparation: args.ringSeparation[galaxyNumber],
+    ringMultiplier: args.ringMultiplier[galaxyNumber]
+  }));
+}
+
+
+/**
+ * Calculate initial positions and velocities of the gas particles in the
+ * disk of one galaxy. The gas is a cold thin exponential disk with the
+ * scale length of the stellar disk, see exponential_disk.js, tilted
+ * the same way as the stars.
+ *
+ * @param  {object} args Initial parameters, see `allPositionsAndVelocities`.
+ * @param  {number} galaxyNumber Index of the galaxy: 0, 1, 2...
+ * @param  {array} corePosition  Position of the core.
+ * @param  {array} coreVelocity  Velocity of the core.
+ * @return {object} An object { positions: [], velocities: [] }
+ *                  containing positions and velocities of the gas particles.
+ */
+function gasPositionsAndVelocities(args, galaxyNumber, corePosition,
+                                   coreVelocity) {
+
+  let galaxyArgs = galaxyCoreArgs(args, galaxyNumber, corePosition,
+                                  coreVelocity);
+
+  return exponentialDiskPositionsAndVelocities(Object.assign(galaxyArgs, {
+    numberOfStars: numberOfGasParticlesInGalaxies(args)[galaxyNumber],
+    scaleLength: args.diskScaleLengths[galaxyNumber],
+    diskMass: args.gasMasses[galaxyNumber],
+    toomreQ: 0,
+    thickness: 0,
+    random: createRandom(args.randomSeed + gasRandomSeedOffset + galaxyNumber)
+  }));
+}
+
+
+/**
+ * Calculate initial positions and velocities of all bodies: the galaxy
+ * cores and all the stars.
+ *
+ * Parameters are passed as single object with properties:
+ *
+ * @param  {array} numberOfRings  Array containing the number of rings in
+ *                                each galaxy, i.e. [5, 3]
+ * @param  {array} ringSeparation Distance between the rings in each galaxy,
+ *                                i.e. [3, 2]
+ * @param  {array} ringMultiplier Increase in number of stars in next ring
+ *                                in each galaxy, i.e. [6, 8]
+ * @param  {number} minimalGalaxySeparation Minimal separation (periastron)
+ *                      between the cores of the first two galaxies.
+ * @param  {array} galaxyInclinationAnglesDegree Array containing inclination
+ *                      angles of galaxies relative to orbital plane
+ *                      of the cores, i.e. [30, 60].
+ * @param  {array} galaxyPericenterArgumentsDegree (optional) Arguments of
+ *                      the pericentre of the galaxies, i.e. [270, 90],
+ *                      see disk_orientation.js. By default, the disks are
+ *                      tilted around the y-axis: [270, 90, 90, ...].
+ * @param  {array} masses         The masses of the cores, i.e. [1, 1.5]
+ * @param  {type} eccentricity    The eccentricity of orbit of the second core
+ *                                when viewed from the first core.
+ * @param  {number} initialGalaxySeparation Separation between the first two
+ *                      cores at the start, used when the eccentricity
+ *                      is one or larger.
+ * @param  {string} initialPhase (optional) Where the first two cores start
+ *                      on their orbit, see `initialPhases`.
+ *                      Default: "apastron".
+ * @param  {number} initialTrueAnomalyDegree (optional) True anomaly of the
+ *                      second core at the start, used with the
+ *                      "trueAnomaly" phase.
+ * @param  {number} timeBeforePericenter (optional) Time left until the
+ *                      pericentre, used with the "timeBeforePericenter" phase.
+ * @param  {array} coreStateVectors (optional) Positions and velocities of
+ *                      the cores, see `corePositionsAndVelocities`.
+ * @param  {array} haloProfiles (optional) Names of halo profiles of the cores,
+ *                      i.e. ["point", "nfw"], see halo.js. The halos of
+ *                      spherical galaxies use their type instead,
+ *                      see `coreHaloProfiles`.
+ * @param  {array} haloScaleRadii (optional) Scale radii of the halos.
+ * @param  {string} diskModel (optional) Model of the galaxy disks,
+ *                      see `diskModels`. Default: "rings".
+ * @param  {array} galaxyTypes (optional) Types of the galaxies,
+ *                      i.e. ["disk", "hernquist"], see `galaxyTypes`.
+ *                      Default: all "disk".
+ * @param  {array} numberOfStars Number of stars in each galaxy, used by
+ *                      the "exponential" disk model and spherical galaxies.
+ * @param  {array} diskScaleLengths Scale lengths of the disks.
+ * @param  {array} diskMasses Total mass of the stars in each galaxy.
+ * @param  {number} toomreQ Toomre parameter of the disks, zero for cold disks.
+ * @param  {number} diskThickness Scale height of the disks.
+ * @param  {array} numberOfGasParticles (optional) Number of gas particles
+ *                      in each galaxy, see `numberOfGasParticlesInGalaxies`.
+ * @param  {array} gasMasses (optional) Total mass of the gas in each galaxy.
+ * @param  {number} randomSeed Seed of the random numbers.
+ * @return {type}   An object { positions: [], velocities: [] }
+ *                  containing positions and velocities of all bodies. The
+ *                  first elements are the cores (one per galaxy), and the
+ *                  remaining are the stars of the first galaxy, followed by
+ *                  the stars of the second galaxy etc. The gas particles of
+ *                  each galaxy are placed after the stars of all galaxies.
+ */
+export function allPositionsAndVelocities(args) {
+  const galaxies = numberOfGalaxies(args);
+  var bodies = totalNumberOfBodies(args);
+  var positions = new Float64Array(bodies * 3);
+  var velocities = new Float64Array(bodies * 3);
+
+  // Positions and velocities of galaxy cores
+  // --------
+
+  var cores = corePositionsAndVelocities(args);
+
+  for(let i = 0; i < galaxies * 3; i++) {
+    positions[i] = cores.positions[i];
+    velocities[i] = cores.velocities[i];
+  }
+
+  // Index of the first coordinate of the first star in current galaxy
+  let iFirst = galaxies * 3;
 
   // Loop through galaxy cores
-  for(let galaxyNumber = 0; galaxyNumber < 2; galaxyNumber++) {
+  for(let galaxyNumber = 0; galaxyNumber < galaxies; galaxyNumber++) {
     // Calculate positions and velocities of the stars the galaxy
-    let galaxy = galaxyStarsPositionsAndVelocities({
-        corePosition: positions.slice(galaxyNumber*3, galaxyNumber*3 + 3),
-        coreVelocity: velocities.slice(galaxyNumber*3, galaxyNumber*3 + 3),
-        coreMass: args.masses[galaxyNumber],
-        galaxyAngleDegree: args.galaxyInclinationAnglesDegree[galaxyNumber],
-        numberOfRings: args.numberOfRings[galaxyNumber],
-        ringSeparation: args.ringSeparation,
-        ringMultiplier: args.ringMultiplier
-    });
+    let galaxy = galaxyPositionsAndVelocities(args, galaxyNumber,
+      positions.slice(galaxyNumber*3, galaxyNumber*3 + 3),
+      velocities.slice(galaxyNumber*3, galaxyNumber*3 + 3));
 
     // Store positions and velocities of the stars
     for(let i = 0; i < galaxy.positions.length; i++) {
-      positions[6 + i + galaxyNumber * stars1 * 3] = galaxy.positions[i];
-      velocities[6 + i + galaxyNumber * stars1 * 3] = galaxy.velocities[i];
+      positions[iFirst + i] = galaxy.positions[i];
+      velocities[iFirst + i] = galaxy.velocities[i];
     }
+
+    iFirst += galaxy.positions.length;
   }
 
+  // Gas particles of the galaxies
+  numberOfGasParticlesInGalaxies(args).forEach((particles, galaxyNumber) => {
+    if (particles === 0) return;
+
+    let gas = gasPositionsAndVelocities(args, galaxyNumber,
+      positions.slice(galaxyNumber*3, galaxyNumber*3 + 3),
+      velocities.slice(galaxyNumber*3, galaxyNumber*3 + 3));
+
+    positions.set(gas.positions, iFirst);
+    velocities.set(gas.velocities, iFirst);
+    iFirst += gas.positions.length;
+  });
+
   return { positions, velocities };
 }
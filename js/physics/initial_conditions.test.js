@@ -1,4 +1,5 @@
 import * as init from './initial_conditions.js';
+import { timeAtTrueAnomaly } from './kepler.js';
 
 var expect = chai.expect;
 
@@ -16,8 +17,82 @@ describe('Initial conditions', () => {
   });
 
   it('totalNumberOfBodies', () => {
-    let multiplier = 8;
-    expect(init.totalNumberOfBodies(3, 8, multiplier)).to.equal(338);
+    let args = { numberOfRings: [3, 8], ringMultiplier: [8, 8] };
+    expect(init.totalNumberOfBodies(args)).to.equal(338);
+
+    args = { numberOfRings: [3, 8, 1], ringMultiplier: [8, 8, 8] };
+    expect(init.totalNumberOfBodies(args)).to.equal(347);
+  });
+
+  it('numberOfStarsInGalaxies', () => {
+    let args = { numberOfRings: [3, 0, 5], ringMultiplier: [8, 8, 8] };
+    expect(init.numberOfStarsInGalaxies(args)).to.deep.equal([48, 0, 120]);
+  });
+
+  it('numberOfStarsInGalaxies with exponential disks', () => {
+    let args = { numberOfRings: [3, 5], ringMultiplier: [8, 8],
+                 diskModel: "exponential", numberOfStars: [100, 250] };
+
+    expect(init.numberOfStarsInGalaxies(args)).to.deep.equal([100, 250]);
+    expect(init.totalNumberOfBodies(args)).to.equal(352);
+  });
+
+  it('starMasses', () => {
+    let args = { numberOfRings: [1, 2, 0], ringMultiplier: [2, 2, 2],
+                 diskMasses: [1, 3, 5] };
+
+    expect(init.starMasses(args)).to.deep.equal(
+      [0.5, 0.5, 0.5, 0.5, 0.5, 0.5, 0.5, 0.5]);
+  });
+
+  it('numberOfGasParticlesInGalaxies', () => {
+    let args = { numberOfRings: [3, 5, 1], ringMultiplier: [8, 8, 8],
+                 numberOfStars: [0, 30, 0],
+                 numberOfGasParticles: [100, 50, 20],
+                 galaxyTypes: ["disk", "plummer", "disk"] };
+
+    // Spherical galaxies have no gas
+    expect(init.numberOfGasParticlesInGalaxies(args))
+      .to.deep.equal([100, 0, 20]);
+
+    expect(init.totalNumberOfBodies(args)).to.equal(3 + 48 + 30 + 8 + 120);
+
+    // No gas by default
+    delete args.numberOfGasParticles;
+
+    expect(init.numberOfGasParticlesInGalaxies(args))
+      .to.deep.equal([0, 0, 0]);
+  });
+
+  it('coreHaloProfiles', () => {
+    let args = { numberOfRings: [3, 5, 1],
+                 galaxyTypes: ["disk", "hernquist", "plummer"],
+                 haloProfiles: ["nfw", "point", "point"] };
+
+    // Spherical galaxies use the halo of their type
+    expect(init.coreHaloProfiles(args))
+      .to.deep.equal(["nfw", "hernquist", "plummer"]);
+
+    // Point masses by default
+    delete args.haloProfiles;
+
+    expect(init.coreHaloProfiles(args))
+      .to.deep.equal(["point", "hernquist", "plummer"]);
+
+    // Disks keep their halos
+    args.galaxyTypes = ["disk", "disk", "disk"];
+    expect(init.coreHaloProfiles(args)).to.equal(undefined);
+  });
+
+  it('starMasses with gas', () => {
+    let args = { numberOfRings: [1, 1], ringMultiplier: [2, 2],
+                 diskMasses: [1, 3], numberOfGasParticles: [2, 4],
+                 gasMasses: [0.2, 0.4] };
+
+    expect(init.gasMasses(args)).to.deep.equal([0.1, 0.1, 0.1, 0.1, 0.1, 0.1]);
+
+    expect(init.starMasses(args)).to.deep.equal(
+      [0.5, 0.5, 1.5, 1.5, 0.1, 0.1, 0.1, 0.1, 0.1, 0.1]);
   });
 
   it('galaxyStarsPositionsAndVelocities', () => {
@@ -38,13 +113,13 @@ describe('Initial conditions', () => {
 
     expect(positions.length).to.equal(360);
 
-    expect(positions.slice(0, 3)).to.deep.closeTo(
+    expect(Array.from(positions.slice(0, 3))).to.deep.closeTo(
       [3.985012495834077, 0, -0.29950024994048446], 1e-13);
 
-    expect(positions.slice(3, 6)).to.deep.closeTo(
+    expect(Array.from(positions.slice(3, 6))).to.deep.closeTo(
       [3.110722577730857, 2.1213203435596424, -0.21177865769998247], 1e-13);
 
-    expect(positions.slice(3*119, 3*119 + 3)).to.deep.closeTo(
+    expect(Array.from(positions.slice(3*119, 3*119 + 3))).to.deep.closeTo(
       [15.741310193330548, -2.3465169756034667, -1.4790645243577303], 1e-13);
 
 
@@ -53,21 +128,21 @@ describe('Initial conditions', () => {
 
     expect(velocities.length).to.equal(360);
 
-    expect(velocities.slice(0, 3)).to.deep.closeTo(
+    expect(Array.from(velocities.slice(0, 3))).to.deep.closeTo(
       [0, 1.5773502691896257, 0], 1e-10);
 
-    expect(velocities.slice(3, 6)).to.deep.closeTo(
+    expect(Array.from(velocities.slice(3, 6))).to.deep.closeTo(
       [-0.40620874947917696, 1.4082482904638631, 0.04075682167723415], 1e-13);
 
-    expect(velocities.slice(119 * 3, 119 * 3 + 3)).to.deep.closeTo(
+    expect(Array.from(velocities.slice(119 * 3, 119 * 3 + 3))).to.deep.closeTo(
       [0.040189417406220285, 1.2550200329578804, -0.004032392016758411], 1e-13);
   });
 
   it('allPositionsAndVelocities', () => {
     const args = {
       numberOfRings: [5, 5],
-      ringSeparation: 3,
-      ringMultiplier: 8,
+      ringSeparation: [3, 3],
+      ringMultiplier: [8, 8],
       minimalGalaxySeparation: 3,
       galaxyInclinationAnglesDegree: [0.123 * 180 / Math.PI, 0.123 * 180 / Math.PI],
       masses: [1, 0.7],
@@ -87,11 +162,11 @@ describe('Initial conditions', () => {
       [-2.2941176470588234, 0, 0], 1e-13);
 
     // Core 2
-    expect(positions.slice(3, 6)).to.deep.closeTo(
+    expect(Array.from(positions.slice(3, 6))).to.deep.closeTo(
       [3.2773109243697478, 0, 0], 1e-13);
 
     // Last star
-    expect(positions.slice(241 * 3, 241 * 3 + 3)).to.deep.closeTo(
+    expect(Array.from(positions.slice(241 * 3, 241 * 3 + 3))).to.deep.closeTo(
       [17.980706728192207, -2.3465169756034667, -1.8176935713537608], 1e-13);
 
 
@@ -102,15 +177,442 @@ describe('Initial conditions', () => {
     expect(velocities.length).to.equal(726);
 
     // Core 1
-    expect(velocities.slice(0, 3)).to.deep.closeTo(
+    expect(Array.from(velocities.slice(0, 3))).to.deep.closeTo(
       [0, -0.19030023115825126, 0], 1e-13);
 
     // Core 2
-    expect(velocities.slice(3, 6)).to.deep.closeTo(
+    expect(Array.from(velocities.slice(3, 6))).to.deep.closeTo(
       [0, 0.2718574730832161, 0], 1e-13);
 
     // Last star
-    expect(velocities.slice(241 * 3, 241 * 3 + 3)).to.deep.closeTo(
+    expect(Array.from(velocities.slice(241 * 3, 241 * 3 + 3))).to.deep.closeTo(
       [0.033538396438367514, 0.4852225406244772, -0.004146152930446584], 1e-13);
   });
+
+  it('allPositionsAndVelocities with different rings in each galaxy', () => {
+    const args = {
+      numberOfRings: [2, 1],
+      ringSeparation: [3, 5],
+      ringMultiplier: [2, 4],
+      minimalGalaxySeparation: 20,
+      galaxyInclinationAnglesDegree: [0, 0],
+      masses: [1, 1],
+      eccentricity: 0
+    };
+
+    expect(init.numberOfStarsInGalaxies(args)).to.deep.equal([6, 4]);
+
+    var { positions } = init.allPositionsAndVelocities(args);
+    expect(positions.length).to.equal((2 + 10) * 3);
+
+    // Distance of a star from the core of its galaxy
+    let distance = (iStar, iCore) => Math.hypot(
+      positions[(2 + iStar) * 3] - positions[iCore * 3],
+      positions[(2 + iStar) * 3 + 1] - positions[iCore * 3 + 1]);
+
+    // The first galaxy has two rings of 2 and 4 stars, 3 apart
+    expect(distance(0, 0)).to.closeTo(3, 1e-12);
+    expect(distance(2, 0)).to.closeTo(6, 1e-12);
+    expect(distance(5, 0)).to.closeTo(6, 1e-12);
+
+    // The second galaxy has one ring of 4 stars at distance 5
+    expect(distance(6, 1)).to.closeTo(5, 1e-12);
+    expect(distance(9, 1)).to.closeTo(5, 1e-12);
+  });
+
+  it('allPositionsAndVelocities with three galaxies', () => {
+    const args = {
+      numberOfRings: [1, 2, 1],
+      ringSeparation: [3, 3, 3],
+      ringMultiplier: [2, 2, 2],
+      minimalGalaxySeparation: 3,
+      galaxyInclinationAnglesDegree: [0, 0, 0],
+      masses: [1, 1, 2],
+      eccentricity: 0
+    };
+
+    var { positions, velocities } = init.allPositionsAndVelocities(args);
+
+    // Three cores plus 2 + 6 + 2 stars
+    expect(positions.length).to.equal(39);
+    expect(velocities.length).to.equal(39);
+
+    // Cores
+    expect(Array.from(positions.slice(0, 3))).to.deep.closeTo([-1.5, -3, 0], 1e-13);
+    expect(Array.from(positions.slice(3, 6))).to.deep.closeTo([1.5, -3, 0], 1e-13);
+    expect(Array.from(positions.slice(6, 9))).to.deep.closeTo([0, 3, 0], 1e-13);
+
+    expect(Array.from(velocities.slice(0, 3))).to.deep.closeTo(
+      [0.28867513459481287, -0.408248290463863, 0], 1e-13);
+
+    expect(Array.from(velocities.slice(6, 9))).to.deep.closeTo(
+      [-0.28867513459481287, 0, 0], 1e-13);
+
+    // The star of the third galaxy is orbiting its core
+    expect(Array.from(positions.slice(36, 39))).to.deep.closeTo([-3, 3, 0], 1e-13);
+  });
+
+  it('corePositionsAndVelocities from state vectors', () => {
+    const args = {
+      masses: [1, 3],
+      coreStateVectors: [4, 0, 0, 0, 1, 0, 0, 0, 0, 0, -1, 0]
+    };
+
+    var { positions, velocities } = init.corePositionsAndVelocities(args);
+
+    // Vectors are relative to the centre of mass
+    expect(positions).to.deep.closeTo([3, 0, 0, -1, 0, 0], 1e-13);
+    expect(velocities).to.deep.closeTo([0, 1.5, 0, 0, -0.5, 0], 1e-13);
+  });
+
+  it('galaxyStarsPositionsAndVelocities with halo', () => {
+    const args = {
+      corePosition: [0, 0, 0],
+      coreVelocity: [0, 0, 0],
+      coreMass: 1,
+      galaxyAngleDegree: 0,
+      numberOfRings: 2,
+      ringSeparation: 3,
+      ringMultiplier: 1,
+      haloProfile: "nfw",
+      haloScaleRadius: 3
+    };
+
+    var { positions, velocities } = init.galaxyStarsPositionsAndVelocities(args);
+
+    // First star of the second ring
+    expect(Array.from(positions.slice(3, 6))).to.deep.closeTo([6, 0, 0], 1e-13);
+
+    expect(Array.from(velocities.slice(3, 6))).to.deep.closeTo(
+      [0, 0.610512733668974, 0], 1e-13);
+  });
+
+  it('allPositionsAndVelocities with exponential disks', () => {
+    const args = {
+      numberOfRings: [5, 5],
+      ringSeparation: [3, 3],
+      ringMultiplier: [8, 8],
+      minimalGalaxySeparation: 20,
+      galaxyInclinationAnglesDegree: [0, 0],
+      masses: [1, 1],
+      eccentricity: 0,
+      diskModel: "exponential",
+      numberOfStars: [30, 20],
+      diskScaleLengths: [3, 3],
+      diskMasses: [0.1, 0.1],
+      toomreQ: 1,
+      diskThickness: 0.5,
+      randomSeed: 5
+    };
+
+    var { positions, velocities } = init.allPositionsAndVelocities(args);
+
+    // Two cores plus 30 + 20 stars
+    expect(positions.length).to.equal(52 * 3);
+    expect(velocities.length).to.equal(52 * 3);
+
+    // Same seed gives the same stars
+    var other = init.allPositionsAndVelocities(args);
+    expect(Array.from(other.positions)).to.deep.equal(Array.from(positions));
+
+    // Changing the second galaxy does not change the first
+    args.numberOfStars = [30, 40];
+    other = init.allPositionsAndVelocities(args);
+
+    expect(Array.from(other.positions.slice(0, 32 * 3))).to.deep.equal(
+      Array.from(positions.slice(0, 32 * 3)));
+
+    // Different seed gives different stars
+    args.randomSeed = 6;
+    other = init.allPositionsAndVelocities(args);
+    expect(other.positions[6]).not.to.equal(positions[6]);
+  });
+
+  it('allPositionsAndVelocities with a spherical galaxy', () => {
+    const args = {
+      numberOfRings: [1, 1],
+      ringSeparation: [3, 3],
+      ringMultiplier: [2, 2],
+      minimalGalaxySeparation: 20,
+      galaxyInclinationAnglesDegree: [0, 0],
+      masses: [1, 1],
+      eccentricity: 0,
+      galaxyTypes: ["disk", "hernquist"],
+      haloProfiles: ["point", "hernquist"],
+      haloScaleRadii: [1, 2],
+      numberOfStars: [30, 40],
+      randomSeed: 1
+    };
+
+    expect(init.numberOfStarsInGalaxies(args)).to.deep.equal([2, 40]);
+
+    var { positions, velocities } = init.allPositionsAndVelocities(args);
+
+    // Two cores plus a ring of two stars and 40 stars of the spherical galaxy
+    expect(positions.length).to.equal(44 * 3);
+    expect(velocities.length).to.equal(44 * 3);
+
+    // Stars of the spherical galaxy are not in the orbital plane
+    let heights = [];
+    for(let i = 4; i < 44; i++) heights.push(positions[i * 3 + 2]);
+    expect(heights.some((z) => Math.abs(z) > 0.1)).to.equal(true);
+
+    // Ring stars are in the plane
+    expect(positions[2 * 3 + 2]).to.closeTo(0, 1e-13);
+  });
+
+  it('allPositionsAndVelocities with gas', () => {
+    const args = {
+      numberOfRings: [1, 1],
+      ringSeparation: [3, 3],
+      ringMultiplier: [2, 2],
+      minimalGalaxySeparation: 20,
+      galaxyInclinationAnglesDegree: [0, 0],
+      masses: [1, 1],
+      eccentricity: 0,
+      diskScaleLengths: [3, 3],
+      numberOfGasParticles: [30, 20],
+      gasMasses: [0.1, 0.1],
+      randomSeed: 1
+    };
+
+    var { positions, velocities } = init.allPositionsAndVelocities(args);
+
+    // Two cores, two rings of two stars and 30 + 20 gas particles
+    expect(positions.length).to.equal(56 * 3);
+    expect(velocities.length).to.equal(56 * 3);
+
+    // The stars are placed before the gas
+    let withoutGas = init.allPositionsAndVelocities(
+      Object.assign({}, args, { numberOfGasParticles: [0, 0] }));
+
+    expect(Array.from(positions.slice(0, 6 * 3))).to.deep.equal(
+      Array.from(withoutGas.positions));
+
+    // The gas is a thin disk around its core on circular orbits
+    for(let i = 6; i < 56; i++) {
+      let core = i < 36 ? 0 : 1;
+      let dx = positions[i * 3] - positions[core * 3];
+      let dy = positions[i * 3 + 1] - positions[core * 3 + 1];
+      let dvx = velocities[i * 3] - velocities[core * 3];
+      let dvy = velocities[i * 3 + 1] - velocities[core * 3 + 1];
+      let distance = Math.hypot(dx, dy);
+
+      expect(positions[i * 3 + 2]).to.closeTo(0, 1e-13);
+      expect(Math.hypot(dvx, dvy)).to.closeTo(Math.sqrt(1 / distance), 1e-13);
+    }
+
+    // Changing the gas of the second galaxy does not change the first
+    let other = init.allPositionsAndVelocities(
+      Object.assign({}, args, { numberOfGasParticles: [30, 40] }));
+
+    expect(Array.from(other.positions.slice(0, 36 * 3))).to.deep.equal(
+      Array.from(positions.slice(0, 36 * 3)));
+  });
+
+  it('allPositionsAndVelocities with arguments of pericentre', () => {
+    const args = {
+      numberOfRings: [2, 2],
+      ringSeparation: [3, 3],
+      ringMultiplier: [4, 4],
+      minimalGalaxySeparation: 10,
+      galaxyInclinationAnglesDegree: [30, 50],
+      masses: [1, 1],
+      eccentricity: 0.5
+    };
+
+    var tiltedAroundY = init.allPositionsAndVelocities(args);
+
+    // The default disks are tilted around the y-axis
+    args.galaxyPericenterArgumentsDegree = [270, 90];
+    var { positions, velocities } = init.allPositionsAndVelocities(args);
+
+    expect(Array.from(positions)).to.deep.closeTo(
+      Array.from(tiltedAroundY.positions), 1e-13);
+
+    expect(Array.from(velocities)).to.deep.closeTo(
+      Array.from(tiltedAroundY.velocities), 1e-13);
+
+    // The second disk is perpendicular to the orbital plane and the
+    // pericentre lies in the disk plane, which becomes the x-z plane
+    args.galaxyInclinationAnglesDegree = [30, 90];
+    args.galaxyPericenterArgumentsDegree = [270, 0];
+    ({ positions, velocities } = init.allPositionsAndVelocities(args));
+
+    // Stars of the second galaxy
+    for(let i = 2 + 12; i < 2 + 24; i++) {
+      expect(positions[i * 3 + 1]).to.closeTo(positions[4], 1e-13);
+      expect(velocities[i * 3 + 1]).to.closeTo(velocities[4], 1e-13);
+    }
+  });
+
+  it('corePositionsAndVelocities on unbound orbits', () => {
+    const masses = [1, 3];
+    const totalMass = 4;
+    const minimalGalaxySeparation = 5;
+
+    [1, 1.5].forEach((eccentricity) => {
+      const args = {
+        masses: masses,
+        minimalGalaxySeparation: minimalGalaxySeparation,
+        eccentricity: eccentricity,
+        initialGalaxySeparation: 80
+      };
+
+      var { positions, velocities } = init.corePositionsAndVelocities(args);
+
+      let relativePosition = [0, 1, 2].map((k) => positions[3 + k] - positions[k]);
+      let relativeVelocity = [0, 1, 2].map((k) => velocities[3 + k] - velocities[k]);
+      let [x, y] = relativePosition;
+      let [vx, vy] = relativeVelocity;
+      let r = Math.sqrt(x * x + y * y);
+
+      // The cores start at the chosen separation
+      expect(r).to.closeTo(80, 1e-12);
+
+      // ...and approach each other
+      expect(x * vx + y * vy).to.be.below(0);
+
+      // Energy of the relative orbit: zero for a parabola
+      // and M (e - 1) / (2 rMin) for a hyperbola
+      let energy = (vx * vx + vy * vy) / 2 - totalMass / r;
+
+      expect(energy).to.closeTo(
+        totalMass * (eccentricity - 1) / (2 * minimalGalaxySeparation), 1e-13);
+
+      // Angular momentum sqrt(M p), where p = rMin (1 + e)
+      expect(x * vy - y * vx).to.closeTo(
+        Math.sqrt(totalMass * minimalGalaxySeparation * (1 + eccentricity)),
+        1e-12);
+
+      // Centre of mass is at rest at the origin
+      for(let k = 0; k < 3; k++) {
+        expect(masses[0] * positions[k] + masses[1] * positions[3 + k])
+          .to.closeTo(0, 1e-12);
+
+        expect(masses[0] * velocities[k] + masses[1] * velocities[3 + k])
+          .to.closeTo(0, 1e-13);
+      }
+    });
+  });
+
+  it('corePositionsAndVelocities start at pericentre', () => {
+    // Initial separation is smaller than the pericentre
+    const args = {
+      masses: [1, 1],
+      minimalGalaxySeparation: 20,
+      eccentricity: 1.2,
+      initialGalaxySeparation: 10
+    };
+
+    var { positions, velocities } = init.corePositionsAndVelocities(args);
+
+    // The pericentre is on the x-axis, the second core on the negative side
+    expect(positions).to.deep.closeTo([10, 0, 0, -10, 0, 0], 1e-12);
+
+    // Speed at pericentre sqrt(M (1 + e) / rMin)
+    expect(velocities[4] - velocities[1]).to.closeTo(
+      -Math.sqrt(2 * 2.2 / 20), 1e-13);
+  });
+
+  it('corePositionsAndVelocities at a given true anomaly', () => {
+    [0.6, 1, 1.5].forEach((eccentricity) => {
+      const args = {
+        masses: [1, 2],
+        minimalGalaxySeparation: 20,
+        eccentricity: eccentricity,
+        initialGalaxySeparation: 100,
+        initialPhase: "trueAnomaly",
+        initialTrueAnomalyDegree: -60
+      };
+
+      var { positions, velocities } = init.corePositionsAndVelocities(args);
+
+      let [x, y] = [positions[3] - positions[0], positions[4] - positions[1]];
+      let [vx, vy] = [velocities[3] - velocities[0],
+                      velocities[4] - velocities[1]];
+
+      // Orbit equation r = p / (1 + e cos(nu))
+      let p = 20 * (1 + eccentricity);
+      let r = Math.sqrt(x * x + y * y);
+      expect(r).to.closeTo(p / (1 + eccentricity * Math.cos(-Math.PI / 3)),
+                           1e-12);
+
+      // The pericentre is in the direction of the negative x-axis,
+      // the direction of the second core is nu + 180 degrees
+      expect(Math.atan2(y, x)).to.closeTo(Math.PI * 2 / 3, 1e-12);
+
+      // The cores approach each other
+      expect(x * vx + y * vy).to.be.below(0);
+
+      // Angular momentum sqrt(M p)
+      expect(x * vy - y * vx).to.closeTo(Math.sqrt(3 * p), 1e-12);
+    });
+  });
+
+  it('corePositionsAndVelocities true anomaly outside hyperbola', () => {
+    // The hyperbola with e = 2 does not reach the true anomaly of 150
+    // degrees, the cores start at the initial separation instead
+    const args = {
+      masses: [1, 1],
+      minimalGalaxySeparation: 20,
+      eccentricity: 2,
+      initialGalaxySeparation: 80,
+      initialPhase: "trueAnomaly",
+      initialTrueAnomalyDegree: 150
+    };
+
+    var { positions } = init.corePositionsAndVelocities(args);
+
+    expect(Math.hypot(positions[3] - positions[0], positions[4] - positions[1]))
+      .to.closeTo(80, 1e-12);
+  });
+
+  it('corePositionsAndVelocities at a given time before pericentre', () => {
+    [0.6, 1, 1.5].forEach((eccentricity) => {
+      const args = {
+        masses: [1, 2],
+        minimalGalaxySeparation: 20,
+        eccentricity: eccentricity,
+        initialGalaxySeparation: 100,
+        initialPhase: "timeBeforePericenter",
+        timeBeforePericenter: 70
+      };
+
+      var { positions } = init.corePositionsAndVelocities(args);
+
+      let [x, y] = [positions[3] - positions[0], positions[4] - positions[1]];
+
+      // True anomaly, measured from the negative x-axis
+      let trueAnomaly = Math.atan2(-y, -x);
+
+      expect(timeAtTrueAnomaly(eccentricity, 20, 3, trueAnomaly))
+        .to.closeTo(-70, 1e-9);
+    });
+  });
+
+  it('corePositionsAndVelocities third core with initial phase', () => {
+    // The third core is placed at twice the distance between the first two
+    const args = {
+      masses: [1, 1, 0.5],
+      minimalGalaxySeparation: 20,
+      eccentricity: 0.5,
+      initialPhase: "trueAnomaly",
+      initialTrueAnomalyDegree: -90
+    };
+
+    var { positions } = init.corePositionsAndVelocities(args);
+
+    let separation = Math.hypot(positions[3] - positions[0],
+                                positions[4] - positions[1]);
+
+    expect(separation).to.closeTo(30, 1e-12);
+
+    // Distance of the third core from the centre of mass of the first two
+    let centerX = (positions[0] + positions[3]) / 2;
+    let centerY = (positions[1] + positions[4]) / 2;
+
+    expect(Math.hypot(positions[6] - centerX, positions[7] - centerY))
+      .to.closeTo(60, 1e-12);
+  });
 });
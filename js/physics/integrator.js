@@ -1,20 +1,95 @@
-import getAccelerations from './acceleration.js';
+import getAccelerations, { getJerks } from './acceleration.js';
+import { addDynamicalFriction } from './dynamical_friction.js';
+import { blockTimeStep } from './block_time_steps.js';
+import { addGasAccelerations } from './sph.js';
+import { buffer } from './buffers.js';
 
 
 /**
- * Use one step of Leapfrog method to calculate updated positions,
- * velocities and accelerations of bodies. The supplied `positions`,
- * `velocities` and `accelerations` arrays are updated with new values.
+ * Use one step of the selected integration method to calculate updated
+ * positions, velocities and accelerations of bodies. The supplied
+ * `positions`, `velocities` and `accelerations` arrays are updated
+ * with new values.
  *
  * @param  {number} timeStep    Length of the time increment.
- * @param  {array} masses       The masses of the two cores, i.e. [1, 1.5]
+ * @param  {array} masses       The masses of the cores, i.e. [1, 1.5]
  * @param  {array} positions    Position vectors of all bodies,
- *                              first two are galaxy cores, the rest are stars.
+ *                              first are galaxy cores, the rest are stars.
  * @param  {array} velocities   Velocity vectors of all bodies.
  * @param  {array} accelerations Acceleration vectors of all bodies.
+ * @param  {object} physics     (optional) Settings of the physical model,
+ *                              see `getAccelerations`. If `dynamicalFriction`
+ *                              setting is true, the cores are slowed down by
+ *                              dynamical friction, see dynamical_friction.js.
+ *                              The `integrator` setting is the name of the
+ *                              integration method, see `integrators`.
+ *                              The default is "leapfrog". If
+ *                              `blockTimeSteps` setting is true, the leapfrog
+ *                              method uses individual time steps for the
+ *                              bodies, see block_time_steps.js.
+ *                              If `gasMasses` setting is not null, the last
+ *                              bodies are gas particles pushed by pressure,
+ *                              see sph.js. They need the positions of all
+ *                              gas particles at the same time, so the
+ *                              individual time steps are not used with gas.
  */
 export default function integrateOneStep(timeStep, masses, positions,
-                                         velocities, accelerations) {
+                                         velocities, accelerations, physics) {
+
+  let name = (physics && physics.integrator) || "leapfrog";
+
+  if (name === "leapfrog" && physics && physics.blockTimeSteps &&
+      !physics.gasMasses) {
+
+    blockTimeStep(timeStep, masses, positions, velocities, accelerations,
+                  physics);
+
+    return;
+  }
+
+  integrators[name](timeStep, masses, positions, velocities, accelerations,
+                    physics);
+}
+
+
+/**
+ * Returns a reusable copy of the array.
+ */
+function copy(name, array) {
+  var result = buffer(name, array.length);
+  result.set(array);
+  return result;
+}
+
+
+/**
+ * Calculate the accelerations of the bodies, including the
+ * dynamical friction if it is turned on and the pressure forces
+ * of the gas if there is gas. The `timeStep` is the length of the step
+ * made with these accelerations, which limits the friction.
+ */
+function updateAccelerations(masses, positions, velocities, accelerations,
+                             physics, timeStep) {
+  getAccelerations(masses, positions, accelerations, physics);
+
+  if (physics && physics.dynamicalFriction) {
+    addDynamicalFriction(masses, positions, velocities, accelerations, physics,
+                         timeStep);
+  }
+
+  if (physics && physics.gasMasses) {
+    addGasAccelerations(positions, velocities, accelerations, physics);
+  }
+}
+
+
+/**
+ * Use one step of Leapfrog (kick-drift-kick) method. The method is
+ * second order accurate and conserves energy well over long times.
+ * Parameters are the same as in `integrateOneStep`.
+ */
+function leapfrog(timeStep, masses, positions, velocities, accelerations,
+                  physics) {
 
   const halfTimeStep = 0.5 * timeStep;
   let bodies = positions.length / 3;
@@ -35,7 +110,8 @@ export default function integrateOneStep(timeStep, masses, positions,
   }
 
   // Calculate new accelerations of the bodies
-  getAccelerations(masses, positions, accelerations);
+  updateAccelerations(masses, positions, velocities, accelerations, physics,
+                      timeStep);
 
   // Advance velocities with half time step
   for(let i = 0; i < bodies; i++) {
@@ -47,3 +123,165 @@ export default function integrateOneStep(timeStep, masses, positions,
     velocities[j + 2] += halfTimeStep * accelerations[j + 2];
   }
 }
+
+
+// Weights of the Leapfrog steps of the Yoshida method
+const yoshidaW1 = 1 / (2 - Math.cbrt(2));
+const yoshidaW0 = -Math.cbrt(2) * yoshidaW1;
+
+
+/**
+ * Use one step of the fourth order symplectic method of Forest & Ruth (1990)
+ * and Yoshida (1990). The step is made of three Leapfrog steps of lengths
+ * w1 dt, w0 dt and w1 dt, where
+ *
+ *    w1 = 1 / (2 - 2^(1/3)),
+ *    w0 = -2^(1/3) w1.
+ *
+ * Parameters are the same as in `integrateOneStep`.
+ */
+function yoshida(timeStep, masses, positions, velocities, accelerations,
+                 physics) {
+
+  leapfrog(yoshidaW1 * timeStep, masses, positions, velocities, accelerations,
+           physics);
+
+  leapfrog(yoshidaW0 * timeStep, masses, positions, velocities, accelerations,
+           physics);
+
+  leapfrog(yoshidaW1 * timeStep, masses, positions, velocities, accelerations,
+           physics);
+}
+
+
+/**
+ * Use one step of the classic fourth order Runge-Kutta method.
+ * The supplied `accelerations` must correspond to the current positions
+ * and velocities. Parameters are the same as in `integrateOneStep`.
+ */
+function rungeKutta4(timeStep, masses, positions, velocities, accelerations,
+                     physics) {
+
+  let initialPositions = copy("initialPositions", positions);
+  let initialVelocities = copy("initialVelocities", velocities);
+
+  // Weighted sums of the derivatives of positions and velocities
+  let positionRates = copy("positionRates", velocities);
+  let velocityRates = copy("velocityRates", accelerations);
+
+  // The sub-steps are made from the initial state using the derivatives
+  // from the previous sub-step, with weights 1/6, 2/6, 2/6 and 1/6
+  for(let stage = 0; stage < 3; stage++) {
+    let fraction = stage < 2 ? 0.5 : 1;
+    let weight = stage < 2 ? 2 : 1;
+
+    for(let i = 0; i < positions.length; i++) {
+      let velocity = velocities[i];
+
+      positions[i] = initialPositions[i] + fraction * timeStep * velocity;
+
+      velocities[i] = initialVelocities[i] +
+                      fraction * timeStep * accelerations[i];
+    }
+
+    updateAccelerations(masses, positions, velocities, accelerations, physics,
+                        timeStep);
+
+    for(let i = 0; i < positions.length; i++) {
+      positionRates[i] += weight * velocities[i];
+      velocityRates[i] += weight * accelerations[i];
+    }
+  }
+
+  for(let i = 0; i < positions.length; i++) {
+    positions[i] = initialPositions[i] + timeStep / 6 * positionRates[i];
+    velocities[i] = initialVelocities[i] + timeStep / 6 * velocityRates[i];
+  }
+
+  updateAccelerations(masses, positions, velocities, accelerations, physics,
+                      timeStep);
+}
+
+
+/**
+ * Use one step of the fourth order Hermite predictor-corrector method
+ * (Makino & Aarseth 1992). The method uses jerks, the time derivatives
+ * of the accelerations, which include only the forces from the galaxy cores,
+ * see `getJerks`. The supplied `accelerations` must correspond to the
+ * current positions and velocities.
+ * Parameters are the same as in `integrateOneStep`.
+ */
+function hermite(timeStep, masses, positions, velocities, accelerations,
+                 physics) {
+
+  let dt = timeStep;
+  let initialPositions = copy("initialPositions", positions);
+  let initialVelocities = copy("initialVelocities", velocities);
+  let initialAccelerations = copy("initialAccelerations", accelerations);
+  let initialJerks = buffer("initialJerks", positions.length);
+  getJerks(masses, positions, velocities, initialJerks, physics);
+
+  // Predict the positions and velocities using the Taylor series
+  for(let i = 0; i < positions.length; i++) {
+    positions[i] += dt * velocities[i] + dt * dt / 2 * accelerations[i] +
+                    dt * dt * dt / 6 * initialJerks[i];
+
+    velocities[i] += dt * accelerations[i] + dt * dt / 2 * initialJerks[i];
+  }
+
+  // Evaluate accelerations and jerks at the predicted state
+  let jerks = buffer("jerks", positions.length);
+  updateAccelerations(masses, positions, velocities, accelerations, physics,
+                      timeStep);
+  getJerks(masses, positions, velocities, jerks, physics);
+
+  // Correct the velocities and positions
+  for(let i = 0; i < positions.length; i++) {
+    velocities[i] = initialVelocities[i] +
+      dt / 2 * (initialAccelerations[i] + accelerations[i]) +
+      dt * dt / 12 * (initialJerks[i] - jerks[i]);
+
+    positions[i] = initialPositions[i] +
+      dt / 2 * (initialVelocities[i] + velocities[i]) +
+      dt * dt / 12 * (initialAccelerations[i] - accelerations[i]);
+  }
+}
+
+
+/**
+ * Use one step of the semi-implicit (symplectic) Euler method: first update
+ * the velocities using the current accelerations and then update the
+ * positions using the new velocities. The method is first order accurate.
+ * Parameters are the same as in `integrateOneStep`.
+ */
+function semiImplicitEuler(timeStep, masses, positions, velocities,
+                           accelerations, physics) {
+
+  for(let i = 0; i < positions.length; i++) {
+    velocities[i] += timeStep * accelerations[i];
+    positions[i] += timeStep * velocities[i];
+  }
+
+  updateAccelerations(masses, positions, velocities, accelerations, physics,
+                      timeStep);
+}
+
+
+/**
+ * The available integration methods. Each function takes the same
+ * parameters as `integrateOneStep`. New methods can be added by
+ * inserting them into this object.
+ */
+export const integrators = {
+  leapfrog: leapfrog,
+  yoshida: yoshida,
+  rk4: rungeKutta4,
+  hermite: hermite,
+  euler: semiImplicitEuler
+};
+
+
+/**
+ * Names of the available integration methods.
+ */
+export const integratorNames = Object.keys(integrators);
@@ -1,5 +1,5 @@
 import getAccelerations from './acceleration.js';
-import integrateOneStep from './integrator.js';
+import integrateOneStep, { integratorNames } from './integrator.js';
 
 var expect = chai.expect;
 
@@ -43,3 +43,89 @@ it('integrateOneStep', () => {
   expect(accelerations.slice(3, 6)).to.deep.closeTo(
     [0.24996875292943543, 0.0024997187757790514, 0], 1e-13);
 });
+
+
+// Integrate the circular orbit of two cores of unit masses over one period
+// and return the distance between the initial and final positions
+// of the first core
+function circularOrbitError(integrator, steps) {
+  const masses = [1, 1];
+  const positions = [1, 0, 0, -1, 0, 0];
+  const velocities = [0, 0.5, 0, 0, -0.5, 0];
+  var accelerations = Array(6).fill(0);
+  getAccelerations(masses, positions, accelerations);
+
+  const period = 4 * Math.PI;
+  const physics = { integrator: integrator };
+
+  for(let i = 0; i < steps; i++) {
+    integrateOneStep(period / steps, masses, positions, velocities,
+                     accelerations, physics);
+  }
+
+  return Math.sqrt(Math.pow(positions[0] - 1, 2) + Math.pow(positions[1], 2));
+}
+
+
+describe('Integrators', () => {
+  it('integratorNames', () => {
+    expect(integratorNames).to.deep.equal(
+      ["leapfrog", "yoshida", "rk4", "hermite", "euler"]);
+  });
+
+  it('leapfrog is the default', () => {
+    const masses = [1, 1];
+    const positions = [1, 0, 0, -1, 0, 0];
+    const velocities = [0, 1, 0, 0, -1, 0];
+    var accelerations = Array(6).fill(0);
+    getAccelerations(masses, positions, accelerations);
+
+    integrateOneStep(0.01, masses, positions, velocities, accelerations,
+                     { integrator: "leapfrog" });
+
+    expect(positions.slice(0, 3)).to.deep.closeTo([0.9999875, 0.01, 0], 1e-13);
+  });
+
+  it('leapfrog and semi-implicit Euler', () => {
+    // Semi-implicit Euler is first order accurate in general, but its
+    // error after a full period of the circular orbit decreases
+    // as the square of the time step, same as for leapfrog
+    ["leapfrog", "euler"].forEach((integrator) => {
+      expect(circularOrbitError(integrator, 100)).to.be.below(0.02);
+
+      let ratio = circularOrbitError(integrator, 100) /
+                  circularOrbitError(integrator, 200);
+
+      expect(ratio).to.be.closeTo(4, 0.1);
+    });
+  });
+
+  it('fourth order methods', () => {
+    ["yoshida", "rk4", "hermite"].forEach((integrator) => {
+      expect(circularOrbitError(integrator, 100)).to.be.below(1e-4);
+
+      let ratio = circularOrbitError(integrator, 100) /
+                  circularOrbitError(integrator, 200);
+
+      expect(ratio).to.be.above(14);
+    });
+  });
+
+  it('integrators keep accelerations up to date', () => {
+    integratorNames.forEach((integrator) => {
+      const masses = [1, 1];
+      const positions = [1, 0, 0, -1, 0, 0];
+      const velocities = [0, 0.5, 0, 0, -0.5, 0];
+      var accelerations = Array(6).fill(0);
+      getAccelerations(masses, positions, accelerations);
+
+      integrateOneStep(0.01, masses, positions, velocities, accelerations,
+                       { integrator: integrator });
+
+      var expected = Array(6).fill(0);
+      getAccelerations(masses, positions, expected);
+
+      expect(accelerations).to.deep.closeTo(expected, 1e-6);
+    });
+  });
+});
@@ -0,0 +1,175 @@
+// Motion of two bodies on a Kepler orbit in time. The position of a body on
+// its orbit is given by the true anomaly nu, the angle between the body and
+// the pericentre, viewed from the other body. The time since the pericentre
+// is related to the true anomaly through Kepler's equation, which is solved
+// numerically for the anomaly.
+//
+// The orbit is described by its eccentricity e, the pericentre distance rMin
+// and the total mass M of the two bodies (with G=1). It is an ellipse
+// (e < 1), a parabola (e = 1) or a hyperbola (e > 1).
+
+
+// Accuracy and the maximum number of iterations of Newton's method
+// used for solving Kepler's equation
+const tolerance = 1e-12;
+const maxIterations = 100;
+
+
+/**
+ * Solve Kepler's equation of the elliptic orbit
+ *
+ *    M = E - e sin(E)
+ *
+ * for the eccentric anomaly E with Newton's method.
+ *
+ * @param  {number} meanAnomaly  Mean anomaly M.
+ * @param  {number} eccentricity Eccentricity e, between 0 and 1.
+ * @return {number} Eccentric anomaly E.
+ */
+export function solveKeplerEquation(meanAnomaly, eccentricity) {
+  let e = eccentricity;
+  let anomaly = e > 0.8 ? Math.PI * Math.sign(meanAnomaly) : meanAnomaly;
+
+  for(let i = 0; i < maxIterations; i++) {
+    let step = (anomaly - e * Math.sin(anomaly) - meanAnomaly) /
+               (1 - e * Math.cos(anomaly));
+
+    anomaly -= step;
+    if (Math.abs(step) < tolerance) break;
+  }
+
+  return anomaly;
+}
+
+
+/**
+ * Solve Kepler's equation of the hyperbolic orbit
+ *
+ *    M = e sinh(H) - H
+ *
+ * for the hyperbolic anomaly H with Newton's method.
+ *
+ * @param  {number} meanAnomaly  Mean anomaly M.
+ * @param  {number} eccentricity Eccentricity e, larger than 1.
+ * @return {number} Hyperbolic anomaly H.
+ */
+export function solveHyperbolicKeplerEquation(meanAnomaly, eccentricity) {
+  let e = eccentricity;
+
+  // Starting value, close to the solution for both small and large M
+  let anomaly = Math.asinh(meanAnomaly / e);
+
+  for(let i = 0; i < maxIterations; i++) {
+    let step = (e * Math.sinh(anomaly) - anomaly - meanAnomaly) /
+               (e * Math.cosh(anomaly) - 1);
+
+    anomaly -= step;
+    if (Math.abs(step) < tolerance * Math.max(1, Math.abs(anomaly))) break;
+  }
+
+  return anomaly;
+}
+
+
+/**
+ * Calculate the mean motion of the orbit, the factor relating
+ * the mean anomaly to the time since the pericentre.
+ *
+ *    Ellipse and hyperbola:  n = sqrt(M / |a|^3),  a = rMin / (1 - e),
+ *    Parabola:               n = sqrt(M / (2 rMin^3)).
+ */
+function meanMotion(eccentricity, rMin, totalMass) {
+  if (eccentricity === 1) {
+    return Math.sqrt(totalMass / (2 * rMin * rMin * rMin));
+  }
+
+  let semiMajorAxis = Math.abs(rMin / (1 - eccentricity));
+  return Math.sqrt(totalMass / Math.pow(semiMajorAxis, 3));
+}
+
+
+/**
+ * Calculate the true anomaly of a body at a given time since the pericentre.
+ *
+ * Ellipse: Kepler's equation is solved for the eccentric anomaly E, then
+ *
+ *    tan(nu / 2) = sqrt((1 + e) / (1 - e)) tan(E / 2).
+ *
+ * Hyperbola: the hyperbolic Kepler's equation is solved for the hyperbolic
+ * anomaly H, then
+ *
+ *    tan(nu / 2) = sqrt((e + 1) / (e - 1)) tanh(H / 2).
+ *
+ * Parabola: Barker's equation, a cubic for D = tan(nu / 2),
+ *
+ *    D + D^3 / 3 = n t,
+ *
+ * is solved with Cardano's formula.
+ *
+ * @param  {number} eccentricity Eccentricity of the orbit e.
+ * @param  {number} rMin         Pericentre distance.
+ * @param  {number} totalMass    Total mass of the two bodies.
+ * @param  {number} time         Time since the pericentre, negative
+ *                               before the pericentre.
+ * @return {number} True anomaly in radians, between -pi and pi.
+ */
+export function trueAnomalyAtTime(eccentricity, rMin, totalMass, time) {
+  let e = eccentricity;
+  let meanAnomaly = meanMotion(e, rMin, totalMass) * time;
+
+  if (e < 1) {
+    // Reduce to a single orbit between -pi and pi
+    meanAnomaly -= 2 * Math.PI * Math.round(meanAnomaly / (2 * Math.PI));
+    let anomaly = solveKeplerEquation(meanAnomaly, e);
+
+    return 2 * Math.atan2(Math.sqrt(1 + e) * Math.sin(anomaly / 2),
+                          Math.sqrt(1 - e) * Math.cos(anomaly / 2));
+  }
+
+  if (e > 1) {
+    let anomaly = solveHyperbolicKeplerEquation(meanAnomaly, e);
+
+    return 2 * Math.atan(Math.sqrt((e + 1) / (e - 1)) *
+                         Math.tanh(anomaly / 2));
+  }
+
+  let root = Math.sqrt(9 * meanAnomaly * meanAnomaly / 4 + 1);
+
+  let tangent = Math.cbrt(3 * meanAnomaly / 2 + root) +
+                Math.cbrt(3 * meanAnomaly / 2 - root);
+
+  return 2 * Math.atan(tangent);
+}
+
+
+/**
+ * Calculate the time since the pericentre at a given true anomaly,
+ * the inverse of `trueAnomalyAtTime`.
+ *
+ * @param  {number} eccentricity Eccentricity of the orbit e.
+ * @param  {number} rMin         Pericentre distance.
+ * @param  {number} totalMass    Total mass of the two bodies.
+ * @param  {number} trueAnomaly  True anomaly in radians, between -pi and pi.
+ *                               For unbound orbits its absolute value must be
+ *                               smaller than acos(-1 / e).
+ * @return {number} Time since the pericentre, negative before the pericentre.
+ */
+export function timeAtTrueAnomaly(eccentricity, rMin, totalMass, trueAnomaly) {
+  let e = eccentricity;
+  let tangent = Math.tan(trueAnomaly / 2);
+  let meanAnomaly;
+
+  if (e < 1) {
+    let anomaly = 2 * Math.atan2(Math.sqrt(1 - e) * Math.sin(trueAnomaly / 2),
+                                 Math.sqrt(1 + e) * Math.cos(trueAnomaly / 2));
+
+    meanAnomaly = anomaly - e * Math.sin(anomaly);
+  } else if (e > 1) {
+    let anomaly = 2 * Math.atanh(Math.sqrt((e - 1) / (e + 1)) * tangent);
+    meanAnomaly = e * Math.sinh(anomaly) - anomaly;
+  } else {
+    meanAnomaly = tangent + tangent * tangent * tangent / 3;
+  }
+
+  return meanAnomaly / meanMotion(e, rMin, totalMass);
+}
@@ -0,0 +1,93 @@
+import {
+  solveKeplerEquation, solveHyperbolicKeplerEquation, trueAnomalyAtTime,
+  timeAtTrueAnomaly
+} from './kepler.js';
+
+var expect = chai.expect;
+
+describe('Kepler', () => {
+  it('solveKeplerEquation', () => {
+    [0, 0.3, 0.9, 0.999].forEach((e) => {
+      [-3, -1, -0.01, 0, 0.5, 2, 3.1].forEach((meanAnomaly) => {
+        let anomaly = solveKeplerEquation(meanAnomaly, e);
+
+        expect(anomaly - e * Math.sin(anomaly))
+          .to.closeTo(meanAnomaly, 1e-12);
+      });
+    });
+  });
+
+  it('solveHyperbolicKeplerEquation', () => {
+    [1.001, 1.5, 3].forEach((e) => {
+      [-100, -2, -0.01, 0, 1, 30].forEach((meanAnomaly) => {
+        let anomaly = solveHyperbolicKeplerEquation(meanAnomaly, e);
+
+        expect(e * Math.sinh(anomaly) - anomaly)
+          .to.closeTo(meanAnomaly, 1e-10 * Math.max(1, Math.abs(meanAnomaly)));
+      });
+    });
+  });
+
+  it('trueAnomalyAtTime at pericentre', () => {
+    [0, 0.6, 1, 1.5].forEach((e) => {
+      expect(trueAnomalyAtTime(e, 25, 2, 0)).to.closeTo(0, 1e-14);
+    });
+  });
+
+  it('trueAnomalyAtTime at apastron', () => {
+    // Half the period of the ellipse: pi sqrt(a^3 / M)
+    let rMin = 25;
+    let e = 0.6;
+    let semiMajorAxis = rMin / (1 - e);
+    let halfPeriod = Math.PI * Math.sqrt(Math.pow(semiMajorAxis, 3) / 2);
+
+    expect(Math.abs(trueAnomalyAtTime(e, rMin, 2, -halfPeriod)))
+      .to.closeTo(Math.PI, 1e-10);
+
+    // A full period later the body is at the same place
+    expect(trueAnomalyAtTime(e, rMin, 2, -100 - 2 * halfPeriod))
+      .to.closeTo(trueAnomalyAtTime(e, rMin, 2, -100), 1e-10);
+  });
+
+  it('trueAnomalyAtTime before pericentre is negative', () => {
+    [0.6, 1, 1.5].forEach((e) => {
+      expect(trueAnomalyAtTime(e, 25, 2, -50)).to.be.below(0);
+      expect(trueAnomalyAtTime(e, 25, 2, 50)).to.be.above(0);
+    });
+  });
+
+  it('timeAtTrueAnomaly is the inverse of trueAnomalyAtTime', () => {
+    [0.6, 0.99, 1, 1.01, 2].forEach((e) => {
+      [-300, -40, -1, 2, 70].forEach((time) => {
+        let trueAnomaly = trueAnomalyAtTime(e, 20, 1.5, time);
+
+        expect(timeAtTrueAnomaly(e, 20, 1.5, trueAnomaly))
+          .to.closeTo(time, 1e-8 * Math.abs(time));
+      });
+    });
+  });
+
+  it('trueAnomalyAtTime follows Kepler second law', () => {
+    // The rate of change of the true anomaly is given by the angular
+    // momentum h = sqrt(M p): d nu / dt = h / r^2
+    let rMin = 20;
+    let totalMass = 1.5;
+    let delta = 1e-4;
+
+    [0.3, 1, 1.7].forEach((e) => {
+      let p = rMin * (1 + e);
+
+      [-200, -30, 10].forEach((time) => {
+        let trueAnomaly = trueAnomalyAtTime(e, rMin, totalMass, time);
+        let r = p / (1 + e * Math.cos(trueAnomaly));
+
+        let rate = (trueAnomalyAtTime(e, rMin, totalMass, time + delta) -
+                    trueAnomalyAtTime(e, rMin, totalMass, time - delta)) /
+                   (2 * delta);
+
+        expect(rate).to.closeTo(Math.sqrt(totalMass * p) / (r * r),
+                                1e-6 * rate);
+      });
+    });
+  });
+});
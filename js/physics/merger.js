@@ -0,0 +1,152 @@
+// Detect and handle mergers of galaxy cores.
+//
+// The merged cores are not removed from the simulation in order to keep
+// the ordering of the bodies unchanged. Instead, the core that is absorbed
+// loses its mass and follows the core it merged into.
+//
+// The state of mergers is stored in the `mergedInto` array containing
+// an element for each core. The element is the index of the core it was
+// merged into, or -1 if the core has not merged.
+
+
+/**
+ * Create the merger state with no merged cores.
+ *
+ * @param  {number} numberOfCores Number of galaxy cores.
+ * @return {array} The `mergedInto` array.
+ */
+export function init(numberOfCores) {
+  return Array(numberOfCores).fill(-1);
+}
+
+
+/**
+ * Calculate the masses of the cores after the mergers. The core that
+ * absorbed other cores contains their masses, and the absorbed
+ * cores have zero mass.
+ *
+ * @param  {array} masses     Masses of the galaxy cores before mergers.
+ * @param  {array} mergedInto The merger state, see `init`.
+ * @return {array} Masses of the galaxy cores.
+ */
+export function effectiveMasses(masses, mergedInto) {
+  var result = masses.slice();
+
+  for(let i = 0; i < masses.length; i++) {
+    if (mergedInto[i] === -1) continue;
+
+    result[survivor(mergedInto, i)] += result[i];
+    result[i] = 0;
+  }
+
+  return result;
+}
+
+
+/**
+ * Find the core that absorbed the given core.
+ *
+ * @param  {array} mergedInto The merger state, see `init`.
+ * @param  {number} iCore Index of the core.
+ * @return {number} Index of the core that absorbed `iCore`, or `iCore` itself
+ *                  if it has not merged.
+ */
+export function survivor(mergedInto, iCore) {
+  while (mergedInto[iCore] !== -1) iCore = mergedInto[iCore];
+  return iCore;
+}
+
+
+/**
+ * Merge the cores that are closer than `mergerDistance` and are
+ * gravitationally bound to each other. The merged core is placed
+ * at the centre of mass of the two cores and moves with the velocity
+ * of their centre of mass. The supplied `positions`, `velocities` and
+ * `mergedInto` arrays are updated with new values.
+ *
+ * @param  {array} masses     Masses of the galaxy cores, see `effectiveMasses`.
+ * @param  {array} positions  Position vectors of all bodies,
+ *                            first are galaxy cores, the rest are stars.
+ * @param  {array} velocities Velocity vectors of all bodies.
+ * @param  {array} mergedInto The merger state, see `init`.
+ * @param  {number} mergerDistance Cores closer than this distance can merge.
+ * @return {boolean} True if any of the cores merged.
+ */
+export function mergeCores(masses, positions, velocities, mergedInto,
+                           mergerDistance) {
+  var merged = false;
+
+  for(let i = 0; i < mergedInto.length; i++) {
+    if (mergedInto[i] !== -1) continue;
+
+    for(let j = i + 1; j < mergedInto.length; j++) {
+      if (mergedInto[j] !== -1 || mergedInto[i] !== -1) continue;
+
+      let distanceSquared = 0;
+      let speedSquared = 0;
+
+      for(let k = 0; k < 3; k++) {
+        let dr = positions[j*3 + k] - positions[i*3 + k];
+        let dv = velocities[j*3 + k] - velocities[i*3 + k];
+        distanceSquared += dr * dr;
+        speedSquared += dv * dv;
+      }
+
+      let distance = Math.sqrt(distanceSquared);
+      if (distance > mergerDistance) continue;
+
+      let totalMass = masses[i] + masses[j];
+
+      // The cores are bound if their energy of relative motion is negative:
+      //
+      //    v^2 / 2 - G (m_i + m_j) / r < 0
+      //
+      if (speedSquared / 2 - totalMass / distance >= 0) continue;
+
+      // The more massive core absorbs the other one
+      let absorbed = masses[j] > masses[i] ? i : j;
+      let kept = absorbed === i ? j : i;
+
+      for(let k = 0; k < 3; k++) {
+        positions[kept*3 + k] = (masses[i] * positions[i*3 + k] +
+                                 masses[j] * positions[j*3 + k]) / totalMass;
+
+        velocities[kept*3 + k] = (masses[i] * velocities[i*3 + k] +
+                                  masses[j] * velocities[j*3 + k]) / totalMass;
+      }
+
+      mergedInto[absorbed] = kept;
+      masses[kept] = totalMass;
+      masses[absorbed] = 0;
+      merged = true;
+    }
+  }
+
+  followMergedCores(positions, velocities, mergedInto);
+
+  return merged;
+}
+
+
+/**
+ * Move the absorbed cores to the positions of the cores they merged into.
+ * The supplied `positions` and `velocities` arrays are updated
+ * with new values.
+ *
+ * @param  {array} positions  Position vectors of all bodies,
+ *                            first are galaxy cores, the rest are stars.
+ * @param  {array} velocities Velocity vectors of all bodies.
+ * @param  {array} mergedInto The merger state, see `init`.
+ */
+export function followMergedCores(positions, velocities, mergedInto) {
+  for(let i = 0; i < mergedInto.length; i++) {
+    if (mergedInto[i] === -1) continue;
+
+    let kept = survivor(mergedInto, i);
+
+    for(let k = 0; k < 3; k++) {
+      positions[i*3 + k] = positions[kept*3 + k];
+      velocities[i*3 + k] = velocities[kept*3 + k];
+    }
+  }
+}
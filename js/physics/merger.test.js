@@ -0,0 +1,79 @@
+import { init, effectiveMasses, survivor, mergeCores,
+         followMergedCores } from './merger.js';
+
+var expect = chai.expect;
+
+describe('Merger', () => {
+  it('init', () => {
+    expect(init(3)).to.deep.equal([-1, -1, -1]);
+  });
+
+  it('effectiveMasses', () => {
+    // Third core merged into the second, which merged into the first
+    let mergedInto = [-1, 0, 1];
+
+    expect(effectiveMasses([1, 2, 3], mergedInto)).to.deep.equal([6, 0, 0]);
+    expect(effectiveMasses([1, 2, 3], init(3))).to.deep.equal([1, 2, 3]);
+  });
+
+  it('survivor', () => {
+    let mergedInto = [-1, 0, 1];
+
+    expect(survivor(mergedInto, 0)).to.equal(0);
+    expect(survivor(mergedInto, 2)).to.equal(0);
+  });
+
+  it('mergeCores', () => {
+    let masses = [1, 3, 1];
+    let positions = [0, 0, 0, 1, 0, 0, 5, 5, 5];
+    let velocities = [0, 0.1, 0, 0, -0.1, 0, 1, 1, 1];
+    let mergedInto = init(3);
+
+    let result = mergeCores(masses, positions, velocities, mergedInto, 2);
+
+    expect(result).to.equal(true);
+
+    // The first core merged into the more massive second core
+    expect(mergedInto).to.deep.equal([1, -1, -1]);
+    expect(masses).to.deep.equal([0, 4, 1]);
+
+    // Merged cores are at the centre of mass
+    expect(positions).to.deep.equal([0.75, 0, 0, 0.75, 0, 0, 5, 5, 5]);
+    expect(velocities[1]).to.closeTo(-0.05, 1e-15);
+    expect(velocities[4]).to.closeTo(-0.05, 1e-15);
+    expect(velocities.slice(6, 9)).to.deep.equal([1, 1, 1]);
+  });
+
+  it('mergeCores ignores cores that are not bound', () => {
+    let masses = [1, 1];
+    let positions = [0, 0, 0, 1, 0, 0];
+    let velocities = [0, 2, 0, 0, -2, 0];
+    let mergedInto = init(2);
+
+    let result = mergeCores(masses, positions, velocities, mergedInto, 2);
+
+    expect(result).to.equal(false);
+    expect(mergedInto).to.deep.equal([-1, -1]);
+  });
+
+  it('mergeCores ignores distant cores', () => {
+    let masses = [1, 1];
+    let positions = [0, 0, 0, 3, 0, 0];
+    let velocities = [0, 0, 0, 0, 0, 0];
+    let mergedInto = init(2);
+
+    let result = mergeCores(masses, positions, velocities, mergedInto, 2);
+
+    expect(result).to.equal(false);
+  });
+
+  it('followMergedCores', () => {
+    let positions = [1, 2, 3, 4, 5, 6];
+    let velocities = [7, 8, 9, 10, 11, 12];
+
+    followMergedCores(positions, velocities, [1, -1]);
+
+    expect(positions).to.deep.equal([4, 5, 6, 4, 5, 6]);
+    expect(velocities).to.deep.equal([10, 11, 12, 10, 11, 12]);
+  });
+});
@@ -0,0 +1,325 @@
+// Calculate gravitational forces from stars using the particle-mesh method
+// (Hockney & Eastwood 1988). The masses of the stars are spread over a
+// three-dimensional grid, the gravitational potential on the grid is found
+// with the fast Fourier transform, and the forces are interpolated from the
+// grid back to the bodies. The amount of calculations grows only linearly
+// with the number of stars, which makes the method suitable for very large
+// numbers of stars.
+//
+// The grid is a cube of side `meshBoxSize` centred at the origin.
+// Stars outside the cube do not attract other bodies, and the bodies
+// outside the cube are attracted only by the galaxy cores.
+
+import { fft3d } from './fft.js';
+
+
+/**
+ * Permitted numbers of grid cells along each side of the box.
+ */
+export const meshSizes = [16, 32, 64];
+
+
+// The Fourier transform of the Green's function, which is reused
+// while the grid settings remain the same
+var greenCache = null;
+
+// The arrays of the mass and the potential on the padded grid, which are
+// reused between the time steps while the grid size remains the same
+var gridCache = null;
+
+
+/**
+ * Add the accelerations due to gravitational forces from stars to
+ * the accelerations of all bodies (cores and stars).
+ *
+ * @param  {number} numberOfCores Number of galaxy cores.
+ * @param  {array} positions  Position vectors of all bodies,
+ *                            first are galaxy cores, the rest are stars.
+ * @param  {array} accelerations Acceleration vectors of all bodies. The array
+ *                            will be updated with new accelerations.
+ * @param  {object} physics   Settings of the physical model:
+ *    starMasses    Masses of the stars, one for each star.
+ *    meshSize      Number of grid cells along each side of the box,
+ *                  see `meshSizes`.
+ *    meshBoxSize   Length of the side of the box.
+ *    softening     Softening length that limits the force between stars
+ *                  at small distances.
+ * @param  {array} bodies    (optional) Indexes of the bodies for which the
+ *                            accelerations are calculated. The default is
+ *                            all bodies.
+ */
+export function addMeshAccelerations(numberOfCores, positions, accelerations,
+                                     physics, bodies) {
+  let grid = createGrid(physics.meshSize, physics.meshBoxSize);
+  let mass = depositMass(grid, positions, physics.starMasses, numberOfCores);
+  let potential = meshPotential(grid, mass, physics.softening);
+  let count = bodies ? bodies.length : positions.length / 3;
+
+  for(let n = 0; n < count; n++) {
+    let i = bodies ? bodies[n] : n;
+    let cell = cellCoordinates(grid, positions, i);
+    if (cell === null) continue;
+
+    let acceleration = interpolateAcceleration(grid, potential, cell);
+
+    accelerations[i * 3] += acceleration[0];
+    accelerations[i * 3 + 1] += acceleration[1];
+    accelerations[i * 3 + 2] += acceleration[2];
+  }
+}
+
+
+/**
+ * Describe the grid.
+ *
+ * @param  {number} size    Number of cells along each side of the box.
+ * @param  {number} boxSize Length of the side of the box.
+ * @return {object} Grid description:
+ *    size          Number of cells along each side of the box.
+ *    paddedSize    Number of cells along each side of the grid used for
+ *                  the Fourier transform. The grid is twice as large as
+ *                  the box and its extra cells contain zero mass, which
+ *                  removes the forces from periodic images of the box.
+ *    cellSize      Length of the side of a grid cell.
+ *    boxSize       Length of the side of the box.
+ */
+export function createGrid(size, boxSize) {
+  return {
+    size: size,
+    paddedSize: 2 * size,
+    cellSize: boxSize / size,
+    boxSize: boxSize
+  };
+}
+
+
+/**
+ * Find the position of a body in units of grid cells. The grid points are
+ * located at the centres of the cells.
+ *
+ * @param  {object} grid      Grid description, see `createGrid`.
+ * @param  {array} positions  Position vectors of all bodies.
+ * @param  {number} iBody     Index of the body.
+ * @return {array} Position of the body, where [0, 0, 0] corresponds to the
+ *                 first grid point. Null if the body is outside the box.
+ */
+export function cellCoordinates(grid, positions, iBody) {
+  let result = [0, 0, 0];
+
+  for(let k = 0; k < 3; k++) {
+    let u = (positions[iBody * 3 + k] + grid.boxSize / 2) / grid.cellSize - 0.5;
+
+    // The body must be surrounded by the grid points on both sides
+    if (!(u >= 0 && u < grid.size - 1)) return null;
+
+    result[k] = u;
+  }
+
+  return result;
+}
+
+
+/**
+ * Spread the masses of the stars over the grid points using the
+ * cloud-in-cell scheme: the mass of a star is divided between the eight
+ * nearest grid points, the closer points receive larger fractions of the mass.
+ *
+ * @param  {object} grid      Grid description, see `createGrid`.
+ * @param  {array} positions  Position vectors of all bodies,
+ *                            first are galaxy cores, the rest are stars.
+ * @param  {array} starMasses Masses of the stars, one for each star.
+ * @param  {number} firstStar Index of the first star body.
+ * @return {Float64Array} Masses at the points of the padded grid.
+ *                        The array is reused by the next call.
+ */
+export function depositMass(grid, positions, starMasses, firstStar) {
+  let n = grid.paddedSize;
+  let mass = gridArrays(n).mass;
+  mass.fill(0);
+
+  for(let i = firstStar; i < positions.length / 3; i++) {
+    let cell = cellCoordinates(grid, positions, i);
+    if (cell === null) continue;
+
+    depositStar(mass, n, cell, starMasses[i - firstStar]);
+  }
+
+  return mass;
+}
+
+
+/**
+ * Add the mass of a star to the eight grid points surrounding it.
+ */
+function depositStar(mass, n, cell, starMass) {
+  cloudInCell(cell, (index, weight) => {
+    mass[gridIndex(n, index[0], index[1], index[2])] += starMass * weight;
+  });
+}
+
+
+/**
+ * Call a function for each of the eight grid points surrounding the
+ * position, passing the indexes of the point and its cloud-in-cell weight.
+ */
+function cloudInCell(cell, callback) {
+  let i = Math.floor(cell[0]);
+  let j = Math.floor(cell[1]);
+  let k = Math.floor(cell[2]);
+
+  let dx = cell[0] - i;
+  let dy = cell[1] - j;
+  let dz = cell[2] - k;
+
+  for(let corner = 0; corner < 8; corner++) {
+    let cx = corner & 1;
+    let cy = (corner >> 1) & 1;
+    let cz = (corner >> 2) & 1;
+
+    let weight = (cx ? dx : 1 - dx) * (cy ? dy : 1 - dy) * (cz ? dz : 1 - dz);
+
+    callback([i + cx, j + cy, k + cz], weight);
+  }
+}
+
+
+/**
+ * Returns the index of the grid point in the flat array. Negative
+ * indexes are wrapped around the padded grid.
+ */
+function gridIndex(n, i, j, k) {
+  i = (i + n) % n;
+  j = (j + n) % n;
+  k = (k + n) % n;
+  return (i * n + j) * n + k;
+}
+
+
+/**
+ * Calculate the gravitational potential at the grid points. The potential
+ * is the convolution of the mass with the Green's function G(r) = -1/r:
+ *
+ *    phi(x) = sum over y of G(x - y) m(y),
+ *
+ * which we calculate as the product of their Fourier transforms.
+ *
+ * @param  {object} grid      Grid description, see `createGrid`.
+ * @param  {Float64Array} mass Masses at the points of the padded grid,
+ *                            see `depositMass`. The array is reused for
+ *                            storing the potential.
+ * @param  {number} softening Softening length.
+ * @return {Float64Array} Potential at the points of the padded grid.
+ */
+export function meshPotential(grid, mass, softening) {
+  let n = grid.paddedSize;
+  let green = greenFunctionTransform(grid, softening);
+  let re = mass;
+  let im = gridArrays(n).imaginary;
+  im.fill(0);
+
+  fft3d(re, im, n);
+
+  for(let i = 0; i < re.length; i++) {
+    let productRe = re[i] * green.re[i] - im[i] * green.im[i];
+    im[i] = re[i] * green.im[i] + im[i] * green.re[i];
+    re[i] = productRe;
+  }
+
+  fft3d(re, im, n, true);
+
+  return re;
+}
+
+
+/**
+ * Returns the reusable arrays for the mass and the imaginary part of its
+ * Fourier transform on the padded grid with `n` points along each side.
+ */
+function gridArrays(n) {
+  if (gridCache === null || gridCache.paddedSize !== n) {
+    gridCache = {
+      paddedSize: n,
+      mass: new Float64Array(n * n * n),
+      imaginary: new Float64Array(n * n * n)
+    };
+  }
+
+  return gridCache;
+}
+
+
+/**
+ * Calculate the Fourier transform of the softened Green's function
+ *
+ *    G(r) = -1 / sqrt(r^2 + eps^2),
+ *
+ * where eps is the softening length, on the padded grid.
+ */
+function greenFunctionTransform(grid, softening) {
+  let n = grid.paddedSize;
+  let key = `${n},${grid.cellSize},${softening}`;
+  if (greenCache !== null && greenCache.key === key) return greenCache;
+
+  let re = new Float64Array(n * n * n);
+  let im = new Float64Array(n * n * n);
+
+  for(let i = 0; i < n; i++) {
+    // Distances wrap around the padded grid
+    let x = Math.min(i, n - i) * grid.cellSize;
+
+    for(let j = 0; j < n; j++) {
+      let y = Math.min(j, n - j) * grid.cellSize;
+
+      for(let k = 0; k < n; k++) {
+        let z = Math.min(k, n - k) * grid.cellSize;
+        let distanceSquared = x * x + y * y + z * z + softening * softening;
+
+        // Exclude the force of a grid point on itself when there is no softening
+        if (distanceSquared === 0) continue;
+
+        re[(i * n + j) * n + k] = -1 / Math.sqrt(distanceSquared);
+      }
+    }
+  }
+
+  fft3d(re, im, n);
+
+  greenCache = { key: key, re: re, im: im };
+  return greenCache;
+}
+
+
+/**
+ * Find the acceleration at the position by calculating the gradient of the
+ * potential at the surrounding grid points and interpolating it with the
+ * cloud-in-cell weights.
+ *
+ * @param  {object} grid      Grid description, see `createGrid`.
+ * @param  {Float64Array} potential Potential at the grid points.
+ * @param  {array} cell       Position in units of grid cells,
+ *                            see `cellCoordinates`.
+ * @return {array} Acceleration vector.
+ */
+export function interpolateAcceleration(grid, potential, cell) {
+  let n = grid.paddedSize;
+  let result = [0, 0, 0];
+
+  // Acceleration is minus the gradient of the potential, we use
+  // the central differences: a_x = -(phi(i + 1) - phi(i - 1)) / (2 h)
+  let factor = -1 / (2 * grid.cellSize);
+
+  cloudInCell(cell, (index, weight) => {
+    let [i, j, k] = index;
+
+    result[0] += weight * factor * (potential[gridIndex(n, i + 1, j, k)] -
+                                    potential[gridIndex(n, i - 1, j, k)]);
+
+    result[1] += weight * factor * (potential[gridIndex(n, i, j + 1, k)] -
+                                    potential[gridIndex(n, i, j - 1, k)]);
+
+    result[2] += weight * factor * (potential[gridIndex(n, i, j, k + 1)] -
+                                    potential[gridIndex(n, i, j, k - 1)]);
+  });
+
+  return result;
+}
@@ -0,0 +1,94 @@
+import {
+  addMeshAccelerations, createGrid, cellCoordinates, depositMass
+} from './particle_mesh.js';
+
+var expect = chai.expect;
+
+describe('Particle mesh', () => {
+  it('createGrid', () => {
+    let grid = createGrid(16, 100);
+
+    expect(grid.size).to.equal(16);
+    expect(grid.paddedSize).to.equal(32);
+    expect(grid.cellSize).to.equal(6.25);
+  });
+
+  it('cellCoordinates', () => {
+    let grid = createGrid(4, 8);
+    let positions = [0, 0, 0, -3, 1.5, 2, 5, 0, 0];
+
+    expect(cellCoordinates(grid, positions, 0)).to.deep.equal([1.5, 1.5, 1.5]);
+    expect(cellCoordinates(grid, positions, 1)).to.deep.equal([0, 2.25, 2.5]);
+
+    // Outside the box
+    expect(cellCoordinates(grid, positions, 2)).to.equal(null);
+  });
+
+  it('depositMass', () => {
+    let grid = createGrid(4, 8);
+
+    // The core is followed by a star between two grid points
+    let positions = [0, 0, 0, -1, -1, -2];
+    let mass = depositMass(grid, positions, [2], 1);
+    let n = grid.paddedSize;
+
+    let total = mass.reduce((sum, value) => sum + value, 0);
+    expect(total).to.closeTo(2, 1e-14);
+
+    expect(mass[(1 * n + 1) * n + 0]).to.closeTo(1, 1e-14);
+    expect(mass[(1 * n + 1) * n + 1]).to.closeTo(1, 1e-14);
+  });
+
+  it('depositMass reuses the grid', () => {
+    let grid = createGrid(4, 8);
+    let first = depositMass(grid, [0, 0, 0, -1, -1, -2], [2], 1);
+    let second = depositMass(grid, [0, 0, 0, 1, 1, 1], [3], 1);
+
+    expect(second).to.equal(first);
+
+    let total = second.reduce((sum, value) => sum + value, 0);
+    expect(total).to.closeTo(3, 1e-14);
+  });
+
+  it('addMeshAccelerations approximates the direct force', () => {
+    // The core is followed by a star of mass 1. The core is attracted
+    // by the star that is 30 units away.
+    let positions = [-15, 0.5, 0.3, 15, 0.5, 0.3];
+    let accelerations = [0, 0, 0, 0, 0, 0];
+
+    let physics = {
+      starMasses: [1],
+      meshSize: 32,
+      meshBoxSize: 64,
+      softening: 0
+    };
+
+    addMeshAccelerations(1, positions, accelerations, physics);
+
+    expect(accelerations[0]).to.closeTo(1 / 900, 5e-5);
+    expect(accelerations[1]).to.closeTo(0, 1e-5);
+    expect(accelerations[2]).to.closeTo(0, 1e-5);
+
+    // The force of the star on itself is negligible
+    expect(accelerations[3]).to.closeTo(0, 1e-5);
+  });
+
+  it('addMeshAccelerations ignores bodies outside the box', () => {
+    let positions = [100, 0, 0, 0, 0, 0];
+    let accelerations = [0, 0, 0, 0, 0, 0];
+
+    let physics = {
+      starMasses: [1],
+      meshSize: 16,
+      meshBoxSize: 64,
+      softening: 1
+    };
+
+    addMeshAccelerations(1, positions, accelerations, physics);
+
+    expect(accelerations.slice(0, 3)).to.deep.equal([0, 0, 0]);
+
+    // The star is not attracted by the core outside the box
+    expect(accelerations.slice(3, 6)).to.deep.closeTo([0, 0, 0], 1e-15);
+  });
+});
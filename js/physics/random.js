@@ -0,0 +1,39 @@
+// Random numbers for sampling the initial conditions. The generator
+// is seeded, so that the same parameters always produce the same galaxies
+// and the simulation can be shared through the URL.
+
+
+/**
+ * Create a generator of uniformly distributed random numbers, using
+ * the Mulberry32 algorithm.
+ *
+ * @param  {number} seed Integer seed of the generator.
+ * @return {function} Function returning a random number from [0, 1).
+ */
+export function createRandom(seed) {
+  var state = seed >>> 0;
+
+  return function() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+
+/**
+ * Draw a number from the standard normal distribution
+ * using the Box-Muller transform.
+ *
+ * @param  {function} random Generator of uniform numbers, see `createRandom`.
+ * @return {number} Random number with zero mean and unit standard deviation.
+ */
+export function gaussian(random) {
+  // Avoid the logarithm of zero
+  let u1 = 1 - random();
+  let u2 = random();
+
+  return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+}
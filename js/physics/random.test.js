@@ -0,0 +1,40 @@
+import { createRandom, gaussian } from './random.js';
+
+var expect = chai.expect;
+
+
+describe('Random', () => {
+  it('createRandom', () => {
+    let random = createRandom(42);
+    let values = Array.from(Array(1000), () => random());
+
+    values.forEach((value) => {
+      expect(value).to.be.at.least(0);
+      expect(value).to.be.below(1);
+    });
+
+    let mean = values.reduce((a, b) => a + b, 0) / values.length;
+    expect(mean).to.closeTo(0.5, 0.03);
+
+    // Same seed gives same numbers
+    let other = createRandom(42);
+    expect(other()).to.equal(values[0]);
+    expect(other()).to.equal(values[1]);
+
+    // Different seed gives different numbers
+    expect(createRandom(43)()).not.to.equal(values[0]);
+  });
+
+  it('gaussian', () => {
+    let random = createRandom(7);
+    let values = Array.from(Array(10000), () => gaussian(random));
+
+    let mean = values.reduce((a, b) => a + b, 0) / values.length;
+
+    let variance = values.reduce((sum, value) =>
+      sum + (value - mean) * (value - mean), 0) / values.length;
+
+    expect(mean).to.closeTo(0, 0.03);
+    expect(Math.sqrt(variance)).to.closeTo(1, 0.03);
+  });
+});
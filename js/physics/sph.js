@@ -0,0 +1,362 @@
+// Gas particles evolved with smoothed particle hydrodynamics (SPH),
+// see Monaghan (1992). The density of the gas at a particle is the sum of
+// the masses of its neighbours, smoothed with a kernel of a fixed
+// smoothing length h. The gas is isothermal with the pressure
+//
+//    P = c^2 rho,
+//
+// where c is the sound speed. The pressure pushes the particles apart, and
+// the artificial viscosity stops them from passing through each other
+// in shocks, where the gas is compressed. The viscosity is turned off in
+// the shear flows of the rotating disks, which would otherwise make the gas
+// fall onto the cores.
+//
+// The gas particles are the last bodies, after the galaxy cores and
+// the stars, see `allPositionsAndVelocities` in initial_conditions.js.
+
+import { buffer } from './buffers.js';
+
+// Neighbours are found on a grid of cells with the size of the support
+// of the kernel 2h. The cells are identified by integer keys made of their
+// coordinates, which are offset to be positive.
+const gridOffset = 65536;
+const gridSize = 2 * gridOffset;
+
+// The cells of the grid and the indexes of the neighbours of a particle,
+// which are reused between the force calculations
+var cells = new Map();
+var neighbours = [];
+
+
+/**
+ * Calculate the cubic spline kernel (Monaghan & Lattanzio 1985):
+ *
+ *    W = 1 / (pi h^3) (1 - 3/2 q^2 + 3/4 q^3),   0 <= q < 1,
+ *    W = 1 / (pi h^3) (2 - q)^3 / 4,             1 <= q < 2,
+ *    W = 0,                                      q >= 2,
+ *
+ * where q = r / h.
+ *
+ * @param  {number} distance        Distance between two particles r.
+ * @param  {number} smoothingLength Smoothing length h.
+ * @return {number} Value of the kernel, its integral over the space is one.
+ */
+export function kernel(distance, smoothingLength) {
+  let h = smoothingLength;
+  let q = distance / h;
+  let norm = 1 / (Math.PI * h * h * h);
+
+  if (q < 1) return norm * (1 - 1.5 * q * q + 0.75 * q * q * q);
+  if (q < 2) return norm * 0.25 * (2 - q) * (2 - q) * (2 - q);
+  return 0;
+}
+
+
+/**
+ * Calculate the derivative of the kernel over the distance dW/dr,
+ * see `kernel`.
+ *
+ * @param  {number} distance        Distance between two particles r.
+ * @param  {number} smoothingLength Smoothing length h.
+ * @return {number} The derivative, which is negative or zero.
+ */
+export function kernelDerivative(distance, smoothingLength) {
+  let h = smoothingLength;
+  let q = distance / h;
+  let norm = 1 / (Math.PI * h * h * h * h);
+
+  if (q < 1) return norm * (-3 * q + 2.25 * q * q);
+  if (q < 2) return -norm * 0.75 * (2 - q) * (2 - q);
+  return 0;
+}
+
+
+/**
+ * Returns the key of the grid cell containing the point.
+ */
+function cellKey(x, y, z, cellSize) {
+  let ix = Math.floor(x / cellSize) + gridOffset;
+  let iy = Math.floor(y / cellSize) + gridOffset;
+  let iz = Math.floor(z / cellSize) + gridOffset;
+
+  return (ix * gridSize + iy) * gridSize + iz;
+}
+
+
+/**
+ * Put the gas particles into the cells of the grid.
+ *
+ * @param  {array} positions Position vectors of all bodies.
+ * @param  {number} first    Index of the first gas particle.
+ * @param  {number} cellSize Length of the side of a cell.
+ * @return {Map} Indexes of the particles in each cell, by the cell key.
+ *               The map is reused by the next call.
+ */
+function buildGrid(positions, first, cellSize) {
+  let grid = cells;
+  let bodies = positions.length / 3;
+
+  // Keep the arrays of the cells that were occupied the last time
+  grid.forEach((cell, key) => {
+    if (cell.length === 0) {
+      grid.delete(key);
+    } else {
+      cell.length = 0;
+    }
+  });
+
+  for(let i = first; i < bodies; i++) {
+    let key = cellKey(positions[i * 3], positions[i * 3 + 1],
+                      positions[i * 3 + 2], cellSize);
+
+    let cell = grid.get(key);
+
+    if (cell) {
+      cell.push(i);
+    } else {
+      grid.set(key, [i]);
+    }
+  }
+
+  return grid;
+}
+
+
+/**
+ * Find the gas particles closer than 2h to the i-th body, including
+ * the body itself.
+ *
+ * @param  {Map} grid        The grid of particles, see `buildGrid`.
+ * @param  {array} positions Position vectors of all bodies.
+ * @param  {number} i        Index of the body.
+ * @param  {number} cellSize Length of the side of a cell, 2h.
+ * @param  {array} result    Array that is filled with the indexes
+ *                           of the neighbours.
+ * @return {array} The `result` array.
+ */
+function findNeighbours(grid, positions, i, cellSize, result) {
+  let x = positions[i * 3], y = positions[i * 3 + 1], z = positions[i * 3 + 2];
+  let ix = Math.floor(x / cellSize) + gridOffset;
+  let iy = Math.floor(y / cellSize) + gridOffset;
+  let iz = Math.floor(z / cellSize) + gridOffset;
+  let maxDistanceSquared = cellSize * cellSize;
+  result.length = 0;
+
+  for(let jx = ix - 1; jx <= ix + 1; jx++) {
+    for(let jy = iy - 1; jy <= iy + 1; jy++) {
+      for(let jz = iz - 1; jz <= iz + 1; jz++) {
+        let cell = grid.get((jx * gridSize + jy) * gridSize + jz);
+        if (!cell) continue;
+
+        for(let n = 0; n < cell.length; n++) {
+          let j = cell[n];
+          let dx = x - positions[j * 3];
+          let dy = y - positions[j * 3 + 1];
+          let dz = z - positions[j * 3 + 2];
+
+          if (dx * dx + dy * dy + dz * dz < maxDistanceSquared) result.push(j);
+        }
+      }
+    }
+  }
+
+  return result;
+}
+
+
+/**
+ * Calculate the densities of the gas at the gas particles:
+ *
+ *    rho_i = sum_j m_j W(r_ij, h).
+ *
+ * @param  {array} positions Position vectors of all bodies, the gas
+ *                           particles are the last ones.
+ * @param  {object} physics  Settings of the physical model:
+ *    gasMasses           Masses of the gas particles, one for each particle.
+ *    gasSmoothingLength  Smoothing length of the kernel h.
+ * @param  {array} densities (optional) Array for storing the densities,
+ *                           one for each gas particle.
+ * @return {array} The densities of the gas particles.
+ */
+export function gasDensities(positions, physics, densities) {
+  let first = positions.length / 3 - physics.gasMasses.length;
+  let grid = buildGrid(positions, first, 2 * physics.gasSmoothingLength);
+
+  if (!densities) densities = new Float64Array(physics.gasMasses.length);
+
+  return sumDensities(grid, positions, physics, densities);
+}
+
+
+/**
+ * Calculate the densities of the gas particles placed on the grid,
+ * see `gasDensities`.
+ */
+function sumDensities(grid, positions, physics, densities) {
+  let masses = physics.gasMasses;
+  let h = physics.gasSmoothingLength;
+  let first = positions.length / 3 - masses.length;
+
+  for(let i = first; i < first + masses.length; i++) {
+    findNeighbours(grid, positions, i, 2 * h, neighbours);
+    let density = 0;
+
+    for(let n = 0; n < neighbours.length; n++) {
+      let j = neighbours[n];
+      let dx = positions[i * 3] - positions[j * 3];
+      let dy = positions[i * 3 + 1] - positions[j * 3 + 1];
+      let dz = positions[i * 3 + 2] - positions[j * 3 + 2];
+      let distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+      density += masses[j - first] * kernel(distance, h);
+    }
+
+    densities[i - first] = density;
+  }
+
+  return densities;
+}
+
+
+/**
+ * Calculate the Balsara (1995) factors of the gas particles, which turn off
+ * the artificial viscosity in the shear flows of the rotating disks,
+ * leaving it on in the compressed gas:
+ *
+ *    f_i = |div v| / (|div v| + |curl v| + 0.0001 c / h),
+ *
+ * where the divergence and the curl of the velocity are
+ *
+ *    div v = -1 / rho_i sum_j m_j v_ij . grad_i W_ij,
+ *    curl v = 1 / rho_i sum_j m_j v_ij x grad_i W_ij.
+ */
+function balsaraFactors(grid, positions, velocities, physics, densities) {
+  let masses = physics.gasMasses;
+  let h = physics.gasSmoothingLength;
+  let first = positions.length / 3 - masses.length;
+  let factors = buffer("balsaraFactors", masses.length);
+
+  for(let i = first; i < first + masses.length; i++) {
+    findNeighbours(grid, positions, i, 2 * h, neighbours);
+    let divergence = 0, curlX = 0, curlY = 0, curlZ = 0;
+
+    for(let n = 0; n < neighbours.length; n++) {
+      let j = neighbours[n];
+      let dx = positions[i * 3] - positions[j * 3];
+      let dy = positions[i * 3 + 1] - positions[j * 3 + 1];
+      let dz = positions[i * 3 + 2] - positions[j * 3 + 2];
+      let distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+      if (distance === 0) continue;
+
+      let dvx = velocities[i * 3] - velocities[j * 3];
+      let dvy = velocities[i * 3 + 1] - velocities[j * 3 + 1];
+      let dvz = velocities[i * 3 + 2] - velocities[j * 3 + 2];
+
+      // Mass times the gradient of the kernel is m_j (dW/dr) r_ij / r
+      let factor = masses[j - first] * kernelDerivative(distance, h) /
+                   distance;
+
+      divergence -= factor * (dvx * dx + dvy * dy + dvz * dz);
+      curlX += factor * (dvy * dz - dvz * dy);
+      curlY += factor * (dvz * dx - dvx * dz);
+      curlZ += factor * (dvx * dy - dvy * dx);
+    }
+
+    let density = densities[i - first];
+    divergence = Math.abs(divergence) / density;
+    let curl = Math.sqrt(curlX * curlX + curlY * curlY + curlZ * curlZ) /
+               density;
+
+    factors[i - first] = divergence /
+      (divergence + curl + 0.0001 * physics.gasSoundSpeed / h);
+  }
+
+  return factors;
+}
+
+
+/**
+ * Add the accelerations due to the pressure and the artificial viscosity
+ * to the accelerations of the gas particles:
+ *
+ *    a_i = -sum_j m_j (P_i / rho_i^2 + P_j / rho_j^2 + Pi_ij) grad_i W_ij.
+ *
+ * The viscosity acts only between the particles approaching each other
+ * (w_ij = v_ij . r_ij / r_ij < 0), see Monaghan (1997):
+ *
+ *    Pi_ij = -alpha / 2 v_sig w_ij / rho_ij f_ij,
+ *    v_sig = 2 c - 3 w_ij,
+ *
+ * where v_sig is the signal speed, rho_ij is the mean density of the two
+ * particles and f_ij is the mean of their Balsara factors, see
+ * `balsaraFactors`. The forces between two particles are equal and
+ * opposite, which conserves the momentum.
+ *
+ * @param  {array} positions  Position vectors of all bodies, the gas
+ *                            particles are the last ones.
+ * @param  {array} velocities Velocity vectors of all bodies.
+ * @param  {array} accelerations Acceleration vectors of all bodies. The array
+ *                            will be updated with new accelerations.
+ * @param  {object} physics   Settings of the physical model:
+ *    gasMasses           Masses of the gas particles, one for each particle.
+ *    gasSmoothingLength  Smoothing length of the kernel h.
+ *    gasSoundSpeed       Isothermal sound speed c.
+ *    gasViscosity        Strength of the artificial viscosity alpha.
+ */
+export function addGasAccelerations(positions, velocities, accelerations,
+                                    physics) {
+  let masses = physics.gasMasses;
+  let h = physics.gasSmoothingLength;
+  let c = physics.gasSoundSpeed;
+  let alpha = physics.gasViscosity;
+  let first = positions.length / 3 - masses.length;
+  let grid = buildGrid(positions, first, 2 * h);
+  let densities = sumDensities(grid, positions, physics,
+                               buffer("gasDensities", masses.length));
+  let balsara = balsaraFactors(grid, positions, velocities, physics,
+                               densities);
+
+  for(let i = first; i < first + masses.length; i++) {
+    let densityI = densities[i - first];
+    findNeighbours(grid, positions, i, 2 * h, neighbours);
+
+    for(let n = 0; n < neighbours.length; n++) {
+      let j = neighbours[n];
+      if (j === i) continue;
+
+      let dx = positions[i * 3] - positions[j * 3];
+      let dy = positions[i * 3 + 1] - positions[j * 3 + 1];
+      let dz = positions[i * 3 + 2] - positions[j * 3 + 2];
+      let distanceSquared = dx * dx + dy * dy + dz * dz;
+      let distance = Math.sqrt(distanceSquared);
+      if (distance === 0) continue;
+
+      let densityJ = densities[j - first];
+
+      // Pressure term P / rho^2 = c^2 / rho for the isothermal gas
+      let term = c * c / densityI + c * c / densityJ;
+
+      // Artificial viscosity
+      let dvx = velocities[i * 3] - velocities[j * 3];
+      let dvy = velocities[i * 3 + 1] - velocities[j * 3 + 1];
+      let dvz = velocities[i * 3 + 2] - velocities[j * 3 + 2];
+      let approach = dvx * dx + dvy * dy + dvz * dz;
+
+      if (approach < 0) {
+        let w = approach / distance;
+        let signalSpeed = 2 * c - 3 * w;
+        let density = 0.5 * (densityI + densityJ);
+        let balsaraFactor = 0.5 * (balsara[i - first] + balsara[j - first]);
+
+        term -= 0.5 * alpha * signalSpeed * w / density * balsaraFactor;
+      }
+
+      let factor = -masses[j - first] * term *
+                   kernelDerivative(distance, h) / distance;
+
+      accelerations[i * 3] += factor * dx;
+      accelerations[i * 3 + 1] += factor * dy;
+      accelerations[i * 3 + 2] += factor * dz;
+    }
+  }
+}
@@ -0,0 +1,202 @@
+import {
+  kernel, kernelDerivative, gasDensities, addGasAccelerations
+} from './sph.js';
+
+import { createRandom } from './random.js';
+
+var expect = chai.expect;
+
+
+/**
+ * Returns the positions of particles on a cubic lattice with n particles
+ * along each side and the given spacing, after one galaxy core at the origin.
+ */
+function latticePositions(n, spacing) {
+  let positions = [0, 0, 0];
+
+  for(let i = 0; i < n; i++) {
+    for(let j = 0; j < n; j++) {
+      for(let k = 0; k < n; k++) {
+        positions.push(i * spacing, j * spacing, k * spacing);
+      }
+    }
+  }
+
+  return new Float64Array(positions);
+}
+
+
+describe('SPH', () => {
+  it('kernel', () => {
+    let h = 1.5;
+
+    expect(kernel(0, h)).to.closeTo(1 / (Math.PI * h * h * h), 1e-15);
+    expect(kernel(h, h)).to.closeTo(0.25 / (Math.PI * h * h * h), 1e-15);
+    expect(kernel(2 * h, h)).to.equal(0);
+    expect(kernel(3 * h, h)).to.equal(0);
+  });
+
+  it('kernel integral over the space is one', () => {
+    let h = 1.5;
+    let steps = 2000;
+    let dr = 2 * h / steps;
+    let integral = 0;
+
+    for(let i = 0; i < steps; i++) {
+      let r = (i + 0.5) * dr;
+      integral += 4 * Math.PI * r * r * kernel(r, h) * dr;
+    }
+
+    expect(integral).to.closeTo(1, 1e-6);
+  });
+
+  it('kernelDerivative', () => {
+    let h = 1.5;
+    let delta = 1e-6;
+
+    [0.1, 0.9, 1.3, 2.5].forEach((r) => {
+      let derivative = (kernel(r + delta, h) - kernel(r - delta, h)) /
+                       (2 * delta);
+
+      expect(kernelDerivative(r, h)).to.closeTo(derivative, 1e-8);
+    });
+
+    expect(kernelDerivative(0, h)).to.equal(0);
+    expect(kernelDerivative(3.5, h)).to.equal(0);
+  });
+
+  it('gasDensities of uniform gas', () => {
+    // Particles of mass 0.5 spaced by 1 give the density of 0.5
+    let n = 11;
+    let positions = latticePositions(n, 1);
+    let physics = {
+      gasMasses: Array(n * n * n).fill(0.5),
+      gasSmoothingLength: 1.2
+    };
+
+    let densities = gasDensities(positions, physics);
+
+    expect(densities.length).to.equal(n * n * n);
+
+    // The particle in the centre, far from the edges
+    let centre = (5 * n + 5) * n + 5;
+    expect(densities[centre]).to.closeTo(0.5, 0.01);
+
+    // The density is smaller at the corner
+    expect(densities[0]).to.be.below(0.6 * densities[centre]);
+  });
+
+  it('gasDensities of a single particle', () => {
+    let positions = new Float64Array([0, 0, 0, 100, -200, 300]);
+    let physics = { gasMasses: [2], gasSmoothingLength: 1 };
+
+    let densities = gasDensities(positions, physics);
+
+    expect(densities[0]).to.closeTo(2 / Math.PI, 1e-15);
+  });
+
+  it('gasDensities after the particles have moved', () => {
+    let physics = { gasMasses: [1, 1], gasSmoothingLength: 1 };
+
+    // Two neighbours, then far apart in the cells used before
+    gasDensities(new Float64Array([0, 0, 0, 0.5, 0, 0]), physics);
+
+    let densities = gasDensities(
+      new Float64Array([0.5, 0, 0, 100, 0, 0]), physics);
+
+    expect(Array.from(densities)).to.deep.equal([1 / Math.PI, 1 / Math.PI]);
+  });
+
+  it('addGasAccelerations pushes two particles apart', () => {
+    let positions = new Float64Array([0, 0, 0, 1, 0, 0, 2, 0, 0]);
+    let velocities = new Float64Array(9);
+    let accelerations = new Float64Array(9);
+
+    let physics = {
+      gasMasses: [1, 1],
+      gasSmoothingLength: 1,
+      gasSoundSpeed: 0.1,
+      gasViscosity: 1
+    };
+
+    addGasAccelerations(positions, velocities, accelerations, physics);
+
+    // The core is not affected
+    expect(Array.from(accelerations.slice(0, 3))).to.deep.equal([0, 0, 0]);
+
+    // The particles are pushed apart along the x-axis
+    expect(accelerations[3]).to.be.below(0);
+    expect(accelerations[6]).to.be.above(0);
+    expect(accelerations[6]).to.closeTo(-accelerations[3], 1e-15);
+    expect(accelerations[4]).to.equal(0);
+    expect(accelerations[8]).to.equal(0);
+  });
+
+  it('addGasAccelerations conserves momentum', () => {
+    let random = createRandom(3);
+    let particles = 30;
+    let positions = new Float64Array((particles + 1) * 3);
+    let velocities = new Float64Array((particles + 1) * 3);
+    let masses = [];
+
+    // Particles of different masses at random in a box of size 3
+    for(let i = 3; i < positions.length; i++) {
+      positions[i] = 3 * random();
+      velocities[i] = random() - 0.5;
+    }
+
+    for(let i = 0; i < particles; i++) masses.push(1 + i % 3);
+
+    let accelerations = new Float64Array(positions.length);
+
+    let physics = {
+      gasMasses: masses,
+      gasSmoothingLength: 0.8,
+      gasSoundSpeed: 0.2,
+      gasViscosity: 1
+    };
+
+    addGasAccelerations(positions, velocities, accelerations, physics);
+
+    let total = [0, 0, 0];
+    let largest = 0;
+
+    masses.forEach((mass, i) => {
+      for(let k = 0; k < 3; k++) {
+        let force = mass * accelerations[(i + 1) * 3 + k];
+        total[k] += force;
+        largest = Math.max(largest, Math.abs(force));
+      }
+    });
+
+    expect(largest).to.be.above(0);
+    total.forEach((force) => expect(force).to.closeTo(0, 1e-12 * largest));
+  });
+
+  it('addGasAccelerations viscosity slows down approaching particles', () => {
+    let positions = new Float64Array([0, 0, 0, 0, 0, 0, 1, 0, 0]);
+    let accelerations = new Float64Array(9);
+    let moving = new Float64Array(9);
+
+    let physics = {
+      gasMasses: [1, 1],
+      gasSmoothingLength: 1,
+      gasSoundSpeed: 0.1,
+      gasViscosity: 1
+    };
+
+    // Approaching particles are pushed apart more strongly
+    let approaching = new Float64Array([0, 0, 0, 0.2, 0, 0, -0.2, 0, 0]);
+    addGasAccelerations(positions, approaching, moving, physics);
+    addGasAccelerations(positions, new Float64Array(9), accelerations, physics);
+
+    expect(moving[3]).to.be.below(accelerations[3]);
+
+    // Receding particles feel only the pressure
+    let receding = new Float64Array([0, 0, 0, -0.2, 0, 0, 0.2, 0, 0]);
+    moving = new Float64Array(9);
+    addGasAccelerations(positions, receding, moving, physics);
+
+    expect(moving[3]).to.closeTo(accelerations[3], 1e-15);
+  });
+});
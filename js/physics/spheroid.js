@@ -0,0 +1,183 @@
+// Initial conditions of an elliptical galaxy: a spherical cloud of stars
+// supported by their random motions instead of rotation.
+//
+// The positions of the stars are drawn from the density of the Plummer
+// or Hernquist model, and their velocities are isotropic and drawn from
+// the distribution function f(E) of the same model, which depends only on
+// the binding energy of the star
+//
+//    E = psi(r) - v^2 / 2,
+//
+// where psi = -phi is the relative potential of the model, see `potential`
+// in halo.js. The stars are in equilibrium when they move in the potential
+// of the same model, that is, when the halo of the core has the same profile,
+// mass and scale radius.
+
+import { potential } from './halo.js';
+
+
+/**
+ * Names of the models of the spherical galaxies.
+ */
+export const spheroidProfiles = ["plummer", "hernquist"];
+
+
+// Stars are not placed further away from the centre than this number
+// of scale radii, the Hernquist model has a long tail of far away stars
+const maxRadius = 30;
+
+// Number of points used for finding the largest probability
+// of the speed of a star, see `randomSpeed`
+const speedSamples = 64;
+
+
+/**
+ * Calculate the distribution function of the model, the density of stars
+ * in the six-dimensional space of positions and velocities (with G=1).
+ *
+ * Plummer model:
+ *
+ *    f(E) = 24 sqrt(2) / (7 pi^3) a^2 / M^4 E^(7/2).
+ *
+ * Hernquist model, with q = sqrt(a E / M) and vg = sqrt(M / a):
+ *
+ *    f(E) = M / (8 sqrt(2) pi^3 a^3 vg^3) (1 - q^2)^(-5/2)
+ *           [3 asin(q) + q sqrt(1 - q^2) (1 - 2 q^2) (8 q^4 - 8 q^2 - 3)].
+ *
+ * @param  {string} profile     Name of the model, see `spheroidProfiles`.
+ * @param  {number} mass        Total mass of the model M.
+ * @param  {number} scaleRadius Scale radius of the model a.
+ * @param  {number} energy      Binding energy per unit mass E.
+ * @return {number} Phase space density.
+ */
+export function distributionFunction(profile, mass, scaleRadius, energy) {
+  if (energy <= 0) return 0;
+  let a = scaleRadius;
+
+  if (profile === "plummer") {
+    return 24 * Math.SQRT2 / (7 * Math.pow(Math.PI, 3)) * a * a /
+           Math.pow(mass, 4) * Math.pow(energy, 3.5);
+  }
+
+  let q = Math.sqrt(Math.min(a * energy / mass, 1));
+  if (q === 1) return Infinity;
+  let q2 = q * q;
+  let vg = Math.sqrt(mass / a);
+
+  return mass / (8 * Math.SQRT2 * Math.pow(Math.PI, 3) * a * a * a *
+                 vg * vg * vg) / Math.pow(1 - q2, 2.5) *
+         (3 * Math.asin(q) +
+          q * Math.sqrt(1 - q2) * (1 - 2 * q2) * (8 * q2 * q2 - 8 * q2 - 3));
+}
+
+
+/**
+ * Draw the distance of a star from the centre by inverting the fraction
+ * of the mass inside the radius, u = M(r) / M:
+ *
+ *    Plummer:    r = a / sqrt(u^(-2/3) - 1),
+ *    Hernquist:  r = a sqrt(u) / (1 - sqrt(u)).
+ */
+function randomRadius(profile, scaleRadius, random) {
+  let radius;
+
+  do {
+    let u = random();
+
+    if (profile === "plummer") {
+      radius = scaleRadius / Math.sqrt(Math.pow(u, -2 / 3) - 1);
+    } else {
+      radius = scaleRadius * Math.sqrt(u) / (1 - Math.sqrt(u));
+    }
+  } while (radius > maxRadius * scaleRadius);
+
+  return radius;
+}
+
+
+/**
+ * Draw the speed of a star at the given distance from the centre.
+ * The probability of speed v is proportional to v^2 f(psi - v^2 / 2).
+ * The speed is drawn by rejection sampling between zero and the escape
+ * speed, using the largest probability found on a grid of speeds.
+ */
+function randomSpeed(profile, mass, scaleRadius, radius, random) {
+  let psi = -potential(profile, mass, scaleRadius, radius);
+  let escapeSpeed = Math.sqrt(2 * psi);
+
+  let probability = (speed) => speed * speed *
+    distributionFunction(profile, mass, scaleRadius,
+                         psi - speed * speed / 2);
+
+  let largest = 0;
+
+  for(let i = 1; i < speedSamples; i++) {
+    largest = Math.max(largest, probability(escapeSpeed * i / speedSamples));
+  }
+
+  // Allow for the maximum being between the grid points
+  largest *= 1.1;
+
+  while (true) {
+    let speed = escapeSpeed * random();
+    if (random() * largest < probability(speed)) return speed;
+  }
+}
+
+
+/**
+ * Returns a vector of given length pointing in a random direction.
+ */
+function randomVector(length, random) {
+  let cosTheta = 2 * random() - 1;
+  let sinTheta = Math.sqrt(1 - cosTheta * cosTheta);
+  let phi = 2 * Math.PI * random();
+
+  return [length * sinTheta * Math.cos(phi),
+          length * sinTheta * Math.sin(phi),
+          length * cosTheta];
+}
+
+
+/**
+ * Calculate initial positions and velocities of stars in one spherical
+ * galaxy. The mass and scale radius of the model are those of the halo
+ * of the core.
+ *
+ * Parameters are passed as single object with properties:
+ *
+ * @param  {array} corePosition  Position of the core
+ * @param  {array} coreVelocity  Core velocity
+ * @param  {number} coreMass     Mass of the core, the total mass of the model.
+ * @param  {string} profile      Name of the model, see `spheroidProfiles`.
+ * @param  {number} scaleRadius  Scale radius of the model.
+ * @param  {number} numberOfStars Number of stars in the galaxy.
+ * @param  {function} random     Generator of random numbers,
+ *                               see `createRandom` in random.js.
+ * @return {object} An object { positions: [], velocities: [] }
+ *                  containing positions and velocities of all stars in the
+ *                  galaxy.
+ */
+export function spheroidPositionsAndVelocities(args) {
+  var stars = args.numberOfStars;
+  var positions = Array(stars * 3).fill(0);
+  var velocities = Array(stars * 3).fill(0);
+
+  for(let iStar = 0; iStar < stars; iStar++) {
+    let radius = randomRadius(args.profile, args.scaleRadius, args.random);
+    let position = randomVector(radius, args.random);
+
+    let speed = randomSpeed(args.profile, args.coreMass, args.scaleRadius,
+                            radius, args.random);
+
+    let velocity = randomVector(speed, args.random);
+
+    for(let k = 0; k < 3; k++) {
+      positions[iStar * 3 + k] = position[k] + args.corePosition[k];
+      velocities[iStar * 3 + k] = velocity[k] + args.coreVelocity[k];
+    }
+  }
+
+  return { positions, velocities };
+}
+
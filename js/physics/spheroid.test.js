@@ -0,0 +1,141 @@
+import { distributionFunction, spheroidPositionsAndVelocities }
+  from './spheroid.js';
+
+import { enclosedMassDerivative, potential } from './halo.js';
+import { createRandom } from './random.js';
+
+var expect = chai.expect;
+
+
+// Parameters of a spherical galaxy around a core at rest at the origin
+function spheroidArgs(changes) {
+  return Object.assign({
+    corePosition: [0, 0, 0],
+    coreVelocity: [0, 0, 0],
+    coreMass: 1,
+    profile: "plummer",
+    scaleRadius: 1,
+    numberOfStars: 5000,
+    random: createRandom(3)
+  }, changes);
+}
+
+
+function median(values) {
+  let sorted = values.slice().sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+
+// Returns the distances of the stars from the origin
+// and the squares of their speeds
+function radiiAndSpeeds(galaxy) {
+  let radii = [];
+  let speedsSquared = [];
+
+  for(let i = 0; i < galaxy.positions.length / 3; i++) {
+    let p = galaxy.positions.slice(i * 3, i * 3 + 3);
+    let v = galaxy.velocities.slice(i * 3, i * 3 + 3);
+    radii.push(Math.sqrt(p[0] * p[0] + p[1] * p[1] + p[2] * p[2]));
+    speedsSquared.push(v[0] * v[0] + v[1] * v[1] + v[2] * v[2]);
+  }
+
+  return { radii, speedsSquared };
+}
+
+
+describe('Spheroid', () => {
+  it('distributionFunction gives the density of the model', () => {
+    let mass = 2;
+    let scaleRadius = 1.5;
+    let steps = 2000;
+
+    ["plummer", "hernquist"].forEach((profile) => {
+      [0.5, 3].forEach((r) => {
+        let psi = -potential(profile, mass, scaleRadius, r);
+        let escapeSpeed = Math.sqrt(2 * psi);
+        let dv = escapeSpeed / steps;
+
+        // Integrate the distribution function over the velocities
+        let density = 0;
+
+        for(let i = 0; i < steps; i++) {
+          let v = (i + 0.5) * dv;
+          density += 4 * Math.PI * v * v * dv *
+            distributionFunction(profile, mass, scaleRadius, psi - v * v / 2);
+        }
+
+        let expected = enclosedMassDerivative(profile, mass, scaleRadius, r) /
+                       (4 * Math.PI * r * r);
+
+        expect(density).to.closeTo(expected, expected * 1e-3);
+      });
+    });
+
+    expect(distributionFunction("plummer", 1, 1, -0.1)).to.equal(0);
+  });
+
+  it('Plummer sphere', () => {
+    let galaxy = spheroidPositionsAndVelocities(spheroidArgs());
+    let { radii, speedsSquared } = radiiAndSpeeds(galaxy);
+
+    expect(galaxy.positions.length).to.equal(5000 * 3);
+
+    // Half of the stars are inside the half-mass radius
+    expect(median(radii)).to.closeTo(1 / Math.sqrt(Math.pow(2, 2 / 3) - 1),
+                                     0.05);
+
+    // Mean squared speed from the kinetic energy 3 pi M^2 / (64 a)
+    let meanSpeedSquared = speedsSquared.reduce((a, b) => a + b, 0) /
+                           speedsSquared.length;
+
+    expect(meanSpeedSquared).to.closeTo(3 * Math.PI / 32, 0.015);
+  });
+
+  it('Hernquist sphere', () => {
+    let galaxy = spheroidPositionsAndVelocities(
+      spheroidArgs({ profile: "hernquist", scaleRadius: 2 }));
+
+    let { radii } = radiiAndSpeeds(galaxy);
+
+    // Half-mass radius of the model cut at 30 scale radii
+    let u = Math.sqrt(0.5) * 30 / 31;
+    expect(median(radii)).to.closeTo(2 * u / (1 - u), 0.15);
+    expect(Math.max(...radii)).to.be.at.most(60);
+
+    // All stars are bound
+    radii.forEach((r, i) => {
+      let v = galaxy.velocities.slice(i * 3, i * 3 + 3);
+      let speedSquared = v[0] * v[0] + v[1] * v[1] + v[2] * v[2];
+      expect(speedSquared / 2 + potential("hernquist", 1, 2, r)).to.be.below(0);
+    });
+  });
+
+  it('isotropic velocities around a moving core', () => {
+    let galaxy = spheroidPositionsAndVelocities(spheroidArgs({
+      corePosition: [10, 20, 30],
+      coreVelocity: [1, 2, 3]
+    }));
+
+    let stars = galaxy.positions.length / 3;
+
+    for(let k = 0; k < 3; k++) {
+      let meanPosition = 0;
+      let meanVelocity = 0;
+      let meanVelocitySquared = 0;
+
+      for(let i = 0; i < stars; i++) {
+        let v = galaxy.velocities[i * 3 + k] - (k + 1);
+        meanPosition += galaxy.positions[i * 3 + k] / stars;
+        meanVelocity += v / stars;
+        meanVelocitySquared += v * v / stars;
+      }
+
+      expect(meanPosition).to.closeTo((k + 1) * 10, 0.2);
+      expect(meanVelocity).to.closeTo(0, 0.02);
+
+      // One third of the mean squared speed in each direction
+      expect(meanVelocitySquared).to.closeTo(Math.PI / 32, 0.01);
+    }
+  });
+});
@@ -0,0 +1,266 @@
+// Count the stars that stay bound to their galaxy, are captured by another
+// galaxy or escape into the tidal tails during the encounter.
+//
+// Each star is classified by its specific energy relative to each core,
+//
+//    E = v^2 / 2 + phi(r),
+//
+// where v and r are the velocity and the distance of the star relative to
+// the core and phi is the potential of the core. The star is bound to the
+// core with the lowest negative energy. It is:
+//
+//    bound     if the core is the host of the star: the core of the galaxy
+//              the star was born in, or the core that absorbed it,
+//    captured  if the core is the core of another galaxy,
+//    escaped   if the star is not bound to any core.
+//
+// The potentials are zero at infinity, except for the isothermal halos,
+// whose potential grows without limit. Their zero point is chosen
+// in halo.js, so the stars counted as escaped from these halos
+// have only moved far beyond the scale radius.
+//
+// The stars are ordered as in `allPositionsAndVelocities`
+// in initial_conditions.js: the stars of the first galaxy,
+// then the stars of the second galaxy etc.
+
+import { potential } from './halo.js';
+import { survivor } from './merger.js';
+
+
+/**
+ * Names of the classes of the stars, in the order of the counts
+ * returned by `countFates`.
+ */
+export const fates = ["bound", "captured", "escaped"];
+
+// Indexes of the classes in `fates`
+const bound = 0;
+const captured = 1;
+const escaped = 2;
+
+
+/**
+ * Classify the stars as bound to their host, captured by another core
+ * or escaped.
+ *
+ * @param  {array} masses     Masses of the galaxy cores after mergers,
+ *                            the absorbed cores have zero mass.
+ * @param  {array} positions  Position vectors of all bodies,
+ *                            first are galaxy cores, the rest are stars.
+ * @param  {array} velocities Velocity vectors of all bodies.
+ * @param  {array} origins    Index of the galaxy each star was born in,
+ *                            see `starHosts` in diagnostics.js. Only the
+ *                            bodies listed here are classified.
+ * @param  {array} mergedInto The merger state, see merger.js.
+ * @param  {object} physics   (optional) Settings of the physical model
+ *                            containing `haloProfiles` and `haloScaleRadii`
+ *                            of the cores. Default: point masses.
+ * @param  {array} result     (optional) Array for storing the classes.
+ * @return {array} Index of the class in `fates` for each star.
+ */
+export function classifyStars(masses, positions, velocities, origins,
+                              mergedInto, physics, result) {
+
+  let numberOfCores = masses.length;
+  if (!result) result = new Uint8Array(origins.length);
+
+  for(let iStar = 0; iStar < origins.length; iStar++) {
+    let i = (iStar + numberOfCores) * 3;
+    let lowestEnergy = 0;
+    let boundTo = -1;
+
+    for(let j = 0; j < numberOfCores; j++) {
+      if (masses[j] === 0) continue;
+
+      let dx = positions[i] - positions[j * 3];
+      let dy = positions[i + 1] - positions[j * 3 + 1];
+      let dz = positions[i + 2] - positions[j * 3 + 2];
+      let dvx = velocities[i] - velocities[j * 3];
+      let dvy = velocities[i + 1] - velocities[j * 3 + 1];
+      let dvz = velocities[i + 2] - velocities[j * 3 + 2];
+      let distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+      let energy = 0.5 * (dvx * dvx + dvy * dvy + dvz * dvz) +
+                   corePotential(masses, j, distance, physics);
+
+      if (energy < lowestEnergy) {
+        lowestEnergy = energy;
+        boundTo = j;
+      }
+    }
+
+    if (boundTo === -1) {
+      result[iStar] = escaped;
+    } else if (boundTo === survivor(mergedInto, origins[iStar])) {
+      result[iStar] = bound;
+    } else {
+      result[iStar] = captured;
+    }
+  }
+
+  return result;
+}
+
+
+/**
+ * Returns the potential of the core at given distance.
+ */
+function corePotential(masses, iCore, distance, physics) {
+  if (physics && physics.haloProfiles) {
+    return potential(physics.haloProfiles[iCore], masses[iCore],
+                     physics.haloScaleRadii[iCore], distance);
+  }
+
+  return -masses[iCore] / distance;
+}
+
+
+/**
+ * Count the stars of each class for each galaxy the stars were born in.
+ *
+ * @param  {array} classes  Classes of the stars, see `classifyStars`.
+ * @param  {array} origins  Index of the galaxy each star was born in.
+ * @param  {number} galaxies Number of galaxies.
+ * @return {array} The numbers of bound, captured and escaped stars for
+ *                 each galaxy, i.e. [[90, 2, 8], [40, 0, 10]].
+ */
+export function countFates(classes, origins, galaxies) {
+  let counts = Array.from(Array(galaxies), () => [0, 0, 0]);
+
+  for(let i = 0; i < classes.length; i++) {
+    counts[origins[i]][classes[i]] += 1;
+  }
+
+  return counts;
+}
+
+
+/**
+ * Start recording the numbers of bound, captured and escaped stars.
+ *
+ * @param  {array} origins   Index of the galaxy each star was born in.
+ * @param  {number} galaxies Number of galaxies.
+ * @param  {number} interval Number of time steps between the records.
+ * @return {object} The analysis state:
+ *    origins   The supplied `origins`.
+ *    galaxies  Number of galaxies.
+ *    interval  Number of time steps between the records.
+ *    steps     Number of time steps since the last record.
+ *    classes   Classes of the stars at the last record.
+ *    history   The records ordered by time, each containing the simulation
+ *              `time` and the `counts` of the stars, see `countFates`.
+ */
+export function init(origins, galaxies, interval) {
+  return {
+    origins: origins,
+    galaxies: galaxies,
+    interval: interval,
+    steps: 0,
+    classes: new Uint8Array(origins.length),
+    history: []
+  };
+}
+
+
+/**
+ * Classify the stars and add the record to the history. The records made
+ * further from time zero on the same side of it are removed, when the
+ * simulation is run back towards time zero, see `rewind`.
+ *
+ * @param  {object} state   The analysis state, see `init`.
+ * @param  {number} time    Current simulation time.
+ * Other parameters are the same as in `classifyStars`.
+ */
+export function record(state, time, masses, positions, velocities, mergedInto,
+                       physics) {
+
+  classifyStars(masses, positions, velocities, state.origins, mergedInto,
+                physics, state.classes);
+
+  rewind(state, time);
+
+  // Keep the records ordered by time, the negative times are added
+  // in front of the earlier records
+  let index = state.history.findIndex((entry) => entry.time > time);
+  if (index === -1) index = state.history.length;
+
+  state.history.splice(index, 0, {
+    time: time,
+    counts: countFates(state.classes, state.origins, state.galaxies)
+  });
+
+  state.steps = 0;
+}
+
+
+/**
+ * Record the numbers of the stars once in `interval` time steps.
+ * Called after the simulation is advanced.
+ *
+ * @param  {object} state   The analysis state, see `init`.
+ * @param  {number} steps   Number of time steps made since the last call.
+ * @param  {number} time    Current simulation time.
+ * Other parameters are the same as in `classifyStars`.
+ */
+export function update(state, steps, time, masses, positions, velocities,
+                       mergedInto, physics) {
+
+  state.steps += steps;
+  if (state.steps < state.interval) return;
+
+  record(state, time, masses, positions, velocities, mergedInto, physics);
+}
+
+
+/**
+ * Remove the records made after the given time, when the simulation
+ * goes back to an earlier time, see `seek` in simulation.js. The simulation
+ * is integrated away from time zero in both directions, see
+ * `nearestCheckpoint` in timeline.js. Therefore, for a negative time,
+ * the records made at the earlier times are removed instead.
+ *
+ * @param  {object} state The analysis state, see `init`.
+ * @param  {number} time  The simulation time the simulation went back to.
+ */
+export function rewind(state, time) {
+  state.history = state.history.filter((entry) =>
+    time >= 0 ? entry.time <= time : entry.time >= time);
+
+  state.steps = 0;
+}
+
+
+/**
+ * Returns the latest record: the one closest to the current time,
+ * which is the last record for positive times and the first one
+ * for negative times.
+ *
+ * @param  {object} state The analysis state, see `init`.
+ * @param  {number} time  Current simulation time.
+ * @return {object} The record, see `init`, or undefined if there are none.
+ */
+export function latestRecord(state, time) {
+  let history = state.history;
+  return time >= 0 ? history[history.length - 1] : history[0];
+}
+
+
+/**
+ * Returns the history of the numbers of stars as comma separated values,
+ * with one line for each record and galaxy.
+ *
+ * @param  {object} state The analysis state, see `init`.
+ * @return {string} The table with the columns: time, galaxy (1, 2...),
+ *                  the numbers of bound, captured and escaped stars.
+ */
+export function historyCsv(state) {
+  let lines = [["time", "galaxy"].concat(fates).join(",")];
+
+  state.history.forEach((entry) => {
+    entry.counts.forEach((counts, iGalaxy) => {
+      lines.push([entry.time, iGalaxy + 1].concat(counts).join(","));
+    });
+  });
+
+  return lines.join("\n") + "\n";
+}
@@ -0,0 +1,195 @@
+import {
+  fates, classifyStars, countFates, init, record, update, rewind, latestRecord,
+  historyCsv
+} from './tidal_analysis.js';
+
+import { init as initMerger } from './merger.js';
+
+var expect = chai.expect;
+
+
+// Two cores of mass 1 at x=0 and x=100 at rest, followed by four stars
+// of the first galaxy and one star of the second
+const masses = [1, 1];
+
+const positions = new Float64Array([
+  0, 0, 0,
+  100, 0, 0,
+
+  // Slow star near the first core: bound
+  1, 0, 0,
+
+  // Star moving faster than the escape speed sqrt(2): escaped
+  1, 0, 0,
+
+  // Star near the second core: captured
+  101, 0, 0,
+
+  // Far from both cores: escaped
+  50, 50, 0,
+
+  // Star of the second galaxy near its core: bound
+  100, 1, 0
+]);
+
+const velocities = new Float64Array([
+  0, 0, 0,
+  0, 0, 0,
+  0, 1, 0,
+  0, 1.5, 0,
+  0, 0.5, 0,
+  0, 0, 0.3,
+  0.5, 0, 0
+]);
+
+const origins = [0, 0, 0, 0, 1];
+
+
+describe('Tidal analysis', () => {
+  it('fates', () => {
+    expect(fates).to.deep.equal(["bound", "captured", "escaped"]);
+  });
+
+  it('classifyStars', () => {
+    let result = classifyStars(masses, positions, velocities, origins,
+                               initMerger(2));
+
+    expect(Array.from(result)).to.deep.equal([0, 2, 1, 2, 0]);
+  });
+
+  it('classifyStars with halo profiles', () => {
+    // Plummer potential at the centre is -M/a = -0.1, so the star moving
+    // with the speed 1 near the first core escapes
+    let physics = {
+      haloProfiles: ["plummer", "point"],
+      haloScaleRadii: [10, 1]
+    };
+
+    let result = classifyStars(masses, positions, velocities, origins,
+                               initMerger(2), physics);
+
+    expect(Array.from(result)).to.deep.equal([2, 2, 1, 2, 0]);
+  });
+
+  it('classifyStars after merger', () => {
+    // The second core merged into the first, its mass is zero
+    let mergedInto = [-1, 0];
+    let mergedMasses = [2, 0];
+
+    let result = classifyStars(mergedMasses, positions, velocities, origins,
+                               mergedInto);
+
+    // The star of the second galaxy is now far from its host, and the
+    // star near the absorbed core is no longer bound to it
+    expect(Array.from(result)).to.deep.equal([0, 0, 2, 2, 2]);
+  });
+
+  it('countFates', () => {
+    let counts = countFates([0, 2, 1, 2, 0], origins, 2);
+
+    expect(counts).to.deep.equal([[1, 1, 2], [1, 0, 0]]);
+  });
+
+  it('update records once in the interval', () => {
+    let state = init(origins, 2, 3);
+    record(state, 0, masses, positions, velocities, initMerger(2));
+
+    update(state, 1, 1, masses, positions, velocities, initMerger(2));
+    update(state, 1, 2, masses, positions, velocities, initMerger(2));
+    expect(state.history.length).to.equal(1);
+
+    update(state, 1, 3, masses, positions, velocities, initMerger(2));
+    expect(state.history.length).to.equal(2);
+    expect(state.history[1].time).to.equal(3);
+    expect(state.history[1].counts).to.deep.equal([[1, 1, 2], [1, 0, 0]]);
+    expect(state.steps).to.equal(0);
+
+    // Several steps made by the web workers
+    update(state, 5, 8, masses, positions, velocities, initMerger(2));
+    expect(state.history.map((entry) => entry.time)).to.deep.equal([0, 3, 8]);
+  });
+
+  it('record removes later records when running backward', () => {
+    let state = init(origins, 2, 1);
+
+    [0, 1, 2, 3].forEach((time) => {
+      record(state, time, masses, positions, velocities, initMerger(2));
+    });
+
+    record(state, 1.5, masses, positions, velocities, initMerger(2));
+
+    expect(state.history.map((entry) => entry.time))
+      .to.deep.equal([0, 1, 1.5]);
+  });
+
+  it('record at negative times', () => {
+    let state = init(origins, 2, 1);
+
+    [0, -1, -2, -3].forEach((time) => {
+      record(state, time, masses, positions, velocities, initMerger(2));
+    });
+
+    expect(state.history.map((entry) => entry.time))
+      .to.deep.equal([-3, -2, -1, 0]);
+
+    expect(historyCsv(state).split("\n").length).to.equal(1 + 4 * 2 + 1);
+
+    expect(latestRecord(state, -3).time).to.equal(-3);
+
+    // Running back towards zero removes the records made further from it
+    record(state, -1.5, masses, positions, velocities, initMerger(2));
+
+    expect(state.history.map((entry) => entry.time))
+      .to.deep.equal([-1.5, -1, 0]);
+
+    // Positive times keep the records at negative times
+    record(state, 1, masses, positions, velocities, initMerger(2));
+
+    expect(state.history.map((entry) => entry.time))
+      .to.deep.equal([-1.5, -1, 0, 1]);
+
+    expect(latestRecord(state, 1).time).to.equal(1);
+  });
+
+  it('rewind', () => {
+    let state = init(origins, 2, 10);
+
+    [0, 10, 20, 30].forEach((time) => {
+      record(state, time, masses, positions, velocities, initMerger(2));
+    });
+
+    state.steps = 4;
+    rewind(state, 20);
+
+    expect(state.history.map((entry) => entry.time))
+      .to.deep.equal([0, 10, 20]);
+
+    expect(state.steps).to.equal(0);
+  });
+
+  it('rewind to a negative time', () => {
+    let state = init(origins, 2, 10);
+
+    [0, 10, -10, -20, -30].forEach((time) => {
+      record(state, time, masses, positions, velocities, initMerger(2));
+    });
+
+    rewind(state, -20);
+
+    expect(state.history.map((entry) => entry.time))
+      .to.deep.equal([-20, -10, 0, 10]);
+  });
+
+  it('historyCsv', () => {
+    let state = init(origins, 2, 10);
+    record(state, 0, masses, positions, velocities, initMerger(2));
+    record(state, 10, masses, positions, velocities, initMerger(2));
+
+    expect(historyCsv(state)).to.equal(
+      "time,galaxy,bound,captured,escaped\n" +
+      "0,1,1,1,2\n" +
+      "0,2,1,0,0\n" +
+      "10,1,1,1,2\n" +
+      "10,2,1,0,0\n");
+  });
+});
@@ -0,0 +1,86 @@
+// A web worker that calculates the motion of the galaxy cores and a group
+// of stars, see worker_pool.js. The worker receives messages:
+//
+//    init    Start a new simulation with given positions and velocities.
+//    step    Advance the simulation by given time steps with the current
+//            masses of the cores and send back the new positions and
+//            velocities.
+
+import { advance } from './simulation.js';
+
+
+// Masses of the galaxy cores before mergers
+var masses = null;
+
+// Positions, velocities and accelerations of the galaxy cores followed by
+// the stars of this worker, and the merger state of the cores
+var bodies = null;
+
+// The number of the simulation run, which changes on restarts. It is sent
+// back with the results, so that the results of old runs can be ignored.
+var generation = 0;
+
+
+self.onmessage = function(event) {
+  var message = event.data;
+
+  switch(message.type) {
+    case "init":
+      generation = message.generation;
+      masses = message.masses;
+
+      bodies = {
+        positions: message.positions,
+        velocities: message.velocities,
+        accelerations: message.accelerations,
+        mergedInto: message.mergedInto
+      };
+      break;
+
+    case "step":
+      masses = message.masses;
+      step(message.segments, message.physics);
+      break;
+  }
+};
+
+
+/**
+ * Advance the simulation by the given time steps and send the new positions
+ * and velocities to the main thread. The positions of the cores are
+ * sent for each time step to draw their trajectories.
+ *
+ * @param  {array} segments Groups of equal time steps,
+ *                          see `frameTimeSteps` in simulation.js.
+ * @param  {object} physics Settings of the physical model.
+ */
+function step(segments, physics) {
+  var coreValues = masses.length * 3;
+  var steps = segments.reduce((sum, segment) => sum + segment.count, 0);
+  var corePositions = new Float64Array(steps * coreValues);
+  var merged = false;
+  var iStep = 0;
+
+  segments.forEach((segment) => {
+    for(let i = 0; i < segment.count; i++) {
+      if (advance(segment.timeStep, masses, bodies, physics)) merged = true;
+
+      corePositions.set(bodies.positions.subarray(0, coreValues),
+                        iStep * coreValues);
+
+      iStep += 1;
+    }
+  });
+
+  var positions = bodies.positions.slice();
+  var velocities = bodies.velocities.slice();
+
+  self.postMessage({
+    generation: generation,
+    positions: positions,
+    velocities: velocities,
+    corePositions: corePositions,
+    mergedInto: bodies.mergedInto,
+    merged: merged
+  }, [positions.buffer, velocities.buffer, corePositions.buffer]);
+}
@@ -0,0 +1,147 @@
+// Catalog of famous configurations of interacting galaxies modelled by
+// Toomre & Toomre (1972). Each preset contains the initial parameters,
+// the orientation of the camera and the duration of the run. A preset is
+// loaded by opening the simulation with the preset parameters in the URL,
+// so they are parsed in the same way as shared parameters, see ui/share.js.
+//
+// The parameters follow the models of the paper approximately: the disks
+// reach about 0.7 of the minimal separation of the cores, and the angles
+// (i, ω) of each disk are given as in disk_orientation.js.
+
+import m4 from './3d/m4.js';
+import { getUrlParameters } from './ui/share.js';
+
+
+// Reference to the paper the presets are based on
+const toomre1972 = "Toomre, A. & Toomre, J. 1972, ApJ, 178, 623";
+
+
+/**
+ * Returns the matrix for rotating the scene, see `rotationMatrix`
+ * in params.js. The scene is rotated around the z, y and then x-axis.
+ *
+ * @param  {number} xDegree, yDegree, zDegree Angles of rotation.
+ * @return {array} Rotation matrix.
+ */
+function viewRotation(xDegree, yDegree, zDegree) {
+  let degree = Math.PI / 180;
+
+  return m4.multiply(m4.xRotation(xDegree * degree),
+                     m4.multiply(m4.yRotation(yDegree * degree),
+                                 m4.zRotation(zDegree * degree)));
+}
+
+
+/**
+ * The presets. Each preset contains:
+ *    name           Short name used for identifying the preset.
+ *    title          The name of the galaxies shown to the user.
+ *    description    Short description of the configuration.
+ *    reference      The paper the parameters are taken from.
+ *    initialParams  Initial parameters that differ from the defaults.
+ *    currentParams  Orientation of the camera and the duration of the run,
+ *                   after which the simulation stops.
+ */
+export const presets = [
+  {
+    name: "mice",
+    title: "The Mice (NGC 4676)",
+    description: "Two equal disks on a bound orbit just after their first " +
+                 "close passage, each pulling out a long straight tail.",
+    reference: toomre1972,
+    initialParams: {
+      numberOfRings: [7, 7],
+      ringSeparation: [2.5, 2.5],
+      masses: [1, 1],
+      minimalGalaxySeparation: 25,
+      eccentricity: 0.6,
+      initialPhase: "timeBeforePericenter",
+      timeBeforePericenter: 100,
+      galaxyInclinationAnglesDegree: [15, 60],
+      galaxyPericenterArgumentsDegree: [330, 330]
+    },
+    currentParams: {
+      rotationMatrix: viewRotation(-60, 0, 30),
+      runDuration: 250
+    }
+  },
+  {
+    name: "antennae",
+    title: "The Antennae (NGC 4038/9)",
+    description: "Two equal disks tilted the same way to the orbit throw " +
+                 "out a pair of long curved tails that cross in projection.",
+    reference: toomre1972,
+    initialParams: {
+      numberOfRings: [7, 7],
+      ringSeparation: [2.5, 2.5],
+      masses: [1, 1],
+      minimalGalaxySeparation: 25,
+      eccentricity: 0.5,
+      initialPhase: "timeBeforePericenter",
+      timeBeforePericenter: 100,
+      galaxyInclinationAnglesDegree: [60, 60],
+      galaxyPericenterArgumentsDegree: [330, 330]
+    },
+    currentParams: {
+      rotationMatrix: viewRotation(-40, 20, 0),
+      runDuration: 450
+    }
+  },
+  {
+    name: "m51",
+    title: "M51 and NGC 5195",
+    description: "A small companion on a parabolic orbit raises two " +
+                 "spiral arms in the disk of the main galaxy and pulls " +
+                 "a bridge of stars towards itself.",
+    reference: toomre1972,
+    initialParams: {
+      numberOfRings: [10, 0],
+      ringSeparation: [2, 2],
+      masses: [1, 0.33],
+      minimalGalaxySeparation: 28,
+      eccentricity: 1,
+      initialPhase: "timeBeforePericenter",
+      timeBeforePericenter: 100,
+      galaxyInclinationAnglesDegree: [70, 0],
+      galaxyPericenterArgumentsDegree: [330, 270]
+    },
+    currentParams: {
+      rotationMatrix: viewRotation(-20, 0, 0),
+      runDuration: 300
+    }
+  },
+  {
+    name: "arp295",
+    title: "Arp 295",
+    description: "A direct parabolic passage of two disks, which builds " +
+                 "a long bridge between the galaxies and a tail " +
+                 "on the far side.",
+    reference: toomre1972,
+    initialParams: {
+      numberOfRings: [7, 6],
+      ringSeparation: [2.5, 2.5],
+      masses: [1, 0.5],
+      minimalGalaxySeparation: 25,
+      eccentricity: 1,
+      initialPhase: "timeBeforePericenter",
+      timeBeforePericenter: 100,
+      galaxyInclinationAnglesDegree: [20, 40],
+      galaxyPericenterArgumentsDegree: [300, 270]
+    },
+    currentParams: {
+      rotationMatrix: viewRotation(-75, 0, -20),
+      runDuration: 400
+    }
+  }
+];
+
+
+/**
+ * Returns the URL parameters that load the preset.
+ *
+ * @param  {object} preset One of the `presets`.
+ * @return {string} URL parameters, for example "numberOfRings=7%2C7&...".
+ */
+export function presetUrlParameters(preset) {
+  return getUrlParameters(preset.initialParams, preset.currentParams);
+}
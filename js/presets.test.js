@@ -0,0 +1,44 @@
+import { presets, presetUrlParameters } from './presets.js';
+import { getInitialParameters, getCurrentParameters } from './params.js';
+import * as simulation from './simulation.js';
+
+var expect = chai.expect;
+
+describe('Presets', () => {
+  it('have unique names', () => {
+    let names = presets.map((preset) => preset.name);
+    expect(new Set(names).size).to.equal(presets.length);
+  });
+
+  presets.forEach((preset) => {
+    it(`${preset.name} loads and runs`, () => {
+      let urlParams = presetUrlParameters(preset);
+      var initialParams = getInitialParameters(urlParams);
+      var currentParams = getCurrentParameters(60, urlParams);
+
+      // All parameters of the preset are loaded from the URL
+      for (let key in preset.initialParams) {
+        expect(initialParams[key]).to.deep.equal(preset.initialParams[key]);
+      }
+
+      expect(currentParams.runDuration)
+        .to.equal(preset.currentParams.runDuration);
+
+      expect(currentParams.rotationMatrix).to.deep.closeTo(
+        preset.currentParams.rotationMatrix, 0.01);
+
+      // Run the simulation until it stops
+      simulation.setInitial(initialParams, currentParams);
+
+      while (currentParams.time < currentParams.runDuration) {
+        simulation.update(initialParams, currentParams);
+      }
+
+      simulation.update(initialParams, currentParams);
+      expect(currentParams.time).to.equal(currentParams.runDuration);
+
+      expect(currentParams.positions.every(Number.isFinite)).to.equal(true);
+      expect(currentParams.velocities.every(Number.isFinite)).to.equal(true);
+    });
+  });
+});
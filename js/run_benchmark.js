@@ -0,0 +1,89 @@
+// Measures the speed of the physics core with Node.js on the benchmark
+// simulation with many stars, see benchmark.md. Usage:
+//
+//    node js/run_benchmark.js [STEPS]
+//
+// Prints the time it takes to make STEPS time steps (10 by default)
+// with each of the integrators, using the previous version of the physics
+// core with plain arrays and the current one with typed arrays, see
+// physics/benchmark.js. The timing is kept out of the unit tests,
+// since it depends on the computer and on what else is running on it.
+
+import { allPositionsAndVelocities } from './physics/initial_conditions.js';
+import getAccelerations from './physics/acceleration.js';
+import integrateOneStep from './physics/integrator.js';
+
+import {
+  benchmarkArgs, legacyAccelerations, legacyIntegrators
+} from './physics/benchmark.js';
+
+
+const timeStep = 0.1;
+
+
+/**
+ * Returns the time in milliseconds it takes to make the time steps
+ * with the integrator using typed arrays.
+ */
+function measure(integrator, steps) {
+  var physics = { integrator: integrator };
+  var masses = benchmarkArgs.masses;
+  var { positions, velocities } = allPositionsAndVelocities(benchmarkArgs);
+  var accelerations = new Float64Array(positions.length);
+  getAccelerations(masses, positions, accelerations, physics);
+
+  var start = Date.now();
+
+  for(let i = 0; i < steps; i++) {
+    integrateOneStep(timeStep, masses, positions, velocities, accelerations,
+                     physics);
+  }
+
+  return Date.now() - start;
+}
+
+
+/**
+ * Returns the time in milliseconds it takes to make the time steps
+ * with the previous version of the integrator using plain arrays.
+ */
+function measureLegacy(integrator, steps) {
+  var masses = benchmarkArgs.masses;
+  var initial = allPositionsAndVelocities(benchmarkArgs);
+  var positions = Array.from(initial.positions);
+  var velocities = Array.from(initial.velocities);
+  var accelerations = Array(positions.length).fill(0);
+  legacyAccelerations(masses, positions, accelerations);
+
+  var start = Date.now();
+
+  for(let i = 0; i < steps; i++) {
+    legacyIntegrators[integrator](timeStep, masses, positions, velocities,
+                                  accelerations);
+  }
+
+  return Date.now() - start;
+}
+
+
+function main(args) {
+  var steps = args.length > 0 ? parseInt(args[0], 10) : 10;
+
+  if (isNaN(steps) || steps <= 0) {
+    console.error("Usage: node js/run_benchmark.js [STEPS]");
+    process.exitCode = 1;
+    return;
+  }
+
+  var bodies = allPositionsAndVelocities(benchmarkArgs).positions.length / 3;
+  console.log(`Time of ${steps} steps with ${bodies} bodies, ms`);
+  console.log("Integrator, plain arrays, typed arrays");
+
+  Object.keys(legacyIntegrators).forEach((integrator) => {
+    let legacyTime = measureLegacy(integrator, steps);
+    let time = measure(integrator, steps);
+    console.log(`${integrator}, ${legacyTime}, ${time}`);
+  });
+}
+
+main(process.argv.slice(2));
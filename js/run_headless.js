@@ -0,0 +1,90 @@
+// Runs the simulation with Node.js and writes the snapshots of the bodies
+// to disk, see headless.js. Usage:
+//
+//    node js/run_headless.js PARAMETERS [--steps N] [--every N] [--output DIR]
+//      [--scene FORMAT]
+//
+// PARAMETERS is a shared URL of the simulation, URL parameters or the name
+// of a file containing them or a JSON object with the parameters,
+// for example:
+//
+//    node js/run_headless.js "?numberOfRings=7,7&eccentricity=0.5" \
+//      --steps 500 --every 50 --output mice
+//
+// Each snapshot is saved to a JSON file named by the number of the step,
+// i.e. "snapshot_000050.json". The parameters of the simulation are saved
+// to "parameters.txt" and can be added to the URL of the web page to see it.
+// With the --scene option, the scene for 3D programs is saved with each
+// snapshot as a numbered sequence of frames, i.e. "scene_000050.vtp",
+// see 3d/scene_export.js.
+
+import fs from 'fs';
+import path from 'path';
+import * as headless from './headless.js';
+import { exportScene } from './3d/scene_export.js';
+
+
+/**
+ * Returns the name of the snapshot file.
+ *
+ * @param  {number} step Number of the time step.
+ * @return {string} File name, i.e. "snapshot_000050.json".
+ */
+function snapshotFileName(step) {
+  return `snapshot_${String(step).padStart(6, "0")}.json`;
+}
+
+
+/**
+ * Save the scene for 3D programs, named by the number of the step,
+ * i.e. "scene_000050.vtp".
+ */
+function saveScene(sim, step, format, output) {
+  var file = exportScene(sim.initialParams, sim.currentParams, format);
+  var name = `scene_${String(step).padStart(6, "0")}` +
+             path.extname(file.fileName);
+
+  fs.writeFileSync(path.join(output, name), file.bytes);
+}
+
+
+function main(args) {
+  var options;
+
+  try {
+    options = headless.parseArguments(args);
+  } catch (error) {
+    console.error(error.message);
+    console.error("Usage: node js/run_headless.js PARAMETERS " +
+                  "[--steps N] [--every N] [--output DIR] [--scene FORMAT]");
+    process.exitCode = 1;
+    return;
+  }
+
+  // The parameters are read from the file if it exists
+  var source = options.source;
+
+  if (fs.existsSync(source)) {
+    source = fs.readFileSync(source, "utf8");
+  }
+
+  var sim = headless.createSimulation(headless.parameterString(source));
+  var output = options.outputDirectory;
+  fs.mkdirSync(output, { recursive: true });
+
+  fs.writeFileSync(path.join(output, "parameters.txt"),
+                   headless.simulationParameters(sim) + "\n");
+
+  headless.run(sim, options.steps, options.snapshotInterval, (snapshot) => {
+    fs.writeFileSync(path.join(output, snapshotFileName(snapshot.step)),
+                     JSON.stringify(snapshot));
+
+    if (options.sceneFormat !== null) {
+      saveScene(sim, snapshot.step, options.sceneFormat, output);
+    }
+
+    console.log(`Step ${snapshot.step}, time ${snapshot.time}`);
+  });
+}
+
+main(process.argv.slice(2));
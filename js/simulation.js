@@ -1,9 +1,52 @@
 // Calculate positions of stars using the physics simulation
 
 import * as trajectories from './trajectories.js';
+import * as timeline from './timeline.js';
 import * as init from './physics/initial_conditions.js';
 import getAccelerations from './physics/acceleration.js';
 import integrateOneStep from './physics/integrator.js';
+import * as merger from './physics/merger.js';
+import * as diagnostics from './physics/diagnostics.js';
+import * as tidalAnalysis from './physics/tidal_analysis.js';
+import { gasDensities, addGasAccelerations } from './physics/sph.js';
+
+
+/**
+ * Collect the settings of the physical model from the initial parameters.
+ *
+ * @param  {object} initialParams Initial parameters of the simulation.
+ * @return {object} Settings of the physical model, see `getAccelerations`.
+ */
+export function physicsSettings(initialParams) {
+  // Stars attract other bodies
+  let selfGravity = initialParams.gravity === "tree" ||
+                    initialParams.gravity === "mesh";
+
+  let gasMasses = init.gasMasses(initialParams);
+
+  return {
+    haloProfiles: init.coreHaloProfiles(initialParams),
+    haloScaleRadii: initialParams.haloScaleRadii,
+    dynamicalFriction: initialParams.dynamicalFriction,
+    haloDensity: initialParams.haloDensity,
+    coulombLogarithm: initialParams.coulombLogarithm,
+    mergerDistance: initialParams.mergerDistance,
+    gravity: initialParams.gravity,
+    starMasses: selfGravity ? init.starMasses(initialParams) : null,
+    openingAngle: initialParams.openingAngle,
+    softening: initialParams.softening,
+    meshSize: initialParams.meshSize,
+    meshBoxSize: initialParams.meshBoxSize,
+    integrator: initialParams.integrator,
+    blockTimeSteps: initialParams.blockTimeSteps,
+    timeStepAccuracy: initialParams.timeStepAccuracy,
+    maxTimeStepLevel: initialParams.maxTimeStepLevel,
+    gasMasses: gasMasses.length > 0 ? gasMasses : null,
+    gasSmoothingLength: initialParams.gasSmoothingLength,
+    gasSoundSpeed: initialParams.gasSoundSpeed,
+    gasViscosity: initialParams.gasViscosity
+  };
+}
 
 
 /**
@@ -12,63 +55,431 @@ import integrateOneStep from './physics/integrator.js';
 export function setInitial(initialParams, currentParams) {
   var { positions, velocities } = init.allPositionsAndVelocities(initialParams);
 
-  currentParams.trajectoriesState = trajectories.init(positions);
+  currentParams.physics = physicsSettings(initialParams);
+
+  // Redraw the cores if they have merged before the restart
+  if (currentParams.mergedInto) {
+    currentParams.mergersChanged = currentParams.mergedInto.some(i => i !== -1);
+  }
 
-  // Create an array to store accelerations, willed with zeros
-  currentParams.accelerations = Array(positions.length).fill(0);
+  currentParams.mergedInto = merger.init(initialParams.masses.length);
 
-  getAccelerations(initialParams.masses, positions, currentParams.accelerations);
+  currentParams.trajectoriesState = trajectories.init(positions,
+                                                      initialParams.masses.length);
+
+  // Create an array to store accelerations, filled with zeros
+  currentParams.accelerations = new Float64Array(positions.length);
+
+  getAccelerations(initialParams.masses, positions, currentParams.accelerations,
+                   currentParams.physics);
+
+  if (currentParams.physics.gasMasses !== null) {
+    addGasAccelerations(positions, velocities, currentParams.accelerations,
+                        currentParams.physics);
+  }
 
   currentParams.positions = positions;
   currentParams.velocities = velocities;
+
+  currentParams.diagnostics = diagnostics.init(
+    initialParams.masses, positions, velocities,
+    bodyHosts(initialParams, currentParams.mergedInto),
+    currentParams.physics, currentParams.diagnosticsInterval);
+
+  initGasCompression(currentParams);
+  initTidalAnalysis(initialParams, currentParams);
+
+  currentParams.time = 0;
+  currentParams.seekTime = null;
+  cancelFastForward(currentParams);
+
+  currentParams.timeline = timeline.init(currentParams,
+                                         currentParams.timelineMemoryMB,
+                                         currentParams.checkpointInterval);
 }
 
 
 /**
- * Evolves the simulation by given number of seconds (fastForwardSeconds).
+ * Evolves the simulation by one time step.
  */
-function fastForward(initialParams, currentParams) {
-  var timeSteps = Math.round(Math.abs(currentParams.fastForwardSeconds *
-                          currentParams.screenRefreshRateFPS));
+export function update(initialParams, currentParams) {
+  frameTimeSteps(currentParams).forEach((segment) => {
+    for(let i = 0; i < segment.count; i++) {
+      evolve(segment.timeStep, initialParams, currentParams);
+    }
+  });
+}
+
+
+/**
+ * Find the time steps the simulation needs to make at the current frame of
+ * the animation. A fast forward request in `fastForwardSeconds` is reset
+ * and started. The fast forward is made in portions over several frames,
+ * so that the page stays responsive, see `fastForwardSteps`.
+ *
+ * @param  {object} currentParams Current parameters of the simulation.
+ * @param  {number} now           Current time in milliseconds.
+ * @return {array} Groups of equal time steps, each containing:
+ *    timeStep    Length of the time step, can be negative.
+ *    count       Number of time steps.
+ */
+export function frameTimeSteps(currentParams, now=performance.now()) {
+  var segments = [];
+
+  if (currentParams.rotating) return segments;
+
+  if (currentParams.fastForwardSeconds !== 0) {
+    startFastForward(currentParams);
+  }
 
-  var timeDirection = Math.abs(currentParams.fastForwardSeconds) /
-                        currentParams.fastForwardSeconds;
+  var fastForward = currentParams.fastForward;
 
-  for(let i = 0; i < timeSteps; i++) {
-    integrateOneStep(
-      currentParams.timeStep * timeDirection,
-      initialParams.masses,
-      currentParams.positions,
-      currentParams.velocities,
-      currentParams.accelerations);
+  if (fastForward !== null) {
+    segments.push({
+      timeStep: fastForward.timeStep,
+      count: fastForwardSteps(fastForward, now)
+    });
 
-    trajectories.update(currentParams.trajectoriesState, currentParams.positions);
+    if (fastForward.remaining === 0) currentParams.fastForward = null;
   }
+
+  if (currentParams.paused || reachedRunDuration(currentParams)) {
+    return segments;
+  }
+
+  segments.push({
+    timeStep: currentParams.timeStep * currentParams.timeDirection,
+    count: 1
+  });
+
+  return segments;
 }
 
 
 /**
- * Evolves the simulation by one time step.
+ * Returns true if the simulation has run forward until `runDuration`.
+ * It can still be run backward in time or moved with the timeline.
+ *
+ * @param  {object} currentParams Current parameters of the simulation.
  */
-export function update(initialParams, currentParams) {
-  if (currentParams.rotating) return;
+function reachedRunDuration(currentParams) {
+  return currentParams.runDuration !== null &&
+         currentParams.timeDirection > 0 &&
+         currentParams.time >= currentParams.runDuration;
+}
 
-  if (currentParams.fastForwardSeconds !== 0) {
-    // We want to fast forward the simulation
-    fastForward(initialParams, currentParams);
-    currentParams.fastForwardSeconds = 0 ;
+
+/**
+ * Start fast forwarding the simulation by `fastForwardSeconds` seconds,
+ * which can be negative to go back in time. The previous fast forward
+ * is replaced.
+ *
+ * @param  {object} currentParams Current parameters of the simulation.
+ */
+function startFastForward(currentParams) {
+  var seconds = currentParams.fastForwardSeconds;
+  currentParams.fastForwardSeconds = 0;
+
+  var timeSteps = Math.round(Math.abs(seconds *
+                             currentParams.screenRefreshRateFPS));
+
+  if (timeSteps === 0) {
+    currentParams.fastForward = null;
+    return;
   }
 
-  if (currentParams.paused) return;
+  currentParams.fastForward = {
+    // Length of the time steps, negative when going back in time
+    timeStep: currentParams.timeStep * Math.sign(seconds),
 
-  integrateOneStep(
-    currentParams.timeStep * currentParams.timeDirection,
-    initialParams.masses,
-    currentParams.positions,
-    currentParams.velocities,
-    currentParams.accelerations);
+    // Total number of time steps and the number of steps left to make
+    total: timeSteps,
+    remaining: timeSteps,
+
+    // Number of steps made at each frame, adjusted to the speed
+    // of the computer
+    stepsPerFrame: 10,
+
+    // The desired duration of a frame, in milliseconds
+    frameDuration: currentParams.fastForwardFrameDuration,
+
+    // The time of the previous frame, in milliseconds
+    previousFrameTime: null
+  };
+}
+
+
+/**
+ * Returns the number of fast forward steps to make at the current frame.
+ * The number of steps is adjusted so that the frames take about
+ * `frameDuration` milliseconds.
+ *
+ * @param  {object} fastForward The fast forward state,
+ *                              see `startFastForward`.
+ * @param  {number} now         Current time in milliseconds.
+ * @return {number} Number of time steps.
+ */
+function fastForwardSteps(fastForward, now) {
+  if (fastForward.previousFrameTime !== null) {
+    let elapsed = Math.max(now - fastForward.previousFrameTime, 1);
+
+    // Change the number of steps by no more than a factor of two per frame
+    let factor = Math.min(Math.max(fastForward.frameDuration / elapsed, 0.5),
+                          2);
+
+    fastForward.stepsPerFrame = Math.max(fastForward.stepsPerFrame * factor, 1);
+  }
+
+  fastForward.previousFrameTime = now;
+
+  var steps = Math.min(Math.round(fastForward.stepsPerFrame),
+                       fastForward.remaining);
+
+  fastForward.remaining -= steps;
+  return steps;
+}
+
+
+/**
+ * Stop the fast forward, leaving the simulation at the time reached.
+ *
+ * @param  {object} currentParams Current parameters of the simulation.
+ */
+export function cancelFastForward(currentParams) {
+  currentParams.fastForward = null;
+  currentParams.fastForwardSeconds = 0;
+}
+
+
+/**
+ * Advance the positions and velocities of the bodies by one time step,
+ * merge the galaxy cores, store their trajectories, update the
+ * conservation diagnostics and the tidal analysis, and store the checkpoints.
+ * Also used for running the simulation without a web page, see headless.js.
+ *
+ * @param  {number} timeStep Length of the time increment, can be negative.
+ * @param  {object} initialParams Initial parameters of the simulation.
+ * @param  {object} currentParams Current parameters of the simulation.
+ */
+export function evolve(timeStep, initialParams, currentParams) {
+  var physics = currentParams.physics;
+
+  if (advance(timeStep, initialParams.masses, currentParams, physics)) {
+    recordMergers(initialParams, currentParams);
+  }
 
   trajectories.update(currentParams.trajectoriesState, currentParams.positions);
+
+  var masses = merger.effectiveMasses(initialParams.masses,
+                                      currentParams.mergedInto);
+
+  diagnostics.update(currentParams.diagnostics, timeStep, masses,
+                     currentParams.positions, currentParams.velocities,
+                     physics);
+
+  currentParams.time += timeStep;
+
+  tidalAnalysis.update(currentParams.tidalAnalysis, 1, currentParams.time,
+                       masses, currentParams.positions,
+                       currentParams.velocities, currentParams.mergedInto,
+                       physics);
+
+  timeline.record(currentParams.timeline, currentParams.time, currentParams);
+}
+
+
+/**
+ * Advance the positions and velocities of the bodies by one time step
+ * and merge the galaxy cores. This part of the simulation is also run
+ * by the web workers, see worker_pool.js.
+ *
+ * @param  {number} timeStep Length of the time increment, can be negative.
+ * @param  {array} masses    Masses of the galaxy cores before mergers.
+ * @param  {object} bodies   The state of the bodies, which is updated:
+ *    positions, velocities, accelerations  Vectors of the bodies,
+ *                   first are galaxy cores, the rest are stars.
+ *    mergedInto     The merger state, see physics/merger.js.
+ * @param  {object} physics  Settings of the physical model,
+ *                           see `physicsSettings`.
+ * @return {boolean} True if the cores have merged.
+ */
+export function advance(timeStep, masses, bodies, physics) {
+  var mergedInto = bodies.mergedInto;
+  var effectiveMasses = merger.effectiveMasses(masses, mergedInto);
+
+  integrateOneStep(
+    timeStep,
+    effectiveMasses,
+    bodies.positions,
+    bodies.velocities,
+    bodies.accelerations,
+    physics);
+
+  // Cores can only lose their energy and merge due to dynamical friction
+  return physics.dynamicalFriction &&
+         merger.mergeCores(effectiveMasses, bodies.positions,
+                           bodies.velocities, mergedInto,
+                           physics.mergerDistance);
+}
+
+
+/**
+ * Update the simulation after the cores have merged: end the trajectories
+ * of the absorbed cores and move their stars to the merged core.
+ *
+ * @param  {object} initialParams Initial parameters of the simulation.
+ * @param  {object} currentParams Current parameters of the simulation.
+ */
+export function recordMergers(initialParams, currentParams) {
+  var mergedInto = currentParams.mergedInto;
+
+  // End the trajectories of the absorbed cores
+  mergedInto.forEach((iSurvivor, iCore) => {
+    if (iSurvivor !== -1) {
+      trajectories.stop(currentParams.trajectoriesState, iCore);
+    }
+  });
+
+  currentParams.mergersChanged = true;
+
+  // The stars of the absorbed cores now orbit the merged core
+  currentParams.diagnostics.hosts = bodyHosts(initialParams, mergedInto);
+}
+
+
+/**
+ * Find the host core of each body after the cores: the stars of all
+ * galaxies followed by their gas particles, see `starHosts`
+ * in physics/diagnostics.js.
+ *
+ * @param  {object} initialParams Initial parameters of the simulation.
+ * @param  {array} mergedInto The merger state, see physics/merger.js.
+ * @return {array} Index of the host core of each star and gas particle.
+ */
+function bodyHosts(initialParams, mergedInto) {
+  let stars = diagnostics.starHosts(init.numberOfStarsInGalaxies(initialParams),
+                                    mergedInto);
+
+  let gas = diagnostics.starHosts(
+    init.numberOfGasParticlesInGalaxies(initialParams), mergedInto);
+
+  return stars.concat(gas);
+}
+
+
+/**
+ * Store the initial densities of the gas particles, with which
+ * their current densities are compared, see `updateGasCompression`.
+ * The compression is not tracked when there is no gas.
+ *
+ * @param  {object} currentParams Current parameters of the simulation.
+ */
+function initGasCompression(currentParams) {
+  var physics = currentParams.physics;
+
+  if (physics.gasMasses === null) {
+    currentParams.initialGasDensities = null;
+    currentParams.compressedGas = null;
+    return;
+  }
+
+  currentParams.initialGasDensities = gasDensities(currentParams.positions,
+                                                   physics);
+
+  currentParams.compressedGas = new Uint8Array(physics.gasMasses.length);
+}
+
+
+/**
+ * Find the gas particles that are compressed: their density is larger
+ * than their initial density times `gasCompressionThreshold`. The
+ * compressed gas is highlighted on screen as the places where
+ * new stars would form.
+ *
+ * @param  {object} initialParams Initial parameters of the simulation.
+ * @param  {object} currentParams Current parameters of the simulation.
+ *                  The flags of the compressed gas particles (one or zero)
+ *                  are updated in `currentParams.compressedGas`.
+ * @return {boolean} True if any of the particles became compressed or
+ *                   stopped being compressed.
+ */
+export function updateGasCompression(initialParams, currentParams) {
+  var compressed = currentParams.compressedGas;
+  if (!compressed) return false;
+
+  var densities = gasDensities(currentParams.positions, currentParams.physics);
+  var initialDensities = currentParams.initialGasDensities;
+  var threshold = initialParams.gasCompressionThreshold;
+  var changed = false;
+
+  for(let i = 0; i < compressed.length; i++) {
+    let flag = densities[i] > threshold * initialDensities[i] ? 1 : 0;
+
+    if (compressed[i] !== flag) {
+      compressed[i] = flag;
+      changed = true;
+    }
+  }
+
+  return changed;
+}
+
+
+/**
+ * Start counting the stars bound to their galaxy, captured by another
+ * galaxy and escaped, see physics/tidal_analysis.js. The gas particles
+ * are not counted.
+ *
+ * @param  {object} initialParams Initial parameters of the simulation.
+ * @param  {object} currentParams Current parameters of the simulation.
+ */
+function initTidalAnalysis(initialParams, currentParams) {
+  let origins = diagnostics.starHosts(
+    init.numberOfStarsInGalaxies(initialParams),
+    merger.init(initialParams.masses.length));
+
+  let state = tidalAnalysis.init(origins, initialParams.masses.length,
+                                 currentParams.tidalAnalysisInterval);
+
+  tidalAnalysis.record(state, 0, initialParams.masses,
+                       currentParams.positions, currentParams.velocities,
+                       currentParams.mergedInto, currentParams.physics);
+
+  currentParams.tidalAnalysis = state;
+}
+
+
+/**
+ * Go to the simulation time chosen by the user, `currentParams.seekTime`.
+ * The state is restored from the nearest checkpoint, and the simulation
+ * is fast forwarded from there to the chosen time on the next frames.
+ * A fast forward that is in progress is replaced.
+ *
+ * @param  {object} initialParams Initial parameters of the simulation.
+ * @param  {object} currentParams Current parameters of the simulation.
+ */
+export function seek(initialParams, currentParams) {
+  var time = currentParams.seekTime;
+  currentParams.seekTime = null;
+
+  var checkpoint = timeline.nearestCheckpoint(currentParams.timeline, time);
+  timeline.restore(checkpoint, currentParams);
+  currentParams.time = checkpoint.time;
+  currentParams.diagnostics.time = checkpoint.time;
+  tidalAnalysis.rewind(currentParams.tidalAnalysis, checkpoint.time);
+
+  // Remove the trajectories after the checkpoint
+  trajectories.truncate(currentParams.trajectoriesState,
+                        checkpoint.trajectoryPoints, currentParams.positions);
+
+  // Redraw the cores and end the trajectories of the merged ones
+  recordMergers(initialParams, currentParams);
+
+  // Fast forward makes steps of length `timeStep`,
+  // `screenRefreshRateFPS` steps per second
+  cancelFastForward(currentParams);
+  currentParams.fastForwardSeconds = (time - checkpoint.time) /
+    (currentParams.timeStep * currentParams.screenRefreshRateFPS);
 }
 
 
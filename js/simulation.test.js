@@ -1,3 +1,5 @@
+import { getInitialParameters, getCurrentParameters } from './params.js';
+import * as simulation from './simulation.js';
 import { calculateTimeStep } from './simulation.js';
 
 var expect = chai.expect;
@@ -16,4 +18,206 @@ describe('Simulation', () => {
     expect(calculateTimeStep(screenRefreshRateFPS, oneTimeStepFPS))
       .to.closeTo(0.7142, 1e-3);
   });
+
+  it('seek', () => {
+    var initialParams = getInitialParameters();
+    initialParams.numberOfRings = [3, 2];
+    var currentParams = getCurrentParameters(60);
+    currentParams.checkpointInterval = 20;
+    simulation.setInitial(initialParams, currentParams);
+
+    // Remember the positions at time 50
+    var expected = null;
+
+    for(let i = 0; i < 80; i++) {
+      simulation.update(initialParams, currentParams);
+
+      if (i === 49) expected = currentParams.positions.slice();
+    }
+
+    expect(currentParams.time).to.equal(80);
+    expect(currentParams.timeline.checkpoints.length).to.equal(5);
+
+    // Go back to time 50: the state is restored from the checkpoint at 40
+    currentParams.paused = true;
+    currentParams.seekTime = 50;
+    simulation.seek(initialParams, currentParams);
+
+    expect(currentParams.time).to.equal(40);
+    expect(currentParams.seekTime).to.equal(null);
+
+    // Integrate from the checkpoint to time 50
+    do {
+      simulation.update(initialParams, currentParams);
+    } while (currentParams.fastForward !== null);
+
+    expect(currentParams.time).to.equal(50);
+    expect(currentParams.diagnostics.time).to.equal(50);
+
+    expect(Array.from(currentParams.positions)).to.deep.closeTo(
+      Array.from(expected), 1e-12);
+  });
+
+  it('seek keeps the trajectories up to the checkpoint', () => {
+    var initialParams = getInitialParameters();
+    initialParams.numberOfRings = [3, 2];
+    var currentParams = getCurrentParameters(60);
+    currentParams.checkpointInterval = 20;
+    simulation.setInitial(initialParams, currentParams);
+
+    var expected = null;
+
+    for(let i = 0; i < 80; i++) {
+      simulation.update(initialParams, currentParams);
+
+      if (i === 49) {
+        expected = currentParams.trajectoriesState.trajectories.map(
+          (trajectory) => trajectory.slice(0, 51 * 3));
+      }
+    }
+
+    expect(currentParams.trajectoriesState.points).to.equal(81);
+
+    // Go back to time 50 through the checkpoint at 40
+    currentParams.paused = true;
+    currentParams.seekTime = 50;
+    simulation.seek(initialParams, currentParams);
+
+    var state = currentParams.trajectoriesState;
+    expect(state.points).to.equal(41);
+
+    expect(state.trajectories.map((t) => t.slice(0, 41 * 3))).to.deep.equal(
+      expected.map((t) => t.slice(0, 41 * 3)));
+
+    do {
+      simulation.update(initialParams, currentParams);
+    } while (currentParams.fastForward !== null);
+
+    expect(state.points).to.equal(51);
+
+    state.trajectories.forEach((trajectory, iCore) => {
+      expect(trajectory.slice(0, 51 * 3)).to.deep.closeTo(
+        expected[iCore], 1e-12);
+    });
+  });
+
+  it('tidal analysis is recorded and rewound with the timeline', () => {
+    var initialParams = getInitialParameters();
+    initialParams.numberOfRings = [3, 2];
+    var currentParams = getCurrentParameters(60);
+    currentParams.checkpointInterval = 20;
+    currentParams.tidalAnalysisInterval = 10;
+    simulation.setInitial(initialParams, currentParams);
+
+    var times = () => currentParams.tidalAnalysis.history.map((e) => e.time);
+    expect(times()).to.deep.equal([0]);
+
+    for(let i = 0; i < 30; i++) {
+      simulation.update(initialParams, currentParams);
+    }
+
+    expect(times()).to.deep.equal([0, 10, 20, 30]);
+
+    // All stars are counted for each galaxy
+    var counts = currentParams.tidalAnalysis.history[3].counts;
+    var stars = counts.map((c) => c.reduce((sum, count) => sum + count));
+    expect(stars).to.deep.equal([36, 18]);
+
+    // Go back to the checkpoint at time 20
+    currentParams.paused = true;
+    currentParams.seekTime = 25;
+    simulation.seek(initialParams, currentParams);
+
+    expect(times()).to.deep.equal([0, 10, 20]);
+  });
+
+  it('frameTimeSteps makes the fast forward over several frames', () => {
+    var currentParams = getCurrentParameters(60);
+    currentParams.fastForwardSeconds = 1;
+
+    // Ten steps at the first frame
+    expect(simulation.frameTimeSteps(currentParams, 0)).to.deep.equal([
+      { timeStep: 1, count: 10 },
+      { timeStep: 1, count: 1 }
+    ]);
+
+    expect(currentParams.fastForwardSeconds).to.equal(0);
+    expect(currentParams.fastForward.remaining).to.equal(50);
+
+    // The frame was faster than 50 ms: twice as many steps
+    expect(simulation.frameTimeSteps(currentParams, 25)[0].count).to.equal(20);
+
+    // The frame was slower: half as many steps
+    expect(simulation.frameTimeSteps(currentParams, 125)[0].count).to.equal(10);
+
+    // Make the remaining steps
+    expect(simulation.frameTimeSteps(currentParams, 150)[0].count).to.equal(20);
+    expect(currentParams.fastForward).to.equal(null);
+
+    expect(simulation.frameTimeSteps(currentParams, 175)).to.deep.equal([
+      { timeStep: 1, count: 1 }
+    ]);
+  });
+
+  it('cancelFastForward', () => {
+    var currentParams = getCurrentParameters(60);
+    currentParams.fastForwardSeconds = -1;
+    currentParams.paused = true;
+
+    expect(simulation.frameTimeSteps(currentParams, 0)).to.deep.equal([
+      { timeStep: -1, count: 10 }
+    ]);
+
+    simulation.cancelFastForward(currentParams);
+
+    expect(currentParams.fastForward).to.equal(null);
+    expect(simulation.frameTimeSteps(currentParams, 25)).to.deep.equal([]);
+  });
+
+  it('updateGasCompression', () => {
+    var initialParams = getInitialParameters();
+    initialParams.numberOfRings = [1, 1];
+    initialParams.numberOfGasParticles = [40, 30];
+    var currentParams = getCurrentParameters(60);
+    simulation.setInitial(initialParams, currentParams);
+
+    // Two cores, two rings of six stars and the gas
+    expect(currentParams.positions.length).to.equal((2 + 12 + 70) * 3);
+    expect(currentParams.physics.gasMasses.length).to.equal(70);
+    expect(currentParams.diagnostics.hosts.length).to.equal(82);
+    expect(currentParams.diagnostics.hosts[81]).to.equal(1);
+
+    // Nothing is compressed at the start
+    expect(simulation.updateGasCompression(initialParams, currentParams))
+      .to.equal(false);
+
+    expect(currentParams.compressedGas.every((flag) => flag === 0))
+      .to.equal(true);
+
+    // Squeeze the gas of the first galaxy towards its core
+    let positions = currentParams.positions;
+
+    for(let i = 14 * 3; i < 54 * 3; i++) {
+      positions[i] = positions[i % 3] + 0.3 * (positions[i] - positions[i % 3]);
+    }
+
+    expect(simulation.updateGasCompression(initialParams, currentParams))
+      .to.equal(true);
+
+    let compressed = currentParams.compressedGas;
+    expect(compressed.slice(0, 40).some((flag) => flag === 1)).to.equal(true);
+    expect(compressed.slice(40).every((flag) => flag === 0)).to.equal(true);
+
+    // The flags are updated only when they change
+    expect(simulation.updateGasCompression(initialParams, currentParams))
+      .to.equal(false);
+
+    // No gas
+    initialParams.numberOfGasParticles = [0, 0];
+    simulation.setInitial(initialParams, currentParams);
+
+    expect(currentParams.compressedGas).to.equal(null);
+    expect(simulation.updateGasCompression(initialParams, currentParams))
+      .to.equal(false);
+  });
 });
@@ -0,0 +1,453 @@
+// Export of the current state of the simulation for the analysis in other
+// programs, for example in Python. The snapshot contains the positions and
+// velocities of all bodies, the type of each body (galaxy core, star or gas),
+// the galaxy it belongs to, the simulation time and the initial parameters,
+// so that each file describes the simulation it was made from.
+//
+// The encoders do not use the web page and return the bytes of the file,
+// so they can be used with Node.js as well, see headless.js.
+//
+// Formats:
+//
+//    csv   Comma separated values, one line for each body, with the time
+//          and the parameters in the comment lines at the top, starting
+//          with "#".
+//
+//    json  JSON object.
+//
+//    npy   NumPy array with one record for each body, with the fields
+//          type, galaxy, x, y, z, vx, vy and vz. The time and the
+//          parameters are in a comment in the header of the file, which
+//          NumPy ignores. Load with `numpy.load("snapshot.npy")`.
+//
+//    npz   NumPy archive of arrays: time, parameters (JSON text), type,
+//          galaxy, positions and velocities. Load with
+//          `numpy.load("snapshot.npz")`.
+
+import { filterInitialParams } from './ui/share.js';
+import { starHosts } from './physics/diagnostics.js';
+import { init as initMerger } from './physics/merger.js';
+
+import { numberOfStarsInGalaxies, numberOfGasParticlesInGalaxies }
+  from './physics/initial_conditions.js';
+
+
+/**
+ * Names of the supported file formats, which are also the file extensions.
+ */
+export const exportFormats = ["csv", "json", "npy", "npz"];
+
+
+/**
+ * Values of the body types in the snapshot.
+ */
+export const bodyTypes = { core: 0, star: 1, gas: 2 };
+
+
+// MIME types of the files
+const mimeTypes = {
+  csv: "text/csv",
+  json: "application/json",
+  npy: "application/octet-stream",
+  npz: "application/zip"
+};
+
+
+/**
+ * Collect the current state of the simulation.
+ *
+ * @param  {object} initialParams Initial parameters of the simulation.
+ * @param  {object} currentParams Current parameters of the simulation.
+ * @return {object} The snapshot containing:
+ *    time        The simulation time.
+ *    parameters  The initial parameters that can be shared, see ui/share.js.
+ *    type        Type of each body, see `bodyTypes`.
+ *    galaxy      The galaxy each body belongs to: 1, 2... The cores belong
+ *                to their galaxies, the stars and the gas to the galaxies
+ *                they were born in.
+ *    positions, velocities  Vectors of all bodies: the galaxy cores first,
+ *                then the stars of each galaxy and then the gas, see
+ *                `allPositionsAndVelocities` in initial_conditions.js.
+ */
+export function snapshotData(initialParams, currentParams) {
+  let cores = initialParams.masses.length;
+  let mergedInto = initMerger(cores);
+  let stars = starHosts(numberOfStarsInGalaxies(initialParams), mergedInto);
+
+  let gas = starHosts(numberOfGasParticlesInGalaxies(initialParams),
+                      mergedInto);
+
+  let bodies = cores + stars.length + gas.length;
+  let type = new Uint8Array(bodies);
+  let galaxy = new Uint16Array(bodies);
+
+  for(let i = 0; i < cores; i++) {
+    type[i] = bodyTypes.core;
+    galaxy[i] = i + 1;
+  }
+
+  stars.forEach((iGalaxy, i) => {
+    type[cores + i] = bodyTypes.star;
+    galaxy[cores + i] = iGalaxy + 1;
+  });
+
+  gas.forEach((iGalaxy, i) => {
+    type[cores + stars.length + i] = bodyTypes.gas;
+    galaxy[cores + stars.length + i] = iGalaxy + 1;
+  });
+
+  return {
+    time: currentParams.time,
+    parameters: filterInitialParams(initialParams),
+    type: type,
+    galaxy: galaxy,
+    positions: Float64Array.from(currentParams.positions),
+    velocities: Float64Array.from(currentParams.velocities)
+  };
+}
+
+
+/**
+ * Returns the bytes of the text in UTF-8 encoding.
+ */
+export function textBytes(text) {
+  return new TextEncoder().encode(text);
+}
+
+
+/**
+ * Returns the snapshot as a CSV file.
+ *
+ * @param  {object} data The snapshot, see `snapshotData`.
+ * @return {Uint8Array} Contents of the file.
+ */
+export function encodeCsv(data) {
+  let lines = [
+    `# time: ${data.time}`,
+    `# parameters: ${JSON.stringify(data.parameters)}`,
+    `# type: ${bodyTypes.core} galaxy core, ${bodyTypes.star} star, ` +
+      `${bodyTypes.gas} gas`,
+    "type,galaxy,x,y,z,vx,vy,vz"
+  ];
+
+  for(let i = 0; i < data.type.length; i++) {
+    let values = [data.type[i], data.galaxy[i]];
+
+    for(let k = 0; k < 3; k++) values.push(data.positions[i * 3 + k]);
+    for(let k = 0; k < 3; k++) values.push(data.velocities[i * 3 + k]);
+
+    lines.push(values.join(","));
+  }
+
+  return textBytes(lines.join("\n") + "\n");
+}
+
+
+/**
+ * Returns the snapshot as a JSON file.
+ *
+ * @param  {object} data The snapshot, see `snapshotData`.
+ * @return {Uint8Array} Contents of the file.
+ */
+export function encodeJson(data) {
+  return textBytes(JSON.stringify({
+    time: data.time,
+    parameters: data.parameters,
+    bodyTypes: bodyTypes,
+    type: Array.from(data.type),
+    galaxy: Array.from(data.galaxy),
+    positions: Array.from(data.positions),
+    velocities: Array.from(data.velocities)
+  }));
+}
+
+
+/**
+ * Returns the NumPy array file (format version 1.0): a header describing
+ * the array followed by its data, see
+ * https://numpy.org/doc/stable/reference/generated/numpy.lib.format.html
+ *
+ * @param  {string} descr   The type of the array elements in NumPy notation,
+ *                          i.e. "'<f8'" for 64-bit floats.
+ * @param  {array} shape    Dimensions of the array, [] for a single value.
+ * @param  {Uint8Array} bytes The data of the array in little-endian order.
+ * @param  {string} comment (optional) Single line of text added to the
+ *                          header as a Python comment.
+ * @return {Uint8Array} Contents of the file.
+ */
+export function npyFile(descr, shape, bytes, comment) {
+  let shapeText = shape.length === 1 ? `(${shape[0]},)` :
+                                       `(${shape.join(", ")})`;
+
+  let header = `{'descr': ${descr}, 'fortran_order': False, ` +
+               `'shape': ${shapeText}, }`;
+
+  if (comment) header += ` # ${comment}`;
+
+  // The magic string, version and the header length take 10 bytes.
+  // The header ends with a new line and is padded with spaces, so that
+  // the data starts at a multiple of 64 bytes.
+  let headerBytes = textBytes(header);
+  let padding = 63 - (10 + headerBytes.length) % 64;
+  let headerLength = headerBytes.length + padding + 1;
+
+  let file = new Uint8Array(10 + headerLength + bytes.length);
+  file.set([0x93], 0);
+  file.set(textBytes("NUMPY"), 1);
+  file.set([1, 0, headerLength & 0xff, headerLength >> 8], 6);
+  file.set(headerBytes, 10);
+  file.fill(0x20, 10 + headerBytes.length, 10 + headerLength - 1);
+  file[10 + headerLength - 1] = 0x0a;
+  file.set(bytes, 10 + headerLength);
+
+  return file;
+}
+
+
+/**
+ * Returns the bytes of the 64-bit floats in little-endian order.
+ */
+function float64Bytes(values) {
+  let bytes = new Uint8Array(values.length * 8);
+  let view = new DataView(bytes.buffer);
+
+  for(let i = 0; i < values.length; i++) {
+    view.setFloat64(i * 8, values[i], true);
+  }
+
+  return bytes;
+}
+
+
+/**
+ * Returns the bytes of the 16-bit unsigned integers in little-endian order.
+ */
+function uint16Bytes(values) {
+  let bytes = new Uint8Array(values.length * 2);
+  let view = new DataView(bytes.buffer);
+
+  for(let i = 0; i < values.length; i++) {
+    view.setUint16(i * 2, values[i], true);
+  }
+
+  return bytes;
+}
+
+
+/**
+ * Returns the text as a NumPy string in UTF-32 encoding.
+ */
+function unicodeBytes(text) {
+  let codes = Array.from(text, (character) => character.codePointAt(0));
+  let bytes = new Uint8Array(codes.length * 4);
+  let view = new DataView(bytes.buffer);
+
+  codes.forEach((code, i) => view.setUint32(i * 4, code, true));
+
+  return { descr: `'<U${Math.max(codes.length, 1)}'`, bytes: bytes };
+}
+
+
+/**
+ * Returns the comment describing the snapshot in the header of NumPy files.
+ */
+function npyComment(data) {
+  return `time: ${data.time}, parameters: ${JSON.stringify(data.parameters)}`;
+}
+
+
+/**
+ * Returns the snapshot as a NumPy array file containing one record
+ * for each body.
+ *
+ * @param  {object} data The snapshot, see `snapshotData`.
+ * @return {Uint8Array} Contents of the file.
+ */
+export function encodeNpy(data) {
+  let fields = ["x", "y", "z", "vx", "vy", "vz"];
+
+  let descr = "[('type', '|u1'), ('galaxy', '<u2'), " +
+    fields.map((name) => `('${name}', '<f8')`).join(", ") + "]";
+
+  // Each record contains one byte for the type, two bytes for the galaxy
+  // and six 64-bit floats
+  let recordSize = 3 + fields.length * 8;
+  let bodies = data.type.length;
+  let bytes = new Uint8Array(bodies * recordSize);
+  let view = new DataView(bytes.buffer);
+
+  for(let i = 0; i < bodies; i++) {
+    let offset = i * recordSize;
+    view.setUint8(offset, data.type[i]);
+    view.setUint16(offset + 1, data.galaxy[i], true);
+
+    for(let k = 0; k < 3; k++) {
+      view.setFloat64(offset + 3 + k * 8, data.positions[i * 3 + k], true);
+      view.setFloat64(offset + 27 + k * 8, data.velocities[i * 3 + k], true);
+    }
+  }
+
+  return npyFile(descr, [bodies], bytes, npyComment(data));
+}
+
+
+// Table for calculating the CRC-32 checksums of the files in zip archives
+const crcTable = Array.from(Array(256), (_, n) => {
+  let c = n;
+
+  for(let k = 0; k < 8; k++) {
+    c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+  }
+
+  return c >>> 0;
+});
+
+
+/**
+ * Calculate the CRC-32 checksum used in zip archives.
+ *
+ * @param  {Uint8Array} bytes The data.
+ * @return {number} The checksum.
+ */
+export function crc32(bytes) {
+  let crc = 0xffffffff;
+
+  for(let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+
+/**
+ * Returns the zip archive containing the files without compression.
+ *
+ * @param  {array} files The files: [{ name: "a.npy", bytes: Uint8Array }].
+ * @return {Uint8Array} Contents of the archive.
+ */
+export function zipFiles(files) {
+  let parts = [];
+  let centralParts = [];
+  let offset = 0;
+
+  files.forEach((file) => {
+    let name = textBytes(file.name);
+    let crc = crc32(file.bytes);
+
+    // Local file header
+    let local = new Uint8Array(30 + name.length);
+    let view = new DataView(local.buffer);
+    view.setUint32(0, 0x04034b50, true);
+    view.setUint16(4, 20, true); // Version needed to extract
+    view.setUint32(14, crc, true);
+    view.setUint32(18, file.bytes.length, true); // Compressed size
+    view.setUint32(22, file.bytes.length, true); // Uncompressed size
+    view.setUint16(26, name.length, true);
+    local.set(name, 30);
+
+    // Entry in the central directory at the end of the archive
+    let central = new Uint8Array(46 + name.length);
+    view = new DataView(central.buffer);
+    view.setUint32(0, 0x02014b50, true);
+    view.setUint16(4, 20, true); // Version made by
+    view.setUint16(6, 20, true); // Version needed to extract
+    view.setUint32(16, crc, true);
+    view.setUint32(20, file.bytes.length, true);
+    view.setUint32(24, file.bytes.length, true);
+    view.setUint16(28, name.length, true);
+    view.setUint32(42, offset, true); // Offset of the local header
+    central.set(name, 46);
+
+    parts.push(local, file.bytes);
+    centralParts.push(central);
+    offset += local.length + file.bytes.length;
+  });
+
+  let centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+
+  // End of the central directory
+  let end = new Uint8Array(22);
+  let view = new DataView(end.buffer);
+  view.setUint32(0, 0x06054b50, true);
+  view.setUint16(8, files.length, true);
+  view.setUint16(10, files.length, true);
+  view.setUint32(12, centralSize, true);
+  view.setUint32(16, offset, true);
+
+  let allParts = parts.concat(centralParts, [end]);
+  let result = new Uint8Array(offset + centralSize + end.length);
+  let position = 0;
+
+  allParts.forEach((part) => {
+    result.set(part, position);
+    position += part.length;
+  });
+
+  return result;
+}
+
+
+/**
+ * Returns the snapshot as a NumPy archive of arrays.
+ *
+ * @param  {object} data The snapshot, see `snapshotData`.
+ * @return {Uint8Array} Contents of the file.
+ */
+export function encodeNpz(data) {
+  let bodies = data.type.length;
+  let parameters = unicodeBytes(JSON.stringify(data.parameters));
+
+  let arrays = [
+    { name: "time", descr: "'<f8'", shape: [],
+      bytes: float64Bytes([data.time]) },
+    { name: "parameters", descr: parameters.descr, shape: [],
+      bytes: parameters.bytes },
+    { name: "type", descr: "'|u1'", shape: [bodies],
+      bytes: Uint8Array.from(data.type) },
+    { name: "galaxy", descr: "'<u2'", shape: [bodies],
+      bytes: uint16Bytes(data.galaxy) },
+    { name: "positions", descr: "'<f8'", shape: [bodies, 3],
+      bytes: float64Bytes(data.positions) },
+    { name: "velocities", descr: "'<f8'", shape: [bodies, 3],
+      bytes: float64Bytes(data.velocities) }
+  ];
+
+  return zipFiles(arrays.map((array) => {
+    return {
+      name: `${array.name}.npy`,
+      bytes: npyFile(array.descr, array.shape, array.bytes)
+    };
+  }));
+}
+
+
+// Functions encoding the snapshot in each of the `exportFormats`
+const encoders = {
+  csv: encodeCsv,
+  json: encodeJson,
+  npy: encodeNpy,
+  npz: encodeNpz
+};
+
+
+/**
+ * Export the current state of the simulation to a file.
+ *
+ * @param  {object} initialParams Initial parameters of the simulation.
+ * @param  {object} currentParams Current parameters of the simulation.
+ * @param  {string} format One of the `exportFormats`.
+ * @return {object} The file containing:
+ *    fileName  Suggested name of the file, i.e. "two_galaxies_t120.csv".
+ *    type      MIME type of the file.
+ *    bytes     Contents of the file, Uint8Array.
+ */
+export function exportSnapshot(initialParams, currentParams, format) {
+  let data = snapshotData(initialParams, currentParams);
+
+  return {
+    fileName: `two_galaxies_t${Math.round(data.time)}.${format}`,
+    type: mimeTypes[format],
+    bytes: encoders[format](data)
+  };
+}
@@ -0,0 +1,201 @@
+import {
+  snapshotData, encodeCsv, encodeJson, encodeNpy, encodeNpz, npyFile, crc32,
+  zipFiles, exportSnapshot
+} from './snapshot_export.js';
+
+import { createSimulation } from './headless.js';
+
+var expect = chai.expect;
+
+
+/**
+ * Returns the text of the bytes in UTF-8 encoding.
+ */
+export function text(bytes) {
+  return new TextDecoder().decode(bytes);
+}
+
+
+/**
+ * Returns a small snapshot of two cores, two stars and one gas particle.
+ */
+function testData() {
+  return {
+    time: 12.5,
+    parameters: { numberOfRings: [1, 1] },
+    type: Uint8Array.from([0, 0, 1, 1, 2]),
+    galaxy: Uint16Array.from([1, 2, 1, 2, 2]),
+    positions: Float64Array.from([
+      0, 0, 0, 1, 2, 3, 0.5, 0, 0, 1.5, 2, 3, 1, 1, 1
+    ]),
+    velocities: Float64Array.from([
+      0, 0.1, 0, 0, -0.1, 0, 0, 0.2, 0, 0, -0.2, 0, 0.3, 0, 0
+    ])
+  };
+}
+
+
+describe('Snapshot export', () => {
+  it('snapshotData', () => {
+    let sim = createSimulation(
+      "numberOfRings=2,1&masses=1,0.5&numberOfGasParticles=10,0");
+
+    let data = snapshotData(sim.initialParams, sim.currentParams);
+    let stars = [18, 6];
+    let bodies = sim.currentParams.positions.length / 3;
+
+    expect(data.time).to.equal(0);
+    expect(data.parameters.numberOfRings).to.deep.equal([2, 1]);
+    expect(data.type.length).to.equal(bodies);
+    expect(data.galaxy.length).to.equal(bodies);
+    expect(Array.from(data.positions))
+      .to.deep.equal(Array.from(sim.currentParams.positions));
+
+    expect(Array.from(data.velocities))
+      .to.deep.equal(Array.from(sim.currentParams.velocities));
+
+    // Cores
+    expect(Array.from(data.type.slice(0, 2))).to.deep.equal([0, 0]);
+    expect(Array.from(data.galaxy.slice(0, 2))).to.deep.equal([1, 2]);
+
+    // Stars
+    expect(data.type[2]).to.equal(1);
+    expect(data.galaxy[2]).to.equal(1);
+    expect(data.type[2 + stars[0]]).to.equal(1);
+    expect(data.galaxy[2 + stars[0]]).to.equal(2);
+
+    // Gas of the first galaxy
+    expect(bodies).to.equal(2 + stars[0] + stars[1] + 10);
+    expect(data.type[bodies - 1]).to.equal(2);
+    expect(data.galaxy[bodies - 1]).to.equal(1);
+  });
+
+  it('encodeCsv', () => {
+    let lines = text(encodeCsv(testData())).split("\n");
+
+    expect(lines[0]).to.equal("# time: 12.5");
+    expect(lines[1]).to.equal('# parameters: {"numberOfRings":[1,1]}');
+    expect(lines[2]).to.equal("# type: 0 galaxy core, 1 star, 2 gas");
+    expect(lines[3]).to.equal("type,galaxy,x,y,z,vx,vy,vz");
+    expect(lines[4]).to.equal("0,1,0,0,0,0,0.1,0");
+    expect(lines[8]).to.equal("2,2,1,1,1,0.3,0,0");
+    expect(lines.length).to.equal(10);
+    expect(lines[9]).to.equal("");
+  });
+
+  it('encodeJson', () => {
+    let json = JSON.parse(text(encodeJson(testData())));
+
+    expect(json.time).to.equal(12.5);
+    expect(json.parameters).to.deep.equal({ numberOfRings: [1, 1] });
+    expect(json.bodyTypes).to.deep.equal({ core: 0, star: 1, gas: 2 });
+    expect(json.type).to.deep.equal([0, 0, 1, 1, 2]);
+    expect(json.galaxy).to.deep.equal([1, 2, 1, 2, 2]);
+    expect(json.positions.length).to.equal(15);
+    expect(json.velocities[12]).to.equal(0.3);
+  });
+
+  it('npyFile', () => {
+    let file = npyFile("'<f8'", [2, 3], new Uint8Array(48), "hello");
+    let headerLength = file[8] + file[9] * 256;
+    let header = text(file.slice(10, 10 + headerLength));
+
+    expect(file[0]).to.equal(0x93);
+    expect(text(file.slice(1, 6))).to.equal("NUMPY");
+    expect(Array.from(file.slice(6, 8))).to.deep.equal([1, 0]);
+    expect((10 + headerLength) % 64).to.equal(0);
+    expect(file.length).to.equal(10 + headerLength + 48);
+
+    expect(header).to.match(new RegExp(
+      "^\\{'descr': '<f8', 'fortran_order': False, 'shape': \\(2, 3\\), \\}" +
+      " # hello +\\n$"));
+  });
+
+  it('npyFile shape', () => {
+    let header = (shape) => {
+      let file = npyFile("'<f8'", shape, new Uint8Array(0));
+      return text(file.slice(10, 10 + file[8] + file[9] * 256));
+    };
+
+    expect(header([])).to.contain("'shape': (), }");
+    expect(header([5])).to.contain("'shape': (5,), }");
+  });
+
+  it('encodeNpy', () => {
+    let file = encodeNpy(testData());
+    let headerLength = file[8] + file[9] * 256;
+    let header = text(file.slice(10, 10 + headerLength));
+
+    expect(header).to.contain("'descr': [('type', '|u1'), " +
+      "('galaxy', '<u2'), ('x', '<f8'), ('y', '<f8'), ('z', '<f8'), " +
+      "('vx', '<f8'), ('vy', '<f8'), ('vz', '<f8')]");
+
+    expect(header).to.contain("'shape': (5,)");
+    expect(header).to.contain('# time: 12.5, parameters: {"numberOfRings":');
+
+    // Records of 51 bytes
+    let data = new DataView(file.buffer, 10 + headerLength);
+    expect(data.byteLength).to.equal(5 * 51);
+
+    // The last record: the gas particle
+    expect(data.getUint8(4 * 51)).to.equal(2);
+    expect(data.getUint16(4 * 51 + 1, true)).to.equal(2);
+    expect(data.getFloat64(4 * 51 + 3, true)).to.equal(1);
+    expect(data.getFloat64(4 * 51 + 27, true)).to.equal(0.3);
+  });
+
+  it('crc32', () => {
+    let bytes = new TextEncoder().encode("123456789");
+    expect(crc32(bytes)).to.equal(0xcbf43926);
+  });
+
+  it('zipFiles', () => {
+    let zip = zipFiles([
+      { name: "a.txt", bytes: new TextEncoder().encode("abc") },
+      { name: "b.txt", bytes: new TextEncoder().encode("hello") }
+    ]);
+
+    let view = new DataView(zip.buffer);
+
+    // Local header of the first file
+    expect(view.getUint32(0, true)).to.equal(0x04034b50);
+    expect(view.getUint32(18, true)).to.equal(3);
+    expect(text(zip.slice(30, 35))).to.equal("a.txt");
+    expect(text(zip.slice(35, 38))).to.equal("abc");
+
+    // End of the central directory
+    let end = zip.length - 22;
+    expect(view.getUint32(end, true)).to.equal(0x06054b50);
+    expect(view.getUint16(end + 10, true)).to.equal(2);
+
+    let centralOffset = view.getUint32(end + 16, true);
+    expect(view.getUint32(centralOffset, true)).to.equal(0x02014b50);
+    expect(centralOffset + view.getUint32(end + 12, true)).to.equal(end);
+  });
+
+  it('encodeNpz', () => {
+    let zip = encodeNpz(testData());
+    let names = text(zip);
+
+    ["time", "parameters", "type", "galaxy", "positions", "velocities"]
+      .forEach((name) => expect(names).to.contain(`${name}.npy`));
+
+    expect(names).to.contain("'descr': '<f8', 'fortran_order': False, " +
+                             "'shape': (5, 3)");
+  });
+
+  it('exportSnapshot', () => {
+    let sim = createSimulation("numberOfRings=1,1");
+    sim.currentParams.time = 119.7;
+
+    let file = exportSnapshot(sim.initialParams, sim.currentParams, "csv");
+
+    expect(file.fileName).to.equal("two_galaxies_t120.csv");
+    expect(file.type).to.equal("text/csv");
+    expect(text(file.bytes)).to.match(/^# time: 119.7\n/);
+
+    file = exportSnapshot(sim.initialParams, sim.currentParams, "npz");
+    expect(file.fileName).to.equal("two_galaxies_t120.npz");
+    expect(file.type).to.equal("application/zip");
+  });
+});
@@ -0,0 +1,170 @@
+// Store checkpoints of the simulation, which allow to go back
+// to an earlier time without integrating from the start.
+//
+// A checkpoint is a copy of the positions, velocities and accelerations of
+// all bodies, of the merger state of the cores and of the number of stored
+// positions of the core trajectories. Checkpoints are made every `interval`
+// of simulation time. When the checkpoints use more memory than allowed,
+// every second checkpoint is removed and the interval is doubled, so that
+// the checkpoints cover the whole history of the simulation.
+
+import { recordedPoints } from './trajectories.js';
+
+
+/**
+ * Create the checkpoint store.
+ *
+ * @param  {object} bodies The state of the bodies at time zero:
+ *    positions, velocities, accelerations  Vectors of the bodies,
+ *                   first are galaxy cores, the rest are stars.
+ *    mergedInto     The merger state, see physics/merger.js.
+ *    trajectoriesState  The trajectories of the cores, see trajectories.js.
+ * @param  {number} memoryLimitMB Largest amount of memory used by
+ *                  the checkpoints, in megabytes. The checkpoint at time
+ *                  zero is always kept.
+ * @param  {number} interval Simulation time between the checkpoints.
+ * @return {object} The timeline state:
+ *    checkpoints   Stored states ordered by time, see `checkpoint`.
+ *    interval      Current time between the checkpoints.
+ *    memoryLimit   Largest memory used by the checkpoints, in bytes.
+ *    minTime       The earliest simulation time reached.
+ *    maxTime       The latest simulation time reached.
+ */
+export function init(bodies, memoryLimitMB, interval) {
+  return {
+    checkpoints: [checkpoint(0, bodies)],
+    interval: interval,
+    memoryLimit: memoryLimitMB * 1024 * 1024,
+    minTime: 0,
+    maxTime: 0
+  };
+}
+
+
+/**
+ * Store a checkpoint if there is no checkpoint for the current time
+ * interval yet. Called after each time step.
+ *
+ * @param  {object} state  The timeline state, see `init`.
+ * @param  {number} time   Current simulation time.
+ * @param  {object} bodies Current state of the bodies, see `init`.
+ */
+export function record(state, time, bodies) {
+  state.minTime = Math.min(state.minTime, time);
+  state.maxTime = Math.max(state.maxTime, time);
+
+  let slot = Math.floor(time / state.interval);
+  let checkpoints = state.checkpoints;
+
+  if (checkpoints.some((c) => Math.floor(c.time / state.interval) === slot)) {
+    return;
+  }
+
+  let index = checkpoints.findIndex((c) => c.time > time);
+  if (index === -1) index = checkpoints.length;
+  checkpoints.splice(index, 0, checkpoint(time, bodies));
+
+  limitMemory(state);
+}
+
+
+/**
+ * Returns a copy of the state of the bodies.
+ */
+function checkpoint(time, bodies) {
+  return {
+    time: time,
+    positions: bodies.positions.slice(),
+    velocities: bodies.velocities.slice(),
+    accelerations: bodies.accelerations.slice(),
+    mergedInto: bodies.mergedInto.slice(),
+    trajectoryPoints: recordedPoints(bodies.trajectoriesState)
+  };
+}
+
+
+/**
+ * Remove every second checkpoint until they fit into the memory limit.
+ */
+function limitMemory(state) {
+  // Range of times covered by the checkpoints
+  let span = Math.max(state.maxTime, -state.minTime);
+
+  while (memoryUsage(state) > state.memoryLimit && state.interval <= span) {
+    state.interval *= 2;
+    state.checkpoints = thin(state.checkpoints, state.interval);
+  }
+}
+
+
+/**
+ * Keep the earliest checkpoint in each of the intervals,
+ * which includes the checkpoint at time zero.
+ */
+function thin(checkpoints, interval) {
+  let slots = [];
+
+  return checkpoints.filter((c) => {
+    let slot = Math.floor(c.time / interval);
+    if (slots.includes(slot)) return false;
+    slots.push(slot);
+    return true;
+  });
+}
+
+
+/**
+ * Returns the memory used by the checkpoints, in bytes.
+ *
+ * @param  {object} state The timeline state, see `init`.
+ * @return {number} Number of bytes.
+ */
+export function memoryUsage(state) {
+  return state.checkpoints.reduce((sum, c) =>
+    sum + c.positions.length * 3 * Float64Array.BYTES_PER_ELEMENT, 0);
+}
+
+
+/**
+ * Find the checkpoint to start from in order to reach the given time.
+ * The simulation is always integrated away from time zero, in the same
+ * direction as it was calculated originally. Therefore, this is the
+ * checkpoint closest to the time that lies between zero and the time.
+ *
+ * @param  {object} state The timeline state, see `init`.
+ * @param  {number} time  Simulation time we want to reach.
+ * @return {object} The checkpoint, containing `time` and the state
+ *                  of the bodies, see `init`.
+ */
+export function nearestCheckpoint(state, time) {
+  var nearest = state.checkpoints.find((c) => c.time === 0);
+
+  state.checkpoints.forEach((c) => {
+    let between = time >= 0 ? (c.time >= 0 && c.time <= time) :
+                              (c.time <= 0 && c.time >= time);
+
+    if (between && Math.abs(time - c.time) < Math.abs(time - nearest.time)) {
+      nearest = c;
+    }
+  });
+
+  return nearest;
+}
+
+
+/**
+ * Copy the state of the bodies from the checkpoint.
+ *
+ * @param  {object} checkpoint The checkpoint, see `nearestCheckpoint`.
+ * @param  {object} bodies     The state of the bodies that is updated,
+ *                             see `init`.
+ */
+export function restore(checkpoint, bodies) {
+  bodies.positions.set(checkpoint.positions);
+  bodies.velocities.set(checkpoint.velocities);
+  bodies.accelerations.set(checkpoint.accelerations);
+
+  checkpoint.mergedInto.forEach((iSurvivor, iCore) => {
+    bodies.mergedInto[iCore] = iSurvivor;
+  });
+}
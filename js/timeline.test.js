@@ -0,0 +1,123 @@
+import { init, record, memoryUsage, nearestCheckpoint, restore }
+  from './timeline.js';
+
+import * as trajectories from './trajectories.js';
+
+var expect = chai.expect;
+
+
+// State of one core and one star with all values equal to `value`
+function bodies(value) {
+  return {
+    positions: new Float64Array(6).fill(value),
+    velocities: new Float64Array(6).fill(value),
+    accelerations: new Float64Array(6).fill(value),
+    mergedInto: [-1],
+    trajectoriesState: trajectories.init([value, value, value], 1, 100)
+  };
+}
+
+
+describe('Timeline', () => {
+  it('init', () => {
+    let state = init(bodies(1), 1, 10);
+
+    expect(state.checkpoints.length).to.equal(1);
+    expect(state.checkpoints[0].time).to.equal(0);
+    expect(Array.from(state.checkpoints[0].positions)).to.deep.equal(
+      [1, 1, 1, 1, 1, 1]);
+
+    expect(state.interval).to.equal(10);
+    expect(state.memoryLimit).to.equal(1024 * 1024);
+    expect(memoryUsage(state)).to.equal(3 * 6 * 8);
+  });
+
+  it('record one checkpoint per interval', () => {
+    let state = init(bodies(0), 1, 10);
+
+    for(let time = 1; time <= 25; time++) {
+      record(state, time, bodies(time));
+    }
+
+    expect(state.checkpoints.map((c) => c.time)).to.deep.equal([0, 10, 20]);
+    expect(state.checkpoints[1].positions[0]).to.equal(10);
+    expect(state.maxTime).to.equal(25);
+
+    // Going back in time before zero
+    record(state, -3, bodies(-3));
+
+    expect(state.checkpoints.map((c) => c.time)).to.deep.equal(
+      [-3, 0, 10, 20]);
+
+    expect(state.minTime).to.equal(-3);
+  });
+
+  it('remove checkpoints when the memory limit is reached', () => {
+    // Allow five checkpoints of 144 bytes
+    let state = init(bodies(0), 5 * 144 / 1024 / 1024, 10);
+
+    for(let time = 1; time <= 70; time++) {
+      record(state, time, bodies(time));
+    }
+
+    // Every second checkpoint is removed when the sixth is added
+    expect(state.interval).to.equal(20);
+    expect(state.checkpoints.map((c) => c.time)).to.deep.equal(
+      [0, 20, 40, 60]);
+
+    expect(memoryUsage(state)).to.be.at.most(state.memoryLimit);
+  });
+
+  it('keep the checkpoint at time zero', () => {
+    let state = init(bodies(0), 0, 10);
+
+    for(let time = 1; time <= 30; time++) {
+      record(state, time, bodies(time));
+    }
+
+    expect(state.checkpoints.map((c) => c.time)).to.deep.equal([0]);
+  });
+
+  it('nearestCheckpoint', () => {
+    let state = init(bodies(0), 1, 10);
+
+    [-12, -5, 5, 12, 25].forEach((time) => record(state, time, bodies(time)));
+
+    expect(nearestCheckpoint(state, 17).time).to.equal(12);
+    expect(nearestCheckpoint(state, 12).time).to.equal(12);
+    expect(nearestCheckpoint(state, 3).time).to.equal(0);
+    expect(nearestCheckpoint(state, -7).time).to.equal(-5);
+    expect(nearestCheckpoint(state, -30).time).to.equal(-12);
+  });
+
+  it('restore', () => {
+    let state = init(bodies(0), 1, 10);
+    let current = bodies(3);
+    current.mergedInto = [0];
+    record(state, 12, current);
+
+    let restored = bodies(0);
+    restore(nearestCheckpoint(state, 15), restored);
+
+    expect(Array.from(restored.positions)).to.deep.equal([3, 3, 3, 3, 3, 3]);
+    expect(Array.from(restored.velocities)).to.deep.equal([3, 3, 3, 3, 3, 3]);
+
+    expect(Array.from(restored.accelerations)).to.deep.equal(
+      [3, 3, 3, 3, 3, 3]);
+
+    expect(restored.mergedInto).to.deep.equal([0]);
+  });
+
+  it('checkpoint stores the length of the trajectories', () => {
+    let current = bodies(0);
+    let state = init(current, 1, 10);
+
+    for(let time = 1; time <= 12; time++) {
+      trajectories.update(current.trajectoriesState, [time, 0, 0]);
+      record(state, time, current);
+    }
+
+    expect(state.checkpoints.map((c) => c.trajectoryPoints)).to.deep.equal(
+      [1, 11]);
+  });
+});
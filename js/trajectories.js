@@ -1,30 +1,37 @@
-// Store the trajectories of the two galaxy cores
+// Store the trajectories of the galaxy cores
 
 
 /**
  * Store initial trajectories
  *
+ * @param  {array} positions Position vectors of all bodies,
+ *                           first are galaxy cores, the rest are stars.
+ * @param  {number} numberOfCores Number of galaxy cores.
+ * @param  {number} size Maximum number of positions stored for each core.
  * @return {object} Trajectory state object
  */
-export function init(positions, size=10000) {
-  let trajectories1 = Array(size * 3).fill(0);
-  let trajectories2 = Array(size * 3).fill(0);
+export function init(positions, numberOfCores, size=10000) {
+  let trajectories = [];
 
-  // Store positions of the two galaxy cores
+  // Store positions of the galaxy cores
   // ------
 
-  trajectories1[0] = positions[0];
-  trajectories1[1] = positions[1];
-  trajectories1[2] = positions[2];
-
-  trajectories2[0] = positions[3];
-  trajectories2[1] = positions[4];
-  trajectories2[2] = positions[5];
+  for(let iCore = 0; iCore < numberOfCores; iCore++) {
+    let trajectory = Array(size * 3).fill(0);
+    trajectory[0] = positions[iCore * 3];
+    trajectory[1] = positions[iCore * 3 + 1];
+    trajectory[2] = positions[iCore * 3 + 2];
+    trajectories.push(trajectory);
+  }
 
   let state = {
-    trajectories: [trajectories1, trajectories2],
+    trajectories: trajectories,
     // Number of positions for each galaxy core stored in `trajectories`
-    points: 1
+    points: 1,
+    // Number of positions removed from the start of the full arrays
+    removed: 0,
+    // Indexes of the cores whose trajectories are no longer extended
+    stopped: []
   };
 
   return state;
@@ -32,32 +39,96 @@ export function init(positions, size=10000) {
 
 
 /**
- * Add the positions of the two galaxy cores to the trajectory arrays.
+ * Add the positions of the galaxy cores to the trajectory arrays.
  */
 export function update(state, positions) {
   if (state.points == state.trajectories[0].length / 3) {
     // Arrays are full, remove the first positions to make room for the new ones
-    state.trajectories[0].shift();
-    state.trajectories[0].shift();
-    state.trajectories[0].shift();
-    state.trajectories[1].shift();
-    state.trajectories[1].shift();
-    state.trajectories[1].shift();
+    state.trajectories.forEach((trajectory) => {
+      trajectory.shift();
+      trajectory.shift();
+      trajectory.shift();
+    });
+
     state.points -= 1;
+    state.removed += 1;
   }
 
-  // Store positions of the two galaxy cores
+  // Store positions of the galaxy cores
   // ------
 
-  state.trajectories[0][state.points * 3] = positions[0];
-  state.trajectories[0][state.points * 3 + 1] = positions[1];
-  state.trajectories[0][state.points * 3 + 2] = positions[2];
+  state.trajectories.forEach((trajectory, iCore) => {
+    if (state.stopped.includes(iCore)) {
+      // Repeat the last position, so the trajectory ends there
+      trajectory[state.points * 3] = trajectory[state.points * 3 - 3];
+      trajectory[state.points * 3 + 1] = trajectory[state.points * 3 - 2];
+      trajectory[state.points * 3 + 2] = trajectory[state.points * 3 - 1];
+      return;
+    }
 
-  state.trajectories[1][state.points * 3] = positions[3];
-  state.trajectories[1][state.points * 3 + 1] = positions[4];
-  state.trajectories[1][state.points * 3 + 2] = positions[5];
+    trajectory[state.points * 3] = positions[iCore * 3];
+    trajectory[state.points * 3 + 1] = positions[iCore * 3 + 1];
+    trajectory[state.points * 3 + 2] = positions[iCore * 3 + 2];
+  });
 
   state.points += 1;
 
   return state;
 }
+
+
+/**
+ * Stop extending the trajectory of a galaxy core, for example,
+ * when the core has merged into another one.
+ *
+ * @param  {object} state Trajectory state object, see `init`.
+ * @param  {number} iCore Index of the galaxy core.
+ */
+export function stop(state, iCore) {
+  if (!state.stopped.includes(iCore)) state.stopped.push(iCore);
+}
+
+
+/**
+ * Returns the number of positions of each galaxy core stored since
+ * the start, including the ones removed when the arrays were full.
+ *
+ * @param  {object} state Trajectory state object, see `init`.
+ * @return {number} Number of positions.
+ */
+export function recordedPoints(state) {
+  return state.points + state.removed;
+}
+
+
+/**
+ * Remove the positions stored after the given one, for example, when the
+ * simulation goes back to an earlier time. The stopped trajectories are
+ * extended again, see `stop`.
+ *
+ * @param  {object} state Trajectory state object, see `init`.
+ * @param  {number} points Number of positions to keep,
+ *                         see `recordedPoints`.
+ * @param  {array} positions Position vectors of all bodies at the last
+ *                           position kept.
+ */
+export function truncate(state, points, positions) {
+  state.stopped = [];
+
+  let kept = points - state.removed;
+
+  if (kept >= 1 && kept <= state.points) {
+    state.points = kept;
+    return;
+  }
+
+  // The positions are no longer stored, start the trajectories from here
+  state.trajectories.forEach((trajectory, iCore) => {
+    trajectory[0] = positions[iCore * 3];
+    trajectory[1] = positions[iCore * 3 + 1];
+    trajectory[2] = positions[iCore * 3 + 2];
+  });
+
+  state.points = 1;
+  state.removed = points - 1;
+}
@@ -1,4 +1,5 @@
-import { init, update } from './trajectories.js';
+import { init, update, stop, recordedPoints, truncate }
+  from './trajectories.js';
 
 var expect = chai.expect;
 
@@ -7,7 +8,7 @@ describe('Trajectories', () => {
     var positions = [1, 0, 0, -1, 0, 0];
     let size = 5;
 
-    let result = init(positions, size);
+    let result = init(positions, 2, size);
 
     expect(result.points).to.equal(1);
     expect(result.trajectories[0].length).to.equal(15);
@@ -21,7 +22,7 @@ describe('Trajectories', () => {
     var positions = [2, 1, -1, 3, 5, 3];
 
     let size = 5;
-    let state = init(positions, size);
+    let state = init(positions, 2, size);
     let result = update(state, positions);
 
     expect(result.points).to.equal(2);
@@ -35,7 +36,7 @@ describe('Trajectories', () => {
   it('update multiple times', () => {
     let size = 5;
     var positions = [2, 1, -1, 3, 5, 3];
-    let state = init(positions, size);
+    let state = init(positions, 2, size);
 
     for (let i = 0; i < 6; i++) {
       let positions = [2 + i, 1 + i, -1 + i, 3 + i, 5 + i, 3 + i];
@@ -48,5 +49,73 @@ describe('Trajectories', () => {
 
     expect(state.trajectories[0].slice(3, 6)).to.deep.equal([4, 3, 1]);
     expect(state.trajectories[1].slice(3, 6)).to.deep.equal([5, 7, 5]);
+    expect(state.removed).to.equal(2);
+    expect(recordedPoints(state)).to.equal(7);
+  });
+});
+
+describe('Trajectories of three cores', () => {
+  it('update', () => {
+    var positions = [1, 0, 0, -1, 0, 0, 0, 2, 0];
+    let size = 5;
+    let state = init(positions, 3, size);
+
+    expect(state.trajectories.length).to.equal(3);
+    expect(state.trajectories[2].slice(0, 3)).to.deep.equal([0, 2, 0]);
+
+    positions = [2, 1, -1, 3, 5, 3, 4, 6, 7];
+    update(state, positions);
+
+    expect(state.points).to.equal(2);
+    expect(state.trajectories[2].length).to.equal(15);
+    expect(state.trajectories[2].slice(3, 6)).to.deep.equal([4, 6, 7]);
+  });
+});
+
+describe('Trajectories stop', () => {
+  it('stopped trajectory repeats its last position', () => {
+    var positions = [1, 0, 0, -1, 0, 0];
+    let size = 5;
+    let state = init(positions, 2, size);
+
+    stop(state, 1);
+    update(state, [2, 0, 0, 7, 7, 7]);
+
+    expect(state.points).to.equal(2);
+    expect(state.trajectories[0].slice(3, 6)).to.deep.equal([2, 0, 0]);
+    expect(state.trajectories[1].slice(3, 6)).to.deep.equal([-1, 0, 0]);
+  });
+});
+
+describe('Trajectories truncate', () => {
+  it('keeps the positions up to the given one', () => {
+    let state = init([0, 0, 0, 1, 1, 1], 2, 5);
+    update(state, [1, 0, 0, 2, 1, 1]);
+    update(state, [2, 0, 0, 3, 1, 1]);
+    stop(state, 1);
+
+    truncate(state, 2, [1, 0, 0, 2, 1, 1]);
+
+    expect(state.points).to.equal(2);
+    expect(state.stopped).to.deep.equal([]);
+    expect(state.trajectories[0].slice(0, 6)).to.deep.equal([0, 0, 0, 1, 0, 0]);
+
+    update(state, [5, 0, 0, 6, 1, 1]);
+    expect(state.trajectories[1].slice(6, 9)).to.deep.equal([6, 1, 1]);
+  });
+
+  it('starts from the positions that are no longer stored', () => {
+    let state = init([0, 0, 0], 1, 3);
+
+    for (let i = 1; i <= 4; i++) update(state, [i, 0, 0]);
+
+    // Positions 0 and 1 were removed from the full array
+    expect(recordedPoints(state)).to.equal(5);
+
+    truncate(state, 2, [1, 0, 0]);
+
+    expect(state.points).to.equal(1);
+    expect(recordedPoints(state)).to.equal(2);
+    expect(state.trajectories[0].slice(0, 3)).to.deep.equal([1, 0, 0]);
   });
 });
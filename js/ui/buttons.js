@@ -1,7 +1,12 @@
 // Handle button clicks
 
 import { initShareUI } from './share_ui.js';
+import { initPresetsUI } from './presets_ui.js';
+import { galaxySliderSelectors } from './sliders.js';
 import { show, hide, hideElement } from './html_element.js';
+import { cancelFastForward } from '../simulation.js';
+import { historyCsv } from '../physics/tidal_analysis.js';
+import { downloadFile } from './download.js';
 
 
 /**
@@ -89,22 +94,79 @@ function didClickResume(currentParams, buttons) {
   };
 }
 
-function didClickFastForward(currentParams, fastForwardSeconds) {
+/**
+ * Fast forward the simulation by `fastForwardJumpSeconds`.
+ */
+function didClickFastForward(currentParams) {
+  return (e) => {
+    currentParams.fastForwardSeconds = currentParams.fastForwardJumpSeconds;
+    return false; // Prevent default
+  };
+}
+
+/**
+ * Go back in time by `fastForwardJumpSeconds` by restoring an earlier
+ * checkpoint instead of running the simulation backward, which is not
+ * accurate when the cores are slowed down by dynamical friction
+ * or have merged, see timeline.js.
+ */
+function didClickRewind(currentParams) {
+  return (e) => {
+    currentParams.seekTime = currentParams.time -
+      currentParams.fastForwardJumpSeconds *
+      currentParams.screenRefreshRateFPS * currentParams.timeStep;
+
+    return false; // Prevent default
+  };
+}
+
+function didClickCancelFastForward(currentParams) {
+  return (e) => {
+    cancelFastForward(currentParams);
+    return false; // Prevent default
+  };
+}
+
+
+/**
+ * Show or hide the numbers of bound, captured and escaped stars.
+ */
+function didClickTidalAnalysis(currentParams) {
+  return (e) => {
+    currentParams.showTidalAnalysis = !currentParams.showTidalAnalysis;
+    return false; // Prevent default
+  };
+}
+
+/**
+ * Save the history of the numbers of bound, captured and escaped stars
+ * to a CSV file, see physics/tidal_analysis.js.
+ */
+function didClickDownloadTidalAnalysis(currentParams) {
   return (e) => {
-    currentParams.fastForwardSeconds = fastForwardSeconds;
+    if (currentParams.tidalAnalysis !== null) {
+      downloadFile("tidal_analysis.csv",
+                   historyCsv(currentParams.tidalAnalysis), "text/csv");
+    }
+
     return false; // Prevent default
   };
 }
 
 
 export function hideAllControls() {
-  var sliders = document.querySelectorAll(".SickSlider");
+  // The timeline is always shown
+  var sliders = document.querySelectorAll(
+    ".SickSlider:not(.TwoGalaxies-sliderTimeline)");
 
   // Hide all sliders
   sliders.forEach((slider) => hideElement(slider));
 
   // Hide share container
   hide(".TwoGalaxies-shareContainer");
+
+  // Hide the list of presets
+  hide(".TwoGalaxies-presetsContainer");
 }
 
 
@@ -166,39 +228,90 @@ export function init(initialParams, currentParams) {
   // Fast forward / rewind
   // --------
 
-  var fastForwardSeconds = 5;
   button = document.querySelector(".TwoGalaxies-fastForwardButton");
-  button.onclick = didClickFastForward(currentParams, fastForwardSeconds);
+  button.onclick = didClickFastForward(currentParams);
 
-  fastForwardSeconds = -5;
   button = document.querySelector(".TwoGalaxies-fastBackwardButton");
-  button.onclick = didClickFastForward(currentParams, fastForwardSeconds);
+  button.onclick = didClickRewind(currentParams);
+
+  button = document.querySelector(".TwoGalaxies-cancelFastForwardButton");
+  button.onclick = didClickCancelFastForward(currentParams);
+  stopClickPropagation("mousedown", ".TwoGalaxies-cancelFastForwardButton");
+  stopClickPropagation("touchstart", ".TwoGalaxies-cancelFastForwardButton");
+
+  // Tidal analysis
+  // --------
+
+  button = document.querySelector(".TwoGalaxies-tidalAnalysisButton");
+  button.onclick = didClickTidalAnalysis(currentParams);
+
+  button = document.querySelector(".TwoGalaxies-downloadTidalAnalysisButton");
+  button.onclick = didClickDownloadTidalAnalysis(currentParams);
+  stopClickPropagation("mousedown", ".TwoGalaxies-downloadTidalAnalysisButton");
+  stopClickPropagation("touchstart", ".TwoGalaxies-downloadTidalAnalysisButton");
 
   initShareUI(initialParams, currentParams);
+  initPresetsUI();
 
   // Buttons for showing sliders
   // -----------
 
+  var galaxies = initialParams.masses.length;
+
   var sliderButtonSelectors = {
-    ".TwoGalaxies-timeStepButton": [".TwoGalaxies-sliderTimeStep"],
-    ".TwoGalaxies-numberOfRingsButton": [
-      ".TwoGalaxies-sliderRings1",
-      ".TwoGalaxies-sliderRings2"
-    ],
-    ".TwoGalaxies-massButton": [
-      ".TwoGalaxies-sliderMass1",
-      ".TwoGalaxies-sliderMass2"
+    ".TwoGalaxies-timeStepButton": [
+      ".TwoGalaxies-sliderTimeStep",
+      ".TwoGalaxies-sliderBlockTimeSteps",
+      ".TwoGalaxies-sliderTimeStepAccuracy",
+      ".TwoGalaxies-sliderFastForwardJump"
     ],
+    ".TwoGalaxies-numberOfRingsButton": galaxySliderSelectors("Rings", galaxies)
+      .concat(galaxySliderSelectors("NumberOfStars", galaxies))
+      .concat(galaxySliderSelectors("GalaxyType", galaxies)),
+    ".TwoGalaxies-massButton": galaxySliderSelectors("Mass", galaxies),
     ".TwoGalaxies-distanceButton": [".TwoGalaxies-sliderDistance"],
-    ".TwoGalaxies-eccentricityButton": [".TwoGalaxies-sliderEccentricity"],
-    ".TwoGalaxies-angleButton": [
-      ".TwoGalaxies-sliderAngle1",
-      ".TwoGalaxies-sliderAngle2"
-    ],
-    ".TwoGalaxies-ringSeparationButton": [
-      ".TwoGalaxies-sliderRingSeparation",
-      ".TwoGalaxies-sliderRingMultiplier"
+    ".TwoGalaxies-eccentricityButton": [
+      ".TwoGalaxies-sliderEccentricity",
+      ".TwoGalaxies-sliderInitialSeparation",
+      ".TwoGalaxies-sliderInitialPhase",
+      ".TwoGalaxies-sliderInitialTrueAnomaly",
+      ".TwoGalaxies-sliderTimeBeforePericenter"
     ],
+    ".TwoGalaxies-angleButton": galaxySliderSelectors("Angle", galaxies)
+      .concat(galaxySliderSelectors("PericenterArgument", galaxies)),
+    ".TwoGalaxies-haloButton": galaxySliderSelectors("HaloProfile", galaxies)
+      .concat(galaxySliderSelectors("HaloRadius", galaxies))
+      .concat([
+        ".TwoGalaxies-sliderFriction",
+        ".TwoGalaxies-sliderHaloDensity",
+        ".TwoGalaxies-sliderCoulombLogarithm"
+      ]),
+    ".TwoGalaxies-physicsButton": [
+      ".TwoGalaxies-sliderIntegrator",
+      ".TwoGalaxies-sliderGravity",
+      ".TwoGalaxies-sliderOpeningAngle",
+      ".TwoGalaxies-sliderMeshSize",
+      ".TwoGalaxies-sliderMeshBoxSize",
+      ".TwoGalaxies-sliderSoftening"
+    ].concat(galaxySliderSelectors("DiskMass", galaxies)),
+    ".TwoGalaxies-colorModeButton": [".TwoGalaxies-sliderColorMode"],
+    ".TwoGalaxies-gasButton": galaxySliderSelectors("GasParticles", galaxies)
+      .concat(galaxySliderSelectors("GasMass", galaxies))
+      .concat([
+        ".TwoGalaxies-sliderGasSoundSpeed",
+        ".TwoGalaxies-sliderGasSmoothingLength",
+        ".TwoGalaxies-sliderGasViscosity",
+        ".TwoGalaxies-sliderGasCompressionThreshold"
+      ]),
+    ".TwoGalaxies-ringSeparationButton":
+      galaxySliderSelectors("RingSeparation", galaxies)
+      .concat(galaxySliderSelectors("RingMultiplier", galaxies))
+      .concat([".TwoGalaxies-sliderDiskModel"])
+      .concat(galaxySliderSelectors("DiskScaleLength", galaxies))
+      .concat([
+        ".TwoGalaxies-sliderToomreQ",
+        ".TwoGalaxies-sliderDiskThickness"
+      ]),
   };
 
   for (let buttonSelector in sliderButtonSelectors) {
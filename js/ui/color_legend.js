@@ -0,0 +1,95 @@
+// Shows the meaning of the colors of the stars, see 3d/star_colors.js
+
+import { legend } from '../3d/star_colors.js';
+import { showElement, hideElement } from './html_element.js';
+
+
+export function init() {
+  var state = {
+    // The color mode and the state of the colors shown in the legend
+    mode: null,
+    starColors: null
+  };
+
+  state.container = document.querySelector(".TwoGalaxies-colorLegend");
+
+  return state;
+}
+
+
+/**
+ * Returns the CSS color.
+ *
+ * @param  {array} color The red, green and blue components from 0 to 255.
+ * @return {string} The color, i.e. "rgb(255,127,0)".
+ */
+function cssColor(color) {
+  return `rgb(${color.join(",")})`;
+}
+
+
+/**
+ * Returns the number shown at the ends of the colormap.
+ */
+function formatValue(value) {
+  return Math.abs(value) < 10 ? value.toFixed(2) : value.toFixed(0);
+}
+
+
+/**
+ * Returns the HTML of the legend.
+ *
+ * @param  {object} content The legend, see `legend` in 3d/star_colors.js.
+ * @return {string} HTML text.
+ */
+function legendHtml(content) {
+  let html = `<div>${content.title}</div>`;
+
+  if (content.entries) {
+    content.entries.forEach((entry) => {
+      html += `<div style='color: ${cssColor(entry.color)}'>` +
+              `${entry.label}</div>`;
+    });
+
+    return html;
+  }
+
+  let gradient = content.colors.map(cssColor).join(",");
+
+  html += `<div class='TwoGalaxies-colorLegendBar' ` +
+          `style='background: linear-gradient(to right, ${gradient})'></div>`;
+
+  html += `<div class='TwoGalaxies-colorLegendRange'>` +
+          `<span>${formatValue(content.range[0])}</span>` +
+          `<span>${formatValue(content.range[1])}</span></div>`;
+
+  return html;
+}
+
+
+/**
+ * Show the legend of the current color mode. The legend is redrawn when
+ * the user chooses another mode or the simulation is restarted.
+ * The function is called on each frame of animation.
+ *
+ * @param  {object} state The current state of the legend.
+ * @param  {object} initialParams Initial parameters of the simulation.
+ * @param  {object} currentParams Current parameters of the simulation.
+ */
+export function update(state, initialParams, currentParams) {
+  if (currentParams.starColors === null) {
+    hideElement(state.container);
+    return;
+  }
+
+  if (state.mode === currentParams.colorMode &&
+      state.starColors === currentParams.starColors) return;
+
+  state.mode = currentParams.colorMode;
+  state.starColors = currentParams.starColors;
+
+  state.container.innerHTML = legendHtml(
+    legend(state.mode, state.starColors, initialParams));
+
+  showElement(state.container);
+}
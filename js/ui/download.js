@@ -0,0 +1,23 @@
+// Save data calculated by the simulation to a file on the user's computer
+
+
+/**
+ * Ask the browser to save the data to a file.
+ *
+ * @param  {string} fileName Suggested name of the file, i.e. "stars.csv".
+ * @param  {string} data     Contents of the file: a string or binary data.
+ * @param  {string} type     MIME type of the file, i.e. "text/csv".
+ */
+export function downloadFile(fileName, data, type) {
+  let url = URL.createObjectURL(new Blob([data], { type: type }));
+
+  let link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  // Let the browser start the download before releasing the data
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
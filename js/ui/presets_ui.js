@@ -0,0 +1,59 @@
+// The UI for choosing one of the famous configurations of galaxies:
+// showing the list of presets and loading the chosen one, see presets.js.
+
+import { hideAllControls } from './buttons.js';
+import { presets, presetUrlParameters } from '../presets.js';
+import { show } from './html_element.js';
+
+
+function didClickPresets() {
+  return (e) => {
+    hideAllControls();
+    show(".TwoGalaxies-presetsContainer");
+
+    return false; // Prevent default
+  };
+}
+
+
+/**
+ * Create the element showing the preset in the list.
+ *
+ * @param  {object} preset One of the `presets`.
+ * @return {object} HTML element.
+ */
+function createPresetElement(preset) {
+  var element = document.createElement("div");
+  element.className = "TwoGalaxies-preset";
+
+  // The link loads the preset by opening the simulation with its parameters
+  // in the URL, all other parameters are set to defaults
+  var link = document.createElement("a");
+  link.className = "TwoGalaxies-presetTitle";
+  link.href = `?${presetUrlParameters(preset)}`;
+  link.textContent = preset.title;
+  element.appendChild(link);
+
+  var description = document.createElement("div");
+  description.textContent = preset.description;
+  element.appendChild(description);
+
+  var reference = document.createElement("div");
+  reference.className = "TwoGalaxies-presetReference";
+  reference.textContent = preset.reference;
+  element.appendChild(reference);
+
+  return element;
+}
+
+
+/**
+ * Prepare the menu for choosing the presets.
+ */
+export function initPresetsUI() {
+  var container = document.querySelector(".TwoGalaxies-presetsContainer");
+  presets.forEach((preset) => container.appendChild(createPresetElement(preset)));
+
+  var button = document.querySelector(".TwoGalaxies-presetsButton");
+  button.onclick = didClickPresets();
+}
@@ -2,6 +2,14 @@
 // to a URL string for sharing. As well as the reverse operation: reading
 // parameters from the shared URL into the parameter objects.
 
+import { haloProfiles } from '../physics/halo.js';
+import { gravitySolvers } from '../physics/acceleration.js';
+import { meshSizes } from '../physics/particle_mesh.js';
+import { integratorNames } from '../physics/integrator.js';
+import { colorModes } from '../3d/star_colors.js';
+import { diskModels, galaxyTypes, initialPhases }
+  from '../physics/initial_conditions.js';
+
 /**
  * Parse a string into a float.
  *
@@ -17,6 +25,37 @@ export function readFloat(str) {
 }
 
 
+/**
+ * Returns a function that parses a string into a float number and limits
+ * it to the range, for example the range of the slider for the parameter.
+ *
+ * @param  {number} min The smallest permitted value.
+ * @param  {number} max The largest permitted value.
+ * @return {function} Function that takes a string: "2.2" and returns
+ *                    the number in the range, or null if unsuccessful.
+ */
+export function readFloatInRange(min, max) {
+  return (str) => {
+    let parsed = readFloat(str);
+    if (parsed === null) return null;
+    return Math.min(Math.max(parsed, min), max);
+  };
+}
+
+
+/**
+ * Parse a string into a boolean.
+ *
+ * @param  {string} str "true" or "false"
+ * @return {boolean} Parsed value, null if unsuccessful.
+ */
+export function readBoolean(str) {
+  if (str === "true") return true;
+  if (str === "false") return false;
+  return null;
+}
+
+
 /**
  * Parse comma separated values into an array of floats.
  *
@@ -39,6 +78,45 @@ export function readArrayOfInts(str) {
 }
 
 
+/**
+ * Returns a function that parses comma separated values into an array
+ * of floats and limits them to the range, see `readFloatInRange`.
+ *
+ * @param  {number} min The smallest permitted value.
+ * @param  {number} max The largest permitted value.
+ * @return {function} Function that takes comma separated values: "1,2,3"
+ *                    and returns an array of numbers in the range,
+ *                    or null if unsuccessful.
+ */
+export function readArrayOfFloatsInRange(min, max) {
+  return (str) => limitArray(readArrayOfFloats(str), min, max);
+}
+
+
+/**
+ * Returns a function that parses comma separated values into an array
+ * of integers and limits them to the range, see `readFloatInRange`.
+ *
+ * @param  {number} min The smallest permitted value.
+ * @param  {number} max The largest permitted value.
+ * @return {function} Function that takes comma separated values: "1,2,3"
+ *                    and returns an array of integers in the range,
+ *                    or null if unsuccessful.
+ */
+export function readArrayOfIntsInRange(min, max) {
+  return (str) => limitArray(readArrayOfInts(str), min, max);
+}
+
+
+/**
+ * Limit the values of the array to the range.
+ */
+function limitArray(values, min, max) {
+  if (values === null) return null;
+  return values.map((value) => Math.min(Math.max(value, min), max));
+}
+
+
 /**
  * Parse comma separated values into an array of integers.
  *
@@ -58,6 +136,55 @@ export function readArrayOfNumbers(str, parseFn) {
 }
 
 
+/**
+ * Returns a function that parses a string into one of permitted integers.
+ *
+ * @param  {array} allowed Permitted values, i.e. [16, 32, 64].
+ * @return {function} Function that takes a string: "32" and returns
+ *                    an integer, or null if the value is not permitted.
+ */
+export function readOneOfInts(allowed) {
+  return (str) => {
+    let parsed = parseInt(str);
+    return allowed.includes(parsed) ? parsed : null;
+  };
+}
+
+
+/**
+ * Returns a function that checks if a string is one of permitted values.
+ *
+ * @param  {array} allowed Permitted values, i.e. ["cores", "tree"].
+ * @return {function} Function that takes a string and returns it,
+ *                    or null if the value is not permitted.
+ */
+export function readString(allowed) {
+  return (str) => allowed.includes(str) ? str : null;
+}
+
+
+/**
+ * Returns a function that parses comma separated values into an array
+ * of strings.
+ *
+ * @param  {array} allowed Permitted values, i.e. ["point", "nfw"].
+ * @return {function} Function that takes comma separated values: "nfw,point"
+ *                    and returns an array of strings,
+ *                    or null if some of the values are not permitted.
+ */
+export function readArrayOfStrings(allowed) {
+  return (str) => {
+    let parsed = str.split(",");
+
+    for(let i = 0; i < parsed.length; i++) {
+      if (!allowed.includes(parsed[i])) return null;
+    }
+
+    return parsed;
+  };
+}
+
+
 /**
  * Rounds a float number of given number of decimal places
  * Source: https://stackoverflow.com/a/56632526/297131
@@ -80,25 +207,121 @@ export function roundArray(decimalPlaces) {
 
 // The keys are names of initial parameters that can be shared.
 // The values are:
-//    parseFunction: function for parsing string value from URL.
+//    parseFunction: function for parsing string value from URL. The values
+//                   of the parameters that have sliders are limited to
+//                   the ranges of the sliders, see ui/sliders.js.
 //    storeFunction: (optional) function for transforming parameter value before storing
 //                   in the URL. For example, if parameter value is float
 //                   1.234567890123456, we might want to round it to 1.23,
 //                   to make the URL shorter. If function is not supplied,
 //                   the parameter is stored in the URL as it is.
 let sharedInitialParams = {
-  "numberOfRings": { parseFunction: readArrayOfInts },
+  "numberOfRings": { parseFunction: readArrayOfIntsInRange(0, 150) },
   "masses": {
     storeFunction: roundArray(2),
-    parseFunction: readArrayOfFloats
+    parseFunction: readArrayOfFloatsInRange(0, 10)
+  },
+  "minimalGalaxySeparation": { parseFunction: readFloatInRange(0, 100) },
+  "eccentricity": { parseFunction: readFloatInRange(0, 2) },
+  "initialGalaxySeparation": { parseFunction: readFloatInRange(10, 300) },
+  "initialPhase": { parseFunction: readString(initialPhases) },
+  "initialTrueAnomalyDegree": {
+    storeFunction: roundFloat(2),
+    parseFunction: readFloatInRange(-180, 180)
+  },
+  "timeBeforePericenter": {
+    storeFunction: roundFloat(2),
+    parseFunction: readFloatInRange(0, 1000)
+  },
+  "ringSeparation": { parseFunction: readArrayOfFloatsInRange(0.1, 10) },
+  "ringMultiplier": { parseFunction: readArrayOfFloatsInRange(1, 50) },
+  "galaxyTypes": { parseFunction: readArrayOfStrings(galaxyTypes) },
+  "diskModel": { parseFunction: readString(diskModels) },
+  "numberOfStars": { parseFunction: readArrayOfIntsInRange(0, 20000) },
+  "diskScaleLengths": {
+    storeFunction: roundArray(2),
+    parseFunction: readArrayOfFloatsInRange(0.5, 20)
   },
-  "minimalGalaxySeparation": { parseFunction: readFloat },
-  "eccentricity": { parseFunction: readFloat },
-  "ringSeparation": { parseFunction: readFloat },
-  "ringMultiplier": { parseFunction: readFloat },
+  "toomreQ": {
+    storeFunction: roundFloat(2),
+    parseFunction: readFloatInRange(0, 5)
+  },
+  "diskThickness": {
+    storeFunction: roundFloat(2),
+    parseFunction: readFloatInRange(0, 5)
+  },
+  "randomSeed": { parseFunction: readFloat },
   "galaxyInclinationAnglesDegree": {
     storeFunction: roundArray(2),
+    parseFunction: readArrayOfFloatsInRange(0, 360)
+  },
+  "galaxyPericenterArgumentsDegree": {
+    storeFunction: roundArray(2),
+    parseFunction: readArrayOfFloatsInRange(0, 360)
+  },
+  "coreStateVectors": {
+    storeFunction: roundArray(4),
     parseFunction: readArrayOfFloats
+  },
+  "haloProfiles": { parseFunction: readArrayOfStrings(haloProfiles) },
+  "haloScaleRadii": {
+    storeFunction: roundArray(2),
+    parseFunction: readArrayOfFloatsInRange(0.1, 50)
+  },
+  "dynamicalFriction": { parseFunction: readBoolean },
+  "haloDensity": {
+    storeFunction: roundFloat(6),
+    parseFunction: readFloatInRange(0, 1e-5)
+  },
+  "coulombLogarithm": {
+    storeFunction: roundFloat(2),
+    parseFunction: readFloatInRange(0, 10)
+  },
+  "mergerDistance": { parseFunction: readFloat },
+  "gravity": { parseFunction: readString(gravitySolvers) },
+  "diskMasses": {
+    storeFunction: roundArray(3),
+    parseFunction: readArrayOfFloatsInRange(0, 2)
+  },
+  "openingAngle": {
+    storeFunction: roundFloat(2),
+    parseFunction: readFloatInRange(0.1, 1.5)
+  },
+  "softening": {
+    storeFunction: roundFloat(2),
+    parseFunction: readFloatInRange(0.1, 5)
+  },
+  "meshSize": { parseFunction: readOneOfInts(meshSizes) },
+  "integrator": { parseFunction: readString(integratorNames) },
+  "blockTimeSteps": { parseFunction: readBoolean },
+  "timeStepAccuracy": {
+    storeFunction: roundFloat(2),
+    parseFunction: readFloatInRange(0.01, 1)
+  },
+  "meshBoxSize": {
+    storeFunction: roundFloat(1),
+    parseFunction: readFloatInRange(50, 1000)
+  },
+  "numberOfGasParticles": { parseFunction: readArrayOfIntsInRange(0, 5000) },
+  "gasMasses": {
+    storeFunction: roundArray(3),
+    parseFunction: readArrayOfFloatsInRange(0, 1)
+  },
+  "gasSoundSpeed": {
+    storeFunction: roundFloat(3),
+    parseFunction: readFloatInRange(0, 0.2)
+  },
+  "gasSmoothingLength": {
+    storeFunction: roundFloat(2),
+    parseFunction: readFloatInRange(0.2, 5)
+  },
+  "gasViscosity": {
+    storeFunction: roundFloat(2),
+    parseFunction: readFloatInRange(0, 3)
+  },
+  "gasCompressionThreshold": {
+    storeFunction: roundFloat(2),
+    parseFunction: readFloatInRange(1, 20)
   }
 };
 
@@ -120,7 +343,15 @@ let sharedCurrentParams = {
   "cameraDistance": {
     storeFunction: roundFloat(2),
     parseFunction: readFloat
-  }
+  },
+  "colorMode": { parseFunction: readString(colorModes) },
+  "diagnosticsThreshold": { parseFunction: readFloat },
+  "diagnosticsInterval": { parseFunction: readFloat },
+  "tidalAnalysisInterval": { parseFunction: readFloat },
+  "timelineMemoryMB": { parseFunction: readFloat },
+  "checkpointInterval": { parseFunction: readFloat },
+  "fastForwardJumpSeconds": { parseFunction: readFloatInRange(1, 60) },
+  "runDuration": { parseFunction: readFloat }
 };
 
 
@@ -171,7 +402,8 @@ export function filterCurrentParams(currentParams) {
 
 
 /**
- * Keeps only parameters permitted for sharing.
+ * Keeps only parameters permitted for sharing. Parameters with null values
+ * are not shared.
  *
  * @param  {object} sharedParams Object with keys that are the names of
  *   parameters that are suitable for sharing.
@@ -182,7 +414,7 @@ function filterParams(sharedParams, allParams) {
   let filtered = {};
 
   for (let key in sharedParams) {
-    if (key in allParams) {
+    if (key in allParams && allParams[key] !== null) {
       filtered[key] = allParams[key];
     }
   }
@@ -211,6 +443,15 @@ export function prepareParamsForSharing(params, sharedParams) {
 }
 
 
+/**
+ * Returns the URL parameters of the page, or an empty string when there is
+ * no page, i.e. when the simulation is run with Node.js, see headless.js.
+ */
+function pageUrlParameters() {
+  return typeof location === "undefined" ? "" : location.search;
+}
+
+
 function getCurrentUrlWithoutParameters() {
   return location.protocol + '//' + location.host + location.pathname;
 }
@@ -220,10 +461,13 @@ function getCurrentUrlWithoutParameters() {
  * Get the initial parameters from the URL string.
  *
  * @param  {object} defaultParams  Default initial parameter used when absent in URL.
+ * @param  {string} urlParams (optional) URL parameters, the parameters
+ *                            of the page by default.
  * @return {object} Parameters that will be used in the simulation.
  */
-export function getSharedInitialParameters(defaultParams) {
-  return getSharedInitialParametersFromUrl(location.search, defaultParams);
+export function getSharedInitialParameters(defaultParams,
+                                           urlParams=pageUrlParameters()) {
+  return getSharedInitialParametersFromUrl(urlParams, defaultParams);
 }
 
 
@@ -244,10 +488,13 @@ export function getSharedInitialParametersFromUrl(urlParams, defaultParams) {
  * Get the current parameters from the URL string.
  *
  * @param  {object} defaultParams  Default parameters used when  absent in URL.
+ * @param  {string} urlParams (optional) URL parameters, the parameters
+ *                            of the page by default.
  * @return {object} Parsed parameters that will be used in the simulation
  */
-export function getSharedCurrentParameters(defaultParams) {
-  return getSharedCurrentParametersFromUrl(location.search, defaultParams);
+export function getSharedCurrentParameters(defaultParams,
+                                           urlParams=pageUrlParameters()) {
+  return getSharedCurrentParametersFromUrl(urlParams, defaultParams);
 }
 
 
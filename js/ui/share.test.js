@@ -2,7 +2,9 @@ import {
   getShareURL, filterInitialParams, filterCurrentParams,
   getUrlParameters, getSharedInitialParameters,
   getSharedInitialParametersFromUrl, getSharedCurrentParametersFromUrl,
-  readArrayOfFloats, readFloat,
+  readArrayOfFloats, readArrayOfStrings, readBoolean, readFloat, readString,
+  readOneOfInts, readFloatInRange, readArrayOfFloatsInRange,
+  readArrayOfIntsInRange,
   roundArray, roundFloat, roundN,
   prepareParamsForSharing
 } from './share.js';
@@ -59,6 +61,33 @@ describe('getUrlParameters', () => {
 
     expect(result).to.equal("numberOfRings=3%2C5&ringSeparation=2.8");
   });
+
+  it('returns URL parameters for three galaxies', () => {
+    let initialParams = {
+      numberOfRings: [3, 5, 2],
+      masses: [1, 1, 0.5],
+      coreStateVectors: [1, 0, 0, 0, 0.123456, 0, -1, 0, 0, 0, 0, 0, 0, 3, 0, 0, 0, 0]
+    };
+
+    let currentParams = {};
+
+    let result = getUrlParameters(initialParams, currentParams);
+
+    expect(result).to.equal("numberOfRings=3%2C5%2C2&masses=1%2C1%2C0.5" +
+      "&coreStateVectors=1%2C0%2C0%2C0%2C0.1235%2C0%2C-1%2C0%2C0%2C0%2C0%2C0" +
+      "%2C0%2C3%2C0%2C0%2C0%2C0");
+  });
+
+  it('ignore null parameters', () => {
+    let initialParams = {
+      numberOfRings: [3, 5],
+      coreStateVectors: null
+    };
+
+    let result = getUrlParameters(initialParams, {});
+
+    expect(result).to.equal("numberOfRings=3%2C5");
+  });
 });
 
 describe('getShareURL', () => {
@@ -116,33 +145,33 @@ describe('getSharedInitialParametersFromUrl', () => {
   it('load initial parameters from URL', () => {
     let initialParams = {
       numberOfRings: [5, 6],
-      ringSeparation: 8,
+      ringSeparation: [8, 8],
       another: 23
     };
 
-    let urlParams = "?numberOfRings=3.3%2C5&ringSeparation=2.8";
+    let urlParams = "?numberOfRings=3.3%2C5&ringSeparation=2.8%2C1.5";
     let result = getSharedInitialParametersFromUrl(urlParams, initialParams);
 
-    expect(result.ringSeparation).to.equal(2.8);
+    expect(result.ringSeparation).to.deep.equal([2.8, 1.5]);
     expect(result.numberOfRings).to.deep.equal([3, 5]);
     expect(result.another).to.equal(23);
 
     // Keep default unchanged
-    expect(initialParams.ringSeparation).to.equal(8);
+    expect(initialParams.ringSeparation).to.deep.equal([8, 8]);
     expect(initialParams.numberOfRings).to.deep.equal([5, 6]);
   });
 
   it('used default when empty', () => {
     let initialParams = {
       numberOfRings: [5, 6],
-      ringSeparation: 8,
+      ringSeparation: [8, 8],
       another: 23
     };
 
     let urlParams = "?numberOfRings=&ringSeparation=";
     let result = getSharedInitialParametersFromUrl(urlParams, initialParams);
 
-    expect(result.ringSeparation).to.equal(8);
+    expect(result.ringSeparation).to.deep.equal([8, 8]);
     expect(result.numberOfRings).to.deep.equal([5, 6]);
     expect(result.another).to.equal(23);
   });
@@ -200,6 +229,68 @@ describe('readFloat', () => {
   });
 });
 
+describe('readFloatInRange', () => {
+  it('parse', () => {
+    let parse = readFloatInRange(0, 10);
+
+    expect(parse("2.2")).to.equal(2.2);
+    expect(parse("12")).to.equal(10);
+    expect(parse("-1")).to.equal(0);
+  });
+
+  it('parse invalid', () => {
+    expect(readFloatInRange(0, 10)("sdfd")).to.equal(null);
+  });
+
+  it('limits the halo density', () => {
+    let result = getSharedInitialParametersFromUrl(
+      "haloDensity=0.001", { haloDensity: 0.000001 });
+
+    expect(result.haloDensity).to.equal(1e-5);
+  });
+});
+
+describe('readArrayOfFloatsInRange', () => {
+  it('parse', () => {
+    let parse = readArrayOfFloatsInRange(0.1, 10);
+
+    expect(parse("2.2,12,0")).to.deep.equal([2.2, 10, 0.1]);
+  });
+
+  it('parse invalid', () => {
+    expect(readArrayOfFloatsInRange(0, 10)("sdfd")).to.equal(null);
+  });
+});
+
+describe('readArrayOfIntsInRange', () => {
+  it('parse', () => {
+    let parse = readArrayOfIntsInRange(0, 150);
+
+    expect(parse("3,1000,-2")).to.deep.equal([3, 150, 0]);
+  });
+
+  it('limits the parameters that have sliders', () => {
+    let result = getSharedInitialParametersFromUrl(
+      "meshBoxSize=0&numberOfStars=100000,5&timeStepAccuracy=50",
+      { meshBoxSize: 200, numberOfStars: [0, 0], timeStepAccuracy: 0.1 });
+
+    expect(result.meshBoxSize).to.equal(50);
+    expect(result.numberOfStars).to.deep.equal([20000, 5]);
+    expect(result.timeStepAccuracy).to.equal(1);
+  });
+});
+
+describe('readBoolean', () => {
+  it('parse', () => {
+    expect(readBoolean("true")).to.equal(true);
+    expect(readBoolean("false")).to.equal(false);
+  });
+
+  it('parse invalid', () => {
+    expect(readBoolean("yes")).to.equal(null);
+  });
+});
+
 describe('readArrayOfFloats', () => {
   it('parse', () => {
     let result = readArrayOfFloats("2.2,5");
@@ -214,6 +305,41 @@ describe('readArrayOfFloats', () => {
   });
 });
 
+describe('readString', () => {
+  it('parse', () => {
+    let parse = readString(["cores", "tree"]);
+
+    expect(parse("tree")).to.equal("tree");
+    expect(parse("unknown")).to.equal(null);
+  });
+});
+
+describe('readOneOfInts', () => {
+  it('parse', () => {
+    let parse = readOneOfInts([16, 32]);
+
+    expect(parse("32")).to.equal(32);
+    expect(parse("20")).to.equal(null);
+    expect(parse("abc")).to.equal(null);
+  });
+});
+
+describe('readArrayOfStrings', () => {
+  it('parse', () => {
+    let parse = readArrayOfStrings(["point", "nfw"]);
+    let result = parse("nfw,point");
+
+    expect(result).to.deep.equal(["nfw", "point"]);
+  });
+
+  it('parse invalid', () => {
+    let parse = readArrayOfStrings(["point", "nfw"]);
+    let result = parse("nfw,unknown");
+
+    expect(result).to.equal(null);
+  });
+});
+
 it('roundN', () => {
   expect(roundN(1.356234, 0)).to.equal(1);
   expect(roundN(1.356234, 1)).to.equal(1.4);
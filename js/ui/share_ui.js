@@ -4,6 +4,9 @@
 import { hideAllControls } from './buttons.js';
 import { getShareURL } from './share.js';
 import { copyToClipboard } from './copy_to_clipboard.js';
+import { downloadFile } from './download.js';
+import { exportSnapshot } from '../snapshot_export.js';
+import { exportScene } from '../3d/scene_export.js';
 import { show, showElement, hide, hideElement } from './html_element.js';
 
 
@@ -64,6 +67,32 @@ function didClickCopyToClipboard() {
 }
 
 
+/**
+ * Save the current positions and velocities of the bodies to a file,
+ * see snapshot_export.js.
+ */
+function didClickExportSnapshot(initialParams, currentParams, format) {
+  return (e) => {
+    let file = exportSnapshot(initialParams, currentParams, format);
+    downloadFile(file.fileName, file.bytes, file.type);
+    return false; // Prevent default
+  };
+}
+
+
+/**
+ * Save the stars and the trajectories of the galaxy cores to a file for
+ * 3D programs, see 3d/scene_export.js.
+ */
+function didClickExportScene(initialParams, currentParams, format) {
+  return (e) => {
+    let file = exportScene(initialParams, currentParams, format);
+    downloadFile(file.fileName, file.bytes, file.type);
+    return false; // Prevent default
+  };
+}
+
+
 /**
  * Prepare for sharing the parameters of the simulation as a URL.
  */
@@ -80,4 +109,20 @@ export function initShareUI(initialParams, currentParams) {
   button = document.querySelector(".TwoGalaxies-copyToClipboardButton");
   button.onclick = didClickCopyToClipboard;
 
+  // Export buttons
+  // --------
+
+  var buttons = document.querySelectorAll(".TwoGalaxies-exportSnapshotButton");
+
+  buttons.forEach((exportButton) => {
+    exportButton.onclick = didClickExportSnapshot(initialParams, currentParams,
+                                                  exportButton.dataset.format);
+  });
+
+  buttons = document.querySelectorAll(".TwoGalaxies-exportSceneButton");
+
+  buttons.forEach((exportButton) => {
+    exportButton.onclick = didClickExportScene(initialParams, currentParams,
+                                               exportButton.dataset.format);
+  });
 }
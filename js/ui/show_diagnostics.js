@@ -0,0 +1,48 @@
+// Shows a warning when the numerical errors of the simulation are large,
+// see physics/diagnostics.js
+
+import { exceedsThreshold } from '../physics/diagnostics.js';
+import { showElement, hideElement } from './html_element.js';
+
+
+export function init() {
+  var state = {
+    // Number of frames elapsed since we last updated the warning
+    framesSinceLastUpdate: 0,
+
+    // Number of frames between the updates of the warning
+    framesBetweenUpdates: 30
+  };
+
+  state.label = document.querySelector(".TwoGalaxies-diagnostics");
+
+  return state;
+}
+
+
+/**
+ * Show the largest relative error of the conserved quantities if it
+ * exceeds the threshold. The function is called on each frame of animation.
+ *
+ * @param  {object} state The current state of the warning.
+ * @param  {object} currentParams Current parameters of the simulation.
+ */
+export function update(state, currentParams) {
+  state.framesSinceLastUpdate += 1;
+
+  if (state.framesSinceLastUpdate < state.framesBetweenUpdates) return;
+  state.framesSinceLastUpdate = 0;
+
+  let drift = currentParams.diagnostics && currentParams.diagnostics.drift;
+
+  if (!drift || !exceedsThreshold(drift, currentParams.diagnosticsThreshold)) {
+    hideElement(state.label);
+    return;
+  }
+
+  let error = Math.max(drift.energy, drift.momentum, drift.angularMomentum,
+                       drift.centreOfMass);
+
+  state.label.innerHTML = `Conservation error ${(error * 100).toFixed(1)}%`;
+  showElement(state.label);
+}
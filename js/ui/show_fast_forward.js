@@ -0,0 +1,37 @@
+// Shows the progress of the fast forward, see `frameTimeSteps`
+// in simulation.js
+
+import { showElement, hideElement } from './html_element.js';
+
+
+export function init() {
+  var state = {
+    container: document.querySelector(".TwoGalaxies-fastForwardProgress"),
+    label: document.querySelector(".TwoGalaxies-fastForwardProgressLabel")
+  };
+
+  return state;
+}
+
+
+/**
+ * Show the percentage of the fast forward steps made. The function is called
+ * on each frame of animation.
+ *
+ * @param  {object} state The elements showing the progress.
+ * @param  {object} currentParams Current parameters of the simulation.
+ */
+export function update(state, currentParams) {
+  let fastForward = currentParams.fastForward;
+
+  if (fastForward === null) {
+    hideElement(state.container);
+    return;
+  }
+
+  let done = 1 - fastForward.remaining / fastForward.total;
+  let name = fastForward.timeStep > 0 ? "Fast forward" : "Rewind";
+
+  state.label.innerHTML = `${name} ${Math.floor(done * 100)}%`;
+  showElement(state.container);
+}
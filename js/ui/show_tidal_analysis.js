@@ -0,0 +1,84 @@
+// Shows the percentages of stars of each galaxy that are bound to it,
+// captured by another galaxy or escaped, see physics/tidal_analysis.js
+
+import { fates, latestRecord } from '../physics/tidal_analysis.js';
+import { showElement, hideElement } from './html_element.js';
+
+
+export function init() {
+  var state = {
+    // Number of frames elapsed since we last updated the numbers
+    framesSinceLastUpdate: 0,
+
+    // Number of frames between the updates of the numbers
+    framesBetweenUpdates: 30,
+
+    // The panel is shown on screen
+    visible: false
+  };
+
+  state.container = document.querySelector(".TwoGalaxies-tidalAnalysis");
+  state.label = document.querySelector(".TwoGalaxies-tidalAnalysisLabel");
+
+  return state;
+}
+
+
+/**
+ * Returns the text showing the percentages of bound, captured and escaped
+ * stars of one galaxy.
+ *
+ * @param  {array} counts  The numbers of bound, captured and escaped stars.
+ * @param  {array} color   Color of the galaxy, i.e. [255, 127, 0].
+ * @return {string} HTML text.
+ */
+function galaxyLine(counts, color) {
+  let total = counts.reduce((sum, count) => sum + count, 0);
+
+  let percentages = counts.map((count, i) =>
+    `${fates[i]} ${Math.round(count / total * 100)}%`);
+
+  return `<div style='color: rgb(${color.join(",")})'>` +
+         `${percentages.join(" ")}</div>`;
+}
+
+
+/**
+ * Show the latest numbers of the stars of the galaxies if the user has
+ * chosen to see them. The function is called on each frame of animation.
+ *
+ * @param  {object} state The current state of the panel.
+ * @param  {object} initialParams Initial parameters of the simulation.
+ * @param  {object} currentParams Current parameters of the simulation.
+ */
+export function update(state, initialParams, currentParams) {
+  let analysis = currentParams.tidalAnalysis;
+
+  if (!currentParams.showTidalAnalysis || analysis === null) {
+    hideElement(state.container);
+    state.visible = false;
+    return;
+  }
+
+  state.framesSinceLastUpdate += 1;
+
+  // Show the panel without delay after the user has opened it
+  if (state.visible &&
+      state.framesSinceLastUpdate < state.framesBetweenUpdates) return;
+
+  state.framesSinceLastUpdate = 0;
+
+  let latest = latestRecord(analysis, currentParams.time);
+  if (latest === undefined) return;
+
+  let lines = latest.counts.map((counts, i) => {
+    if (counts.every((count) => count === 0)) return "";
+    return galaxyLine(counts, initialParams.colors[i]);
+  });
+
+  state.label.innerHTML = `Stars at time ${Math.round(latest.time)}` +
+                          lines.join("");
+
+  showElement(state.container);
+  state.visible = true;
+}
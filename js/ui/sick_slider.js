@@ -39,6 +39,20 @@ import { showElement, hide, hideElement } from './html_element.js';
  *
  * slider.updatePositionAndLabel(100);
  *
+ *
+ * Choosing from a list of options
+ * -----------------------------
+ *
+ * Supply `valueLabels` setting to show names instead of numbers. The slider
+ * values are then the indexes of the names: 0, 1, 2...
+ *
+ * var slider = SickSlider(".SickSlider-profile", {
+ *   label: 'Profile: ',
+ *   valueLabels: ['Point', 'Plummer'],
+ *   value: 1,
+ *   onChange: function(value, position){ ... }
+ * });
+ *
  * @param  {string} sliderElementSelector a CSS selector of the SickSlider element.
  * @param  {object} settings              object containing slider settings.
  * @return {object}                       slider object
@@ -65,6 +79,9 @@ export default function SickSlider(sliderElementSelector, settings) {
     // Number of decimal places for position to show in label
     decimalPlaces: 2,
 
+    // Names shown in the label instead of the slider values (optional)
+    valueLabels: null,
+
     // Store the current slider position, a number from 0 to 1
     position: -42,
 
@@ -75,7 +92,10 @@ export default function SickSlider(sliderElementSelector, settings) {
     didRequestUpdateOnNextFrame: false,
 
     // If false the slider is hidden
-    visible: true
+    visible: true,
+
+    // True while the user is dragging the slider
+    sliding: false
   };
 
 
@@ -91,7 +111,6 @@ export default function SickSlider(sliderElementSelector, settings) {
     that.slider = that.sliderContainer.querySelector(".SickSlider-slider");
     that.sliderHead = that.slider.querySelector(".SickSlider-head");
     that.sliderStripe = that.slider.querySelector(".SickSlider-stripeLeft");
-    var sliding = false;
 
     // Assign settings
     // -------
@@ -104,6 +123,13 @@ export default function SickSlider(sliderElementSelector, settings) {
     that.labelSuffix = settings.labelSuffix;
     if ('visible' in settings) that.visible = settings.visible;
 
+    if (settings.valueLabels) {
+      // Values are the indexes of the labels
+      that.valueLabels = settings.valueLabels;
+      that.min = 0;
+      that.max = that.valueLabels.length - 1;
+    }
+
     if (that.value < that.min) that.value = that.min;
     if (that.value > that.max) that.value = that.max;
 
@@ -116,6 +142,9 @@ export default function SickSlider(sliderElementSelector, settings) {
       if (Math.abs(that.max - that.min) > 10) { that.decimalPlaces = 0; }
     }
 
+    // Values are integer indexes when the slider shows names
+    if (that.valueLabels !== null) { that.decimalPlaces = 0; }
+
     // Make slider visible in order to calculate its size
     showElement(that.sliderContainer);
 
@@ -129,12 +158,12 @@ export default function SickSlider(sliderElementSelector, settings) {
     // -----------------
 
     that.slider.addEventListener("mousedown", function(e) {
-      sliding = true;
+      that.sliding = true;
       that.updateHeadPositionOnTouch(e);
     });
 
     that.slider.addEventListener("touchstart", function(e) {
-      sliding = true;
+      that.sliding = true;
       that.updateHeadPositionOnTouch(e);
     });
 
@@ -144,27 +173,27 @@ export default function SickSlider(sliderElementSelector, settings) {
     // -----------------
 
     document.addEventListener("mouseup", function(){
-      sliding = false;
+      that.sliding = false;
     });
 
     document.addEventListener("dragend", function(){
-      sliding = false;
+      that.sliding = false;
     });
 
     document.addEventListener("touchend", function(e) {
-      sliding = false;
+      that.sliding = false;
     });
 
     // Drag slider
     // -----------------
 
     document.addEventListener("mousemove", function(e) {
-      if (!sliding) { return; }
+      if (!that.sliding) { return; }
       that.updateHeadPositionOnTouch(e);
     });
 
     document.addEventListener("touchmove", function(e) {
-      if (!sliding) { return; }
+      if (!that.sliding) { return; }
       that.updateHeadPositionOnTouch(e);
     });
 
@@ -283,6 +312,11 @@ export default function SickSlider(sliderElementSelector, settings) {
    */
   that.makeLabelText = function(value) {
     var text = Number(value).toFixed(that.decimalPlaces);
+
+    if (that.valueLabels !== null) {
+      text = that.valueLabels[Math.round(value)];
+    }
+
     text = `${that.label}${text}`;
 
     if (that.labelSuffix != null) {
@@ -309,6 +343,14 @@ export default function SickSlider(sliderElementSelector, settings) {
       var textMin = that.makeLabelText(that.min);
       var textMax = that.makeLabelText(that.max);
       that.previousLabelLength = Math.max(textMin.length, textMax.length);
+
+      if (that.valueLabels !== null) {
+        // Use the longest of the labels
+        that.valueLabels.forEach((_, i) => {
+          let length = that.makeLabelText(i).length;
+          that.previousLabelLength = Math.max(that.previousLabelLength, length);
+        });
+      }
     }
 
     if (text.length < that.previousLabelLength) {
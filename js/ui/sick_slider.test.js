@@ -58,4 +58,19 @@ describe('SickSlider', () => {
     expect(slider.makeLabelText(0.01, places)).to.equal('Time step: 0.01');
     expect(slider.makeLabelText(3, places)).to.equal('Time step: 3.00');
   });
+
+  it('makeLabelText with value labels', () => {
+    var slider = SickSlider(".SickSlider", {
+      label: 'Profile: ',
+      valueLabels: ['Point', 'Plummer', 'NFW'],
+      value: 1,
+      onChange: null,
+    });
+
+    expect(slider.min).to.equal(0);
+    expect(slider.max).to.equal(2);
+    expect(slider.makeLabelText(0)).to.equal('Profile: Point');
+    expect(slider.makeLabelText(2)).to.equal('Profile: NFW');
+    expect(slider.makeLabel(2)).to.equal('Profile: NFW&nbsp;&nbsp;&nbsp;&nbsp;');
+  });
 });
@@ -1,23 +1,450 @@
 // Handle the slider input
 
 import SickSlider from './sick_slider.js';
+import { haloProfiles } from '../physics/halo.js';
+import { gravitySolvers } from '../physics/acceleration.js';
+import { meshSizes } from '../physics/particle_mesh.js';
+import { integratorNames } from '../physics/integrator.js';
+import { diskModels, galaxyTypes, initialPhases }
+  from '../physics/initial_conditions.js';
+import { colorModes } from '../3d/star_colors.js';
+
+
+// Names of the halo profiles shown to the user, in the same order
+// as in `haloProfiles`
+const haloProfileNames = [
+  "point mass", "Plummer", "Hernquist", "NFW", "isothermal", "cored isothermal"
+];
+
+// Names of the gravity solvers shown to the user, in the same order
+// as in `gravitySolvers`
+const gravitySolverNames = [
+  "cores only", "full self-gravity", "particle mesh"
+];
+
+// Names of the starting points of the orbit shown to the user,
+// in the same order as in `initialPhases`
+const initialPhaseNames = [
+  "apastron", "true anomaly", "time before pericentre"
+];
+
+// Names of the disk models shown to the user, in the same order
+// as in `diskModels`
+const diskModelNames = ["rings", "exponential"];
+
+// Names of the galaxy types shown to the user, in the same order
+// as in `galaxyTypes`
+const galaxyTypeNames = ["disk", "Plummer sphere", "Hernquist sphere"];
+
+// Names of the integration methods shown to the user, in the same order
+// as in `integratorNames`
+const integratorLabels = [
+  "leapfrog", "Yoshida 4th order", "Runge-Kutta 4", "Hermite 4",
+  "semi-implicit Euler"
+];
+
+// Names of the color modes shown to the user, in the same order
+// as in `colorModes`
+const colorModeNames = [
+  "galaxy", "initial ring", "speed", "line of sight velocity", "height",
+  "bound or escaped"
+];
 
 
 function didChangeTimeStep(currentParams) {
   return function(value, position) {
-    currentParams.timeStep = value;
+    currentParams.timeStep = value;
+  };
+}
+
+
+function didChangeFastForwardJump(currentParams) {
+  return function(value, position) {
+    currentParams.fastForwardJumpSeconds = value;
+  };
+}
+
+
+function didChangeBlockTimeSteps(initialParams, currentParams) {
+  return function(value, position) {
+    initialParams.blockTimeSteps = value === 1;
+
+    // The time steps can be changed without restarting the simulation
+    if (currentParams.physics) {
+      currentParams.physics.blockTimeSteps = initialParams.blockTimeSteps;
+    }
+  };
+}
+
+
+function didChangeTimeStepAccuracy(initialParams, currentParams) {
+  return function(value, position) {
+    initialParams.timeStepAccuracy = value;
+
+    if (currentParams.physics) {
+      currentParams.physics.timeStepAccuracy = value;
+    }
+  };
+}
+
+
+function didChangeIntegrator(initialParams, currentParams) {
+  return function(value, position) {
+    initialParams.integrator = integratorNames[value];
+
+    // The integrator can be changed without restarting the simulation
+    if (currentParams.physics) {
+      currentParams.physics.integrator = initialParams.integrator;
+    }
+  };
+}
+
+
+function didChangeRings(initialParams, currentParams, galaxyIndex, onRestart) {
+  return function(value, position) {
+    initialParams.numberOfRings[galaxyIndex] = value;
+
+    var restartParams = {
+      restart: true,
+      reloadColors: true,
+      reloadStarSizes: true
+    };
+
+    onRestart(restartParams);
+  };
+}
+
+
+function didChangeMass(initialParams, currentParams, galaxyIndex, onRestart) {
+  return function(value, position) {
+    initialParams.masses[galaxyIndex] = value;
+
+    var restartParams = {
+      restart: false,
+      reloadColors: false,
+      reloadStarSizes: true
+    };
+
+    onRestart(restartParams);
+  };
+}
+
+
+function didChangeDistance(initialParams, currentParams, onRestart) {
+  return function(value, position) {
+    initialParams.minimalGalaxySeparation = value;
+
+    var restartParams = {
+      restart: true,
+      reloadColors: false,
+      reloadStarSizes: false
+    };
+
+    onRestart(restartParams);
+  };
+}
+
+
+function didChangeEccentricity(initialParams, currentParams, onRestart) {
+  return function(value, position) {
+    initialParams.eccentricity = value;
+
+    var restartParams = {
+      restart: true,
+      reloadColors: false,
+      reloadStarSizes: false
+    };
+
+    onRestart(restartParams);
+  };
+}
+
+
+function didChangeInitialSeparation(initialParams, currentParams, onRestart) {
+  return function(value, position) {
+    initialParams.initialGalaxySeparation = value;
+
+    var restartParams = {
+      restart: true,
+      reloadColors: false,
+      reloadStarSizes: false
+    };
+
+    onRestart(restartParams);
+  };
+}
+
+function didChangeInitialPhase(initialParams, currentParams, onRestart) {
+  return function(value, position) {
+    initialParams.initialPhase = initialPhases[value];
+
+    var restartParams = {
+      restart: true,
+      reloadColors: false,
+      reloadStarSizes: false
+    };
+
+    onRestart(restartParams);
+  };
+}
+
+function didChangeInitialTrueAnomaly(initialParams, currentParams, onRestart) {
+  return function(value, position) {
+    initialParams.initialTrueAnomalyDegree = value;
+
+    var restartParams = {
+      restart: true,
+      reloadColors: false,
+      reloadStarSizes: false
+    };
+
+    onRestart(restartParams);
+  };
+}
+
+function didChangeTimeBeforePericenter(initialParams, currentParams, onRestart) {
+  return function(value, position) {
+    initialParams.timeBeforePericenter = value;
+
+    var restartParams = {
+      restart: true,
+      reloadColors: false,
+      reloadStarSizes: false
+    };
+
+    onRestart(restartParams);
+  };
+}
+
+
+function didChangeAngle(initialParams, currentParams, galaxyIndex, onRestart) {
+  return function(value, position) {
+    initialParams.galaxyInclinationAnglesDegree[galaxyIndex] = value;
+
+    var restartParams = {
+      restart: true,
+      reloadColors: false,
+      reloadStarSizes: false
+    };
+
+    onRestart(restartParams);
+  };
+}
+
+
+function didChangePericenterArgument(initialParams, currentParams, galaxyIndex, onRestart) {
+  return function(value, position) {
+    initialParams.galaxyPericenterArgumentsDegree[galaxyIndex] = value;
+
+    var restartParams = {
+      restart: true,
+      reloadColors: false,
+      reloadStarSizes: false
+    };
+
+    onRestart(restartParams);
+  };
+}
+
+
+function didChangeRingSeparation(initialParams, currentParams, galaxyIndex, onRestart) {
+  return function(value, position) {
+    initialParams.ringSeparation[galaxyIndex] = value;
+
+    var restartParams = {
+      restart: true,
+      reloadColors: false,
+      reloadStarSizes: false
+    };
+
+    onRestart(restartParams);
+  };
+}
+
+
+function didChangeRingMultiplier(initialParams, currentParams, galaxyIndex, onRestart) {
+  return function(value, position) {
+    initialParams.ringMultiplier[galaxyIndex] = value;
+
+    var restartParams = {
+      restart: true,
+      reloadColors: true,
+      reloadStarSizes: true
+    };
+
+    onRestart(restartParams);
+  };
+}
+
+
+function didChangeDiskModel(initialParams, currentParams, onRestart) {
+  return function(value, position) {
+    initialParams.diskModel = diskModels[value];
+
+    var restartParams = {
+      restart: true,
+      reloadColors: true,
+      reloadStarSizes: true
+    };
+
+    onRestart(restartParams);
+  };
+}
+
+
+function didChangeNumberOfStars(initialParams, currentParams, galaxyIndex, onRestart) {
+  return function(value, position) {
+    initialParams.numberOfStars[galaxyIndex] = value;
+
+    var restartParams = {
+      restart: true,
+      reloadColors: true,
+      reloadStarSizes: true
+    };
+
+    onRestart(restartParams);
+  };
+}
+
+
+function didChangeGalaxyType(initialParams, currentParams, galaxyIndex, haloSliders, onRestart) {
+  return function(value, position) {
+    let type = galaxyTypes[value];
+    initialParams.galaxyTypes[galaxyIndex] = type;
+
+    // The stars of a spherical galaxy are in equilibrium in the potential
+    // of the same model, use it for the halo of the core
+    if (type !== "disk") {
+      initialParams.haloProfiles[galaxyIndex] = type;
+
+      haloSliders[galaxyIndex].updatePositionAndLabel(
+        haloProfiles.indexOf(type));
+    }
+
+    var restartParams = {
+      restart: true,
+      reloadColors: true,
+      reloadStarSizes: true
+    };
+
+    onRestart(restartParams);
+  };
+}
+
+
+function didChangeDiskScaleLength(initialParams, currentParams, galaxyIndex, onRestart) {
+  return function(value, position) {
+    initialParams.diskScaleLengths[galaxyIndex] = value;
+
+    var restartParams = {
+      restart: true,
+      reloadColors: false,
+      reloadStarSizes: false
+    };
+
+    onRestart(restartParams);
+  };
+}
+
+
+function didChangeToomreQ(initialParams, currentParams, onRestart) {
+  return function(value, position) {
+    initialParams.toomreQ = value;
+
+    var restartParams = {
+      restart: true,
+      reloadColors: false,
+      reloadStarSizes: false
+    };
+
+    onRestart(restartParams);
+  };
+}
+
+
+function didChangeDiskThickness(initialParams, currentParams, onRestart) {
+  return function(value, position) {
+    initialParams.diskThickness = value;
+
+    var restartParams = {
+      restart: true,
+      reloadColors: false,
+      reloadStarSizes: false
+    };
+
+    onRestart(restartParams);
+  };
+}
+
+
+function didChangeHaloProfile(initialParams, currentParams, galaxyIndex, onRestart) {
+  return function(value, position) {
+    initialParams.haloProfiles[galaxyIndex] = haloProfiles[value];
+
+    var restartParams = {
+      restart: true,
+      reloadColors: false,
+      reloadStarSizes: false
+    };
+
+    onRestart(restartParams);
+  };
+}
+
+
+function didChangeHaloScaleRadius(initialParams, currentParams, galaxyIndex, onRestart) {
+  return function(value, position) {
+    initialParams.haloScaleRadii[galaxyIndex] = value;
+
+    var restartParams = {
+      restart: true,
+      reloadColors: false,
+      reloadStarSizes: false
+    };
+
+    onRestart(restartParams);
+  };
+}
+
+
+function didChangeFriction(initialParams, currentParams, onRestart) {
+  return function(value, position) {
+    initialParams.dynamicalFriction = value === 1;
+
+    var restartParams = {
+      restart: true,
+      reloadColors: false,
+      reloadStarSizes: false
+    };
+
+    onRestart(restartParams);
+  };
+}
+
+
+function didChangeHaloDensity(initialParams, currentParams, onRestart) {
+  return function(value, position) {
+    initialParams.haloDensity = value * 1e-6;
+
+    var restartParams = {
+      restart: true,
+      reloadColors: false,
+      reloadStarSizes: false
+    };
+
+    onRestart(restartParams);
   };
 }
 
 
-function didChangeRings(initialParams, currentParams, galaxyIndex, onRestart) {
+function didChangeCoulombLogarithm(initialParams, currentParams, onRestart) {
   return function(value, position) {
-    initialParams.numberOfRings[galaxyIndex] = value;
+    initialParams.coulombLogarithm = value;
 
     var restartParams = {
       restart: true,
-      reloadColors: true,
-      reloadStarSizes: true
+      reloadColors: false,
+      reloadStarSizes: false
     };
 
     onRestart(restartParams);
@@ -25,14 +452,14 @@ function didChangeRings(initialParams, currentParams, galaxyIndex, onRestart) {
 }
 
 
-function didChangeMass(initialParams, currentParams, galaxyIndex, onRestart) {
+function didChangeGravity(initialParams, currentParams, onRestart) {
   return function(value, position) {
-    initialParams.masses[galaxyIndex] = value;
+    initialParams.gravity = gravitySolvers[value];
 
     var restartParams = {
-      restart: false,
+      restart: true,
       reloadColors: false,
-      reloadStarSizes: true
+      reloadStarSizes: false
     };
 
     onRestart(restartParams);
@@ -40,9 +467,9 @@ function didChangeMass(initialParams, currentParams, galaxyIndex, onRestart) {
 }
 
 
-function didChangeDistance(initialParams, currentParams, onRestart) {
+function didChangeOpeningAngle(initialParams, currentParams, onRestart) {
   return function(value, position) {
-    initialParams.minimalGalaxySeparation = value;
+    initialParams.openingAngle = value;
 
     var restartParams = {
       restart: true,
@@ -55,9 +482,9 @@ function didChangeDistance(initialParams, currentParams, onRestart) {
 }
 
 
-function didChangeEccentricity(initialParams, currentParams, onRestart) {
+function didChangeMeshSize(initialParams, currentParams, onRestart) {
   return function(value, position) {
-    initialParams.eccentricity = value;
+    initialParams.meshSize = meshSizes[value];
 
     var restartParams = {
       restart: true,
@@ -70,9 +497,24 @@ function didChangeEccentricity(initialParams, currentParams, onRestart) {
 }
 
 
-function didChangeAngle(initialParams, currentParams, galaxyIndex, onRestart) {
+function didChangeMeshBoxSize(initialParams, currentParams, onRestart) {
   return function(value, position) {
-    initialParams.galaxyInclinationAnglesDegree[galaxyIndex] = value;
+    initialParams.meshBoxSize = value;
+
+    var restartParams = {
+      restart: true,
+      reloadColors: false,
+      reloadStarSizes: false
+    };
+
+    onRestart(restartParams);
+  };
+}
+
+
+function didChangeSoftening(initialParams, currentParams, onRestart) {
+  return function(value, position) {
+    initialParams.softening = value;
 
     var restartParams = {
       restart: true,
@@ -85,9 +527,9 @@ function didChangeAngle(initialParams, currentParams, galaxyIndex, onRestart) {
 }
 
 
-function didChangeRingSeparation(initialParams, currentParams, onRestart) {
+function didChangeDiskMass(initialParams, currentParams, galaxyIndex, onRestart) {
   return function(value, position) {
-    initialParams.ringSeparation = value;
+    initialParams.diskMasses[galaxyIndex] = value;
 
     var restartParams = {
       restart: true,
@@ -100,9 +542,9 @@ function didChangeRingSeparation(initialParams, currentParams, onRestart) {
 }
 
 
-function didChangeRingMultiplier(initialParams, currentParams, onRestart) {
+function didChangeGasParticles(initialParams, currentParams, galaxyIndex, onRestart) {
   return function(value, position) {
-    initialParams.ringMultiplier = value;
+    initialParams.numberOfGasParticles[galaxyIndex] = value;
 
     var restartParams = {
       restart: true,
@@ -115,6 +557,132 @@ function didChangeRingMultiplier(initialParams, currentParams, onRestart) {
 }
 
 
+function didChangeGasMass(initialParams, currentParams, galaxyIndex, onRestart) {
+  return function(value, position) {
+    initialParams.gasMasses[galaxyIndex] = value;
+
+    var restartParams = {
+      restart: true,
+      reloadColors: false,
+      reloadStarSizes: false
+    };
+
+    onRestart(restartParams);
+  };
+}
+
+
+function didChangeGasSoundSpeed(initialParams, currentParams, onRestart) {
+  return function(value, position) {
+    initialParams.gasSoundSpeed = value;
+
+    var restartParams = {
+      restart: true,
+      reloadColors: false,
+      reloadStarSizes: false
+    };
+
+    onRestart(restartParams);
+  };
+}
+
+
+function didChangeGasSmoothingLength(initialParams, currentParams, onRestart) {
+  return function(value, position) {
+    initialParams.gasSmoothingLength = value;
+
+    var restartParams = {
+      restart: true,
+      reloadColors: false,
+      reloadStarSizes: false
+    };
+
+    onRestart(restartParams);
+  };
+}
+
+
+function didChangeGasViscosity(initialParams, currentParams, onRestart) {
+  return function(value, position) {
+    initialParams.gasViscosity = value;
+
+    var restartParams = {
+      restart: true,
+      reloadColors: false,
+      reloadStarSizes: false
+    };
+
+    onRestart(restartParams);
+  };
+}
+
+
+function didChangeGasCompressionThreshold(initialParams, currentParams) {
+  return function(value, position) {
+    // The compressed gas is found again on the next frame,
+    // no restart is needed
+    initialParams.gasCompressionThreshold = value;
+  };
+}
+
+
+function didChangeColorMode(currentParams) {
+  return function(value, position) {
+    // The stars are recolored on the next frame, no restart is needed
+    currentParams.colorMode = colorModes[value];
+    currentParams.colorsChanged = true;
+  };
+}
+
+
+/**
+ * Returns CSS selectors of the sliders for a per-galaxy parameter,
+ * one slider for each galaxy.
+ *
+ * @param  {string} name Name of the slider, i.e. "Rings"
+ *                       for ".TwoGalaxies-sliderRings1".
+ * @param  {number} galaxies Number of galaxies.
+ * @return {array} CSS selectors of the sliders.
+ */
+export function galaxySliderSelectors(name, galaxies) {
+  return Array.from(Array(galaxies),
+    (_, i) => `.TwoGalaxies-slider${name}${i + 1}`);
+}
+
+
+/**
+ * Create the HTML element for the slider of a galaxy, if it does not exist.
+ * The page contains sliders for the first two galaxies, sliders for other
+ * galaxies are copied from the slider of the previous galaxy.
+ *
+ * @param  {string} name Name of the slider, i.e. "Rings".
+ * @param  {number} galaxyIndex Index of the galaxy: 0, 1, 2...
+ * @param  {array} color RGB color of the galaxy, i.e. [255, 127, 0].
+ */
+function createGalaxySliderElement(name, galaxyIndex, color) {
+  let selectors = galaxySliderSelectors(name, galaxyIndex + 1);
+  let selector = selectors[galaxyIndex];
+  if (galaxyIndex === 0 || document.querySelector(selector) !== null) return;
+
+  let previous = document.querySelector(selectors[galaxyIndex - 1]);
+  let element = previous.cloneNode(true);
+  element.classList.remove(selectors[galaxyIndex - 1].slice(1));
+  element.classList.remove("TwoGalaxies-sliderColor2");
+  element.classList.add(selector.slice(1));
+
+  // The new slider takes the place of the previous one, which
+  // is no longer the last one
+  previous.classList.add("TwoGalaxies--hasBottomMarginSmall");
+
+  // Show the slider in the color of the galaxy
+  let cssColor = `rgb(${color.join(",")})`;
+  element.querySelector(".SickSlider-head").style.borderColor = cssColor;
+  element.querySelector(".SickSlider-stripeLeft").style.backgroundColor = cssColor;
+
+  previous.after(element);
+}
+
+
 export function setupSlider(initialParams, currentParams, onRestart) {
   SickSlider(".TwoGalaxies-sliderTimeStep", {
     label: 'Time step: ',
@@ -123,42 +691,91 @@ export function setupSlider(initialParams, currentParams, onRestart) {
     visible: false
   });
 
+  SickSlider(".TwoGalaxies-sliderBlockTimeSteps", {
+    label: 'Individual time steps: ',
+    valueLabels: ["off", "on"],
+    value: initialParams.blockTimeSteps ? 1 : 0,
+    onChange: didChangeBlockTimeSteps(initialParams, currentParams),
+    visible: false
+  });
+
+  SickSlider(".TwoGalaxies-sliderTimeStepAccuracy", {
+    label: 'Time step accuracy: ',
+    value: initialParams.timeStepAccuracy, min: 0.01, max: 1,
+    decimalPlaces: 2,
+    onChange: didChangeTimeStepAccuracy(initialParams, currentParams),
+    visible: false
+  });
+
+  SickSlider(".TwoGalaxies-sliderFastForwardJump", {
+    label: 'Fast forward by: ',
+    labelSuffix: ' s',
+    value: currentParams.fastForwardJumpSeconds, min: 1, max: 60,
+    decimalPlaces: 0,
+    onChange: didChangeFastForwardJump(currentParams),
+    visible: false
+  });
+
   // Number of rings
   // --------
 
-  SickSlider(".TwoGalaxies-sliderRings1", {
-    label: 'Number of rings: ',
-    value: initialParams.numberOfRings[0], min: 0, max: 150,
-    decimalPlaces: 0,
-    onChange: didChangeRings(initialParams, currentParams, 0, onRestart),
-    visible: true
+  var galaxies = initialParams.masses.length;
+
+  galaxySliderSelectors("Rings", galaxies).forEach((selector, i) => {
+    createGalaxySliderElement("Rings", i, initialParams.colors[i]);
+
+    SickSlider(selector, {
+      label: 'Number of rings: ',
+      value: initialParams.numberOfRings[i], min: 0, max: 150,
+      decimalPlaces: 0,
+      onChange: didChangeRings(initialParams, currentParams, i, onRestart),
+      visible: true
+    });
   });
 
-  SickSlider(".TwoGalaxies-sliderRings2", {
-    label: 'Number of rings: ',
-    value: initialParams.numberOfRings[1], min: 0, max: 150,
-    decimalPlaces: 0,
-    onChange: didChangeRings(initialParams, currentParams, 1, onRestart),
-    visible: true
+  galaxySliderSelectors("NumberOfStars", galaxies).forEach((selector, i) => {
+    createGalaxySliderElement("NumberOfStars", i, initialParams.colors[i]);
+
+    SickSlider(selector, {
+      label: 'Number of stars: ',
+      value: initialParams.numberOfStars[i], min: 0, max: 20000,
+      decimalPlaces: 0,
+      onChange: didChangeNumberOfStars(initialParams, currentParams, i,
+                                       onRestart),
+      visible: true
+    });
+  });
+
+  // Sliders of the halo profiles, which are changed together
+  // with the galaxy types
+  var haloSliders = [];
+
+  galaxySliderSelectors("GalaxyType", galaxies).forEach((selector, i) => {
+    createGalaxySliderElement("GalaxyType", i, initialParams.colors[i]);
+
+    SickSlider(selector, {
+      label: 'Galaxy: ',
+      valueLabels: galaxyTypeNames,
+      value: galaxyTypes.indexOf(initialParams.galaxyTypes[i]),
+      onChange: didChangeGalaxyType(initialParams, currentParams, i,
+                                    haloSliders, onRestart),
+      visible: true
+    });
   });
 
   // Mass
   // --------
 
-  SickSlider(".TwoGalaxies-sliderMass1", {
-    label: 'Core mass: ',
-    value: initialParams.masses[0], min: 0, max: 10,
-    decimalPlaces: 2,
-    onChange: didChangeMass(initialParams, currentParams, 0, onRestart),
-    visible: false
-  });
+  galaxySliderSelectors("Mass", galaxies).forEach((selector, i) => {
+    createGalaxySliderElement("Mass", i, initialParams.colors[i]);
 
-  SickSlider(".TwoGalaxies-sliderMass2", {
-    label: 'Core mass: ',
-    value: initialParams.masses[1], min: 0, max: 10,
-    decimalPlaces: 2,
-    onChange: didChangeMass(initialParams, currentParams, 1, onRestart),
-    visible: false
+    SickSlider(selector, {
+      label: 'Core mass: ',
+      value: initialParams.masses[i], min: 0, max: 10,
+      decimalPlaces: 2,
+      onChange: didChangeMass(initialParams, currentParams, i, onRestart),
+      visible: false
+    });
   });
 
   // Galaxy separation
@@ -177,50 +794,338 @@ export function setupSlider(initialParams, currentParams, onRestart) {
 
   SickSlider(".TwoGalaxies-sliderEccentricity", {
     label: 'Eccentricity: ',
-    value: initialParams.eccentricity, min: 0, max: 0.99,
+    value: initialParams.eccentricity, min: 0, max: 2,
     decimalPlaces: 2,
     onChange: didChangeEccentricity(initialParams, currentParams, onRestart),
     visible: false
   });
 
+  SickSlider(".TwoGalaxies-sliderInitialSeparation", {
+    label: 'Initial separation (e ≥ 1): ',
+    value: initialParams.initialGalaxySeparation, min: 10, max: 300,
+    decimalPlaces: 0,
+    onChange: didChangeInitialSeparation(initialParams, currentParams,
+                                         onRestart),
+    visible: false
+  });
 
-  // Galaxy inclination
-  // --------
+  SickSlider(".TwoGalaxies-sliderInitialPhase", {
+    label: 'Start at: ',
+    valueLabels: initialPhaseNames,
+    value: initialPhases.indexOf(initialParams.initialPhase),
+    onChange: didChangeInitialPhase(initialParams, currentParams, onRestart),
+    visible: false
+  });
 
-  SickSlider(".TwoGalaxies-sliderAngle1", {
-    label: 'Galaxy inclination: ',
+  SickSlider(".TwoGalaxies-sliderInitialTrueAnomaly", {
+    label: 'True anomaly: ',
     labelSuffix: '°',
-    value: initialParams.galaxyInclinationAnglesDegree[0], min: 0, max: 360,
+    value: initialParams.initialTrueAnomalyDegree, min: -180, max: 180,
     decimalPlaces: 0,
-    onChange: didChangeAngle(initialParams, currentParams, 0, onRestart),
+    onChange: didChangeInitialTrueAnomaly(initialParams, currentParams,
+                                          onRestart),
     visible: false
   });
 
-  SickSlider(".TwoGalaxies-sliderAngle2", {
-    label: 'Galaxy inclination: ',
-    labelSuffix: '°',
-    value: initialParams.galaxyInclinationAnglesDegree[1], min: 0, max: 360,
+  SickSlider(".TwoGalaxies-sliderTimeBeforePericenter", {
+    label: 'Time before pericentre: ',
+    value: initialParams.timeBeforePericenter, min: 0, max: 1000,
     decimalPlaces: 0,
-    onChange: didChangeAngle(initialParams, currentParams, 1, onRestart),
+    onChange: didChangeTimeBeforePericenter(initialParams, currentParams,
+                                            onRestart),
     visible: false
   });
 
+
+  // Galaxy inclination
+  // --------
+
+  galaxySliderSelectors("Angle", galaxies).forEach((selector, i) => {
+    createGalaxySliderElement("Angle", i, initialParams.colors[i]);
+
+    SickSlider(selector, {
+      label: 'Galaxy inclination: ',
+      labelSuffix: '°',
+      value: initialParams.galaxyInclinationAnglesDegree[i], min: 0, max: 360,
+      decimalPlaces: 0,
+      onChange: didChangeAngle(initialParams, currentParams, i, onRestart),
+      visible: false
+    });
+  });
+
+  galaxySliderSelectors("PericenterArgument", galaxies).forEach((selector, i) => {
+    createGalaxySliderElement("PericenterArgument", i, initialParams.colors[i]);
+
+    SickSlider(selector, {
+      label: 'Argument of pericentre: ',
+      labelSuffix: '°',
+      value: initialParams.galaxyPericenterArgumentsDegree[i], min: 0, max: 360,
+      decimalPlaces: 0,
+      onChange: didChangePericenterArgument(initialParams, currentParams, i,
+                                            onRestart),
+      visible: false
+    });
+  });
+
   // Ring separation
   // --------
 
-  SickSlider(".TwoGalaxies-sliderRingSeparation", {
-    label: 'Ring separation: ',
-    value: initialParams.ringSeparation, min: 0.1, max: 10,
+  galaxySliderSelectors("RingSeparation", galaxies).forEach((selector, i) => {
+    createGalaxySliderElement("RingSeparation", i, initialParams.colors[i]);
+
+    SickSlider(selector, {
+      label: 'Ring separation: ',
+      value: initialParams.ringSeparation[i], min: 0.1, max: 10,
+      decimalPlaces: 1,
+      onChange: didChangeRingSeparation(initialParams, currentParams, i,
+                                        onRestart),
+      visible: false
+    });
+  });
+
+  galaxySliderSelectors("RingMultiplier", galaxies).forEach((selector, i) => {
+    createGalaxySliderElement("RingMultiplier", i, initialParams.colors[i]);
+
+    SickSlider(selector, {
+      label: 'Ring multiplier: ',
+      value: initialParams.ringMultiplier[i], min: 1, max: 50,
+      decimalPlaces: 0,
+      onChange: didChangeRingMultiplier(initialParams, currentParams, i,
+                                        onRestart),
+      visible: false
+    });
+  });
+
+  // Disk model
+  // --------
+
+  SickSlider(".TwoGalaxies-sliderDiskModel", {
+    label: 'Disk: ',
+    valueLabels: diskModelNames,
+    value: diskModels.indexOf(initialParams.diskModel),
+    onChange: didChangeDiskModel(initialParams, currentParams, onRestart),
+    visible: false
+  });
+
+  galaxySliderSelectors("DiskScaleLength", galaxies).forEach((selector, i) => {
+    createGalaxySliderElement("DiskScaleLength", i, initialParams.colors[i]);
+
+    SickSlider(selector, {
+      label: 'Disk scale length: ',
+      value: initialParams.diskScaleLengths[i], min: 0.5, max: 20,
+      decimalPlaces: 1,
+      onChange: didChangeDiskScaleLength(initialParams, currentParams, i,
+                                         onRestart),
+      visible: false
+    });
+  });
+
+  SickSlider(".TwoGalaxies-sliderToomreQ", {
+    label: 'Toomre Q: ',
+    value: initialParams.toomreQ, min: 0, max: 5,
+    decimalPlaces: 1,
+    onChange: didChangeToomreQ(initialParams, currentParams, onRestart),
+    visible: false
+  });
+
+  SickSlider(".TwoGalaxies-sliderDiskThickness", {
+    label: 'Disk thickness: ',
+    value: initialParams.diskThickness, min: 0, max: 5,
+    decimalPlaces: 1,
+    onChange: didChangeDiskThickness(initialParams, currentParams, onRestart),
+    visible: false
+  });
+
+  // Dark matter halo
+  // --------
+
+  galaxySliderSelectors("HaloProfile", galaxies).forEach((selector, i) => {
+    createGalaxySliderElement("HaloProfile", i, initialParams.colors[i]);
+
+    haloSliders[i] = SickSlider(selector, {
+      label: 'Halo: ',
+      valueLabels: haloProfileNames,
+      value: haloProfiles.indexOf(initialParams.haloProfiles[i]),
+      onChange: didChangeHaloProfile(initialParams, currentParams, i, onRestart),
+      visible: false
+    });
+  });
+
+  galaxySliderSelectors("HaloRadius", galaxies).forEach((selector, i) => {
+    createGalaxySliderElement("HaloRadius", i, initialParams.colors[i]);
+
+    SickSlider(selector, {
+      label: 'Halo scale radius: ',
+      value: initialParams.haloScaleRadii[i], min: 0.1, max: 50,
+      decimalPlaces: 1,
+      onChange: didChangeHaloScaleRadius(initialParams, currentParams, i, onRestart),
+      visible: false
+    });
+  });
+
+  // Dynamical friction
+  // --------
+
+  SickSlider(".TwoGalaxies-sliderFriction", {
+    label: 'Dynamical friction: ',
+    valueLabels: ["off", "on"],
+    value: initialParams.dynamicalFriction ? 1 : 0,
+    onChange: didChangeFriction(initialParams, currentParams, onRestart),
+    visible: false
+  });
+
+  // The density is shown in units of 10^-6 to keep the label short
+  SickSlider(".TwoGalaxies-sliderHaloDensity", {
+    label: 'Halo density: ',
+    labelSuffix: ' × 10⁻⁶',
+    value: initialParams.haloDensity * 1e6, min: 0, max: 10,
+    decimalPlaces: 1,
+    onChange: didChangeHaloDensity(initialParams, currentParams, onRestart),
+    visible: false
+  });
+
+  SickSlider(".TwoGalaxies-sliderCoulombLogarithm", {
+    label: 'Coulomb logarithm: ',
+    value: initialParams.coulombLogarithm, min: 0, max: 10,
     decimalPlaces: 1,
-    onChange: didChangeRingSeparation(initialParams, currentParams, onRestart),
+    onChange: didChangeCoulombLogarithm(initialParams, currentParams, onRestart),
+    visible: false
+  });
+  // Integrator
+  // --------
+
+  SickSlider(".TwoGalaxies-sliderIntegrator", {
+    label: 'Integrator: ',
+    valueLabels: integratorLabels,
+    value: integratorNames.indexOf(initialParams.integrator),
+    onChange: didChangeIntegrator(initialParams, currentParams),
+    visible: false
+  });
+
+  // Gravity solver
+  // --------
+
+  SickSlider(".TwoGalaxies-sliderGravity", {
+    label: 'Gravity: ',
+    valueLabels: gravitySolverNames,
+    value: gravitySolvers.indexOf(initialParams.gravity),
+    onChange: didChangeGravity(initialParams, currentParams, onRestart),
+    visible: false
+  });
+
+  SickSlider(".TwoGalaxies-sliderOpeningAngle", {
+    label: 'Tree opening angle: ',
+    value: initialParams.openingAngle, min: 0.1, max: 1.5,
+    decimalPlaces: 2,
+    onChange: didChangeOpeningAngle(initialParams, currentParams, onRestart),
+    visible: false
+  });
+
+  SickSlider(".TwoGalaxies-sliderMeshSize", {
+    label: 'Mesh resolution: ',
+    valueLabels: meshSizes.map((size) => `${size}³`),
+    value: meshSizes.indexOf(initialParams.meshSize),
+    onChange: didChangeMeshSize(initialParams, currentParams, onRestart),
     visible: false
   });
 
-  SickSlider(".TwoGalaxies-sliderRingMultiplier", {
-    label: 'Ring multiplier: ',
-    value: initialParams.ringMultiplier, min: 1, max: 50,
+  SickSlider(".TwoGalaxies-sliderMeshBoxSize", {
+    label: 'Mesh box size: ',
+    value: initialParams.meshBoxSize, min: 50, max: 1000,
     decimalPlaces: 0,
-    onChange: didChangeRingMultiplier(initialParams, currentParams, onRestart),
+    onChange: didChangeMeshBoxSize(initialParams, currentParams, onRestart),
+    visible: false
+  });
+
+  SickSlider(".TwoGalaxies-sliderSoftening", {
+    label: 'Softening: ',
+    value: initialParams.softening, min: 0.1, max: 5,
+    decimalPlaces: 1,
+    onChange: didChangeSoftening(initialParams, currentParams, onRestart),
+    visible: false
+  });
+
+  galaxySliderSelectors("DiskMass", galaxies).forEach((selector, i) => {
+    createGalaxySliderElement("DiskMass", i, initialParams.colors[i]);
+
+    SickSlider(selector, {
+      label: 'Stars mass: ',
+      value: initialParams.diskMasses[i], min: 0, max: 2,
+      decimalPlaces: 2,
+      onChange: didChangeDiskMass(initialParams, currentParams, i, onRestart),
+      visible: false
+    });
+  });
+
+  // Gas
+  // --------
+
+  galaxySliderSelectors("GasParticles", galaxies).forEach((selector, i) => {
+    createGalaxySliderElement("GasParticles", i, initialParams.colors[i]);
+
+    SickSlider(selector, {
+      label: 'Gas particles: ',
+      value: initialParams.numberOfGasParticles[i], min: 0, max: 5000,
+      decimalPlaces: 0,
+      onChange: didChangeGasParticles(initialParams, currentParams, i,
+                                      onRestart),
+      visible: false
+    });
+  });
+
+  galaxySliderSelectors("GasMass", galaxies).forEach((selector, i) => {
+    createGalaxySliderElement("GasMass", i, initialParams.colors[i]);
+
+    SickSlider(selector, {
+      label: 'Gas mass: ',
+      value: initialParams.gasMasses[i], min: 0, max: 1,
+      decimalPlaces: 2,
+      onChange: didChangeGasMass(initialParams, currentParams, i, onRestart),
+      visible: false
+    });
+  });
+
+  SickSlider(".TwoGalaxies-sliderGasSoundSpeed", {
+    label: 'Sound speed: ',
+    value: initialParams.gasSoundSpeed, min: 0, max: 0.2,
+    decimalPlaces: 3,
+    onChange: didChangeGasSoundSpeed(initialParams, currentParams, onRestart),
+    visible: false
+  });
+
+  SickSlider(".TwoGalaxies-sliderGasSmoothingLength", {
+    label: 'Smoothing length: ',
+    value: initialParams.gasSmoothingLength, min: 0.2, max: 5,
+    decimalPlaces: 1,
+    onChange: didChangeGasSmoothingLength(initialParams, currentParams,
+                                          onRestart),
+    visible: false
+  });
+
+  SickSlider(".TwoGalaxies-sliderGasViscosity", {
+    label: 'Artificial viscosity: ',
+    value: initialParams.gasViscosity, min: 0, max: 3,
+    decimalPlaces: 1,
+    onChange: didChangeGasViscosity(initialParams, currentParams, onRestart),
+    visible: false
+  });
+
+  SickSlider(".TwoGalaxies-sliderGasCompressionThreshold", {
+    label: 'Star formation compression: ',
+    value: initialParams.gasCompressionThreshold, min: 1, max: 20,
+    decimalPlaces: 1,
+    onChange: didChangeGasCompressionThreshold(initialParams, currentParams),
+    visible: false
+  });
+
+  // Colors of the stars
+  // --------
+
+  SickSlider(".TwoGalaxies-sliderColorMode", {
+    label: 'Color stars by: ',
+    valueLabels: colorModeNames,
+    value: colorModes.indexOf(currentParams.colorMode),
+    onChange: didChangeColorMode(currentParams),
     visible: false
   });
 }
@@ -0,0 +1,54 @@
+// Shows the elapsed simulation time on a slider. Moving the slider
+// takes the simulation to the chosen time, see `seek` in simulation.js.
+
+import SickSlider from './sick_slider.js';
+
+
+export function init(currentParams) {
+  var state = {
+    // Number of frames elapsed since we last updated the slider
+    framesSinceLastUpdate: 0,
+
+    // Number of frames between the updates of the slider
+    framesBetweenUpdates: 10
+  };
+
+  state.slider = SickSlider(".TwoGalaxies-sliderTimeline", {
+    label: 'Time: ',
+    value: 0,
+    min: 0,
+    max: 1,
+    decimalPlaces: 0,
+    onChange: (value) => { currentParams.seekTime = value; }
+  });
+
+  return state;
+}
+
+
+/**
+ * Show the current simulation time. The range of the slider is the range
+ * of times the simulation has reached. The function is called on each frame
+ * of animation.
+ *
+ * @param  {object} state The current state of the timeline slider.
+ * @param  {object} currentParams Current parameters of the simulation.
+ */
+export function update(state, currentParams) {
+  state.framesSinceLastUpdate += 1;
+
+  if (state.framesSinceLastUpdate < state.framesBetweenUpdates) return;
+  state.framesSinceLastUpdate = 0;
+
+  let slider = state.slider;
+
+  // Do not move the slider while the user is dragging it
+  if (currentParams.timeline === null || slider.sliding) return;
+
+  slider.min = currentParams.timeline.minTime;
+  slider.max = Math.max(currentParams.timeline.maxTime, slider.min + 1);
+  slider.updatePositionAndLabel(currentParams.time);
+
+  // Allow the user to choose the previously chosen time again
+  slider.onChangePreviousValue = null;
+}
@@ -0,0 +1,302 @@
+// Runs the simulation in web workers, so that the page stays responsive
+// while the motion of many stars is calculated.
+//
+// The stars are divided into groups of equal size, one for each worker.
+// Each worker calculates the motion of the galaxy cores and of its group
+// of stars. This works because the stars do not attract the cores and
+// each other, unless `gravity` setting is "tree" or "mesh", in which case
+// a single worker calculates the motion of all bodies.
+//
+// At each frame of the animation, the workers are asked to advance the
+// simulation by the time steps of the frame. While they are busy, the
+// screen shows the latest positions received from the workers.
+
+import * as simulation from './simulation.js';
+import * as trajectories from './trajectories.js';
+import * as timeline from './timeline.js';
+import * as diagnostics from './physics/diagnostics.js';
+import * as tidalAnalysis from './physics/tidal_analysis.js';
+import { effectiveMasses } from './physics/merger.js';
+import getAccelerations from './physics/acceleration.js';
+
+
+/**
+ * Start the web workers.
+ *
+ * @param  {number} numberOfWorkers Number of workers. If null, the number
+ *                  is chosen from the number of processors.
+ * @param  {string} workerUrl Path to physics_worker.js relative to the page.
+ * @return {object} The pool of workers, or null if the browser does not
+ *                  support workers or `numberOfWorkers` is zero.
+ */
+export function create(numberOfWorkers, workerUrl="js/physics_worker.js") {
+  if (typeof Worker === "undefined" || numberOfWorkers === 0) return null;
+
+  if (numberOfWorkers === null) numberOfWorkers = defaultNumberOfWorkers();
+
+  var pool = {
+    workers: [],
+
+    // Star ranges calculated by the workers, see `start`
+    ranges: [],
+
+    // The number of the simulation run, increased on restarts
+    generation: 0,
+
+    // Number of workers that have not yet finished the current time steps
+    pending: 0,
+
+    // Time steps that the workers are calculating
+    segments: [],
+
+    // Messages received from the workers for the current time steps
+    results: [],
+
+    // Parameters of the simulation, set in `start`
+    initialParams: null,
+    currentParams: null
+  };
+
+  try {
+    for(let i = 0; i < numberOfWorkers; i++) {
+      pool.workers.push(createWorker(pool, i, workerUrl));
+    }
+  } catch(error) {
+    // Module workers are not supported
+    terminate(pool);
+    return null;
+  }
+
+  return pool;
+}
+
+
+function createWorker(pool, iWorker, workerUrl) {
+  var worker = new Worker(workerUrl, { type: "module" });
+
+  worker.onmessage = (event) => receive(pool, iWorker, event.data);
+  worker.onerror = () => terminate(pool);
+  return worker;
+}
+
+
+/**
+ * Use one worker less than the number of processors,
+ * leaving one for drawing, but not more than four.
+ */
+function defaultNumberOfWorkers() {
+  var processors = (typeof navigator !== "undefined" &&
+                    navigator.hardwareConcurrency) || 2;
+
+  return Math.min(Math.max(processors - 1, 1), 4);
+}
+
+
+/**
+ * Check if the simulation is run by the workers.
+ *
+ * @param  {object} pool The pool of workers, see `create`.
+ * @return {boolean} True if the workers are running, false if the simulation
+ *                   needs to be run on the main thread.
+ */
+export function isRunning(pool) {
+  return pool !== null && pool.workers.length > 0;
+}
+
+
+/**
+ * Send the initial positions and velocities of the bodies to the workers.
+ * Called after the simulation is started or restarted,
+ * see `setInitial` in simulation.js.
+ *
+ * @param  {object} pool The pool of workers, see `create`.
+ * @param  {object} initialParams Initial parameters of the simulation.
+ * @param  {object} currentParams Current parameters of the simulation.
+ */
+export function start(pool, initialParams, currentParams) {
+  pool.generation += 1;
+  pool.pending = 0;
+  pool.initialParams = initialParams;
+  pool.currentParams = currentParams;
+
+  var numberOfCores = initialParams.masses.length;
+  var numberOfStars = currentParams.positions.length / 3 - numberOfCores;
+
+  // Stars attract each other and gas particles push each other,
+  // so they can not be divided between workers
+  var interacting = currentParams.physics.starMasses !== null ||
+                    currentParams.physics.gasMasses !== null;
+
+  var workers = interacting ? 1 :
+    Math.max(Math.min(pool.workers.length, numberOfStars), 1);
+
+  pool.ranges = [];
+
+  for(let i = 0; i < workers; i++) {
+    // Indexes of the first and after the last star body of the worker
+    let range = {
+      first: numberOfCores + Math.floor(numberOfStars * i / workers),
+      last: numberOfCores + Math.floor(numberOfStars * (i + 1) / workers)
+    };
+
+    pool.ranges.push(range);
+
+    let positions = workerValues(currentParams.positions, numberOfCores, range);
+    let velocities = workerValues(currentParams.velocities, numberOfCores,
+                                  range);
+
+    let accelerations = workerValues(currentParams.accelerations,
+                                     numberOfCores, range);
+
+    pool.workers[i].postMessage({
+      type: "init",
+      generation: pool.generation,
+      masses: initialParams.masses,
+      positions: positions,
+      velocities: velocities,
+      accelerations: accelerations,
+      mergedInto: currentParams.mergedInto
+    }, [positions.buffer, velocities.buffer, accelerations.buffer]);
+  }
+}
+
+
+/**
+ * Returns the vectors of the cores and of the stars in the range.
+ */
+function workerValues(array, numberOfCores, range) {
+  var coreValues = numberOfCores * 3;
+  var values = new Float64Array(coreValues + (range.last - range.first) * 3);
+
+  values.set(array.subarray(0, coreValues));
+  values.set(array.subarray(range.first * 3, range.last * 3), coreValues);
+  return values;
+}
+
+
+/**
+ * Ask the workers to advance the simulation by the time steps of the
+ * current frame, unless they are still busy with the previous frame.
+ * Called at each frame of the animation instead of `update`
+ * in simulation.js. The masses of the cores are sent with each step,
+ * since they can be changed with a slider without restarting.
+ *
+ * @param  {object} pool The pool of workers, see `create`.
+ * @param  {object} currentParams Current parameters of the simulation.
+ */
+export function update(pool, currentParams) {
+  if (pool.pending > 0) return;
+
+  var segments = simulation.frameTimeSteps(currentParams);
+  if (segments.length === 0) return;
+
+  pool.segments = segments;
+  pool.results = [];
+  pool.pending = pool.ranges.length;
+
+  pool.ranges.forEach((range, i) => {
+    pool.workers[i].postMessage({
+      type: "step",
+      segments: segments,
+      masses: pool.initialParams.masses,
+      physics: currentParams.physics
+    });
+  });
+}
+
+
+/**
+ * Store the results from a worker. When all workers have finished,
+ * update the positions and velocities of the bodies.
+ */
+function receive(pool, iWorker, result) {
+  // Ignore the results of the simulation before the restart
+  if (result.generation !== pool.generation ||
+      pool.currentParams.positions === null) return;
+
+  pool.results[iWorker] = result;
+  pool.pending -= 1;
+
+  if (pool.pending === 0) applyResults(pool);
+}
+
+
+/**
+ * Copy the positions and velocities calculated by the workers into
+ * the current parameters and update the trajectories, mergers,
+ * conservation diagnostics, tidal analysis and checkpoints.
+ */
+function applyResults(pool) {
+  var initialParams = pool.initialParams;
+  var currentParams = pool.currentParams;
+  var coreValues = initialParams.masses.length * 3;
+  var positions = currentParams.positions;
+  var velocities = currentParams.velocities;
+
+  pool.ranges.forEach((range, i) => {
+    let result = pool.results[i];
+    let start = range.first * 3;
+
+    for(let j = 0; j < (range.last - range.first) * 3; j++) {
+      positions[start + j] = result.positions[coreValues + j];
+      velocities[start + j] = result.velocities[coreValues + j];
+    }
+  });
+
+  // All workers calculate the same motion of the cores
+  var first = pool.results[0];
+
+  for(let j = 0; j < coreValues; j++) {
+    positions[j] = first.positions[j];
+    velocities[j] = first.velocities[j];
+  }
+
+  for(let i = 0; i < first.corePositions.length / coreValues; i++) {
+    trajectories.update(currentParams.trajectoriesState,
+      first.corePositions.subarray(i * coreValues, (i + 1) * coreValues));
+  }
+
+  if (first.merged) {
+    currentParams.mergedInto = first.mergedInto;
+    simulation.recordMergers(initialParams, currentParams);
+  }
+
+  var time = pool.segments.reduce((sum, segment) =>
+    sum + segment.timeStep * segment.count, 0);
+
+  var steps = pool.segments.reduce((sum, segment) => sum + segment.count, 0);
+  var masses = effectiveMasses(initialParams.masses, currentParams.mergedInto);
+
+  diagnostics.update(currentParams.diagnostics, time, masses,
+    positions, velocities, currentParams.physics, steps);
+  currentParams.time += time;
+
+  tidalAnalysis.update(currentParams.tidalAnalysis, steps, currentParams.time,
+    masses, positions, velocities, currentParams.mergedInto,
+    currentParams.physics);
+
+  timeline.record(currentParams.timeline, currentParams.time, currentParams);
+}
+
+
+/**
+ * Stop the workers, for example after an error. The simulation continues
+ * on the main thread from the latest positions received from the workers.
+ *
+ * @param  {object} pool The pool of workers, see `create`.
+ */
+export function terminate(pool) {
+  pool.workers.forEach((worker) => worker.terminate());
+  pool.workers = [];
+  pool.pending = 0;
+
+  var initialParams = pool.initialParams;
+  var currentParams = pool.currentParams;
+  if (currentParams === null || currentParams.positions === null) return;
+
+  // The accelerations were only calculated by the workers
+  getAccelerations(
+    effectiveMasses(initialParams.masses, currentParams.mergedInto),
+    currentParams.positions, currentParams.accelerations,
+    currentParams.physics);
+}
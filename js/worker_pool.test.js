@@ -0,0 +1,118 @@
+import { getInitialParameters, getCurrentParameters } from './params.js';
+import * as simulation from './simulation.js';
+import * as workerPool from './worker_pool.js';
+
+var expect = chai.expect;
+
+
+// Wait until the workers have finished the time steps
+function finished(pool) {
+  return new Promise((resolve) => {
+    let check = () => pool.pending === 0 ? resolve() : setTimeout(check, 5);
+    check();
+  });
+}
+
+
+function createSimulation() {
+  var initialParams = getInitialParameters();
+  initialParams.numberOfRings = [3, 2];
+  var currentParams = getCurrentParameters(60);
+  simulation.setInitial(initialParams, currentParams);
+  return { initialParams: initialParams, currentParams: currentParams };
+}
+
+
+describe('Worker pool', () => {
+  it('create without workers', () => {
+    expect(workerPool.create(0)).to.equal(null);
+    expect(workerPool.isRunning(null)).to.equal(false);
+  });
+
+  it('workers calculate the same motion as the main thread', function() {
+    if (typeof Worker === "undefined") this.skip();
+
+    var pool = workerPool.create(2, "../js/physics_worker.js");
+    expect(workerPool.isRunning(pool)).to.equal(true);
+
+    var expected = createSimulation();
+    var actual = createSimulation();
+    workerPool.start(pool, actual.initialParams, actual.currentParams);
+
+    expect(pool.ranges).to.deep.equal([
+      { first: 2, last: 29 },
+      { first: 29, last: 56 }
+    ]);
+
+    // Fast forward while paused and then make two ordinary time steps.
+    // The fast forward is made over several frames.
+    [expected, actual].forEach((run) => {
+      run.currentParams.fastForwardSeconds = 0.5;
+      run.currentParams.paused = true;
+    });
+
+    var frame = () => {
+      simulation.update(expected.initialParams, expected.currentParams);
+      workerPool.update(pool, actual.currentParams);
+      return finished(pool);
+    };
+
+    var fastForward = () => frame().then(() => {
+      if (expected.currentParams.fastForward !== null ||
+          actual.currentParams.fastForward !== null) return fastForward();
+    });
+
+    var resume = () => {
+      expected.currentParams.paused = false;
+      actual.currentParams.paused = false;
+    };
+
+    return fastForward().then(resume).then(frame).then(frame).then(() => {
+      workerPool.terminate(pool);
+      expect(workerPool.isRunning(pool)).to.equal(false);
+
+      expect(actual.currentParams.positions).to.deep.equal(
+        expected.currentParams.positions);
+
+      expect(actual.currentParams.velocities).to.deep.equal(
+        expected.currentParams.velocities);
+
+      expect(actual.currentParams.trajectoriesState).to.deep.equal(
+        expected.currentParams.trajectoriesState);
+
+      expect(actual.currentParams.diagnostics.drift.energy).to.closeTo(
+        expected.currentParams.diagnostics.drift.energy, 1e-12);
+    });
+  });
+
+  it('workers use the masses changed without restart', function() {
+    if (typeof Worker === "undefined") this.skip();
+
+    var pool = workerPool.create(2, "../js/physics_worker.js");
+    var expected = createSimulation();
+    var actual = createSimulation();
+    workerPool.start(pool, actual.initialParams, actual.currentParams);
+
+    var frame = () => {
+      simulation.update(expected.initialParams, expected.currentParams);
+      workerPool.update(pool, actual.currentParams);
+      return finished(pool);
+    };
+
+    // Change the mass of the first core, as the mass slider does
+    var changeMass = () => {
+      expected.initialParams.masses[0] = 2;
+      actual.initialParams.masses[0] = 2;
+    };
+
+    return frame().then(changeMass).then(frame).then(frame).then(() => {
+      workerPool.terminate(pool);
+
+      expect(actual.currentParams.positions).to.deep.equal(
+        expected.currentParams.positions);
+
+      expect(actual.currentParams.velocities).to.deep.equal(
+        expected.currentParams.velocities);
+    });
+  });
+});
@@ -1,9 +1,34 @@
 import '../js/ui/sick_slider.test.js';
 import '../js/simulation.test.js';
+import '../js/headless.test.js';
+import '../js/params.test.js';
+import '../js/presets.test.js';
+import '../js/3d/scene_export.test.js';
+import '../js/3d/star_colors.test.js';
 import '../js/physics/acceleration.test.js';
+import '../js/physics/barnes_hut.test.js';
+import '../js/physics/benchmark.test.js';
+import '../js/physics/block_time_steps.test.js';
+import '../js/physics/buffers.test.js';
+import '../js/physics/diagnostics.test.js';
+import '../js/physics/disk_orientation.test.js';
+import '../js/physics/dynamical_friction.test.js';
+import '../js/physics/exponential_disk.test.js';
+import '../js/physics/fft.test.js';
+import '../js/physics/halo.test.js';
 import '../js/physics/initial_conditions.test.js';
 import '../js/physics/integrator.test.js';
+import '../js/physics/kepler.test.js';
+import '../js/physics/merger.test.js';
+import '../js/physics/particle_mesh.test.js';
+import '../js/physics/random.test.js';
+import '../js/physics/spheroid.test.js';
+import '../js/physics/sph.test.js';
+import '../js/physics/tidal_analysis.test.js';
 import '../js/ui/share.test.js';
+import '../js/snapshot_export.test.js';
+import '../js/timeline.test.js';
 import '../js/trajectories.test.js';
+import '../js/worker_pool.test.js';
 
 mocha.run();